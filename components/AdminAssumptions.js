@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react'
+import { EDITABLE_ASSUMPTIONS } from '@lib/assumptions/pricing'
+import { findTariffCategory } from '@lib/tariffs'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+/**
+ * Turns a stored version into editable form values (numbers become strings as typed).
+ * @param {object} values - The values of an assumptions version.
+ * @returns {object} The form values.
+ */
+const toFormValues = (values) => ({
+  ...Object.fromEntries(EDITABLE_ASSUMPTIONS.map(({ key }) => [key, String(values[key])])),
+  tariffCategories: values.tariffCategories.map(({ id, tiers }) => ({
+    id,
+    tiers: tiers.map(({ upTo, rate }) => ({ upTo: upTo === null ? '' : String(upTo), rate: String(rate) })),
+  })),
+})
+
+function TariffEditor({ category, error, onChange }) {
+  const updateTier = (index, field, value) => {
+    onChange(category.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)))
+  }
+  const addTier = () => {
+    // The new tier goes before the open-ended last one
+    const tiers = [...category.tiers]
+    tiers.splice(tiers.length - 1, 0, { upTo: '', rate: tiers[tiers.length - 1].rate })
+    onChange(tiers)
+  }
+  const removeTier = (index) => {
+    onChange(category.tiers.filter((tier, i) => i !== index))
+  }
+
+  return (
+    <fieldset className="border border-gray-200 rounded-lg p-3">
+      <legend className="text-sm font-medium text-gray-700 px-1">{findTariffCategory(category.id)?.name || category.id} tariff</legend>
+      {category.tiers.map((tier, index) => {
+        const isLast = index === category.tiers.length - 1
+        return (
+          <div key={index} className="flex items-center gap-2 mb-2 text-sm">
+            {isLast ? (
+              <span className="w-32 text-gray-600">{index > 0 ? `Above ${category.tiers[index - 1].upTo || '…'} kWh` : 'All kWh'}</span>
+            ) : (
+              <input
+                type="number"
+                min="0"
+                className={`${inputClassName} w-32`}
+                value={tier.upTo}
+                onChange={(e) => updateTier(index, 'upTo', e.target.value)}
+                aria-label={`${category.id} tier ${index + 1} up to kWh`}
+                placeholder="Up to kWh"
+              />
+            )}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className={`${inputClassName} w-28`}
+              value={tier.rate}
+              onChange={(e) => updateTier(index, 'rate', e.target.value)}
+              aria-label={`${category.id} tier ${index + 1} rate in SAR per kWh`}
+            />
+            <span className="text-gray-500">SAR/kWh</span>
+            {!isLast && (
+              <button type="button" onClick={() => removeTier(index)} className="text-red-600 text-xs px-2">
+                Remove
+              </button>
+            )}
+          </div>
+        )
+      })}
+      <button type="button" onClick={addTier} className="text-blue-600 text-xs">Add tier</button>
+      {error && <p className="text-red-600 text-xs mt-1">{error}</p>}
+    </fieldset>
+  )
+}
+
+export default function AdminAssumptions({ onUnauthorized }) {
+  const [versions, setVersions] = useState([])
+  const [form, setForm] = useState(null)
+  const [author, setAuthor] = useState('')
+  const [note, setNote] = useState('')
+  const [errors, setErrors] = useState({})
+  const [message, setMessage] = useState(null) // { text, isSuccess }
+  const [isPublishing, setIsPublishing] = useState(false)
+
+  const loadVersions = async () => {
+    try {
+      const response = await fetch('/api/admin/assumptions')
+      if (response.status === 401) return onUnauthorized()
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error)
+      setVersions(data.versions)
+      setForm(toFormValues(data.versions[0].values))
+    } catch (loadError) {
+      console.error('Error loading assumption versions:', loadError)
+      setMessage({ text: 'Could not load the assumption versions.', isSuccess: false })
+    }
+  }
+
+  useEffect(() => {
+    loadVersions()
+  }, [])
+
+  const handlePublish = async (e) => {
+    e.preventDefault()
+    setIsPublishing(true)
+    setErrors({})
+    setMessage(null)
+    try {
+      const response = await fetch('/api/admin/assumptions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values: form, author, note }),
+      })
+      if (response.status === 401) return onUnauthorized()
+      const data = await response.json()
+      if (response.status === 400) return setErrors(data.errors)
+      if (!response.ok) throw new Error(data.error)
+      setNote('')
+      setMessage({ text: `Version ${data.version} published. New quotes now use it.`, isSuccess: true })
+      await loadVersions()
+    } catch (publishError) {
+      console.error('Error publishing assumptions:', publishError)
+      setMessage({ text: 'Could not publish the assumptions. Please try again.', isSuccess: false })
+    } finally {
+      setIsPublishing(false)
+    }
+  }
+
+  if (!form) {
+    return (
+      <section className="bg-white rounded-xl shadow p-6">
+        <p className="text-sm text-gray-500">{message ? message.text : 'Loading assumptions…'}</p>
+      </section>
+    )
+  }
+
+  return (
+    <section className="bg-white rounded-xl shadow p-6" aria-labelledby="assumptions-heading">
+      <h2 id="assumptions-heading" className="text-xl font-semibold text-gray-800 mb-1">Pricing assumptions</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Publishing creates a new version used by the calculator and every new quote. Earlier versions are kept, and each
+        quote records the version it was calculated with.
+      </p>
+
+      <form onSubmit={handlePublish} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {EDITABLE_ASSUMPTIONS.map(({ key, label }) => (
+            <div key={key}>
+              <label htmlFor={`assumption-${key}`} className="block text-gray-700 text-sm font-medium mb-1">{label}</label>
+              <input
+                id={`assumption-${key}`}
+                type="number"
+                step="any"
+                className={inputClassName}
+                value={form[key]}
+                onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+              />
+              {errors[key] && <p className="text-red-600 text-xs mt-1">{errors[key]}</p>}
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {form.tariffCategories.map((category) => (
+            <TariffEditor
+              key={category.id}
+              category={category}
+              error={errors[`tariff.${category.id}`]}
+              onChange={(tiers) => setForm({
+                ...form,
+                tariffCategories: form.tariffCategories.map((item) => (item.id === category.id ? { ...item, tiers } : item)),
+              })}
+            />
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="assumption-author" className="block text-gray-700 text-sm font-medium mb-1">Your name</label>
+            <input id="assumption-author" type="text" className={inputClassName} value={author} onChange={(e) => setAuthor(e.target.value)} />
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="assumption-note" className="block text-gray-700 text-sm font-medium mb-1">What changed and why</label>
+            <input id="assumption-note" type="text" className={inputClassName} value={note} onChange={(e) => setNote(e.target.value)} />
+          </div>
+        </div>
+
+        {message && (
+          <p className={`text-sm ${message.isSuccess ? 'text-green-600' : 'text-red-600'}`} role="status">{message.text}</p>
+        )}
+        <button
+          type="submit"
+          disabled={isPublishing}
+          className="bg-green-500 text-white font-semibold py-2 px-6 rounded-lg hover:bg-green-600 transition duration-200"
+        >
+          {isPublishing ? 'Publishing…' : 'Publish new version'}
+        </button>
+      </form>
+
+      <h3 className="text-lg font-semibold text-gray-800 mt-6 mb-2">Version history</h3>
+      <ul className="space-y-2 text-sm">
+        {versions.map((version, index) => (
+          <li key={version.version} className="flex flex-wrap items-center justify-between gap-2 bg-gray-50 p-2 rounded-lg">
+            <span className="text-gray-700">
+              <span className="font-medium">Version {version.version}</span>
+              {index === 0 && <span className="text-green-700"> (current)</span>}
+              {' '}- {version.createdAt ? new Date(version.createdAt).toLocaleString('en-GB') : 'built in'}
+              {version.author && `, ${version.author}`}
+              {version.note && <span className="text-gray-500">: {version.note}</span>}
+            </span>
+            <button
+              type="button"
+              onClick={() => setForm(toFormValues(version.values))}
+              className="text-blue-600 text-xs"
+              aria-label={`Edit starting from version ${version.version}`}
+            >
+              Start from this version
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
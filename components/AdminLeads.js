@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react'
+import { SAUDI_CITIES, findCity } from '@lib/saudiCities'
+import { LEAD_STATUSES, getLeadStatus } from '@lib/admin/leads'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+const EMPTY_FILTERS = { cityId: '', minKW: '', maxKW: '', from: '', to: '', status: '' }
+
+// Staff pages are English only, so figures are formatted directly
+const formatKW = (value) => (Number.isFinite(value) ? `${value.toFixed(2)} kW` : '-')
+const formatSAR = (value) => (Number.isFinite(value) ? `${Math.round(value).toLocaleString('en-US')} SAR` : '-')
+
+/**
+ * Builds the query string for the filters that are set.
+ * @param {object} filters - The filter values as typed.
+ * @returns {string} The query string, without '?'.
+ */
+const toQuery = (filters) =>
+  new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '')).toString()
+
+export default function AdminLeads({ onUnauthorized }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [quotes, setQuotes] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // Loads the first page of requests, or with a cursor the next page after those shown
+  const loadQuotes = async (cursor = null) => {
+    setIsLoading(true)
+    setError('')
+    try {
+      const response = await fetch(`/api/admin/quotes?${toQuery(cursor ? { ...filters, cursor } : filters)}`)
+      if (response.status === 401) return onUnauthorized()
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error)
+      setQuotes(cursor ? [...quotes, ...data.quotes] : data.quotes)
+      setNextCursor(data.nextCursor)
+    } catch (loadError) {
+      console.error('Error loading quote requests:', loadError)
+      setError('Could not load the quote requests.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadQuotes()
+  }, [filters])
+
+  const handleFilterChange = (field, value) => {
+    setFilters({ ...filters, [field]: value })
+  }
+
+  const handleStatusChange = async (reference, status) => {
+    setError('')
+    try {
+      const response = await fetch(`/api/admin/quotes/${encodeURIComponent(reference)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
+      })
+      if (response.status === 401) return onUnauthorized()
+      const updated = await response.json()
+      if (!response.ok) throw new Error(updated.error)
+      setQuotes(quotes.map((quote) => (quote.reference === reference ? updated : quote)))
+    } catch (updateError) {
+      console.error('Error updating quote status:', updateError)
+      setError(`Could not update the status of ${reference}.`)
+    }
+  }
+
+  const filterField = (field, label, props) => (
+    <div>
+      <label htmlFor={`lead-${field}`} className="block text-gray-700 text-sm font-medium mb-1">{label}</label>
+      <input
+        id={`lead-${field}`}
+        className={inputClassName}
+        value={filters[field]}
+        onChange={(e) => handleFilterChange(field, e.target.value)}
+        {...props}
+      />
+    </div>
+  )
+
+  return (
+    <section className="bg-white rounded-xl shadow p-6" aria-labelledby="leads-heading">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 id="leads-heading" className="text-xl font-semibold text-gray-800">Quote requests</h2>
+        <a
+          href={`/api/admin/quotes?${toQuery({ ...filters, format: 'csv' })}`}
+          className="bg-blue-500 text-white text-sm px-4 py-2 rounded-lg hover:bg-blue-600 transition duration-200"
+        >
+          Export CSV
+        </a>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+        <div>
+          <label htmlFor="lead-cityId" className="block text-gray-700 text-sm font-medium mb-1">City</label>
+          <select id="lead-cityId" className={inputClassName} value={filters.cityId} onChange={(e) => handleFilterChange('cityId', e.target.value)}>
+            <option value="">All cities</option>
+            {SAUDI_CITIES.map((city) => (
+              <option key={city.id} value={city.id}>{city.name}</option>
+            ))}
+          </select>
+        </div>
+        {filterField('minKW', 'Min size (kW)', { type: 'number', min: '0' })}
+        {filterField('maxKW', 'Max size (kW)', { type: 'number', min: '0' })}
+        {filterField('from', 'From', { type: 'date' })}
+        {filterField('to', 'To', { type: 'date' })}
+        <div>
+          <label htmlFor="lead-status" className="block text-gray-700 text-sm font-medium mb-1">Status</label>
+          <select id="lead-status" className={inputClassName} value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)}>
+            <option value="">All statuses</option>
+            {LEAD_STATUSES.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-red-600 text-sm mb-2" role="alert">{error}</p>}
+      <p className="text-sm text-gray-500 mb-2" aria-live="polite">
+        {isLoading ? 'Loading…' : `${quotes.length}${nextCursor ? '+' : ''} quote request${quotes.length === 1 ? '' : 's'}`}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="p-2">Reference</th>
+              <th className="p-2">Date</th>
+              <th className="p-2">Customer</th>
+              <th className="p-2">City</th>
+              <th className="p-2">System</th>
+              <th className="p-2">Cost</th>
+              <th className="p-2">Savings / month</th>
+              <th className="p-2">Assumptions</th>
+              <th className="p-2">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {quotes.map((quote) => (
+              <tr key={quote.reference} className="border-b border-gray-100">
+                <td className="p-2 font-mono">{quote.reference}</td>
+                <td className="p-2">{String(quote.createdAt).slice(0, 10)}</td>
+                <td className="p-2">
+                  <div className="font-medium">{quote.name}</div>
+                  <div className="text-gray-500">{quote.email}{quote.phone ? ` · ${quote.phone}` : ''}</div>
+                </td>
+                <td className="p-2">{findCity(quote.cityId)?.name || quote.location}</td>
+                <td className="p-2">
+                  {formatKW(quote.estimate?.estimatedSystemSizeKW)}
+                  {quote.equipmentPackage && <div className="text-gray-500">{quote.equipmentPackage.name}</div>}
+                  {quote.zoneBreakdown?.length > 1 && <div className="text-gray-500">{quote.zoneBreakdown.length} zones</div>}
+                  {quote.supplyPhase === 'three-phase' && <div className="text-gray-500">Three-phase</div>}
+                </td>
+                <td className="p-2">{formatSAR(quote.estimate?.estimatedSystemCostSAR)}</td>
+                <td className="p-2">{formatSAR(quote.estimate?.estimatedMonthlySavingsSAR)}</td>
+                <td className="p-2">{quote.assumptionsVersion ?? '-'}</td>
+                <td className="p-2">
+                  <select
+                    className={inputClassName}
+                    value={getLeadStatus(quote)}
+                    onChange={(e) => handleStatusChange(quote.reference, e.target.value)}
+                    aria-label={`Status of ${quote.reference}`}
+                  >
+                    {LEAD_STATUSES.map((status) => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {nextCursor && (
+        <button
+          type="button"
+          onClick={() => loadQuotes(nextCursor)}
+          disabled={isLoading}
+          className="mt-3 text-gray-700 text-sm px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Load more
+        </button>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+const TEMPLATE_LABELS = {
+  'customer-confirmation': 'Customer confirmation',
+  'sales-alert': 'Sales team alert',
+}
+
+const LANGUAGE_LABELS = { en: 'English', ar: 'Arabic' }
+
+const idOf = (template) => `${template.name}.${template.locale}`
+
+export default function AdminTemplates({ onUnauthorized }) {
+  const [templates, setTemplates] = useState([])
+  const [placeholders, setPlaceholders] = useState([])
+  const [selectedId, setSelectedId] = useState('')
+  const [text, setText] = useState('')
+  const [author, setAuthor] = useState('')
+  const [errors, setErrors] = useState({})
+  const [message, setMessage] = useState(null) // { text, isSuccess }
+  const [isSaving, setIsSaving] = useState(false)
+
+  const selected = templates.find((template) => idOf(template) === selectedId)
+
+  const selectTemplate = (template) => {
+    setSelectedId(idOf(template))
+    setText(template.text ?? template.defaultText)
+    setErrors({})
+  }
+
+  const loadTemplates = async (keepId = selectedId) => {
+    try {
+      const response = await fetch('/api/admin/templates')
+      if (response.status === 401) return onUnauthorized()
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error)
+      setTemplates(data.templates)
+      setPlaceholders(data.placeholders)
+      selectTemplate(data.templates.find((template) => idOf(template) === keepId) || data.templates[0])
+    } catch (loadError) {
+      console.error('Error loading email templates:', loadError)
+      setMessage({ text: 'Could not load the email templates.', isSuccess: false })
+    }
+  }
+
+  useEffect(() => {
+    loadTemplates()
+  }, [])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    setErrors({})
+    setMessage(null)
+    try {
+      const response = await fetch('/api/admin/templates', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: selected.name, locale: selected.locale, text, author }),
+      })
+      if (response.status === 401) return onUnauthorized()
+      const data = await response.json()
+      if (response.status === 400) return setErrors(data.errors)
+      if (!response.ok) throw new Error(data.error)
+      setMessage({ text: 'Template saved. The next emails use it.', isSuccess: true })
+      await loadTemplates(selectedId)
+    } catch (saveError) {
+      console.error('Error saving the email template:', saveError)
+      setMessage({ text: 'Could not save the template. Please try again.', isSuccess: false })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleReset = async () => {
+    setMessage(null)
+    try {
+      const params = new URLSearchParams({ name: selected.name, locale: selected.locale })
+      const response = await fetch(`/api/admin/templates?${params}`, { method: 'DELETE' })
+      if (response.status === 401) return onUnauthorized()
+      if (!response.ok) throw new Error((await response.json()).error)
+      setMessage({ text: 'Template reset to the default.', isSuccess: true })
+      await loadTemplates(selectedId)
+    } catch (resetError) {
+      console.error('Error resetting the email template:', resetError)
+      setMessage({ text: 'Could not reset the template. Please try again.', isSuccess: false })
+    }
+  }
+
+  if (!selected) {
+    return (
+      <section className="bg-white rounded-xl shadow p-6">
+        <p className="text-sm text-gray-500">{message ? message.text : 'Loading email templates…'}</p>
+      </section>
+    )
+  }
+
+  return (
+    <section className="bg-white rounded-xl shadow p-6" aria-labelledby="templates-heading">
+      <h2 id="templates-heading" className="text-xl font-semibold text-gray-800 mb-1">Email templates</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        The emails sent when a quote is requested. Start with a "Subject:" line, then a blank line and the body.
+        Placeholders in braces are filled in from the quote.
+      </p>
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div>
+          <label htmlFor="template-select" className="block text-gray-700 text-sm font-medium mb-1">Template</label>
+          <select
+            id="template-select"
+            className={inputClassName}
+            value={selectedId}
+            onChange={(e) => selectTemplate(templates.find((template) => idOf(template) === e.target.value))}
+          >
+            {templates.map((template) => (
+              <option key={idOf(template)} value={idOf(template)}>
+                {TEMPLATE_LABELS[template.name] || template.name} ({LANGUAGE_LABELS[template.locale] || template.locale})
+                {template.text !== null ? ' - edited' : ''}
+              </option>
+            ))}
+          </select>
+          {selected.updatedAt && (
+            <p className="text-xs text-gray-500 mt-1">
+              Edited {new Date(selected.updatedAt).toLocaleString('en-GB')}{selected.author && ` by ${selected.author}`}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="template-text" className="block text-gray-700 text-sm font-medium mb-1">Text</label>
+          <textarea
+            id="template-text"
+            rows={16}
+            className={`${inputClassName} font-mono text-sm`}
+            dir={selected.locale === 'ar' ? 'rtl' : 'ltr'}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            aria-describedby="template-placeholders"
+          />
+          {errors.text && <p className="text-red-600 text-xs mt-1">{errors.text}</p>}
+          {errors.template && <p className="text-red-600 text-xs mt-1">{errors.template}</p>}
+          <p id="template-placeholders" className="text-xs text-gray-500 mt-1">
+            Placeholders: {placeholders.map((placeholder) => `{${placeholder}}`).join(' ')}
+          </p>
+        </div>
+
+        <div className="md:w-1/3">
+          <label htmlFor="template-author" className="block text-gray-700 text-sm font-medium mb-1">Your name</label>
+          <input id="template-author" type="text" className={inputClassName} value={author} onChange={(e) => setAuthor(e.target.value)} />
+        </div>
+
+        {message && (
+          <p className={`text-sm ${message.isSuccess ? 'text-green-600' : 'text-red-600'}`} role="status">{message.text}</p>
+        )}
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-green-500 text-white font-semibold py-2 px-6 rounded-lg hover:bg-green-600 transition duration-200"
+          >
+            {isSaving ? 'Saving…' : 'Save template'}
+          </button>
+          {selected.text !== null && (
+            <button type="button" onClick={handleReset} className="text-gray-700 text-sm px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Reset to default
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  )
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { searchApplianceCatalogue } from '@lib/applianceCatalogue'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function ApplianceNameInput({ id, value, placeholder, ariaLabel, errorId, onChange, onSelect }) {
+  const { t, formatNumber } = useI18n()
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  const localize = (entry) => t(`applianceCatalogue.${entry.id}`)
+  const matches = isOpen ? searchApplianceCatalogue(value, { localize }) : []
+  const listId = `${id}-catalogue`
+  const optionId = (entry) => `${listId}-${entry.id}`
+
+  const select = (entry) => {
+    onSelect(entry, localize(entry))
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  const handleKeyDown = (e) => {
+    if (matches.length === 0) return
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex((activeIndex + 1) % matches.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(activeIndex <= 0 ? matches.length - 1 : activeIndex - 1)
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault()
+      select(matches[activeIndex])
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={matches.length > 0}
+        aria-controls={listId}
+        aria-activedescendant={matches[activeIndex] ? optionId(matches[activeIndex]) : undefined}
+        className={`w-full p-2 border rounded-lg focus:ring-1 focus:ring-blue-400 ${errorId ? 'border-red-500' : 'border-gray-300'}`}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setIsOpen(true)
+          setActiveIndex(-1)
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        aria-invalid={Boolean(errorId)}
+        aria-describedby={errorId}
+        aria-label={ariaLabel}
+      />
+      {matches.length > 0 && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label={t('appliances.catalogueLabel')}
+          className="absolute z-10 mt-1 w-full md:w-72 max-h-60 overflow-auto bg-white border border-gray-300 rounded-lg shadow-lg text-sm"
+        >
+          {matches.map((entry, index) => (
+            <li
+              key={entry.id}
+              id={optionId(entry)}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                select(entry)
+              }}
+            >
+              <span className="block text-gray-800">{localize(entry)}</span>
+              <span className="block text-xs text-gray-500">
+                {t('appliances.catalogueOption', {
+                  wattage: formatNumber(entry.wattage, 0),
+                  hours: formatNumber(entry.hoursPerDay, 1),
+                })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
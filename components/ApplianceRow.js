@@ -0,0 +1,175 @@
+import { USAGE_PRESETS, CUSTOM_USAGE_PRESET_ID, DEFAULT_USAGE_PRESET_ID, parseHourRanges } from '@lib/loadProfile'
+import { SEASONAL_PROFILES, DEFAULT_SEASONAL_PROFILE_ID } from '@lib/seasonalUsage'
+import { useI18n } from '@lib/i18n/I18nContext'
+import ApplianceNameInput from '@components/ApplianceNameInput'
+
+const inputClassName = 'w-full p-2 border rounded-lg focus:ring-1 focus:ring-blue-400'
+
+// Order the field errors are listed in under the row
+const ERROR_FIELDS = ['name', 'wattage', 'hoursPerDay', 'dutyCyclePercent', 'quantity']
+
+const iconButtonClassName = 'text-white p-2 rounded-full transition duration-200'
+
+export default function ApplianceRow({
+  app,
+  errors,
+  isSelected,
+  isDragging,
+  onSelect,
+  onChange,
+  onCatalogueSelect,
+  onDuplicate,
+  onRemove,
+  onMove,
+  onDragStart,
+  onDragEnd,
+  onDrop,
+}) {
+  const { t } = useI18n()
+  const errorId = `applianceErrors-${app.id}`
+  const fieldErrors = ERROR_FIELDS.filter((field) => errors[field])
+  const customHoursInvalid = Boolean(app.customHours) && !parseHourRanges(app.customHours)
+
+  // Numbers are typed as text so entries such as '12a' stay visible and can be flagged
+  const numberInputProps = (field, labelKey, placeholderKey) => ({
+    type: 'text',
+    inputMode: 'decimal',
+    className: `${inputClassName} ${errors[field] ? 'border-red-500' : 'border-gray-300'}`,
+    placeholder: t(placeholderKey),
+    value: app[field] ?? '',
+    onChange: (e) => onChange(app.id, field, e.target.value),
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? errorId : undefined,
+    'aria-label': t(labelKey, { name: app.name }),
+  })
+
+  const handleHandleKeyDown = (e) => {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault()
+      onMove(app.id, e.key === 'ArrowUp' ? -1 : 1)
+    }
+  }
+
+  return (
+    <div
+      className={`mb-3 p-1 rounded-lg ${isSelected ? 'bg-blue-50' : ''} ${isDragging ? 'opacity-50' : ''}`}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault()
+        e.stopPropagation()
+        onDrop(app.id)
+      }}
+    >
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-4 items-center">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move'
+              e.dataTransfer.setData('text/plain', String(app.id))
+              onDragStart(app.id)
+            }}
+            onDragEnd={onDragEnd}
+            onKeyDown={handleHandleKeyDown}
+            className="text-gray-400 hover:text-gray-700 cursor-move px-1"
+            aria-label={t('appliances.reorderLabel', { name: app.name })}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <circle cx="9" cy="6" r="1.5" /><circle cx="15" cy="6" r="1.5" />
+              <circle cx="9" cy="12" r="1.5" /><circle cx="15" cy="12" r="1.5" />
+              <circle cx="9" cy="18" r="1.5" /><circle cx="15" cy="18" r="1.5" />
+            </svg>
+          </button>
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={(e) => onSelect(app.id, e.target.checked)}
+            aria-label={t('appliances.selectLabel', { name: app.name })}
+          />
+          <div className="flex-1 min-w-0">
+            <ApplianceNameInput
+              id={`applianceName-${app.id}`}
+              value={app.name}
+              placeholder={t('appliances.namePlaceholder')}
+              ariaLabel={t('appliances.nameLabel', { name: app.name })}
+              errorId={errors.name ? errorId : undefined}
+              onChange={(value) => onChange(app.id, 'name', value)}
+              onSelect={(entry, entryName) => onCatalogueSelect(app.id, entry, entryName)}
+            />
+          </div>
+        </div>
+        <input {...numberInputProps('wattage', 'appliances.wattageLabel', 'appliances.wattagePlaceholder')} />
+        <input {...numberInputProps('hoursPerDay', 'appliances.hoursLabel', 'appliances.hoursPlaceholder')} />
+        <div className="space-y-1">
+          <input {...numberInputProps('dutyCyclePercent', 'appliances.dutyCycleLabel', 'appliances.dutyCyclePlaceholder')} />
+          <select
+            className={`${inputClassName} border-gray-300 bg-white`}
+            value={app.seasonalProfile || DEFAULT_SEASONAL_PROFILE_ID}
+            onChange={(e) => onChange(app.id, 'seasonalProfile', e.target.value)}
+            aria-label={t('appliances.seasonLabel', { name: app.name })}
+          >
+            {SEASONAL_PROFILES.map((profile) => (
+              <option key={profile.id} value={profile.id}>{t(`seasonalProfiles.${profile.id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <select
+            className={`${inputClassName} border-gray-300 bg-white`}
+            value={app.usagePreset || DEFAULT_USAGE_PRESET_ID}
+            onChange={(e) => onChange(app.id, 'usagePreset', e.target.value)}
+            aria-label={t('appliances.usageLabel', { name: app.name })}
+          >
+            {USAGE_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>{t(`usagePresets.${preset.id}`)}</option>
+            ))}
+            <option value={CUSTOM_USAGE_PRESET_ID}>{t('appliances.customHours')}</option>
+          </select>
+          {app.usagePreset === CUSTOM_USAGE_PRESET_ID && (
+            <input
+              type="text"
+              dir="ltr"
+              className={`${inputClassName} ${customHoursInvalid ? 'border-red-500' : 'border-gray-300'}`}
+              placeholder={t('appliances.customHoursPlaceholder')}
+              value={app.customHours || ''}
+              onChange={(e) => onChange(app.id, 'customHours', e.target.value)}
+              aria-invalid={customHoursInvalid}
+              aria-label={t('appliances.customHoursLabel', { name: app.name })}
+            />
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <input {...numberInputProps('quantity', 'appliances.quantityLabel', 'appliances.quantityPlaceholder')} />
+          <button
+            type="button"
+            onClick={() => onDuplicate(app.id)}
+            className={`${iconButtonClassName} bg-blue-500 hover:bg-blue-600`}
+            aria-label={t('appliances.duplicateLabel', { name: app.name })}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 8h11v11H8zM5 16V5h11" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={() => onRemove(app.id)}
+            className={`${iconButtonClassName} bg-red-500 hover:bg-red-600`}
+            aria-label={t('appliances.remove', { name: app.name })}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+      {fieldErrors.length > 0 && (
+        <ul id={errorId} className="text-red-600 text-xs mt-1 px-2">
+          {fieldErrors.map((field) => (
+            <li key={field}>{t(`validation.${errors[field]}`)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+import { useState } from 'react'
+import { BULK_APPLIANCE_FIELDS } from '@lib/applianceEditing'
+import { appliancesToCsv, parseAppliancesCsv, APPLIANCE_CSV_COLUMNS } from '@lib/applianceCsv'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+const buttonClassName = 'text-blue-600 border border-blue-300 rounded-full px-3 py-1 hover:bg-blue-50 disabled:opacity-50'
+
+/**
+ * Saves text as a file through a temporary link.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+const downloadText = (text, fileName) => {
+  // The byte order mark lets spreadsheet programs read Arabic names as UTF-8
+  const url = URL.createObjectURL(new Blob(['\ufeff', text], { type: 'text/csv;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export default function ApplianceToolbar({
+  appliances,
+  zones,
+  canUndo,
+  canRedo,
+  selectedCount,
+  onUndo,
+  onRedo,
+  onBulkEdit,
+  onDuplicateSelected,
+  onRemoveSelected,
+  onClearSelection,
+  onImport,
+}) {
+  const { t, formatNumber } = useI18n()
+  const [bulkField, setBulkField] = useState(BULK_APPLIANCE_FIELDS[0])
+  const [bulkValue, setBulkValue] = useState('')
+  const [importReport, setImportReport] = useState(null) // { importedCount, errors }
+
+  const applyBulkEdit = (e) => {
+    e.preventDefault()
+    if (bulkValue === '') return
+    onBulkEdit(bulkField, bulkValue)
+    setBulkValue('')
+  }
+
+  const importText = (text) => {
+    const imported = parseAppliancesCsv(text)
+    if (imported.appliances.length > 0) {
+      onImport(imported)
+    }
+    setImportReport({ importedCount: imported.appliances.length, errors: imported.errors })
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => importText(String(reader.result))
+    reader.readAsText(file)
+    // Allow the same file to be picked again after editing it
+    e.target.value = ''
+  }
+
+  const describeImportError = ({ line, code }) => {
+    const message = t(`validation.${code}`, { columns: APPLIANCE_CSV_COLUMNS.filter((column) => column.required).map((column) => column.header).join(', ') })
+    return t('applianceTools.importLine', { line: formatNumber(line, 0), message })
+  }
+
+  return (
+    <div className="mb-4 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={onUndo} disabled={!canUndo} className={buttonClassName} aria-keyshortcuts="Control+Z">
+          {t('applianceTools.undo')}
+        </button>
+        <button type="button" onClick={onRedo} disabled={!canRedo} className={buttonClassName} aria-keyshortcuts="Control+Shift+Z Control+Y">
+          {t('applianceTools.redo')}
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadText(appliancesToCsv(appliances, zones), 'appliances.csv')}
+          disabled={appliances.length === 0}
+          className={buttonClassName}
+        >
+          {t('applianceTools.exportCsv')}
+        </button>
+        <label className={`${buttonClassName} cursor-pointer`}>
+          {t('applianceTools.importCsv')}
+          <input type="file" accept=".csv,text/csv,text/plain" className="sr-only" onChange={handleFileChange} />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        {t('applianceTools.csvHelp', { columns: APPLIANCE_CSV_COLUMNS.map((column) => column.header).join(', ') })}
+      </p>
+
+      {importReport && (
+        <div className="p-3 bg-white border border-gray-200 rounded-lg" role="status">
+          <p className={importReport.importedCount > 0 ? 'text-green-700' : 'text-red-600'}>
+            {importReport.importedCount > 0
+              ? t('applianceTools.imported', { count: formatNumber(importReport.importedCount, 0) })
+              : t('applianceTools.importFailed')}
+          </p>
+          {importReport.errors.length > 0 && (
+            <ul className="text-red-600 text-xs mt-1 list-disc ps-5">
+              {importReport.errors.map((error, index) => (
+                <li key={index}>{describeImportError(error)}</li>
+              ))}
+            </ul>
+          )}
+          <button type="button" onClick={() => setImportReport(null)} className="text-gray-600 text-xs mt-1">
+            {t('applianceTools.dismiss')}
+          </button>
+        </div>
+      )}
+
+      {selectedCount > 0 && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg space-y-2" role="group" aria-label={t('applianceTools.selectionLabel')}>
+          <p className="font-medium text-gray-700">{t('applianceTools.selected', { count: formatNumber(selectedCount, 0) })}</p>
+          <form onSubmit={applyBulkEdit} className="flex flex-col md:flex-row gap-2">
+            <select className={inputClassName} value={bulkField} onChange={(e) => setBulkField(e.target.value)} aria-label={t('zones.bulkField')}>
+              {BULK_APPLIANCE_FIELDS.map((field) => (
+                <option key={field} value={field}>{t(`zones.bulkFields.${field}`)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              inputMode="decimal"
+              className={inputClassName}
+              value={bulkValue}
+              onChange={(e) => setBulkValue(e.target.value)}
+              aria-label={t('zones.bulkValue')}
+            />
+            <button
+              type="submit"
+              className="bg-green-500 text-white text-xs px-3 py-2 rounded-full hover:bg-green-600 transition duration-200 whitespace-nowrap"
+              disabled={bulkValue === ''}
+            >
+              {t('zones.bulkApply', { count: formatNumber(selectedCount, 0) })}
+            </button>
+          </form>
+          <div className="flex flex-wrap gap-2 text-xs">
+            <button type="button" onClick={onDuplicateSelected} className={buttonClassName}>
+              {t('applianceTools.duplicateSelected')}
+            </button>
+            <button type="button" onClick={onRemoveSelected} className="text-red-600 border border-red-300 rounded-full px-3 py-1 hover:bg-red-50">
+              {t('applianceTools.removeSelected')}
+            </button>
+            <button type="button" onClick={onClearSelection} className="text-gray-600 px-3 py-1">
+              {t('applianceTools.clearSelection')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
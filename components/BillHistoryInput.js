@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { BILL_UNITS, parseBillCsv, detectBillUnit, rowsToMonthlyValues } from '@lib/billHistory'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+export default function BillHistoryInput({ unit, values, analysis, reconciliation, onUnitChange, onValuesChange }) {
+  const { t, formatNumber, formatPercent, formatMonth } = useI18n()
+  const [pastedText, setPastedText] = useState('')
+  const [importMessage, setImportMessage] = useState(null) // { key, params }
+
+  /**
+   * Fills the month fields from pasted or uploaded text, switching unit when the CSV names its columns.
+   * @param {string} text - The CSV or pasted text.
+   */
+  const importText = (text) => {
+    const { rows, skippedLines } = parseBillCsv(text)
+    if (rows.length === 0) {
+      setImportMessage({ key: 'bills.noValues' })
+      return
+    }
+    const importUnit = detectBillUnit(rows) || unit
+    onUnitChange(importUnit)
+    onValuesChange(rowsToMonthlyValues(rows, importUnit).map((value) => (value === null ? '' : String(Math.round(value * 100) / 100))))
+    setImportMessage(skippedLines > 0 ? { key: 'bills.parseErrors', params: { count: skippedLines } } : null)
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => importText(String(reader.result))
+    reader.readAsText(file)
+    // Allow the same file to be picked again after editing it
+    e.target.value = ''
+  }
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-2 text-center">{t('bills.heading')}</h2>
+      <p className="text-sm text-gray-600 mb-4 text-center">{t('bills.intro')}</p>
+
+      <div className="mb-4 md:w-1/3">
+        <label htmlFor="billUnit" className="block text-gray-700 text-sm font-medium mb-2">
+          {t('bills.unit')}
+        </label>
+        <select id="billUnit" className={inputClassName} value={unit} onChange={(e) => onUnitChange(e.target.value)}>
+          {BILL_UNITS.map((billUnit) => (
+            <option key={billUnit} value={billUnit}>{t(billUnit === 'SAR' ? 'bills.unitSAR' : 'bills.unitKWh')}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+        {values.map((value, month) => (
+          <div key={month}>
+            <label htmlFor={`bill-${month}`} className="block text-xs text-gray-600 mb-1">
+              {formatMonth(month)}
+              {analysis && analysis.estimatedMonths[month] && (
+                <span className="text-gray-400"> ({t('bills.estimated')})</span>
+              )}
+            </label>
+            <input
+              id={`bill-${month}`}
+              type="number"
+              min="0"
+              className={inputClassName}
+              value={value}
+              onChange={(e) => onValuesChange(values.map((current, index) => (index === month ? e.target.value : current)))}
+              aria-label={t('bills.monthLabel', { month: formatMonth(month) })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 items-end">
+        <div className="md:col-span-2">
+          <label htmlFor="billPaste" className="block text-gray-700 text-sm font-medium mb-2">
+            {t('bills.paste')}
+          </label>
+          <textarea
+            id="billPaste"
+            rows={3}
+            className={inputClassName}
+            placeholder={t('bills.pastePlaceholder')}
+            value={pastedText}
+            onChange={(e) => setPastedText(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-col gap-2">
+          <button
+            type="button"
+            onClick={() => importText(pastedText)}
+            disabled={!pastedText.trim()}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-200 disabled:opacity-50"
+          >
+            {t('bills.pasteApply')}
+          </button>
+          <label className="text-center cursor-pointer border border-blue-300 text-blue-600 rounded-lg py-2 px-4 hover:bg-blue-50 transition duration-200">
+            {t('bills.upload')}
+            <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
+              className="sr-only"
+              onChange={handleFileChange}
+              aria-label={t('bills.uploadLabel')}
+            />
+          </label>
+        </div>
+      </div>
+
+      {importMessage && (
+        <p className="text-sm text-red-600 mb-4" role="alert">{t(importMessage.key, importMessage.params)}</p>
+      )}
+
+      {analysis && (
+        <div className="text-sm text-gray-700 space-y-1" aria-live="polite">
+          <p>{t('bills.monthsProvided', { count: analysis.providedMonths })}</p>
+          <p>{t('bills.annual', { value: formatNumber(analysis.annualKWh, 0) })}</p>
+          <p>{t('bills.averageDaily', { value: formatNumber(analysis.averageDailyKWh) })}</p>
+          <p>{t('bills.peakMonth', { month: formatMonth(analysis.peakMonth) })}</p>
+          {reconciliation && reconciliation.applianceDailyKWh > 0 && (
+            <p>
+              {t('bills.reconcile', {
+                appliances: formatNumber(reconciliation.applianceDailyKWh),
+                bills: formatNumber(reconciliation.billDailyKWh),
+              })}
+            </p>
+          )}
+          {reconciliation && reconciliation.isMismatch && (
+            <p className="text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg p-2" role="status">
+              {t('bills.mismatch', { difference: formatPercent(Math.abs(reconciliation.difference)) })}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
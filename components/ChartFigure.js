@@ -0,0 +1,51 @@
+import { useRef, useState } from 'react'
+import { downloadChartSvg, downloadChartPng } from '@lib/chartExport'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const buttonClassName = 'text-blue-600 border border-blue-300 rounded-full px-3 py-1 hover:bg-blue-50'
+
+// A result chart with its title, a written summary (also read out by screen readers),
+// SVG and PNG downloads and, when given, the chart's figures as a table
+export default function ChartFigure({ id, title, description, fileName, table, tableLabel, children }) {
+  const { t } = useI18n()
+  const chartRef = useRef(null)
+  const [exportError, setExportError] = useState('')
+
+  const getSvg = () => chartRef.current && chartRef.current.querySelector('svg')
+
+  const exportPng = async () => {
+    setExportError('')
+    try {
+      await downloadChartPng(getSvg(), fileName)
+    } catch (error) {
+      console.error('Error exporting chart:', error)
+      setExportError('charts.exportFailed')
+    }
+  }
+
+  return (
+    <figure className="mt-6" aria-labelledby={`${id}-title`} aria-describedby={`${id}-description`}>
+      <h3 id={`${id}-title`} className="text-lg font-semibold text-gray-800 mb-2 text-center">{title}</h3>
+      {/* Charts run left to right in both languages */}
+      <div ref={chartRef} dir="ltr">
+        {children}
+      </div>
+      <figcaption id={`${id}-description`} className="text-sm text-gray-600 mt-2 text-center">{description}</figcaption>
+      <div className="flex flex-wrap justify-center gap-2 mt-2 text-xs">
+        <button type="button" onClick={() => downloadChartSvg(getSvg(), fileName)} className={buttonClassName} aria-label={t('charts.downloadSvgLabel', { chart: title })}>
+          {t('charts.downloadSvg')}
+        </button>
+        <button type="button" onClick={exportPng} className={buttonClassName} aria-label={t('charts.downloadPngLabel', { chart: title })}>
+          {t('charts.downloadPng')}
+        </button>
+      </div>
+      {exportError && <p className="text-red-600 text-xs mt-1 text-center">{t(exportError)}</p>}
+      {table && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-sm font-medium text-gray-700">{tableLabel || t('charts.table')}</summary>
+          <div className="overflow-x-auto mt-2">{table}</div>
+        </details>
+      )}
+    </figure>
+  )
+}
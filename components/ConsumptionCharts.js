@@ -0,0 +1,196 @@
+import { CHART_COLORS, summariseApplianceShares, getNiceScale, createLinearScale, describeMonthlyExtremes } from '@lib/charts'
+import { useI18n } from '@lib/i18n/I18nContext'
+import ChartFigure from '@components/ChartFigure'
+
+const CHART_WIDTH = 600
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Tahoma, Arial, sans-serif'
+
+// Appliance chart: one row per appliance, names on the left and figures after each bar
+const ROW_HEIGHT = 26
+const LABEL_WIDTH = 170
+const VALUE_WIDTH = 120
+const MAX_LABEL_LENGTH = 24
+
+// Monthly chart margins, leaving room for the legend above and the axis labels
+const MONTHLY_HEIGHT = 260
+const MONTHLY_MARGIN = { top: 30, right: 8, bottom: 24, left: 56 }
+
+/**
+ * Shortens long appliance names so they fit beside the bars; the full name stays in the tooltip and table.
+ * @param {string} name - The appliance name.
+ * @returns {string} The name, cut with an ellipsis when too long.
+ */
+const shortenLabel = (name) => (name.length > MAX_LABEL_LENGTH ? `${name.slice(0, MAX_LABEL_LENGTH - 1)}…` : name)
+
+function ApplianceConsumptionChart({ items, labelOf }) {
+  const { t, formatNumber, formatPercent } = useI18n()
+  const height = items.length * ROW_HEIGHT + 8
+  const largest = items[0].dailyKWh
+  const barLength = (kWh) => Math.max(2, (kWh / largest) * (CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH))
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="w-full"
+      role="img"
+      aria-label={t('charts.appliances.chartLabel')}
+      fontFamily={FONT_FAMILY}
+      fontSize="12"
+    >
+      {items.map((item, index) => {
+        const y = index * ROW_HEIGHT + 4
+        const value = t('charts.appliances.value', { kWh: formatNumber(item.dailyKWh), share: formatPercent(item.share) })
+        return (
+          <g key={item.id}>
+            <title>{`${labelOf(item)}: ${value}`}</title>
+            <text x={LABEL_WIDTH - 8} y={y + ROW_HEIGHT / 2} textAnchor="end" dominantBaseline="middle" fill={CHART_COLORS.text}>
+              {shortenLabel(labelOf(item))}
+            </text>
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 3}
+              width={barLength(item.dailyKWh)}
+              height={ROW_HEIGHT - 8}
+              rx="3"
+              fill={item.id === 'other' ? CHART_COLORS.other : CHART_COLORS.consumption}
+            />
+            <text x={LABEL_WIDTH + barLength(item.dailyKWh) + 6} y={y + ROW_HEIGHT / 2} dominantBaseline="middle" fill={CHART_COLORS.text}>
+              {value}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+function MonthlyEnergyChart({ monthlyProduction }) {
+  const { t, formatNumber, formatMonth } = useI18n()
+  const scale = getNiceScale(0, Math.max(...monthlyProduction.flatMap((month) => [month.productionKWh, month.consumptionKWh])))
+  const y = createLinearScale(scale, MONTHLY_HEIGHT - MONTHLY_MARGIN.bottom, MONTHLY_MARGIN.top)
+  const slotWidth = (CHART_WIDTH - MONTHLY_MARGIN.left - MONTHLY_MARGIN.right) / monthlyProduction.length
+  const barWidth = (slotWidth - 6) / 2
+  const series = [
+    { key: 'productionKWh', label: t('charts.monthly.production'), color: CHART_COLORS.production },
+    { key: 'consumptionKWh', label: t('charts.monthly.consumption'), color: CHART_COLORS.consumption },
+  ]
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${MONTHLY_HEIGHT}`}
+      className="w-full"
+      role="img"
+      aria-label={t('charts.monthly.chartLabel')}
+      fontFamily={FONT_FAMILY}
+      fontSize="11"
+    >
+      {series.map((item, index) => (
+        <g key={item.key} transform={`translate(${MONTHLY_MARGIN.left + index * 150}, 8)`}>
+          <rect width="12" height="12" fill={item.color} />
+          <text x="18" y="10" fill={CHART_COLORS.text}>{item.label}</text>
+        </g>
+      ))}
+      {scale.ticks.map((tick) => (
+        <g key={tick}>
+          <line x1={MONTHLY_MARGIN.left} x2={CHART_WIDTH - MONTHLY_MARGIN.right} y1={y(tick)} y2={y(tick)} stroke={CHART_COLORS.grid} />
+          <text x={MONTHLY_MARGIN.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fill={CHART_COLORS.axis}>
+            {formatNumber(tick, 0)}
+          </text>
+        </g>
+      ))}
+      {monthlyProduction.map((month, index) => {
+        const slotX = MONTHLY_MARGIN.left + index * slotWidth
+        return (
+          <g key={month.month}>
+            {series.map((item, seriesIndex) => (
+              <rect
+                key={item.key}
+                x={slotX + 3 + seriesIndex * barWidth}
+                y={y(month[item.key])}
+                width={barWidth}
+                height={y(0) - y(month[item.key])}
+                fill={item.color}
+              >
+                <title>{t('charts.monthly.bar', { month: formatMonth(month.month), series: item.label, kWh: formatNumber(month[item.key], 0) })}</title>
+              </rect>
+            ))}
+            <text x={slotX + slotWidth / 2} y={MONTHLY_HEIGHT - 6} textAnchor="middle" fill={CHART_COLORS.axis}>
+              {formatMonth(month.month)}
+            </text>
+          </g>
+        )
+      })}
+      <line
+        x1={MONTHLY_MARGIN.left}
+        x2={CHART_WIDTH - MONTHLY_MARGIN.right}
+        y1={y(0)}
+        y2={y(0)}
+        stroke={CHART_COLORS.axis}
+      />
+    </svg>
+  )
+}
+
+export default function ConsumptionCharts({ breakdown, monthlyProduction }) {
+  const { t, formatNumber, formatPercent, formatMonth } = useI18n()
+  const items = summariseApplianceShares(breakdown || [])
+  const allItems = summariseApplianceShares(breakdown || [], { maxItems: Infinity })
+  const extremes = describeMonthlyExtremes(monthlyProduction)
+  const labelOf = (item) => (item.id === 'other' ? t('charts.appliances.other', { count: formatNumber(item.count, 0) }) : item.name)
+
+  return (
+    <>
+      {items.length > 0 && (
+        <ChartFigure
+          id="applianceChart"
+          title={t('charts.appliances.title')}
+          description={t('charts.appliances.description', {
+            name: items[0].name,
+            share: formatPercent(items[0].share),
+            kWh: formatNumber(items[0].dailyKWh),
+          })}
+          fileName="consumption-by-appliance"
+          table={(
+            <table className="w-full text-sm text-gray-700">
+              <thead>
+                <tr className="border-b border-yellow-200">
+                  <th scope="col" className="py-1 pe-2 text-start">{t('charts.appliances.appliance')}</th>
+                  <th scope="col" className="py-1 pe-2 text-end">{t('charts.appliances.dailyKWh')}</th>
+                  <th scope="col" className="py-1 text-end">{t('charts.appliances.share')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {allItems.map((item) => (
+                  <tr key={item.id} className="border-b border-yellow-100">
+                    <th scope="row" className="py-1 pe-2 text-start font-medium">{item.name}</th>
+                    <td className="py-1 pe-2 text-end">{formatNumber(item.dailyKWh)}</td>
+                    <td className="py-1 text-end">{formatPercent(item.share, 1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        >
+          <ApplianceConsumptionChart items={items} labelOf={labelOf} />
+        </ChartFigure>
+      )}
+      {extremes && (
+        <ChartFigure
+          id="monthlyChart"
+          title={t('charts.monthly.title')}
+          description={t('charts.monthly.description', {
+            best: formatMonth(extremes.bestMonth.month),
+            bestKWh: formatNumber(extremes.bestMonth.productionKWh, 0),
+            worst: formatMonth(extremes.worstMonth.month),
+            worstKWh: formatNumber(extremes.worstMonth.productionKWh, 0),
+            peak: formatMonth(extremes.peakConsumptionMonth.month),
+            peakKWh: formatNumber(extremes.peakConsumptionMonth.consumptionKWh, 0),
+          })}
+          fileName="monthly-production-consumption"
+        >
+          <MonthlyEnergyChart monthlyProduction={monthlyProduction} />
+        </ChartFigure>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,168 @@
+import { CHART_COLORS, getNiceScale, createLinearScale } from '@lib/charts'
+import { useI18n } from '@lib/i18n/I18nContext'
+import ChartFigure from '@components/ChartFigure'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 240
+const CHART_MARGIN = { top: 12, right: 12, bottom: 24, left: 72 }
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Tahoma, Arial, sans-serif'
+
+function CumulativeSavingsChart({ rows, systemCostSAR, paybackYears }) {
+  const { t, formatNumber, formatCurrency } = useI18n()
+  const values = [-systemCostSAR, ...rows.map((row) => row.cumulativeSAR)]
+  const scale = getNiceScale(Math.min(...values), Math.max(...values))
+  const x = createLinearScale({ min: 0, max: values.length - 1 }, CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right)
+  const y = createLinearScale(scale, CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top)
+  const path = values.map((value, year) => `${year === 0 ? 'M' : 'L'}${x(year).toFixed(1)} ${y(value).toFixed(1)}`).join(' ')
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full"
+      role="img"
+      aria-label={t('financial.chartLabel')}
+      fontFamily={FONT_FAMILY}
+      fontSize="11"
+    >
+      {scale.ticks.map((tick) => (
+        <g key={tick}>
+          <line x1={CHART_MARGIN.left} x2={CHART_WIDTH - CHART_MARGIN.right} y1={y(tick)} y2={y(tick)} stroke={tick === 0 ? CHART_COLORS.axis : CHART_COLORS.grid} />
+          <text x={CHART_MARGIN.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fill={CHART_COLORS.axis}>
+            {formatNumber(tick, 0)}
+          </text>
+        </g>
+      ))}
+      {values.map((value, year) => (year % 5 === 0 || year === values.length - 1) && (
+        <text key={year} x={x(year)} y={CHART_HEIGHT - 6} textAnchor="middle" fill={CHART_COLORS.axis}>
+          {formatNumber(year, 0)}
+        </text>
+      ))}
+      {paybackYears !== null && (
+        <line x1={x(paybackYears)} x2={x(paybackYears)} y1={CHART_MARGIN.top} y2={CHART_HEIGHT - CHART_MARGIN.bottom} stroke={CHART_COLORS.savings} strokeDasharray="4 3" />
+      )}
+      <path d={path} fill="none" stroke={CHART_COLORS.savings} strokeWidth="2" />
+      {values.map((value, year) => (
+        <circle key={year} cx={x(year)} cy={y(value)} r="3" fill={value >= 0 ? CHART_COLORS.savings : CHART_COLORS.loss}>
+          <title>{t('financial.chartBar', { year: formatNumber(year, 0), value: formatCurrency(value, 0) })}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+export default function FinancialProjection({
+  projection,
+  systemCostSAR,
+  discountRatePercent,
+  tariffEscalationPercent,
+  degradationPercent,
+  onDiscountRateChange,
+  onTariffEscalationChange,
+  onDegradationChange,
+}) {
+  const { t, formatNumber, formatCurrency, formatPercent } = useI18n()
+
+  if (!projection || projection.rows.length === 0) return null
+
+  const { rows, assumptions } = projection
+  const formatSAR = (value) => formatCurrency(value, 0)
+  const formatYears = (value) => t('financial.years', { value: formatNumber(value, 1) })
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 text-center">{t('financial.heading', { years: formatNumber(assumptions.years, 0) })}</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label htmlFor="discountRate" className="block text-gray-700 text-sm font-medium mb-2">{t('financial.discountRate')}</label>
+          <input type="number" id="discountRate" step="0.5" className={inputClassName} value={discountRatePercent} onChange={(e) => onDiscountRateChange(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="tariffEscalation" className="block text-gray-700 text-sm font-medium mb-2">{t('financial.tariffEscalation')}</label>
+          <input type="number" id="tariffEscalation" step="0.5" className={inputClassName} value={tariffEscalationPercent} onChange={(e) => onTariffEscalationChange(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="degradation" className="block text-gray-700 text-sm font-medium mb-2">{t('financial.degradation')}</label>
+          <input type="number" id="degradation" step="0.1" className={inputClassName} value={degradationPercent} onChange={(e) => onDegradationChange(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="space-y-2 text-gray-700">
+        <p>
+          {t('financial.simplePayback')}{' '}
+          <span className="font-bold text-green-700">
+            {projection.simplePaybackYears === null ? t('financial.notAvailable') : formatYears(projection.simplePaybackYears)}
+          </span>
+        </p>
+        <p>
+          {t('financial.payback')}{' '}
+          <span className="font-bold text-green-700">
+            {projection.paybackYears === null
+              ? t('financial.notWithin', { years: formatNumber(assumptions.years, 0) })
+              : formatYears(projection.paybackYears)}
+          </span>
+        </p>
+        <p>
+          {t('financial.cumulativeSavings', { years: formatNumber(assumptions.years, 0) })}{' '}
+          <span className="font-bold text-green-700">{formatSAR(projection.totalSavingsSAR)}</span>
+        </p>
+        <p>
+          {t('financial.npv')}{' '}
+          <span className="font-bold text-green-700">{formatSAR(projection.npvSAR)}</span>
+        </p>
+        <p>
+          {t('financial.irr')}{' '}
+          <span className="font-bold text-green-700">
+            {projection.irr === null ? t('financial.notAvailable') : formatPercent(projection.irr, 1)}
+          </span>
+        </p>
+      </div>
+
+      <ChartFigure
+        id="savingsChart"
+        title={t('charts.savings.title')}
+        description={projection.paybackYears === null
+          ? t('charts.savings.descriptionNoPayback', {
+            cost: formatSAR(systemCostSAR),
+            years: formatNumber(assumptions.years, 0),
+            total: formatSAR(projection.netGainSAR),
+          })
+          : t('charts.savings.description', {
+            cost: formatSAR(systemCostSAR),
+            payback: formatYears(projection.paybackYears),
+            years: formatNumber(assumptions.years, 0),
+            total: formatSAR(projection.netGainSAR),
+          })}
+        fileName="cumulative-savings"
+        tableLabel={t('financial.table')}
+        table={(
+          <table className="w-full text-sm text-gray-700">
+            <thead>
+              <tr className="border-b border-yellow-200 text-start">
+                <th scope="col" className="py-1 pe-2 text-start">{t('financial.year')}</th>
+                <th scope="col" className="py-1 pe-2 text-end">{t('financial.output')}</th>
+                <th scope="col" className="py-1 pe-2 text-end">{t('financial.savings')}</th>
+                <th scope="col" className="py-1 pe-2 text-end">{t('financial.expenses')}</th>
+                <th scope="col" className="py-1 text-end">{t('financial.cumulative')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.year} className="border-b border-yellow-100">
+                  <th scope="row" className="py-1 pe-2 text-start font-medium">{formatNumber(row.year, 0)}</th>
+                  <td className="py-1 pe-2 text-end">{formatPercent(row.productionFactor, 1)}</td>
+                  <td className="py-1 pe-2 text-end">{formatSAR(row.savingsSAR)}</td>
+                  <td className="py-1 pe-2 text-end">{row.expensesSAR > 0 ? formatSAR(row.expensesSAR) : '-'}</td>
+                  <td className={`py-1 text-end ${row.cumulativeSAR >= 0 ? 'text-green-700' : 'text-red-600'}`}>{formatSAR(row.cumulativeSAR)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      >
+        <CumulativeSavingsChart rows={rows} systemCostSAR={systemCostSAR} paybackYears={projection.paybackYears} />
+      </ChartFigure>
+    </div>
+  )
+}
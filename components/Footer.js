@@ -1,10 +1,14 @@
+import { useI18n } from '@lib/i18n/I18nContext'
 import styles from './Footer.module.css'
 
 export default function Footer() {
+  const { t } = useI18n()
+
   return (
     <>
       <footer className={styles.footer}>
-        <img src="/logo-netlify.svg" alt="Netlify Logo" className={styles.logo} />
+        <p className={styles.notice}>{t('footer.notice', { year: new Date().getFullYear() })}</p>
+        <img src="/logo-netlify.svg" alt={t('footer.hostedBy')} className={styles.logo} />
       </footer>
     </>
   )
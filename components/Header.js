@@ -1,3 +1,45 @@
-export default function Header({ title }) {
-  return <h1 className="title">{title}</h1>
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const NAV_LINKS = [
+  { href: '/', labelKey: 'nav.home' },
+  { href: '/calculator', labelKey: 'nav.calculator' },
+]
+
+// Site header of the public pages: the brand, the main navigation and the language switch
+export default function Header() {
+  const { locale, t, toggleLocale } = useI18n()
+  const { pathname } = useRouter()
+
+  return (
+    <header className="bg-white border-b border-gray-200">
+      <div className="max-w-5xl mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-3">
+        <Link href="/" className="text-xl font-bold text-yellow-500">
+          {t('app.brand')}
+        </Link>
+        <nav aria-label={t('nav.label')} className="flex items-center gap-4 text-sm">
+          {NAV_LINKS.map(({ href, labelKey }) => (
+            <Link
+              key={href}
+              href={href}
+              aria-current={pathname === href ? 'page' : undefined}
+              className={pathname === href ? 'font-semibold text-gray-800' : 'text-blue-600 hover:underline'}
+            >
+              {t(labelKey)}
+            </Link>
+          ))}
+          <button
+            type="button"
+            onClick={toggleLocale}
+            className="text-blue-600 border border-blue-300 rounded-full px-3 py-1 hover:bg-blue-50 transition duration-200"
+            lang={locale === 'ar' ? 'en' : 'ar'}
+            aria-label={t('app.switchLanguageLabel')}
+          >
+            {t('app.switchLanguage')}
+          </button>
+        </nav>
+      </div>
+    </header>
+  )
 }
@@ -0,0 +1,24 @@
+import Head from 'next/head'
+import Header from '@components/Header'
+import Footer from '@components/Footer'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+// Frame of the public pages: per-page <Head> metadata, the site header and the footer
+export default function Layout({ title, description, children }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="min-h-screen flex flex-col bg-gradient-to-br from-blue-100 to-green-100 font-inter">
+      <Head>
+        <title>{`${title} | ${t('app.brand')}`}</title>
+        {description && <meta name="description" content={description} key="description" />}
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <Header />
+      <main className="flex-1 w-full p-4 md:py-8">
+        {children}
+      </main>
+      <Footer />
+    </div>
+  )
+}
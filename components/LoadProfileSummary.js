@@ -0,0 +1,69 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function LoadProfileSummary({ loadProfile }) {
+  const { t, formatNumber, formatPercent } = useI18n()
+
+  if (!loadProfile) return null
+
+  const { hourlyLoadKWh, hourlySolarKWh } = loadProfile
+  const maxKWh = Math.max(...hourlyLoadKWh, ...hourlySolarKWh) || 1
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 text-center">{t('loadProfile.heading')}</h3>
+      {/* The clock runs left to right in both languages */}
+      <div
+        dir="ltr"
+        className="flex items-end h-32 gap-px"
+        role="img"
+        aria-label={t('loadProfile.chartLabel')}
+      >
+        {hourlyLoadKWh.map((load, hour) => (
+          <div
+            key={hour}
+            className="flex-1 flex items-end h-full gap-px"
+            title={t('loadProfile.hourTitle', { hour, load: formatNumber(load), solar: formatNumber(hourlySolarKWh[hour]) })}
+          >
+            <div className="flex-1 bg-blue-400" style={{ height: `${(load / maxKWh) * 100}%` }} />
+            <div className="flex-1 bg-yellow-400" style={{ height: `${(hourlySolarKWh[hour] / maxKWh) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div dir="ltr" className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>0:00</span>
+        <span>6:00</span>
+        <span>12:00</span>
+        <span>18:00</span>
+        <span>24:00</span>
+      </div>
+      <p className="text-xs text-gray-600 mt-1 text-center">
+        <span className="inline-block w-3 h-3 bg-blue-400 align-middle me-1" />{t('loadProfile.yourUse')}
+        <span className="inline-block w-3 h-3 bg-yellow-400 align-middle ms-3 me-1" />{t('loadProfile.solarProduction')}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-4 text-gray-700">
+        <p>
+          {t('loadProfile.selfConsumption')}{' '}
+          <span className="font-bold text-green-700">{formatPercent(loadProfile.selfConsumptionPct / 100)}</span>{' '}
+          {t('loadProfile.ofSolarOutput')}
+        </p>
+        <p>
+          {t('loadProfile.solarCoverage')}{' '}
+          <span className="font-bold text-green-700">{formatPercent(loadProfile.solarCoveragePct / 100)}</span>{' '}
+          {t('loadProfile.ofYourUse')}
+        </p>
+        <p>
+          {t('loadProfile.gridImport')}{' '}
+          <span className="font-bold text-green-700">{t('loadProfile.perDay', { value: formatNumber(loadProfile.gridImportKWh) })}</span>
+        </p>
+        <p>
+          {t('loadProfile.gridExport')}{' '}
+          <span className="font-bold text-green-700">{t('loadProfile.perDay', { value: formatNumber(loadProfile.gridExportKWh) })}</span>
+        </p>
+        <p className="md:col-span-2">
+          {t('loadProfile.nightBattery')}{' '}
+          <span className="font-bold text-green-700">{t('loadProfile.usable', { value: formatNumber(loadProfile.nightBatteryKWh) })}</span>
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { USAGE_PRESETS } from '@lib/loadProfile'
+import { SEASONAL_PROFILES } from '@lib/seasonalUsage'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+// Appliance fields that can be set for a whole zone at once; the others are typed as numbers
+const BULK_EDIT_FIELDS = ['hoursPerDay', 'quantity', 'dutyCyclePercent', 'usagePreset', 'seasonalProfile']
+
+const BULK_EDIT_OPTIONS = {
+  usagePreset: USAGE_PRESETS.map((preset) => ({ id: preset.id, labelKey: `usagePresets.${preset.id}` })),
+  seasonalProfile: SEASONAL_PROFILES.map((profile) => ({ id: profile.id, labelKey: `seasonalProfiles.${profile.id}` })),
+}
+
+/**
+ * Sets one field of every appliance in the zone.
+ */
+function ZoneBulkEdit({ zoneLabel, applianceCount, onApply, onClose }) {
+  const { t } = useI18n()
+  const [field, setField] = useState(BULK_EDIT_FIELDS[0])
+  const [value, setValue] = useState('')
+  const options = BULK_EDIT_OPTIONS[field]
+
+  const changeField = (nextField) => {
+    setField(nextField)
+    setValue(BULK_EDIT_OPTIONS[nextField] ? BULK_EDIT_OPTIONS[nextField][0].id : '')
+  }
+
+  const apply = (e) => {
+    e.preventDefault()
+    if (value === '') return
+    onApply(field, value)
+    onClose()
+  }
+
+  return (
+    <form onSubmit={apply} className="flex flex-col md:flex-row gap-2 mt-2" aria-label={t('zones.bulkEditLabel', { zone: zoneLabel })}>
+      <select
+        className={inputClassName}
+        value={field}
+        onChange={(e) => changeField(e.target.value)}
+        aria-label={t('zones.bulkField')}
+      >
+        {BULK_EDIT_FIELDS.map((id) => (
+          <option key={id} value={id}>{t(`zones.bulkFields.${id}`)}</option>
+        ))}
+      </select>
+      {options ? (
+        <select className={inputClassName} value={value} onChange={(e) => setValue(e.target.value)} aria-label={t('zones.bulkValue')}>
+          {options.map((option) => (
+            <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type="number"
+          min="0"
+          className={inputClassName}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label={t('zones.bulkValue')}
+        />
+      )}
+      <button
+        type="submit"
+        className="bg-green-500 text-white text-xs px-3 py-2 rounded-full hover:bg-green-600 transition duration-200 whitespace-nowrap"
+        disabled={applianceCount === 0 || value === ''}
+      >
+        {t('zones.bulkApply', { count: applianceCount })}
+      </button>
+      <button type="button" onClick={onClose} className="text-gray-600 text-xs px-3 py-2">
+        {t('zones.bulkCancel')}
+      </button>
+    </form>
+  )
+}
+
+export default function LoadZoneHeader({ zone, label, subtotal, applianceCount, canRemove, onRename, onDuplicate, onRemove, onBulkEdit }) {
+  const { t, formatNumber } = useI18n()
+  const [isBulkEditing, setIsBulkEditing] = useState(false)
+
+  return (
+    <div className="mb-3 pb-2 border-b border-gray-200">
+      <div className="flex flex-col md:flex-row md:items-center gap-2">
+        <input
+          type="text"
+          className={`${inputClassName} font-semibold md:flex-1`}
+          placeholder={t('zones.namePlaceholder')}
+          value={zone.name}
+          onChange={(e) => onRename(zone.id, e.target.value)}
+          aria-label={t('zones.nameLabel', { zone: label })}
+        />
+        <div className="flex flex-wrap gap-2 text-xs">
+          <button
+            type="button"
+            onClick={() => setIsBulkEditing(!isBulkEditing)}
+            className="text-blue-600 border border-blue-300 rounded-full px-3 py-1 hover:bg-blue-50"
+            aria-expanded={isBulkEditing}
+            aria-label={t('zones.bulkEditLabel', { zone: label })}
+          >
+            {t('zones.bulkEdit')}
+          </button>
+          <button
+            type="button"
+            onClick={() => onDuplicate(zone.id)}
+            className="text-blue-600 border border-blue-300 rounded-full px-3 py-1 hover:bg-blue-50"
+            aria-label={t('zones.duplicateLabel', { zone: label })}
+          >
+            {t('zones.duplicate')}
+          </button>
+          {canRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(zone.id)}
+              className="text-red-600 border border-red-300 rounded-full px-3 py-1 hover:bg-red-50"
+              aria-label={t('zones.removeLabel', { zone: label })}
+            >
+              {t('zones.remove')}
+            </button>
+          )}
+        </div>
+      </div>
+      {subtotal && (
+        <p className="text-sm text-gray-600 mt-1">
+          {t('zones.subtotal', {
+            kWh: formatNumber(subtotal.dailyKWh),
+            kW: formatNumber(subtotal.connectedLoadKW),
+            count: formatNumber(subtotal.applianceCount, 0),
+          })}
+        </p>
+      )}
+      {isBulkEditing && (
+        <ZoneBulkEdit
+          zoneLabel={label}
+          applianceCount={applianceCount}
+          onApply={(field, value) => onBulkEdit(zone.id, field, value)}
+          onClose={() => setIsBulkEditing(false)}
+        />
+      )}
+    </div>
+  )
+}
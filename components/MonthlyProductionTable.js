@@ -0,0 +1,54 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function MonthlyProductionTable({ monthlyProduction }) {
+  const { t, formatNumber, formatPercent, formatMonth, formatList } = useI18n()
+
+  if (!monthlyProduction || monthlyProduction.length === 0) return null
+
+  const sizingMonths = monthlyProduction.filter((month) => month.drivesSize)
+
+  return (
+    <div className="mt-6 overflow-x-auto">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 text-center">{t('monthly.heading')}</h3>
+      {sizingMonths.length > 0 && (
+        <p className="text-sm text-gray-600 mb-3 text-center">
+          {t('monthly.sizingMonths', { months: formatList(sizingMonths.map((month) => formatMonth(month.month))) })}
+        </p>
+      )}
+      <table className="w-full text-sm text-gray-700">
+        <thead>
+          <tr className="border-b border-yellow-200 text-start">
+            <th scope="col" className="py-1 pe-2 text-start">{t('monthly.month')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('monthly.sunHours')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('monthly.heatLoss')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('monthly.production')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('monthly.consumption')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('monthly.requiredSize')}</th>
+            <th scope="col" className="py-1 text-end">{t('monthly.savings')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {monthlyProduction.map((month) => (
+            <tr key={month.month} className={`border-b border-yellow-100 ${month.drivesSize ? 'bg-orange-50 font-semibold' : ''}`}>
+              <th scope="row" className="py-1 pe-2 text-start font-medium">
+                {formatMonth(month.month)}
+                {month.drivesSize && (
+                  <>
+                    <span className="text-orange-600" aria-hidden="true"> ▲</span>
+                    <span className="sr-only"> ({t('monthly.drivesSize')})</span>
+                  </>
+                )}
+              </th>
+              <td className="py-1 pe-2 text-end">{formatNumber(month.peakSunHours, 1)}</td>
+              <td className="py-1 pe-2 text-end">{formatPercent(1 - month.temperatureDerate, 1)}</td>
+              <td className="py-1 pe-2 text-end">{formatNumber(month.productionKWh, 0)}</td>
+              <td className="py-1 pe-2 text-end">{formatNumber(month.consumptionKWh, 0)}</td>
+              <td className="py-1 pe-2 text-end">{formatNumber(month.requiredKW)}</td>
+              <td className="py-1 text-end">{formatNumber(month.savingsSAR)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,101 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function PackageComparison({ comparison, selectedPackageId, onSelect }) {
+  const { t, formatNumber, formatCurrency } = useI18n()
+
+  if (comparison.length === 0) return null
+
+  const formatYears = (value) => t('financial.years', { value: formatNumber(value, 1) })
+
+  // One row per figure, one column per package
+  const rows = [
+    { label: t('packages.panels'), value: ({ package: pkg }) => t(`equipmentPackages.${pkg.id}.panel`) },
+    { label: t('packages.inverter'), value: ({ package: pkg }) => t(`equipmentPackages.${pkg.id}.inverter`) },
+    {
+      label: t('packages.battery'),
+      value: ({ estimate }) => (estimate.battery
+        ? t('packages.batterySize', {
+          value: formatNumber(estimate.battery.nominalKWh, 1),
+          chemistry: t(`batteryChemistries.${estimate.battery.chemistryId}`),
+        })
+        : t('packages.noBattery')),
+    },
+    { label: t('packages.systemSize'), value: ({ estimate }) => t('packages.kW', { value: formatNumber(estimate.estimatedSystemSizeKW) }) },
+    { label: t('packages.cost'), value: ({ estimate }) => formatCurrency(estimate.estimatedSystemCostSAR, 0) },
+    { label: t('packages.production'), value: ({ estimate }) => t('packages.kWhPerYear', { value: formatNumber(estimate.annualProductionKWh, 0) }) },
+    { label: t('packages.savings'), value: ({ estimate }) => formatCurrency(estimate.estimatedMonthlySavingsSAR) },
+    {
+      label: t('packages.payback'),
+      value: ({ projection }) => (projection.paybackYears === null
+        ? t('financial.notWithin', { years: formatNumber(projection.assumptions.years, 0) })
+        : formatYears(projection.paybackYears)),
+    },
+    {
+      label: t('packages.warranty'),
+      value: ({ package: pkg }) => (
+        <ul className="space-y-0.5">
+          <li>{t('packages.panelWarranty', { product: formatNumber(pkg.panel.productWarrantyYears, 0), performance: formatNumber(pkg.panel.performanceWarrantyYears, 0) })}</li>
+          <li>{t('packages.inverterWarranty', { years: formatNumber(pkg.inverter.warrantyYears, 0) })}</li>
+          {pkg.battery && <li>{t('packages.batteryWarranty', { years: formatNumber(pkg.battery.warrantyYears, 0) })}</li>}
+          <li>{t('packages.workmanshipWarranty', { years: formatNumber(pkg.workmanshipWarrantyYears, 0) })}</li>
+        </ul>
+      ),
+    },
+  ]
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-1 text-center">{t('packages.heading')}</h3>
+      <p className="text-sm text-gray-600 mb-3 text-center">{t('packages.intro')}</p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-start border-collapse">
+          <thead>
+            <tr>
+              <th scope="col" className="p-2"><span className="sr-only">{t('packages.figure')}</span></th>
+              {comparison.map(({ package: pkg }) => (
+                <th
+                  key={pkg.id}
+                  scope="col"
+                  className={`p-2 text-start align-top ${pkg.id === selectedPackageId ? 'bg-green-100' : 'bg-gray-50'}`}
+                >
+                  <span className="block text-xs uppercase text-gray-500">{t(`packages.tiers.${pkg.tier}`)}</span>
+                  <span className="block font-semibold text-gray-800">{t(`equipmentPackages.${pkg.id}.name`)}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t border-gray-200">
+                <th scope="row" className="p-2 text-start font-medium text-gray-700 align-top">{row.label}</th>
+                {comparison.map((entry) => (
+                  <td key={entry.package.id} className={`p-2 align-top ${entry.package.id === selectedPackageId ? 'bg-green-50' : ''}`}>
+                    {entry.projection ? row.value(entry) : '-'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr className="border-t border-gray-200">
+              <td className="p-2" />
+              {comparison.map(({ package: pkg }) => (
+                <td key={pkg.id} className="p-2">
+                  <button
+                    type="button"
+                    onClick={() => onSelect(pkg.id === selectedPackageId ? '' : pkg.id)}
+                    aria-pressed={pkg.id === selectedPackageId}
+                    aria-label={t('packages.chooseLabel', { name: t(`equipmentPackages.${pkg.id}.name`) })}
+                    className={`w-full text-xs font-semibold px-3 py-2 rounded-lg transition duration-200 ${
+                      pkg.id === selectedPackageId ? 'bg-green-500 text-white hover:bg-green-600' : 'bg-white text-green-700 border border-green-400 hover:bg-green-50'
+                    }`}
+                  >
+                    {pkg.id === selectedPackageId ? t('packages.chosen') : t('packages.choose')}
+                  </button>
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+import { nextRetryAt } from '@lib/quotes/outbox'
+
+const STATUS_CLASS_NAMES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  sending: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+}
+
+export default function QuoteOutbox({ entries, isOnline, onSendNow, onResend, onRemove }) {
+  const { t, formatDateTime } = useI18n()
+
+  if (entries.length === 0) return null
+
+  const hasWaiting = entries.some((entry) => entry.status === 'pending')
+  const retryAt = nextRetryAt(entries)
+
+  // Sent requests and duplicates of an earlier request show its reference
+  const describeStatus = (entry) => {
+    if (entry.status === 'sent') return t('outbox.sent', { reference: entry.reference })
+    if (entry.status === 'rejected' && entry.error === 'duplicateLead') return t('outbox.duplicate', { reference: entry.reference })
+    return t(`outbox.${entry.status}`)
+  }
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-blue-200" aria-live="polite">
+      <h3 className="text-sm font-semibold text-gray-800 mb-2">{t('outbox.heading')}</h3>
+      <ul className="space-y-2 text-sm">
+        {entries.map((entry) => (
+          <li key={entry.id} className="flex flex-wrap items-center justify-between gap-2">
+            <span className="text-gray-700">
+              {t('outbox.entry', { name: entry.request.name, time: formatDateTime(entry.queuedAt) })}
+            </span>
+            <span className="flex items-center gap-2">
+              <span className={`text-xs font-medium px-2 py-1 rounded-full ${STATUS_CLASS_NAMES[entry.status]}`}>
+                {describeStatus(entry)}
+              </span>
+              {entry.status === 'rejected' && entry.error === 'duplicateLead' && (
+                <button
+                  type="button"
+                  onClick={() => onResend(entry.id)}
+                  className="text-blue-600 text-xs font-medium"
+                  aria-label={t('outbox.resendLabel', { name: entry.request.name })}
+                >
+                  {t('outbox.resend')}
+                </button>
+              )}
+              {(entry.status === 'sent' || entry.status === 'rejected') && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(entry.id)}
+                  className="text-gray-500 text-xs"
+                  aria-label={t('outbox.removeLabel', { name: entry.request.name })}
+                >
+                  {t('outbox.remove')}
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {hasWaiting && (
+        <div className="mt-3 flex items-center justify-between gap-2">
+          <p className="text-xs text-gray-600">
+            {!isOnline
+              ? t('outbox.waitingForConnection')
+              : retryAt ? t('outbox.retryAt', { time: formatDateTime(retryAt) }) : t('outbox.willRetry')}
+          </p>
+          {isOnline && (
+            <button type="button" onClick={onSendNow} className="text-blue-600 text-xs font-medium">
+              {t('outbox.sendNow')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import { PANEL_MODELS, ROOF_TYPES, ORIENTATIONS, findRoofType } from '@lib/roofLayout'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+// Width of the layout preview in SVG units; the height follows the roof's proportions
+const PREVIEW_WIDTH = 300
+
+function RoofPreview({ plan }) {
+  const { t, formatNumber } = useI18n()
+  const scale = PREVIEW_WIDTH / plan.roofLengthM
+  const height = plan.roofWidthM * scale
+
+  return (
+    <svg
+      dir="ltr"
+      viewBox={`0 0 ${PREVIEW_WIDTH} ${height}`}
+      className="w-full max-w-md mx-auto border border-gray-200 rounded-lg bg-gray-100"
+      role="img"
+      aria-label={t('roof.previewLabel', {
+        count: plan.panels.length,
+        length: formatNumber(plan.roofLengthM, 1),
+        width: formatNumber(plan.roofWidthM, 1),
+      })}
+    >
+      <rect x="0" y="0" width={PREVIEW_WIDTH} height={height} fill="#e5e7eb" />
+      {plan.setbackM > 0 && (
+        <rect
+          x={plan.setbackM * scale}
+          y={plan.setbackM * scale}
+          width={Math.max(0, (plan.roofLengthM - 2 * plan.setbackM) * scale)}
+          height={Math.max(0, (plan.roofWidthM - 2 * plan.setbackM) * scale)}
+          fill="none"
+          stroke="#9ca3af"
+          strokeDasharray="4 3"
+        />
+      )}
+      {plan.panels.map((panel, index) => (
+        <rect
+          key={index}
+          x={panel.x * scale}
+          y={panel.y * scale}
+          width={panel.lengthM * scale}
+          height={panel.depthM * scale}
+          fill="#1d4ed8"
+          stroke="#bfdbfe"
+          strokeWidth="1"
+        />
+      ))}
+    </svg>
+  )
+}
+
+export default function RoofLayoutPlanner({ roof, plan, orientationFactor, requiredKW, monthlySavingsSAR, limitedEstimate, onChange }) {
+  const { t, formatNumber, formatCurrency, formatPercent } = useI18n()
+  const roofType = findRoofType(roof.roofTypeId)
+
+  const numberField = (field, labelKey, example) => (
+    <div>
+      <label htmlFor={`roof-${field}`} className="block text-gray-700 text-sm font-medium mb-2">
+        {t(labelKey)}
+      </label>
+      <input
+        id={`roof-${field}`}
+        type="number"
+        min="0"
+        className={inputClassName}
+        placeholder={t('roof.example', { value: example })}
+        value={roof[field]}
+        onChange={(e) => onChange(field, e.target.value)}
+      />
+    </div>
+  )
+
+  return (
+    <div className="mt-6 p-4 bg-white rounded-lg border border-yellow-200">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2 text-center">{t('roof.heading')}</h3>
+      <p className="text-sm text-gray-600 mb-4 text-center">{t('roof.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-2">
+        {numberField('roofLengthM', 'roof.length', 12)}
+        {numberField('roofWidthM', 'roof.width', 10)}
+        {numberField('roofAreaM2', 'roof.area', 120)}
+      </div>
+      <p className="text-xs text-gray-500 mb-4">{t('roof.widthHint')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label htmlFor="roof-roofTypeId" className="block text-gray-700 text-sm font-medium mb-2">
+            {t('roof.roofType')}
+          </label>
+          <select id="roof-roofTypeId" className={inputClassName} value={roof.roofTypeId} onChange={(e) => onChange('roofTypeId', e.target.value)}>
+            {ROOF_TYPES.map((type) => (
+              <option key={type.id} value={type.id}>{t(`roofTypes.${type.id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="roof-orientationId" className="block text-gray-700 text-sm font-medium mb-2">
+            {t('roof.orientation')}
+          </label>
+          <select id="roof-orientationId" className={inputClassName} value={roof.orientationId} onChange={(e) => onChange('orientationId', e.target.value)}>
+            {ORIENTATIONS.map((orientation) => (
+              <option key={orientation.id} value={orientation.id}>{t(`orientations.${orientation.id}`)}</option>
+            ))}
+          </select>
+        </div>
+        {numberField('tiltDeg', 'roof.tilt', roofType ? roofType.defaultTiltDeg : 20)}
+        <div>
+          <label htmlFor="roof-panelId" className="block text-gray-700 text-sm font-medium mb-2">
+            {t('roof.panel')}
+          </label>
+          <select id="roof-panelId" className={inputClassName} value={roof.panelId} onChange={(e) => onChange('panelId', e.target.value)}>
+            {PANEL_MODELS.map((panel) => (
+              <option key={panel.id} value={panel.id}>
+                {t(`panelModels.${panel.id}`)} ({t('roof.panelOption', {
+                  wattage: formatNumber(panel.wattage, 0),
+                  width: formatNumber(panel.widthM),
+                  height: formatNumber(panel.heightM),
+                })})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="text-sm text-gray-700 space-y-1 mb-4" aria-live="polite">
+        <p>{t('roof.orientationFactor', { value: formatPercent(orientationFactor) })}</p>
+        {!plan && <p className="text-gray-500">{t('roof.noRoof')}</p>}
+        {plan && (
+          <>
+            <p>{t('roof.panels', { count: formatNumber(plan.requiredPanels, 0), wattage: formatNumber(plan.panelWattage, 0) })}</p>
+            <p>{t('roof.requiredArea', { value: formatNumber(plan.requiredAreaM2, 1), available: formatNumber(plan.roofAreaM2, 1) })}</p>
+            {plan.fits ? (
+              <p className="text-green-700">{t('roof.fits')}</p>
+            ) : (
+              <div className="text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-2" role="status">
+                <p>
+                  {t('roof.tooSmall', {
+                    count: formatNumber(plan.maxPanels, 0),
+                    size: formatNumber(plan.maxSystemKW),
+                    required: formatNumber(requiredKW),
+                  })}
+                </p>
+                {limitedEstimate && (
+                  <p>
+                    {t('roof.limitedSavings', {
+                      savings: formatCurrency(limitedEstimate.estimatedMonthlySavingsSAR),
+                      full: formatCurrency(monthlySavingsSAR),
+                      cost: formatCurrency(limitedEstimate.estimatedSystemCostSAR, 0),
+                    })}
+                  </p>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {plan && <RoofPreview plan={plan} />}
+    </div>
+  )
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400'
+
+function ScenarioRow({ scenario, onLoad, onRename, onDelete }) {
+  const { t, formatNumber } = useI18n()
+  const [isRenaming, setIsRenaming] = useState(false)
+  const [newName, setNewName] = useState(scenario.name)
+
+  const submitRename = (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    onRename(scenario.id, newName)
+    setIsRenaming(false)
+  }
+
+  return (
+    <li className="flex flex-col md:flex-row md:items-center justify-between gap-2 bg-white p-2 rounded-lg">
+      {isRenaming ? (
+        <form onSubmit={submitRename} className="flex flex-1 gap-2">
+          <input
+            type="text"
+            className={inputClassName}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            aria-label={t('scenarios.newNameLabel', { name: scenario.name })}
+            autoFocus
+          />
+          <button type="submit" className="bg-green-500 text-white text-xs px-3 py-1 rounded-full hover:bg-green-600 transition duration-200">
+            {t('scenarios.confirm')}
+          </button>
+          <button type="button" onClick={() => setIsRenaming(false)} className="text-gray-600 text-xs px-3 py-1">
+            {t('scenarios.cancel')}
+          </button>
+        </form>
+      ) : (
+        <span className="text-gray-700">
+          <span className="font-medium">{scenario.name}</span>
+          {scenario.results && (
+            <span className="text-sm text-gray-500">
+              {' '}- {t('scenarios.summary', {
+                size: formatNumber(scenario.results.estimatedSystemSizeKW),
+                count: formatNumber(scenario.appliances.length, 0),
+              })}
+            </span>
+          )}
+        </span>
+      )}
+      {!isRenaming && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => onLoad(scenario)}
+            className="bg-blue-500 text-white text-xs px-3 py-1 rounded-full hover:bg-blue-600 transition duration-200"
+            aria-label={t('scenarios.loadLabel', { name: scenario.name })}
+          >
+            {t('scenarios.load')}
+          </button>
+          <button
+            onClick={() => setIsRenaming(true)}
+            className="bg-gray-500 text-white text-xs px-3 py-1 rounded-full hover:bg-gray-600 transition duration-200"
+            aria-label={t('scenarios.renameLabel', { name: scenario.name })}
+          >
+            {t('scenarios.rename')}
+          </button>
+          <button
+            onClick={() => onDelete(scenario.id)}
+            className="bg-red-500 text-white text-xs px-3 py-1 rounded-full hover:bg-red-600 transition duration-200"
+            aria-label={t('scenarios.deleteLabel', { name: scenario.name })}
+          >
+            {t('scenarios.delete')}
+          </button>
+        </div>
+      )}
+    </li>
+  )
+}
+
+export default function SavedScenarios({ scenarios, isReady, error, onSave, onLoad, onRename, onDelete }) {
+  const { t } = useI18n()
+  const [scenarioName, setScenarioName] = useState('')
+
+  const submitSave = (e) => {
+    e.preventDefault()
+    if (!scenarioName.trim()) return
+    onSave(scenarioName)
+    setScenarioName('')
+  }
+
+  return (
+    <div className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4 text-center">{t('scenarios.heading')}</h2>
+      <form onSubmit={submitSave} className="flex gap-2">
+        <input
+          type="text"
+          className={inputClassName}
+          placeholder={t('scenarios.namePlaceholder')}
+          value={scenarioName}
+          onChange={(e) => setScenarioName(e.target.value)}
+          aria-label={t('scenarios.nameLabel')}
+          disabled={!isReady}
+        />
+        <button
+          type="submit"
+          className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-green-600 transition duration-300 ease-in-out whitespace-nowrap"
+          disabled={!isReady || !scenarioName.trim()}
+        >
+          {t('scenarios.save')}
+        </button>
+      </form>
+      {error && (
+        <p className="text-red-600 text-sm mt-4 text-center">{error}</p>
+      )}
+      {scenarios.length > 0 ? (
+        <ul className="mt-4 space-y-2">
+          {scenarios.map((scenario) => (
+            <ScenarioRow
+              key={scenario.id}
+              scenario={scenario}
+              onLoad={onLoad}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-600 mt-4 text-center">
+          {isReady ? t('scenarios.empty') : t('scenarios.loading')}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,40 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+export default function ShareEstimate({ shareUrl, message, disabled, onShare }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="mt-4">
+      <button
+        type="button"
+        onClick={onShare}
+        disabled={disabled}
+        className="w-full bg-white text-blue-600 font-semibold py-2 px-4 rounded-lg border border-blue-300 hover:bg-blue-50 transition duration-200"
+      >
+        {t('share.button')}
+      </button>
+      {shareUrl && (
+        <div className="mt-2">
+          <label htmlFor="share-url" className="block text-gray-700 text-sm font-medium mb-1">{t('share.linkLabel')}</label>
+          <input
+            id="share-url"
+            type="text"
+            dir="ltr"
+            readOnly
+            className={`${inputClassName} text-sm`}
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+          />
+          <p className="text-xs text-gray-500 mt-1">{t('share.privacy')}</p>
+        </div>
+      )}
+      {message && (
+        <p className={`text-sm mt-2 text-center ${message === 'share.copied' ? 'text-green-600' : 'text-red-600'}`} role="status">
+          {t(message)}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function SharedEstimateNotice({ sharedResults, isInvalid, hasChanged, onDismiss }) {
+  const { t, formatNumber, formatCurrency } = useI18n()
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-gray-700" role="status">
+      <div className="flex justify-between items-start gap-2">
+        <p className="font-medium">{t(isInvalid ? 'share.invalidLink' : 'share.openedHeading')}</p>
+        <button type="button" onClick={onDismiss} className="text-gray-500 text-xs" aria-label={t('share.dismissLabel')}>
+          ✕
+        </button>
+      </div>
+      {!isInvalid && (hasChanged ? (
+        <p className="mt-1 text-yellow-800">
+          {t('share.resultsChanged', {
+            size: formatNumber(sharedResults.estimatedSystemSizeKW),
+            cost: formatCurrency(sharedResults.estimatedSystemCostSAR, 0),
+            savings: formatCurrency(sharedResults.estimatedMonthlySavingsSAR),
+          })}
+        </p>
+      ) : (
+        <p className="mt-1">{t('share.resultsUnchanged')}</p>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { SUPPLY_PHASES } from '@lib/systemSizing'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+export default function SupplySettings({ supplyPhase, diversityFactor, onSupplyPhaseChange, onDiversityFactorChange }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label htmlFor="supplyPhase" className="block text-gray-700 text-sm font-medium mb-2">
+          {t('supply.phase')}
+        </label>
+        <select
+          id="supplyPhase"
+          className={inputClassName}
+          value={supplyPhase}
+          onChange={(e) => onSupplyPhaseChange(e.target.value)}
+        >
+          {SUPPLY_PHASES.map((supply) => (
+            <option key={supply.id} value={supply.id}>{t(`supply.phases.${supply.id}`)}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="diversityFactor" className="block text-gray-700 text-sm font-medium mb-2">
+          {t('supply.diversityFactor')}
+        </label>
+        <input
+          type="number"
+          id="diversityFactor"
+          min="1"
+          max="100"
+          className={inputClassName}
+          placeholder={t('system.example', { value: '100' })}
+          value={diversityFactor}
+          onChange={(e) => onDiversityFactorChange(e.target.value)}
+          aria-describedby="diversityFactorHint"
+        />
+      </div>
+      <p id="diversityFactorHint" className="md:col-span-2 text-xs text-gray-600">{t('supply.diversityHint')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,93 @@
+import { SYSTEM_TYPES, BATTERY_CHEMISTRIES, findSystemType, findBatteryChemistry } from '@lib/systemSizing'
+import { useI18n } from '@lib/i18n/I18nContext'
+import { MAX_DAYS_OF_AUTONOMY } from '@lib/quotes/validation'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+export default function SystemTypeSettings({
+  systemType,
+  daysOfAutonomy,
+  batteryChemistry,
+  depthOfDischarge,
+  onSystemTypeChange,
+  onDaysOfAutonomyChange,
+  onBatteryChemistryChange,
+  onDepthOfDischargeChange,
+}) {
+  const { t, formatNumber } = useI18n()
+  const selectedType = findSystemType(systemType)
+  const selectedChemistry = findBatteryChemistry(batteryChemistry)
+  const hasBattery = selectedType && selectedType.id !== 'grid-tied'
+
+  return (
+    <div className="mb-4 space-y-4">
+      <div>
+        <label htmlFor="systemType" className="block text-gray-700 text-sm font-medium mb-2">
+          {t('system.type')}
+        </label>
+        <select
+          id="systemType"
+          className={inputClassName}
+          value={systemType}
+          onChange={(e) => onSystemTypeChange(e.target.value)}
+          aria-label={t('system.typeLabel')}
+        >
+          {SYSTEM_TYPES.map((type) => (
+            <option key={type.id} value={type.id}>{t(`systemTypes.${type.id}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      {hasBattery && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="batteryChemistry" className="block text-gray-700 text-sm font-medium mb-2">
+              {t('system.batteryType')}
+            </label>
+            <select
+              id="batteryChemistry"
+              className={inputClassName}
+              value={batteryChemistry}
+              onChange={(e) => onBatteryChemistryChange(e.target.value)}
+            >
+              {BATTERY_CHEMISTRIES.map((chemistry) => (
+                <option key={chemistry.id} value={chemistry.id}>{t(`batteryChemistries.${chemistry.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="daysOfAutonomy" className="block text-gray-700 text-sm font-medium mb-2">
+              {t('system.daysOfAutonomy')}
+            </label>
+            <input
+              type="number"
+              id="daysOfAutonomy"
+              min="0"
+              max={MAX_DAYS_OF_AUTONOMY}
+              step="0.5"
+              className={inputClassName}
+              placeholder={t('system.example', { value: formatNumber(selectedType.defaultDaysOfAutonomy, 1) })}
+              value={daysOfAutonomy}
+              onChange={(e) => onDaysOfAutonomyChange(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="depthOfDischarge" className="block text-gray-700 text-sm font-medium mb-2">
+              {t('system.depthOfDischarge')}
+            </label>
+            <input
+              type="number"
+              id="depthOfDischarge"
+              min="10"
+              max="100"
+              className={inputClassName}
+              placeholder={selectedChemistry ? t('system.example', { value: formatNumber(selectedChemistry.depthOfDischarge * 100, 0) }) : ''}
+              value={depthOfDischarge}
+              onChange={(e) => onDepthOfDischargeChange(e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+import { useI18n } from '@lib/i18n/I18nContext'
+
+export default function ZoneBreakdown({ zoneBreakdown, zoneLabels, connectedLoadKW, applianceDailyKWh }) {
+  const { t, formatNumber, formatPercent } = useI18n()
+
+  if (!zoneBreakdown || zoneBreakdown.length === 0) return null
+
+  return (
+    <div className="mt-6 overflow-x-auto">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 text-center">{t('zones.breakdownHeading')}</h3>
+      <table className="w-full text-sm text-gray-700">
+        <thead>
+          <tr className="border-b border-yellow-200">
+            <th scope="col" className="py-1 pe-2 text-start">{t('zones.zone')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('zones.appliances')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('zones.connectedLoad')}</th>
+            <th scope="col" className="py-1 pe-2 text-end">{t('zones.dailyConsumption')}</th>
+            <th scope="col" className="py-1 text-end">{t('zones.share')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {zoneBreakdown.map((zone) => (
+            <tr key={zone.id} className="border-b border-yellow-100">
+              <th scope="row" className="py-1 pe-2 text-start font-medium">{zoneLabels[zone.id]}</th>
+              <td className="py-1 pe-2 text-end">{formatNumber(zone.applianceCount, 0)}</td>
+              <td className="py-1 pe-2 text-end">{formatNumber(zone.connectedLoadKW)}</td>
+              <td className="py-1 pe-2 text-end">{formatNumber(zone.dailyKWh)}</td>
+              <td className="py-1 text-end">{formatPercent(zone.share)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="font-semibold">
+            <th scope="row" className="py-1 pe-2 text-start">{t('zones.total')}</th>
+            <td className="py-1 pe-2 text-end">{formatNumber(zoneBreakdown.reduce((sum, zone) => sum + zone.applianceCount, 0), 0)}</td>
+            <td className="py-1 pe-2 text-end">{formatNumber(connectedLoadKW)}</td>
+            <td className="py-1 pe-2 text-end">{formatNumber(applianceDailyKWh)}</td>
+            <td className="py-1 text-end">{formatPercent(applianceDailyKWh > 0 ? 1 : 0)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  )
+}
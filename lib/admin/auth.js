@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+
+// Sign-in for the admin area. Staff log in with the shared ADMIN_PASSWORD and receive a
+// signed, HttpOnly session cookie; API routes check the signature and expiry on every request.
+// Without ADMIN_PASSWORD the admin area stays locked.
+
+export const ADMIN_SESSION_COOKIE = 'eversolar_admin';
+
+// Sessions last a working day
+export const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Reads the admin settings from the environment.
+ * @returns {{ password: string, secret: string }} The password and the key sessions are signed with.
+ */
+const getAdminConfig = () => ({
+  password: process.env.ADMIN_PASSWORD || '',
+  secret: process.env.ADMIN_SESSION_SECRET || process.env.ADMIN_PASSWORD || '',
+});
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True when they are equal.
+ */
+const safeEqual = (a, b) => {
+  // Hashing first gives equal-length buffers, as timingSafeEqual requires
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Checks a password typed on the admin login page.
+ * @param {string} password - The password as submitted.
+ * @returns {boolean} True when the admin area is enabled and the password matches.
+ */
+export const checkAdminPassword = (password) => {
+  const { password: expected } = getAdminConfig();
+  return Boolean(expected) && safeEqual(password || '', expected);
+};
+
+/**
+ * Creates a signed session token.
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @param {string} [options.secret] - Signing key; defaults to the environment.
+ * @returns {string} The token, '<expiry>.<signature>'.
+ */
+export const createAdminSession = ({ now = Date.now(), secret = getAdminConfig().secret } = {}) => {
+  const expiresAt = String(now + ADMIN_SESSION_TTL_MS);
+  return `${expiresAt}.${sign(expiresAt, secret)}`;
+};
+
+/**
+ * Checks that a session token was signed with the current key and has not expired.
+ * @param {string} token - The token from the session cookie.
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @param {string} [options.secret] - Signing key; defaults to the environment.
+ * @returns {boolean} True when the session is valid.
+ */
+export const verifyAdminSession = (token, { now = Date.now(), secret = getAdminConfig().secret } = {}) => {
+  if (!secret || typeof token !== 'string') return false;
+  const [expiresAt, signature] = token.split('.');
+  if (!expiresAt || !signature || !safeEqual(signature, sign(expiresAt, secret))) return false;
+  return Number(expiresAt) > now;
+};
+
+/**
+ * Reads a cookie from a request.
+ * @param {object} req - The API request.
+ * @param {string} name - The cookie name.
+ * @returns {string|null} The cookie value, or null when it is missing.
+ */
+const readCookie = (req, name) => {
+  if (req.cookies && name in req.cookies) return req.cookies[name];
+  const match = String(req.headers?.cookie || '').split(/;\s*/).find((cookie) => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+/**
+ * Builds the Set-Cookie header value for a session, or for clearing it.
+ * @param {string} token - The session token; empty to log out.
+ * @returns {string} The header value.
+ */
+export const adminSessionCookie = (token) => [
+  `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(token)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Strict',
+  `Max-Age=${token ? Math.floor(ADMIN_SESSION_TTL_MS / 1000) : 0}`,
+  ...(process.env.NODE_ENV === 'production' ? ['Secure'] : []),
+].join('; ');
+
+/**
+ * Tells whether a request comes from signed-in staff, such as a field sales rep who has signed in
+ * to the admin area on their tablet.
+ * @param {object} req - The API request.
+ * @returns {boolean} True when the request carries a valid session cookie.
+ */
+export const isAdminRequest = (req) => verifyAdminSession(readCookie(req, ADMIN_SESSION_COOKIE));
+
+/**
+ * Lets an admin API route continue only for signed-in staff; otherwise answers 401.
+ * @param {object} req - The API request.
+ * @param {object} res - The API response.
+ * @returns {boolean} True when the request may proceed.
+ */
+export const requireAdmin = (req, res) => {
+  if (isAdminRequest(req)) return true;
+  res.status(401).json({ error: 'Please sign in to the admin area.' });
+  return false;
+};
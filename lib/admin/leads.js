@@ -0,0 +1,147 @@
+import { toCsv } from '../csv';
+import { getZoneDisplayName } from '../loadZones';
+
+// Detailed quote requests seen as sales leads in the admin area: filtering, the status
+// workflow and the CSV export.
+
+export const LEAD_STATUSES = ['new', 'contacted', 'won', 'lost'];
+
+export const DEFAULT_LEAD_STATUS = 'new';
+
+/**
+ * Returns a quote's lead status; quotes saved before the workflow existed count as new.
+ * @param {object} quote - A stored quote request.
+ * @returns {string} The status.
+ */
+export const getLeadStatus = (quote) => (LEAD_STATUSES.includes(quote.status) ? quote.status : DEFAULT_LEAD_STATUS);
+
+/**
+ * Filters quote requests by city, recommended system size, request date and status.
+ * Every filter is optional; empty values are ignored.
+ * @param {Array} quotes - Stored quote requests.
+ * @param {object} [filters]
+ * @param {string} [filters.cityId] - Only quotes for this city.
+ * @param {number} [filters.minKW] - Smallest recommended system size.
+ * @param {number} [filters.maxKW] - Largest recommended system size.
+ * @param {string} [filters.from] - Earliest request date, 'YYYY-MM-DD'.
+ * @param {string} [filters.to] - Latest request date, 'YYYY-MM-DD' (inclusive).
+ * @param {string} [filters.status] - Only quotes with this status.
+ * @returns {Array} The matching quotes, in their original order.
+ */
+export const filterLeads = (quotes, { cityId, minKW, maxKW, from, to, status } = {}) => {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  return quotes.filter((quote) => {
+    const sizeKW = quote.estimate?.estimatedSystemSizeKW ?? 0;
+    const day = String(quote.createdAt || '').slice(0, 10);
+    return (!isSet(cityId) || quote.cityId === cityId) &&
+      (!isSet(minKW) || sizeKW >= Number(minKW)) &&
+      (!isSet(maxKW) || sizeKW <= Number(maxKW)) &&
+      (!isSet(from) || day >= from) &&
+      (!isSet(to) || day <= to) &&
+      (!isSet(status) || getLeadStatus(quote) === status);
+  });
+};
+
+/**
+ * Turns the date filters into the creation-time range the quote store can search on.
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Earliest request date, 'YYYY-MM-DD'.
+ * @param {string} [filters.to] - Latest request date, 'YYYY-MM-DD' (inclusive).
+ * @returns {{ since?: string, until?: string }} ISO times; malformed dates are left out.
+ */
+const toCreatedRange = ({ from, to } = {}) => {
+  const dayStart = (day) => {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(String(day)) ? new Date(`${day}T00:00:00.000Z`) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  };
+  const start = dayStart(from);
+  const end = dayStart(to);
+  return {
+    ...(start && { since: start.toISOString() }),
+    ...(end && { until: new Date(end.getTime() + 24 * 60 * 60 * 1000).toISOString() }),
+  };
+};
+
+/**
+ * Finds one page of quote requests matching the filters, newest first. The quote store searches
+ * by date; the other filters are applied to batches read from it, and at most maxBatches batches
+ * are read per page, so a filter matching few requests cannot read the whole collection at once.
+ * @param {object} store - The quote store (see lib/quotes/store.js).
+ * @param {object} [filters] - See filterLeads.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Most requests on the page.
+ * @param {string} [options.cursor] - The nextCursor of the previous page.
+ * @param {number} [options.maxBatches] - Most batches read from the store.
+ * @returns {Promise<{ quotes: Array, nextCursor: string|null }>} The page, and the cursor for the
+ *   next one (null when every matching request has been returned).
+ */
+export const findLeads = async (store, filters = {}, { limit = 50, cursor = null, maxBatches = 10 } = {}) => {
+  const batchSize = Math.min(Math.max(limit, 100), 500);
+  const range = toCreatedRange(filters);
+  const quotes = [];
+  let after = cursor || undefined;
+
+  for (let batch = 0; batch < maxBatches; batch += 1) {
+    const page = await store.list({ ...range, after, limit: batchSize });
+    for (const quote of page) {
+      after = quote.reference;
+      if (filterLeads([quote], filters).length === 0) continue;
+      quotes.push(quote);
+      if (quotes.length === limit) return { quotes, nextCursor: after };
+    }
+    if (page.length < batchSize) return { quotes, nextCursor: null };
+  }
+  return { quotes, nextCursor: after || null };
+};
+
+/**
+ * Moves a quote to a new status, keeping a history of the changes.
+ * @param {object} quote - The stored quote request.
+ * @param {string} status - One of LEAD_STATUSES.
+ * @param {object} [options]
+ * @param {string} [options.note] - Optional note from the staff member.
+ * @param {Date} [options.now] - Time of the change.
+ * @returns {object} The updated quote (a new object).
+ */
+export const changeLeadStatus = (quote, status, { note = '', now = new Date() } = {}) => ({
+  ...quote,
+  status,
+  statusHistory: [
+    ...(quote.statusHistory || []),
+    { from: getLeadStatus(quote), to: status, note, changedAt: now.toISOString() },
+  ],
+});
+
+const LEAD_CSV_COLUMNS = [
+  { header: 'Reference', value: (quote) => quote.reference },
+  { header: 'Created', value: (quote) => quote.createdAt },
+  { header: 'Status', value: getLeadStatus },
+  { header: 'Duplicate of', value: (quote) => quote.duplicateOf },
+  { header: 'Name', value: (quote) => quote.name },
+  { header: 'Email', value: (quote) => quote.email },
+  { header: 'Phone', value: (quote) => quote.phone },
+  { header: 'Location', value: (quote) => quote.location },
+  { header: 'City', value: (quote) => quote.cityId },
+  { header: 'Tariff category', value: (quote) => quote.tariffCategory },
+  { header: 'System type', value: (quote) => quote.systemType },
+  { header: 'Supply', value: (quote) => quote.supplyPhase },
+  {
+    header: 'Zones (kWh/day)',
+    value: (quote) => (quote.zoneBreakdown || [])
+      .map((zone, index) => `${getZoneDisplayName(zone, index)}: ${zone.dailyKWh.toFixed(1)}`)
+      .join('; '),
+  },
+  { header: 'System size (kW)', value: (quote) => quote.estimate?.estimatedSystemSizeKW?.toFixed(2) },
+  { header: 'System cost (SAR)', value: (quote) => quote.estimate?.estimatedSystemCostSAR?.toFixed(0) },
+  { header: 'Monthly savings (SAR)', value: (quote) => quote.estimate?.estimatedMonthlySavingsSAR?.toFixed(0) },
+  { header: 'Package', value: (quote) => quote.equipmentPackage?.name },
+  { header: 'Package cost (SAR)', value: (quote) => quote.equipmentPackage?.estimatedSystemCostSAR?.toFixed(0) },
+  { header: 'Assumptions version', value: (quote) => quote.assumptionsVersion },
+];
+
+/**
+ * Writes quote requests as CSV for spreadsheets and CRMs.
+ * @param {Array} quotes - Stored quote requests.
+ * @returns {string} The CSV text.
+ */
+export const leadsToCsv = (quotes) => toCsv(quotes, LEAD_CSV_COLUMNS);
@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createMemoryQuoteStore } from '../quotes/store';
+import { changeLeadStatus, filterLeads, findLeads, getLeadStatus } from './leads';
+
+const quote = (reference, createdAt, fields = {}) => ({
+  reference,
+  createdAt,
+  cityId: 'riyadh',
+  estimate: { estimatedSystemSizeKW: 5 },
+  ...fields,
+});
+
+// Thirty requests, one a day from 1 March 2025; every third is in Jeddah
+const storeWithQuotes = async () => {
+  const store = createMemoryQuoteStore();
+  for (let day = 1; day <= 30; day += 1) {
+    const date = `2025-03-${String(day).padStart(2, '0')}`;
+    await store.save(quote(`EVS-${day}`, `${date}T10:00:00.000Z`, day % 3 === 0 ? { cityId: 'jeddah' } : {}));
+  }
+  return store;
+};
+
+describe('filterLeads', () => {
+  it('applies every filter that is set and ignores empty ones', () => {
+    const quotes = [
+      quote('EVS-1', '2025-03-01T10:00:00.000Z'),
+      quote('EVS-2', '2025-03-02T10:00:00.000Z', { cityId: 'jeddah', status: 'won' }),
+      quote('EVS-3', '2025-03-03T10:00:00.000Z', { estimate: { estimatedSystemSizeKW: 12 } }),
+    ];
+    expect(filterLeads(quotes, { cityId: '', status: '' })).toHaveLength(3);
+    expect(filterLeads(quotes, { cityId: 'riyadh', minKW: '10' }).map((item) => item.reference)).toEqual(['EVS-3']);
+    expect(filterLeads(quotes, { from: '2025-03-02', to: '2025-03-02' }).map((item) => item.reference)).toEqual(['EVS-2']);
+    expect(filterLeads(quotes, { status: 'new' }).map((item) => item.reference)).toEqual(['EVS-1', 'EVS-3']);
+  });
+});
+
+describe('changeLeadStatus', () => {
+  it('keeps the history of status changes', () => {
+    const now = new Date('2025-03-14T10:00:00.000Z');
+    const updated = changeLeadStatus(quote('EVS-1', '2025-03-01T10:00:00.000Z'), 'contacted', { note: 'Called', now });
+    expect(getLeadStatus(updated)).toBe('contacted');
+    expect(updated.statusHistory).toEqual([{ from: 'new', to: 'contacted', note: 'Called', changedAt: now.toISOString() }]);
+  });
+});
+
+describe('findLeads', () => {
+  it('pages through the requests newest first', async () => {
+    const store = await storeWithQuotes();
+    const first = await findLeads(store, {}, { limit: 12 });
+    expect(first.quotes.map((item) => item.reference)).toEqual(Array.from({ length: 12 }, (_, index) => `EVS-${30 - index}`));
+    const second = await findLeads(store, {}, { limit: 12, cursor: first.nextCursor });
+    expect(second.quotes[0].reference).toBe('EVS-18');
+    const last = await findLeads(store, {}, { limit: 12, cursor: second.nextCursor });
+    expect(last.quotes.map((item) => item.reference)).toEqual(['EVS-6', 'EVS-5', 'EVS-4', 'EVS-3', 'EVS-2', 'EVS-1']);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('searches the store by date and filters the rest', async () => {
+    const store = await storeWithQuotes();
+    const list = vi.spyOn(store, 'list');
+    const { quotes, nextCursor } = await findLeads(store, { from: '2025-03-10', to: '2025-03-19', cityId: 'jeddah' });
+    expect(quotes.map((item) => item.reference)).toEqual(['EVS-18', 'EVS-15', 'EVS-12']);
+    expect(nextCursor).toBeNull();
+    expect(list).toHaveBeenCalledWith({ since: '2025-03-10T00:00:00.000Z', until: '2025-03-20T00:00:00.000Z', after: undefined, limit: 100 });
+  });
+
+  it('stops after reading maxBatches batches and returns where it got to', async () => {
+    // An endless store of Jeddah requests, searched for Riyadh ones
+    const store = {
+      list: vi.fn(async ({ after, limit }) => Array.from({ length: limit }, (_, index) => {
+        const number = Number(after?.slice(4) || 0) + index + 1;
+        return quote(`EVS-${number}`, '2025-03-01T10:00:00.000Z', { cityId: 'jeddah' });
+      })),
+    };
+    const page = await findLeads(store, { cityId: 'riyadh' }, { limit: 5, maxBatches: 2 });
+    expect(page).toEqual({ quotes: [], nextCursor: 'EVS-200' });
+    expect(store.list).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores malformed dates', async () => {
+    const store = await storeWithQuotes();
+    const list = vi.spyOn(store, 'list');
+    await findLeads(store, { from: 'yesterday', to: '2025-02-30x' }, { limit: 5 });
+    expect(list.mock.calls[0][0]).toEqual({ after: undefined, limit: 100 });
+  });
+});
@@ -0,0 +1,131 @@
+import { DEFAULT_SEASONAL_PROFILE_ID } from './seasonalUsage';
+
+// Typical electrical loads found in Saudi homes and small businesses.
+// wattage is the running power, surgeWatts the momentary draw when a motor or compressor starts,
+// dutyCycle the share of "on" time the load actually draws power (a compressor cycles on and off),
+// hoursPerDay/usagePreset a typical daily pattern in the busiest month, and seasonalProfile how use
+// varies over the year (see lib/seasonalUsage; year-round when omitted). Figures are rounded for preliminary sizing.
+// Bump the version whenever figures change so saved quotes can be traced to the values they used.
+
+export const APPLIANCE_CATALOGUE_VERSION = '2025.2';
+
+export const APPLIANCE_CATEGORIES = ['cooling', 'water', 'kitchen', 'laundry', 'lighting', 'electronics', 'commercial'];
+
+export const APPLIANCE_CATALOGUE = [
+  // Cooling: 1 ton of refrigeration = 12,000 BTU/h
+  { id: 'split-ac-1-ton', name: 'Split AC 1 ton (12,000 BTU)', category: 'cooling', wattage: 1100, surgeWatts: 3300, dutyCycle: 0.7, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['split ac', 'ac unit', 'air conditioner'], common: true },
+  { id: 'split-ac-1-5-ton', name: 'Split AC 1.5 ton (18,000 BTU)', category: 'cooling', wattage: 1650, surgeWatts: 4950, dutyCycle: 0.7, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['split ac', 'air conditioner'] },
+  { id: 'split-ac-2-ton', name: 'Split AC 2 ton (24,000 BTU)', category: 'cooling', wattage: 2200, surgeWatts: 6600, dutyCycle: 0.7, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['split ac', 'air conditioner'] },
+  { id: 'window-ac-1-5-ton', name: 'Window AC 1.5 ton (18,000 BTU)', category: 'cooling', wattage: 2000, surgeWatts: 6000, dutyCycle: 0.75, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['window ac', 'air conditioner'] },
+  { id: 'window-ac-2-ton', name: 'Window AC 2 ton (24,000 BTU)', category: 'cooling', wattage: 2600, surgeWatts: 7800, dutyCycle: 0.75, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['window ac', 'air conditioner'] },
+  { id: 'central-ac-3-ton', name: 'Central AC 3 ton', category: 'cooling', wattage: 3500, surgeWatts: 10500, dutyCycle: 0.7, hoursPerDay: 10, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['central ac', 'package unit', 'air conditioner'] },
+  { id: 'central-ac-5-ton', name: 'Central AC 5 ton', category: 'cooling', wattage: 5800, surgeWatts: 17400, dutyCycle: 0.7, hoursPerDay: 10, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['central ac', 'package unit', 'air conditioner'] },
+  { id: 'evaporative-cooler', name: 'Evaporative Cooler', category: 'cooling', wattage: 250, surgeWatts: 500, dutyCycle: 1, hoursPerDay: 8, usagePreset: 'afternoon', seasonalProfile: 'cooling', aliases: ['desert cooler', 'air cooler'] },
+  { id: 'ceiling-fan', name: 'Ceiling Fan', category: 'cooling', wattage: 75, surgeWatts: 110, dutyCycle: 1, hoursPerDay: 8, usagePreset: 'evening', seasonalProfile: 'cooling', aliases: ['fan'], common: true },
+  { id: 'stand-fan', name: 'Stand Fan', category: 'cooling', wattage: 55, surgeWatts: 80, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'evening', seasonalProfile: 'cooling', aliases: ['fan', 'pedestal fan'] },
+
+  // Water heating and pumping
+  { id: 'water-heater-50l', name: 'Water Heater 50 L', category: 'water', wattage: 2000, surgeWatts: 2000, dutyCycle: 0.3, hoursPerDay: 4, usagePreset: 'morning', seasonalProfile: 'heating', aliases: ['geyser', 'boiler', 'cylinder'], common: true },
+  { id: 'water-heater-80l', name: 'Water Heater 80 L', category: 'water', wattage: 3000, surgeWatts: 3000, dutyCycle: 0.3, hoursPerDay: 4, usagePreset: 'morning', seasonalProfile: 'heating', aliases: ['geyser', 'boiler', 'cylinder'] },
+  { id: 'instant-water-heater', name: 'Instant Water Heater', category: 'water', wattage: 5500, surgeWatts: 5500, dutyCycle: 1, hoursPerDay: 0.5, usagePreset: 'morning', seasonalProfile: 'heating', aliases: ['tankless heater', 'geyser'] },
+  { id: 'water-pump-0-5-hp', name: 'Water Pump 0.5 HP', category: 'water', wattage: 370, surgeWatts: 1100, dutyCycle: 1, hoursPerDay: 1, usagePreset: 'morning', aliases: ['tank pump', 'transfer pump'], common: true },
+  { id: 'water-pump-1-hp', name: 'Water Pump 1 HP', category: 'water', wattage: 750, surgeWatts: 2250, dutyCycle: 1, hoursPerDay: 1, usagePreset: 'morning', aliases: ['tank pump', 'transfer pump'] },
+  { id: 'booster-pump', name: 'Pressure Booster Pump', category: 'water', wattage: 550, surgeWatts: 1650, dutyCycle: 0.3, hoursPerDay: 6, usagePreset: 'daytime', aliases: ['pressure pump'] },
+  { id: 'pool-pump', name: 'Pool Pump 1.5 HP', category: 'water', wattage: 1100, surgeWatts: 3300, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'daytime', aliases: ['swimming pool pump', 'filter pump'] },
+  { id: 'water-dispenser', name: 'Water Dispenser (hot and cold)', category: 'water', wattage: 500, surgeWatts: 800, dutyCycle: 0.3, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['water cooler'] },
+
+  // Kitchen
+  { id: 'refrigerator', name: 'Refrigerator', category: 'kitchen', wattage: 150, surgeWatts: 600, dutyCycle: 0.4, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['fridge'], common: true },
+  { id: 'refrigerator-large', name: 'Refrigerator (large, side-by-side)', category: 'kitchen', wattage: 250, surgeWatts: 1000, dutyCycle: 0.4, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['fridge', 'double door fridge'] },
+  { id: 'freezer', name: 'Chest Freezer', category: 'kitchen', wattage: 200, surgeWatts: 800, dutyCycle: 0.5, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['deep freezer'] },
+  { id: 'microwave', name: 'Microwave', category: 'kitchen', wattage: 1200, surgeWatts: 1200, dutyCycle: 1, hoursPerDay: 0.3, usagePreset: 'evening', aliases: ['microwave oven'], common: true },
+  { id: 'electric-oven', name: 'Electric Oven', category: 'kitchen', wattage: 2400, surgeWatts: 2400, dutyCycle: 0.5, hoursPerDay: 1, usagePreset: 'evening', aliases: ['oven', 'cooker'] },
+  { id: 'electric-kettle', name: 'Electric Kettle', category: 'kitchen', wattage: 1500, surgeWatts: 1500, dutyCycle: 1, hoursPerDay: 0.3, usagePreset: 'morning', aliases: ['kettle'], common: true },
+  { id: 'dishwasher', name: 'Dishwasher', category: 'kitchen', wattage: 1800, surgeWatts: 2000, dutyCycle: 0.6, hoursPerDay: 1.5, usagePreset: 'evening', aliases: ['dish washer'] },
+  { id: 'coffee-machine', name: 'Coffee Machine', category: 'kitchen', wattage: 1000, surgeWatts: 1000, dutyCycle: 0.5, hoursPerDay: 0.5, usagePreset: 'morning', aliases: ['espresso machine'] },
+
+  // Laundry
+  { id: 'washing-machine', name: 'Washing Machine', category: 'laundry', wattage: 500, surgeWatts: 1500, dutyCycle: 0.8, hoursPerDay: 1, usagePreset: 'daytime', aliases: ['washer'], common: true },
+  { id: 'clothes-dryer', name: 'Clothes Dryer', category: 'laundry', wattage: 3000, surgeWatts: 3300, dutyCycle: 0.8, hoursPerDay: 1, usagePreset: 'daytime', aliases: ['tumble dryer', 'dryer'] },
+  { id: 'iron', name: 'Clothes Iron', category: 'laundry', wattage: 1200, surgeWatts: 1200, dutyCycle: 0.5, hoursPerDay: 0.5, usagePreset: 'morning', aliases: ['iron'] },
+
+  // Lighting
+  { id: 'led-bulb', name: 'LED Bulb', category: 'lighting', wattage: 10, surgeWatts: 10, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'evening', aliases: ['lights', 'lamp', 'led'], common: true },
+  { id: 'fluorescent-tube', name: 'Fluorescent Tube', category: 'lighting', wattage: 36, surgeWatts: 50, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'evening', aliases: ['lights', 'tube light'] },
+  { id: 'outdoor-floodlight', name: 'Outdoor Floodlight', category: 'lighting', wattage: 50, surgeWatts: 50, dutyCycle: 1, hoursPerDay: 10, usagePreset: 'night', aliases: ['security light', 'garden light'] },
+
+  // Electronics
+  { id: 'led-tv', name: 'LED TV', category: 'electronics', wattage: 100, surgeWatts: 100, dutyCycle: 1, hoursPerDay: 4, usagePreset: 'evening', aliases: ['tv', 'television'], common: true },
+  { id: 'desktop-computer', name: 'Desktop Computer', category: 'electronics', wattage: 200, surgeWatts: 200, dutyCycle: 1, hoursPerDay: 4, usagePreset: 'evening', aliases: ['pc', 'computer'] },
+  { id: 'laptop', name: 'Laptop', category: 'electronics', wattage: 60, surgeWatts: 60, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'daytime', aliases: ['notebook', 'computer'], common: true },
+  { id: 'wifi-router', name: 'Wi-Fi Router', category: 'electronics', wattage: 10, surgeWatts: 10, dutyCycle: 1, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['router', 'modem', 'internet'] },
+  { id: 'game-console', name: 'Game Console', category: 'electronics', wattage: 150, surgeWatts: 150, dutyCycle: 1, hoursPerDay: 2, usagePreset: 'evening', aliases: ['playstation', 'xbox'] },
+
+  // Shops, offices and farms
+  { id: 'display-fridge', name: 'Display Fridge (shop)', category: 'commercial', wattage: 400, surgeWatts: 1600, dutyCycle: 0.5, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['beverage cooler', 'showcase fridge'] },
+  { id: 'cold-room-3-ton', name: 'Cold Room 3 ton', category: 'commercial', wattage: 3500, surgeWatts: 10500, dutyCycle: 0.6, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['walk-in cooler', 'cold store'] },
+  { id: 'ice-machine', name: 'Ice Machine', category: 'commercial', wattage: 800, surgeWatts: 2400, dutyCycle: 0.5, hoursPerDay: 24, usagePreset: 'all-day', aliases: ['ice maker'] },
+  { id: 'office-printer', name: 'Laser Printer', category: 'commercial', wattage: 600, surgeWatts: 900, dutyCycle: 0.2, hoursPerDay: 8, usagePreset: 'daytime', aliases: ['printer', 'copier'] },
+  { id: 'farm-well-pump-5-hp', name: 'Well Pump 5 HP (farm)', category: 'commercial', wattage: 3700, surgeWatts: 11100, dutyCycle: 1, hoursPerDay: 6, usagePreset: 'daytime', aliases: ['submersible pump', 'borehole pump', 'irrigation pump'] },
+];
+
+/**
+ * Looks up a catalogue entry by id.
+ * @param {string} catalogueId - An entry id such as 'split-ac-1-5-ton'.
+ * @returns {object|null} The entry, or null when it does not exist.
+ */
+export const findCatalogueAppliance = (catalogueId) =>
+  APPLIANCE_CATALOGUE.find((entry) => entry.id === catalogueId) || null;
+
+/**
+ * Finds catalogue entries matching what the user has typed so far.
+ * Entries whose name starts with the query come before those that only contain it.
+ * @param {string} query - The text typed in an appliance name field.
+ * @param {object} [options]
+ * @param {Function} [options.localize] - Returns the entry's name in the interface language, searched as well.
+ * @param {number} [options.limit] - Maximum number of matches.
+ * @returns {Array} Matching entries.
+ */
+export const searchApplianceCatalogue = (query, { localize, limit = 8 } = {}) => {
+  const normalized = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  if (!normalized) return [];
+
+  const scored = [];
+  for (const entry of APPLIANCE_CATALOGUE) {
+    const names = [entry.name, ...(localize ? [localize(entry)] : []), ...entry.aliases].map((name) => name.toLowerCase());
+    if (names.some((name) => name.startsWith(normalized))) {
+      scored.push({ entry, score: 0 });
+    } else if (names.some((name) => name.includes(normalized))) {
+      scored.push({ entry, score: 1 });
+    }
+  }
+  // Array.prototype.sort is stable, so entries keep catalogue order within a score
+  return scored.sort((a, b) => a.score - b.score).slice(0, limit).map(({ entry }) => entry);
+};
+
+/**
+ * Suggests common appliances missing from a list, without asking a language model.
+ * @param {Array} existingNames - Names of the appliances already listed.
+ * @param {object} [options]
+ * @param {Function} [options.localize] - Returns the entry's name in the interface language.
+ * @param {number} [options.limit] - Maximum number of suggestions.
+ * @returns {Array} Suggestions with name, wattage, hoursPerDay, usagePreset, dutyCyclePercent, seasonalProfile and catalogueId.
+ */
+export const suggestFromCatalogue = (existingNames, { localize = (entry) => entry.name, limit = 5 } = {}) => {
+  const existing = existingNames.map((name) => String(name).trim().toLowerCase());
+  const isListed = (entry) => [entry.name, localize(entry), ...entry.aliases]
+    .some((name) => existing.some((existingName) => existingName.includes(name.toLowerCase())));
+
+  return APPLIANCE_CATALOGUE
+    .filter((entry) => entry.common && !isListed(entry))
+    .slice(0, limit)
+    .map((entry) => ({
+      name: localize(entry),
+      wattage: entry.wattage,
+      hoursPerDay: entry.hoursPerDay,
+      usagePreset: entry.usagePreset,
+      dutyCyclePercent: entry.dutyCycle * 100,
+      seasonalProfile: entry.seasonalProfile || DEFAULT_SEASONAL_PROFILE_ID,
+      catalogueId: entry.id,
+    }));
+};
@@ -0,0 +1,146 @@
+import { parseCsv, toCsv } from './csv';
+import { getApplianceErrors } from './solarEngine';
+import { parseApplianceField } from './applianceEditing';
+import { USAGE_PRESETS, CUSTOM_USAGE_PRESET_ID, DEFAULT_USAGE_PRESET_ID, parseHourRanges } from './loadProfile';
+import { SEASONAL_PROFILES, DEFAULT_SEASONAL_PROFILE_ID } from './seasonalUsage';
+import { MAX_ZONES, getApplianceZoneId, getZoneDisplayName } from './loadZones';
+import { MAX_APPLIANCES } from './quotes/validation';
+
+// Import and export of the appliance list as CSV, so a list can be prepared or kept in a
+// spreadsheet. The file has a header line naming the columns below, in any order; only name,
+// wattage_w and hours_per_day are required. Problems are reported per line and field as error
+// codes, which the calculator translates as 'validation.<code>'.
+
+export const APPLIANCE_CSV_COLUMNS = [
+  { header: 'name', field: 'name', required: true },
+  { header: 'wattage_w', field: 'wattage', required: true },
+  { header: 'hours_per_day', field: 'hoursPerDay', required: true },
+  { header: 'quantity', field: 'quantity' },
+  { header: 'duty_cycle_percent', field: 'dutyCyclePercent' },
+  { header: 'usage', field: 'usagePreset' },
+  { header: 'custom_hours', field: 'customHours' },
+  { header: 'season', field: 'seasonalProfile' },
+  { header: 'zone', field: 'zone' },
+];
+
+// Other headers people commonly use for the same columns
+const HEADER_ALIASES = {
+  appliance: 'name',
+  wattage: 'wattage_w',
+  watts: 'wattage_w',
+  hours: 'hours_per_day',
+  qty: 'quantity',
+  duty_cycle: 'duty_cycle_percent',
+  usage_preset: 'usage',
+  seasonal_profile: 'season',
+  building: 'zone',
+};
+
+/**
+ * Writes the appliance list as CSV. Unnamed zones are written as 'Zone <n>' so they stay apart on import.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} zones - The project's zones.
+ * @returns {string} The CSV text.
+ */
+export const appliancesToCsv = (appliances, zones) => {
+  const zoneName = (app) => {
+    const index = zones.findIndex((zone) => zone.id === getApplianceZoneId(app, zones));
+    return index >= 0 ? getZoneDisplayName(zones[index], index) : '';
+  };
+  return toCsv(appliances, APPLIANCE_CSV_COLUMNS.map(({ header, field }) => ({
+    header,
+    value: (app) => (field === 'zone' ? zoneName(app) : app[field]),
+  })));
+};
+
+/**
+ * Reduces a header cell to a column name, e.g. 'Wattage (W)' to 'wattage_w'.
+ * @param {string} cell - The header cell.
+ * @returns {string} The column name.
+ */
+const toColumnName = (cell) => {
+  const name = cell.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return HEADER_ALIASES[name] || name;
+};
+
+/**
+ * Undoes the apostrophe the CSV export puts before text starting with =, +, - or @.
+ * @param {string} cell - The cell.
+ * @returns {string} The text.
+ */
+const unescapeFormula = (cell) => cell.replace(/^'(?=[=+\-@])/, '');
+
+/**
+ * Reads an appliance list from CSV. Rows with invalid values are still imported, so they can be
+ * corrected in the calculator; the problems are listed in errors.
+ * @param {string} text - The CSV text.
+ * @param {object} [options]
+ * @param {number} [options.firstId] - Id for the first row and zone; the others count up from it.
+ * @returns {{ appliances: Array, zones: Array, errors: Array }} The rows, the zones named in the file (one
+ *   unnamed zone when there are none) and { line, field, code } for each problem. Problems with the
+ *   whole file have no field and return no rows.
+ */
+export const parseAppliancesCsv = (text, { firstId = Date.now() } = {}) => {
+  const rows = parseCsv(text).filter((row) => row.some((cell) => cell.trim() !== ''));
+  const failed = (line, code) => ({ appliances: [], zones: [], errors: [{ line, field: null, code }] });
+  if (rows.length < 2) return failed(rows[0]?.line || 1, 'csvEmpty');
+
+  const [header, ...records] = rows;
+  const names = header.map(toColumnName);
+  const columns = APPLIANCE_CSV_COLUMNS.map((column) => ({ ...column, index: names.indexOf(column.header) }));
+  if (columns.some((column) => column.required && column.index < 0)) return failed(header.line, 'csvColumnsMissing');
+  if (records.length > MAX_APPLIANCES) return failed(header.line, 'tooManyAppliances');
+
+  let nextId = firstId;
+  const zones = [];
+  const errors = [];
+  const findZone = (zoneName, line) => {
+    const existing = zones.find((zone) => zone.name.toLowerCase() === zoneName.toLowerCase());
+    if (existing) return existing;
+    if (zones.length >= MAX_ZONES) {
+      errors.push({ line, field: 'zone', code: 'tooManyZones' });
+      return zones[0];
+    }
+    const zone = { id: nextId, name: zoneName };
+    nextId += 1;
+    zones.push(zone);
+    return zone;
+  };
+
+  const appliances = records.map((record) => {
+    const cells = Object.fromEntries(columns.map(({ field, index }) => [field, index >= 0 ? unescapeFormula(record[index] || '').trim() : '']));
+    const zone = findZone(cells.zone, record.line);
+    const customHours = cells.customHours;
+    let usagePreset = cells.usagePreset.toLowerCase() || (customHours ? CUSTOM_USAGE_PRESET_ID : DEFAULT_USAGE_PRESET_ID);
+    if (usagePreset !== CUSTOM_USAGE_PRESET_ID && !USAGE_PRESETS.some((preset) => preset.id === usagePreset)) {
+      errors.push({ line: record.line, field: 'usagePreset', code: 'usagePresetInvalid' });
+      usagePreset = DEFAULT_USAGE_PRESET_ID;
+    } else if (usagePreset === CUSTOM_USAGE_PRESET_ID && !parseHourRanges(customHours)) {
+      errors.push({ line: record.line, field: 'customHours', code: 'customHoursInvalid' });
+    }
+    let seasonalProfile = cells.seasonalProfile.toLowerCase() || DEFAULT_SEASONAL_PROFILE_ID;
+    if (!SEASONAL_PROFILES.some((profile) => profile.id === seasonalProfile)) {
+      errors.push({ line: record.line, field: 'seasonalProfile', code: 'seasonalProfileInvalid' });
+      seasonalProfile = DEFAULT_SEASONAL_PROFILE_ID;
+    }
+
+    const app = {
+      id: nextId,
+      name: cells.name,
+      wattage: parseApplianceField('wattage', cells.wattage),
+      hoursPerDay: parseApplianceField('hoursPerDay', cells.hoursPerDay),
+      quantity: cells.quantity === '' ? 1 : parseApplianceField('quantity', cells.quantity),
+      usagePreset,
+      customHours: usagePreset === CUSTOM_USAGE_PRESET_ID ? customHours : '',
+      dutyCyclePercent: parseApplianceField('dutyCyclePercent', cells.dutyCyclePercent),
+      seasonalProfile,
+      catalogueId: '',
+      zoneId: zone.id,
+    };
+    nextId += 1;
+    Object.entries(getApplianceErrors(app)).forEach(([field, code]) => errors.push({ line: record.line, field, code }));
+    return app;
+  });
+
+  return { appliances, zones, errors: errors.sort((a, b) => a.line - b.line) };
+};
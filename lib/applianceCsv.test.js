@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { appliancesToCsv, parseAppliancesCsv } from './applianceCsv';
+import { MAX_APPLIANCES } from './quotes/validation';
+
+const zones = [{ id: 1, name: 'Main house' }, { id: 2, name: '' }];
+
+const appliance = (fields = {}) => ({
+  id: 10,
+  name: 'Refrigerator',
+  wattage: 150,
+  hoursPerDay: 24,
+  quantity: 1,
+  usagePreset: 'all-day',
+  customHours: '',
+  dutyCyclePercent: 40,
+  seasonalProfile: 'year-round',
+  catalogueId: 'refrigerator',
+  zoneId: 1,
+  ...fields,
+});
+
+const HEADER = 'name,wattage_w,hours_per_day,quantity,duty_cycle_percent,usage,custom_hours,season,zone';
+
+describe('appliancesToCsv', () => {
+  it('writes a header and one line per appliance, naming each zone', () => {
+    const csv = appliancesToCsv([appliance(), appliance({ id: 11, name: 'Pump', zoneId: 2, dutyCyclePercent: '' })], zones);
+    expect(csv.split('\r\n')).toEqual([
+      HEADER,
+      'Refrigerator,150,24,1,40,all-day,,year-round,Main house',
+      'Pump,150,24,1,,all-day,,year-round,Zone 2',
+    ]);
+  });
+
+  it('escapes names that look like formulas', () => {
+    expect(appliancesToCsv([appliance({ name: '=1+1' })], zones).split('\r\n')[1]).toMatch(/^'=1\+1,/);
+  });
+});
+
+describe('parseAppliancesCsv', () => {
+  it('reads back what it exported, zones and all', () => {
+    const appliances = [
+      appliance(),
+      appliance({ id: 11, name: 'AC, split', wattage: 1100, hoursPerDay: 8, quantity: 2, usagePreset: 'custom', customHours: '12-18, 20-23', seasonalProfile: 'cooling', zoneId: 2 }),
+      appliance({ id: 12, name: '=SUM(A1:A9)', zoneId: 2 }),
+    ];
+    const { appliances: imported, zones: importedZones, errors } = parseAppliancesCsv(appliancesToCsv(appliances, zones), { firstId: 100 });
+
+    expect(errors).toEqual([]);
+    expect(importedZones).toEqual([{ id: 100, name: 'Main house' }, { id: 102, name: 'Zone 2' }]);
+    expect(imported.map((app) => app.zoneId)).toEqual([100, 102, 102]);
+    expect(imported[1]).toEqual({
+      ...appliances[1],
+      id: 103,
+      catalogueId: '',
+      zoneId: 102,
+    });
+    expect(imported[2].name).toBe('=SUM(A1:A9)');
+  });
+
+  it('accepts columns in any order under common alternative headers', () => {
+    const { appliances, errors } = parseAppliancesCsv('Hours,Appliance,Wattage (W),Qty\n6,TV,120,2', { firstId: 1 });
+    expect(errors).toEqual([]);
+    expect(appliances[0]).toMatchObject({ name: 'TV', wattage: 120, hoursPerDay: 6, quantity: 2, usagePreset: 'all-day', seasonalProfile: 'year-round' });
+  });
+
+  it('fills in defaults and picks custom usage from the hours alone', () => {
+    const { appliances, zones: importedZones } = parseAppliancesCsv('name,watts,hours,custom_hours\nLamp,10,5,18-23', { firstId: 1 });
+    expect(importedZones).toEqual([{ id: 1, name: '' }]);
+    expect(appliances[0]).toMatchObject({ quantity: 1, usagePreset: 'custom', customHours: '18-23', dutyCyclePercent: '', zoneId: 1 });
+  });
+
+  it('reads numbers written with Arabic-Indic digits', () => {
+    const { appliances } = parseAppliancesCsv('name,watts,hours\nمكيف,١٥٠٠,٨', { firstId: 1 });
+    expect(appliances[0]).toMatchObject({ name: 'مكيف', wattage: 1500, hoursPerDay: 8 });
+  });
+
+  it('imports invalid rows and reports each problem by line and field', () => {
+    const csv = `${HEADER}\nFan,75,8,1,,all-day,,,\nHeater,abc,30,1,,weekends,,winter,\nLamp,10,4,1,,custom,9-9,,`;
+    const { appliances, errors } = parseAppliancesCsv(csv, { firstId: 1 });
+    expect(appliances).toHaveLength(3);
+    expect(appliances[1]).toMatchObject({ wattage: 'abc', usagePreset: 'all-day', seasonalProfile: 'year-round' });
+    expect(errors).toEqual(expect.arrayContaining([
+      { line: 3, field: 'usagePreset', code: 'usagePresetInvalid' },
+      { line: 3, field: 'seasonalProfile', code: 'seasonalProfileInvalid' },
+      { line: 3, field: 'wattage', code: 'wattageInvalid' },
+      { line: 3, field: 'hoursPerDay', code: 'hoursPerDayInvalid' },
+      { line: 4, field: 'customHours', code: 'customHoursInvalid' },
+    ]));
+    expect(errors.every((error) => error.line !== 2)).toBe(true);
+  });
+
+  it('refuses files without rows or required columns', () => {
+    expect(parseAppliancesCsv('')).toEqual({ appliances: [], zones: [], errors: [{ line: 1, field: null, code: 'csvEmpty' }] });
+    expect(parseAppliancesCsv(`${HEADER}\n\n`).errors).toEqual([{ line: 1, field: null, code: 'csvEmpty' }]);
+    expect(parseAppliancesCsv('name,hours\nFan,8').errors).toEqual([{ line: 1, field: null, code: 'csvColumnsMissing' }]);
+  });
+
+  it('refuses files with more appliances than a quote may hold', () => {
+    const csv = ['name,watts,hours', ...new Array(MAX_APPLIANCES + 1).fill('Fan,75,8')].join('\n');
+    expect(parseAppliancesCsv(csv).errors).toEqual([{ line: 1, field: null, code: 'tooManyAppliances' }]);
+  });
+
+  it('puts rows beyond the zone limit in the first zone', () => {
+    const csv = ['name,watts,hours,zone', ...Array.from({ length: 21 }, (_, index) => `Fan,75,8,Building ${index + 1}`)].join('\n');
+    const { appliances, zones: importedZones, errors } = parseAppliancesCsv(csv, { firstId: 1 });
+    expect(importedZones).toHaveLength(20);
+    expect(appliances[20].zoneId).toBe(importedZones[0].id);
+    expect(errors).toEqual([{ line: 22, field: 'zone', code: 'tooManyZones' }]);
+  });
+});
@@ -0,0 +1,164 @@
+import { toAsciiDigits } from './billHistory';
+import { getApplianceZoneId, getZoneAppliances } from './loadZones';
+
+// Editing helpers for the appliance list: typed values, undo/redo history, duplication,
+// reordering and bulk changes. Every helper returns a new list and leaves its input untouched.
+
+// Appliance fields kept as typed; every other field is numeric
+export const TEXT_APPLIANCE_FIELDS = ['name', 'usagePreset', 'customHours', 'seasonalProfile', 'catalogueId'];
+
+// Fields that can be set on several selected rows at once
+export const BULK_APPLIANCE_FIELDS = ['quantity', 'hoursPerDay'];
+
+// Undo steps kept; older edits are dropped
+export const EDIT_HISTORY_LIMIT = 50;
+
+/**
+ * Converts a value typed in an appliance field to the type the field holds. Numbers typed with
+ * Arabic-Indic digits are read too. Text that is not a number is kept as typed, rather than
+ * cleared, so the row shows what was entered and is flagged as invalid.
+ * @param {string} field - The appliance field, e.g. 'wattage'.
+ * @param {string|number} value - The value as typed or selected.
+ * @returns {string|number} Text for text fields; for numeric ones a number, '' or the unreadable text.
+ */
+export const parseApplianceField = (field, value) => {
+  if (TEXT_APPLIANCE_FIELDS.includes(field) || typeof value === 'number') return value;
+  const text = toAsciiDigits(String(value ?? '')).trim();
+  const number = Number(text);
+  // '12.' stays text while the decimals are being typed; Number() still reads it as 12
+  return text !== '' && Number.isFinite(number) && String(number) === text ? number : text;
+};
+
+/**
+ * Tells whether a row is still empty, e.g. just added; such rows are not flagged as invalid yet.
+ * @param {object} app - The appliance row.
+ * @returns {boolean} True when no name, wattage, hours or quantity has been entered.
+ */
+export const isBlankAppliance = (app) =>
+  ['name', 'wattage', 'hoursPerDay', 'quantity'].every((field) => String(app[field] ?? '').trim() === '');
+
+/**
+ * Creates an empty edit history.
+ * @returns {object} past and future snapshots, and the key of the last recorded edit.
+ */
+export const createEditHistory = () => ({ past: [], future: [], lastKey: null });
+
+/**
+ * Records the state before an edit so it can be undone. Consecutive edits with the same key,
+ * such as the keystrokes typed into one field, are kept as a single step.
+ * @param {object} history - The edit history.
+ * @param {object} snapshot - The state before the edit, e.g. { appliances, zones }.
+ * @param {string|null} [key] - Identifies edits that may be merged, e.g. '<row id>:wattage'.
+ * @returns {object} The new history; anything undone before is no longer redoable.
+ */
+export const recordEdit = (history, snapshot, key = null) => {
+  if (key !== null && key === history.lastKey) return history;
+  return {
+    past: [...history.past, snapshot].slice(-EDIT_HISTORY_LIMIT),
+    future: [],
+    lastKey: key,
+  };
+};
+
+/**
+ * Steps back to the state before the last edit.
+ * @param {object} history - The edit history.
+ * @param {object} current - The current state, kept so the step can be redone.
+ * @returns {{ history: object, snapshot: object }|null} The new history and the state to restore; null when there is nothing to undo.
+ */
+export const undoEdit = (history, current) => {
+  if (history.past.length === 0) return null;
+  return {
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future], lastKey: null },
+    snapshot: history.past[history.past.length - 1],
+  };
+};
+
+/**
+ * Repeats the last undone edit.
+ * @param {object} history - The edit history.
+ * @param {object} current - The current state, kept so the step can be undone again.
+ * @returns {{ history: object, snapshot: object }|null} The new history and the state to restore; null when there is nothing to redo.
+ */
+export const redoEdit = (history, current) => {
+  if (history.future.length === 0) return null;
+  return {
+    history: { past: [...history.past, current], future: history.future.slice(1), lastKey: null },
+    snapshot: history.future[0],
+  };
+};
+
+/**
+ * Copies appliance rows; each copy is placed right after its original.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} ids - Ids of the rows to copy.
+ * @param {number} firstId - Id for the first copy; the others count up from it.
+ * @returns {Array} The rows with the copies.
+ */
+export const duplicateAppliances = (appliances, ids, firstId) => {
+  let nextId = firstId;
+  return appliances.flatMap((app) => {
+    if (!ids.includes(app.id)) return [app];
+    const copy = { ...app, id: nextId };
+    nextId += 1;
+    return [app, copy];
+  });
+};
+
+/**
+ * Moves a row before another row, or to the end of a zone; the row joins that zone.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} zones - The project's zones.
+ * @param {number} id - The row to move.
+ * @param {object} target
+ * @param {number} [target.beforeId] - The row to place it before.
+ * @param {number} [target.zoneId] - The zone to append it to, when no row is given.
+ * @returns {Array} The reordered rows; the same list when the move is not possible.
+ */
+export const moveAppliance = (appliances, zones, id, { beforeId = null, zoneId = null }) => {
+  const moving = appliances.find((app) => app.id === id);
+  const before = appliances.find((app) => app.id === beforeId);
+  if (!moving || beforeId === id) return appliances;
+  const targetZoneId = before ? getApplianceZoneId(before, zones) : getApplianceZoneId({ zoneId }, zones);
+  const rest = appliances.filter((app) => app.id !== id);
+  const moved = { ...moving, zoneId: targetZoneId };
+
+  if (before) {
+    const position = rest.indexOf(before);
+    return [...rest.slice(0, position), moved, ...rest.slice(position)];
+  }
+  const zoneRows = getZoneAppliances(rest, zones, targetZoneId);
+  const position = zoneRows.length > 0 ? rest.indexOf(zoneRows[zoneRows.length - 1]) + 1 : rest.length;
+  return [...rest.slice(0, position), moved, ...rest.slice(position)];
+};
+
+/**
+ * Moves a row up or down among the rows of its zone, e.g. with the arrow keys.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} zones - The project's zones.
+ * @param {number} id - The row to move.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ * @returns {Array} The reordered rows; the same list at the top or bottom of the zone.
+ */
+export const moveApplianceBy = (appliances, zones, id, offset) => {
+  const moving = appliances.find((app) => app.id === id);
+  if (!moving) return appliances;
+  const zoneRows = getZoneAppliances(appliances, zones, getApplianceZoneId(moving, zones));
+  const neighbour = zoneRows[zoneRows.indexOf(moving) + offset];
+  if (!neighbour) return appliances;
+  return appliances.map((app) => {
+    if (app === moving) return neighbour;
+    return app === neighbour ? moving : app;
+  });
+};
+
+/**
+ * Sets one field of several rows, e.g. the quantity of every selected row.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} ids - Ids of the rows to change.
+ * @param {string} field - The appliance field.
+ * @param {string} value - The value as typed or selected.
+ * @returns {Array} The updated rows.
+ */
+export const setApplianceField = (appliances, ids, field, value) =>
+  appliances.map((app) => (ids.includes(app.id) ? { ...app, [field]: parseApplianceField(field, value) } : app));
@@ -0,0 +1,168 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createEditHistory,
+  duplicateAppliances,
+  EDIT_HISTORY_LIMIT,
+  isBlankAppliance,
+  moveAppliance,
+  moveApplianceBy,
+  parseApplianceField,
+  recordEdit,
+  redoEdit,
+  setApplianceField,
+  undoEdit,
+} from './applianceEditing';
+
+const zones = [{ id: 'house', name: 'House' }, { id: 'farm', name: 'Farm' }];
+
+const rows = [
+  { id: 1, name: 'AC', zoneId: 'house' },
+  { id: 2, name: 'Fridge', zoneId: 'house' },
+  { id: 3, name: 'Pump', zoneId: 'farm' },
+  { id: 4, name: 'Lights', zoneId: 'farm' },
+];
+
+const order = (appliances) => appliances.map((app) => `${app.id}:${app.zoneId}`);
+
+describe('parseApplianceField', () => {
+  it('reads numbers, including Arabic-Indic digits', () => {
+    expect(parseApplianceField('wattage', '1500')).toBe(1500);
+    expect(parseApplianceField('hoursPerDay', ' ٧٫٥ ')).toBe(7.5);
+    expect(parseApplianceField('quantity', 3)).toBe(3);
+  });
+
+  it('keeps text fields, half-typed numbers and unreadable text as typed', () => {
+    expect(parseApplianceField('name', '  AC 1.5 ton ')).toBe('  AC 1.5 ton ');
+    expect(parseApplianceField('wattage', '12.')).toBe('12.');
+    expect(parseApplianceField('wattage', 'abc')).toBe('abc');
+    expect(parseApplianceField('wattage', '')).toBe('');
+    expect(parseApplianceField('wattage', null)).toBe('');
+  });
+});
+
+describe('isBlankAppliance', () => {
+  it('tells rows nothing has been typed in', () => {
+    expect(isBlankAppliance({ name: '', wattage: '', hoursPerDay: ' ', quantity: undefined, usagePreset: 'all-day' })).toBe(true);
+    expect(isBlankAppliance({ name: '', wattage: 0, hoursPerDay: '', quantity: '' })).toBe(false);
+  });
+});
+
+describe('edit history', () => {
+  it('undoes and redoes edits in order', () => {
+    let history = createEditHistory();
+    history = recordEdit(history, { appliances: ['a'] });
+    history = recordEdit(history, { appliances: ['a', 'b'] });
+
+    const firstUndo = undoEdit(history, { appliances: ['a', 'b', 'c'] });
+    expect(firstUndo.snapshot).toEqual({ appliances: ['a', 'b'] });
+    const secondUndo = undoEdit(firstUndo.history, firstUndo.snapshot);
+    expect(secondUndo.snapshot).toEqual({ appliances: ['a'] });
+    expect(undoEdit(secondUndo.history, secondUndo.snapshot)).toBeNull();
+
+    const redo = redoEdit(secondUndo.history, secondUndo.snapshot);
+    expect(redo.snapshot).toEqual({ appliances: ['a', 'b'] });
+    expect(redoEdit(redo.history, redo.snapshot).snapshot).toEqual({ appliances: ['a', 'b', 'c'] });
+  });
+
+  it('merges consecutive edits with the same key, such as typing in one field', () => {
+    let history = createEditHistory();
+    history = recordEdit(history, 'before 1', '1:wattage');
+    history = recordEdit(history, 'before 15', '1:wattage');
+    history = recordEdit(history, 'before 150', '1:wattage');
+    expect(history.past).toEqual(['before 1']);
+
+    history = recordEdit(history, 'before hours', '1:hoursPerDay');
+    history = recordEdit(history, 'before wattage again', '1:wattage');
+    expect(history.past).toEqual(['before 1', 'before hours', 'before wattage again']);
+  });
+
+  it('never merges edits without a key', () => {
+    let history = createEditHistory();
+    history = recordEdit(history, 'first');
+    history = recordEdit(history, 'second');
+    expect(history.past).toEqual(['first', 'second']);
+  });
+
+  it('starts a new step after undo, even with the same key', () => {
+    let history = recordEdit(createEditHistory(), 'before typing', '1:name');
+    const undone = undoEdit(history, 'typed');
+    history = recordEdit(undone.history, 'before typing again', '1:name');
+    expect(history.past).toEqual(['before typing again']);
+  });
+
+  it('drops what was undone once a new edit is made', () => {
+    let history = recordEdit(createEditHistory(), 'first');
+    history = undoEdit(history, 'second').history;
+    expect(history.future).toEqual(['second']);
+    history = recordEdit(history, 'other');
+    expect(history.future).toEqual([]);
+    expect(redoEdit(history, 'now')).toBeNull();
+  });
+
+  it('keeps only the most recent steps', () => {
+    let history = createEditHistory();
+    for (let step = 0; step < EDIT_HISTORY_LIMIT + 5; step += 1) {
+      history = recordEdit(history, step);
+    }
+    expect(history.past).toHaveLength(EDIT_HISTORY_LIMIT);
+    expect(history.past[0]).toBe(5);
+  });
+});
+
+describe('duplicateAppliances', () => {
+  it('places each copy right after its original with new ids', () => {
+    const copied = duplicateAppliances(rows, [1, 3], 100);
+    expect(copied.map((app) => app.id)).toEqual([1, 100, 2, 3, 101, 4]);
+    expect(copied[1]).toEqual({ ...rows[0], id: 100 });
+    expect(rows).toHaveLength(4);
+  });
+});
+
+describe('moveAppliance', () => {
+  it('moves a row before another one, within its zone', () => {
+    expect(order(moveAppliance(rows, zones, 2, { beforeId: 1 }))).toEqual(['2:house', '1:house', '3:farm', '4:farm']);
+  });
+
+  it('moves a row into another zone before one of its rows', () => {
+    expect(order(moveAppliance(rows, zones, 1, { beforeId: 4 }))).toEqual(['2:house', '3:farm', '1:farm', '4:farm']);
+  });
+
+  it('appends a row to the end of a zone', () => {
+    expect(order(moveAppliance(rows, zones, 4, { zoneId: 'house' }))).toEqual(['1:house', '2:house', '4:house', '3:farm']);
+  });
+
+  it('appends a row to an empty zone at the end of the list', () => {
+    const withEmptyZone = [...zones, { id: 'annex', name: 'Annex' }];
+    expect(order(moveAppliance(rows, withEmptyZone, 1, { zoneId: 'annex' }))).toEqual(['2:house', '3:farm', '4:farm', '1:annex']);
+  });
+
+  it('puts rows moved to an unknown zone in the first zone', () => {
+    expect(order(moveAppliance(rows, zones, 3, { zoneId: 'gone' }))).toEqual(['1:house', '2:house', '3:house', '4:farm']);
+  });
+
+  it('leaves the list alone for unknown rows and moves before the row itself', () => {
+    expect(moveAppliance(rows, zones, 9, { beforeId: 1 })).toBe(rows);
+    expect(moveAppliance(rows, zones, 2, { beforeId: 2 })).toBe(rows);
+  });
+});
+
+describe('moveApplianceBy', () => {
+  it('swaps a row with its neighbour in the same zone', () => {
+    expect(order(moveApplianceBy(rows, zones, 2, -1))).toEqual(['2:house', '1:house', '3:farm', '4:farm']);
+    expect(order(moveApplianceBy(rows, zones, 3, 1))).toEqual(['1:house', '2:house', '4:farm', '3:farm']);
+  });
+
+  it('does not move a row out of its zone', () => {
+    expect(moveApplianceBy(rows, zones, 2, 1)).toBe(rows);
+    expect(moveApplianceBy(rows, zones, 3, -1)).toBe(rows);
+    expect(moveApplianceBy(rows, zones, 9, 1)).toBe(rows);
+  });
+});
+
+describe('setApplianceField', () => {
+  it('sets a field of the selected rows only, reading the value typed', () => {
+    const updated = setApplianceField(rows, [1, 4], 'quantity', '٣');
+    expect(updated.map((app) => app.quantity)).toEqual([3, undefined, undefined, 3]);
+    expect(updated[1]).toBe(rows[1]);
+  });
+});
@@ -0,0 +1,127 @@
+// Pluggable text-generation providers for the appliance assistant.
+// Every provider exposes the same async interface: generateText({ prompt, responseSchema }),
+// resolving to the model's raw text (JSON text when a responseSchema is given).
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// How long a Gemini call may take; serverless functions are stopped after about ten seconds
+const DEFAULT_GEMINI_TIMEOUT_MS = 8000;
+
+// Status given to calls that time out, as a gateway would
+export const TIMEOUT_STATUS = 504;
+
+/**
+ * Creates an error carrying the HTTP status of a failed provider call.
+ * @param {string} message - What went wrong.
+ * @param {number} [status] - The upstream HTTP status, when there was a response.
+ * @returns {Error} The error.
+ */
+export const createProviderError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Creates a provider backed by the Google Gemini API. The key never leaves the server.
+ * @param {object} options
+ * @param {string} options.apiKey - The Gemini API key.
+ * @param {string} [options.model] - The model name.
+ * @param {number} [options.timeoutMs] - How long a call may take before it is abandoned.
+ * @param {Function} [options.fetchImpl] - fetch implementation, replaceable in tests.
+ * @returns {object} The provider.
+ */
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash', timeoutMs = DEFAULT_GEMINI_TIMEOUT_MS, fetchImpl = fetch }) => ({
+  name: `gemini:${model}`,
+  async generateText({ prompt, responseSchema }) {
+    const payload = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: responseSchema
+        ? { responseMimeType: 'application/json', responseSchema }
+        : { responseMimeType: 'text/plain' },
+    };
+
+    let response;
+    try {
+      response = await fetchImpl(`${GEMINI_API_URL}/${model}:generateContent?key=${encodeURIComponent(apiKey)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw createProviderError(`Gemini request timed out after ${timeoutMs} ms`, TIMEOUT_STATUS);
+      }
+      throw error;
+    }
+    if (!response.ok) {
+      throw createProviderError(`Gemini request failed with status ${response.status}`, response.status);
+    }
+
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      throw createProviderError('Gemini returned no text');
+    }
+    return text;
+  },
+});
+
+// Fixed answers for the mock provider, so the assistant works offline and in tests
+const MOCK_APPLIANCES = [
+  { name: 'Washing Machine', wattage: 500, hoursPerDay: 1 },
+  { name: 'Water Heater', wattage: 2000, hoursPerDay: 2 },
+  { name: 'Microwave', wattage: 1200, hoursPerDay: 0.5 },
+  { name: 'Ceiling Fan', wattage: 75, hoursPerDay: 8 },
+  { name: 'Laptop', wattage: 60, hoursPerDay: 6 },
+  { name: 'Water Pump', wattage: 750, hoursPerDay: 1 },
+  { name: 'Electric Kettle', wattage: 1500, hoursPerDay: 0.3 },
+];
+
+const MOCK_TIPS = [
+  '1. Set air conditioners to 24 °C and clean their filters monthly.',
+  '2. Run the washing machine and water heater around midday, when solar output peaks.',
+  '3. Replace any remaining incandescent or halogen bulbs with LEDs.',
+  '4. Switch TVs and chargers off at the wall instead of leaving them on standby.',
+].join('\n');
+
+/**
+ * Creates a deterministic provider that answers without any network access.
+ * Suggestions skip appliances already named in the prompt; tips are always the same.
+ * @returns {object} The provider.
+ */
+export const createMockProvider = () => ({
+  name: 'mock',
+  async generateText({ prompt, responseSchema }) {
+    if (!responseSchema) return MOCK_TIPS;
+    const lowerPrompt = prompt.toLowerCase();
+    const suggestions = MOCK_APPLIANCES.filter((app) => !lowerPrompt.includes(app.name.toLowerCase())).slice(0, 4);
+    return JSON.stringify(suggestions);
+  },
+});
+
+/**
+ * Picks the provider from the environment: ASSISTANT_PROVIDER=mock|gemini.
+ * Without a GEMINI_API_KEY the mock is used so development works offline; in production a
+ * missing key is an error instead, so customers are never shown the mock's fixed answers as advice.
+ * @returns {object} The provider.
+ * @throws {Error} In production without a GEMINI_API_KEY, unless ASSISTANT_PROVIDER is 'mock'.
+ */
+export const createProviderFromEnv = () => {
+  const { env } = process;
+  if (env.ASSISTANT_PROVIDER === 'mock') {
+    return createMockProvider();
+  }
+  if (!env.GEMINI_API_KEY) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('GEMINI_API_KEY must be set in production (or ASSISTANT_PROVIDER=mock to use fixed answers)');
+    }
+    return createMockProvider();
+  }
+  return createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || undefined,
+    timeoutMs: Number(env.GEMINI_TIMEOUT_MS) || undefined,
+  });
+};
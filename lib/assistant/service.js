@@ -0,0 +1,145 @@
+import { createI18n } from '../i18n';
+import { TIMEOUT_STATUS, createProviderFromEnv } from './providers';
+import { SUGGESTIONS_SCHEMA, parseSuggestions, parseTips } from './validation';
+
+// Appliance suggestions and energy-saving tips, generated on the server.
+// Wraps a provider with prompt building, output validation, retries and a prompt cache.
+
+const DEFAULT_OPTIONS = {
+  retries: 2, // Attempts after the first one
+  baseDelayMs: 500, // Doubled after every failed attempt
+  cacheTtlMs: 60 * 60 * 1000,
+  cacheMaxEntries: 200,
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Decides whether a failed attempt is worth repeating: network errors, rate limiting,
+ * server errors and unusable output are; other client errors are not, and neither are timeouts,
+ * since another attempt would keep the customer waiting as long again.
+ * @param {Error} error - The failure.
+ * @returns {boolean} True when another attempt may succeed.
+ */
+const isRetryable = (error) =>
+  !error.status || error.status === 429 || (error.status >= 500 && error.status !== TIMEOUT_STATUS);
+
+/**
+ * Builds the prompt asking for appliances missing from the list.
+ * @param {Array} appliances - Validated appliance rows.
+ * @param {function} t - Translation function of the answer's locale.
+ * @returns {string} The prompt.
+ */
+const buildSuggestionsPrompt = (appliances, t) => {
+  const currentApplianceNames = appliances.map((app) => app.name).join(', ');
+  return `Given the following list of appliances in a household: ${currentApplianceNames}. Suggest 3-5 other common household appliances that might be missing, along with their typical wattage (W) and average hours used per day. Provide the response as a JSON array of objects, where each object has 'name' (string), 'wattage' (number), and 'hoursPerDay' (number) keys. Ensure the suggested appliances are distinct from the provided list. ${t('prompts.suggestionsLanguage')}`;
+};
+
+/**
+ * Builds the prompt asking for energy-saving tips for the listed appliances.
+ * @param {Array} appliances - Validated appliance rows.
+ * @param {function} t - Translation function of the answer's locale.
+ * @returns {string} The prompt.
+ */
+const buildTipsPrompt = (appliances, t) => {
+  const applianceListText = appliances.map((app) => `${app.name} (${app.wattage}W, ${app.hoursPerDay} hours/day, ${app.quantity} quantity)`).join('; ');
+  return `Given the following list of household appliances and their usage: ${applianceListText}. Provide 3-5 concise and actionable energy-saving tips specifically tailored to reduce the electricity consumption related to these types of appliances. Focus on practical advice. ${t('prompts.language')}`;
+};
+
+/**
+ * Creates the assistant around a provider.
+ * @param {object} options
+ * @param {object} options.provider - See lib/assistant/providers.
+ * @param {number} [options.retries] - Attempts after the first one.
+ * @param {number} [options.baseDelayMs] - Delay before the first retry.
+ * @param {number} [options.cacheTtlMs] - How long answers to an identical prompt are reused.
+ * @param {number} [options.cacheMaxEntries] - Oldest answers are dropped beyond this.
+ * @param {Function} [options.sleep] - Delay function, replaceable in tests.
+ * @param {Function} [options.now] - Clock, replaceable in tests.
+ * @returns {object} The assistant, with suggestAppliances and getEnergySavingTips.
+ */
+export const createAssistant = ({ provider, sleep = wait, now = Date.now, ...overrides }) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const cache = new Map();
+
+  /**
+   * Asks the provider, validates the answer and retries with exponential backoff.
+   * Only validated answers are cached, keyed by the exact prompt.
+   */
+  const generate = async ({ prompt, responseSchema, parse }) => {
+    const cacheKey = `${provider.name}\n${responseSchema ? 'json' : 'text'}\n${prompt}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > now()) {
+      return cached.value;
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= options.retries; attempt += 1) {
+      if (attempt > 0) {
+        await sleep(options.baseDelayMs * 2 ** (attempt - 1));
+      }
+      try {
+        const { error, ...value } = parse(await provider.generateText({ prompt, responseSchema }));
+        if (error) throw new Error(error);
+
+        cache.delete(cacheKey);
+        cache.set(cacheKey, { value, expiresAt: now() + options.cacheTtlMs });
+        if (cache.size > options.cacheMaxEntries) {
+          cache.delete(cache.keys().next().value);
+        }
+        return value;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error)) break;
+      }
+    }
+    throw lastError;
+  };
+
+  return {
+    /**
+     * Suggests common appliances missing from the list.
+     * @param {Array} appliances - Validated appliance rows.
+     * @param {string} [locale] - Language of the appliance names.
+     * @returns {Promise<{ suggestions: Array }>} Up to five plausible suggestions.
+     */
+    suggestAppliances(appliances, locale) {
+      const { t } = createI18n(locale);
+      const existingNames = appliances.map((app) => app.name);
+      return generate({
+        prompt: buildSuggestionsPrompt(appliances, t),
+        responseSchema: SUGGESTIONS_SCHEMA,
+        parse: (text) => parseSuggestions(text, existingNames),
+      });
+    },
+
+    /**
+     * Generates energy-saving tips tailored to the listed appliances.
+     * @param {Array} appliances - Validated appliance rows.
+     * @param {string} [locale] - Language of the tips.
+     * @returns {Promise<{ tips: string }>} The tips as plain text, one per line.
+     */
+    getEnergySavingTips(appliances, locale) {
+      const { t } = createI18n(locale);
+      return generate({
+        prompt: buildTipsPrompt(appliances, t),
+        parse: parseTips,
+      });
+    },
+  };
+};
+
+let defaultAssistant = null;
+
+/**
+ * Returns the assistant configured from the environment (see createProviderFromEnv).
+ * It is created once per server process so its cache is shared between requests.
+ * @returns {object} The assistant.
+ * @throws {Error} When the environment does not configure a usable provider.
+ */
+export const getAssistant = () => {
+  if (!defaultAssistant) {
+    defaultAssistant = createAssistant({ provider: createProviderFromEnv() });
+  }
+  return defaultAssistant;
+};
@@ -0,0 +1,172 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createAssistant } from './service';
+import { TIMEOUT_STATUS, createGeminiProvider, createMockProvider, createProviderError, createProviderFromEnv } from './providers';
+import { parseSuggestions, parseTips } from './validation';
+
+const appliances = [{ name: 'Air Conditioner', wattage: 1500, hoursPerDay: 8, quantity: 2 }];
+
+// A provider answering with the given texts or errors in turn
+const createScriptedProvider = (answers) => {
+  const generateText = vi.fn(async () => {
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  });
+  return { name: 'scripted', generateText };
+};
+
+describe('parseSuggestions', () => {
+  it('keeps plausible suggestions and rounds the wattage', () => {
+    expect(parseSuggestions('[{"name":" Microwave ","wattage":1199.6,"hoursPerDay":0.5}]')).toEqual({
+      error: '',
+      suggestions: [{ name: 'Microwave', wattage: 1200, hoursPerDay: 0.5 }],
+    });
+  });
+
+  it('drops implausible wattages and hours, and appliances already listed', () => {
+    const text = JSON.stringify([
+      { name: 'Smelter', wattage: 50000, hoursPerDay: 2 },
+      { name: 'Clock', wattage: 0, hoursPerDay: 24 },
+      { name: 'Heater', wattage: 2000, hoursPerDay: 30 },
+      { name: 'air conditioner', wattage: 1500, hoursPerDay: 8 },
+      { name: 'Kettle', wattage: 1500, hoursPerDay: 0.3 },
+      { name: 'kettle', wattage: 1500, hoursPerDay: 0.3 },
+    ]);
+    expect(parseSuggestions(text, ['Air Conditioner']).suggestions.map((item) => item.name)).toEqual(['Kettle']);
+  });
+
+  it('keeps at most five suggestions', () => {
+    const text = JSON.stringify(Array.from({ length: 8 }, (item, index) => ({ name: `App ${index}`, wattage: 100, hoursPerDay: 1 })));
+    expect(parseSuggestions(text).suggestions).toHaveLength(5);
+  });
+
+  it.each([
+    ['malformed JSON', 'not json', 'Suggestions are not valid JSON'],
+    ['an object instead of a list', '{"name":"Fan"}', 'Suggestions are not a list'],
+    ['nothing usable', '[{"name":"Fan"}]', 'No plausible suggestions'],
+  ])('reports %s', (label, text, error) => {
+    expect(parseSuggestions(text)).toEqual({ error, suggestions: [] });
+  });
+});
+
+describe('parseTips', () => {
+  it('trims the tips and rejects empty answers', () => {
+    expect(parseTips('  1. Switch off.  ')).toEqual({ error: '', tips: '1. Switch off.' });
+    expect(parseTips('   ').error).toBe('No tips returned');
+  });
+});
+
+describe('createAssistant', () => {
+  it('suggests missing appliances with the mock provider', async () => {
+    const assistant = createAssistant({ provider: createMockProvider() });
+    const { suggestions } = await assistant.suggestAppliances([{ ...appliances[0], name: 'Washing Machine' }], 'en');
+    expect(suggestions.length).toBeGreaterThan(0);
+    expect(suggestions.map((item) => item.name)).not.toContain('Washing Machine');
+  });
+
+  it('returns tips from the mock provider', async () => {
+    const { tips } = await createAssistant({ provider: createMockProvider() }).getEnergySavingTips(appliances, 'ar');
+    expect(tips).toMatch(/^1\./);
+  });
+
+  it('retries failures and unusable answers with growing delays', async () => {
+    const provider = createScriptedProvider([createProviderError('Busy', 429), 'not json', '[{"name":"Fan","wattage":75,"hoursPerDay":8}]']);
+    const sleep = vi.fn(async () => {});
+    const assistant = createAssistant({ provider, sleep, baseDelayMs: 100 });
+    expect((await assistant.suggestAppliances(appliances, 'en')).suggestions).toEqual([{ name: 'Fan', wattage: 75, hoursPerDay: 8 }]);
+    expect(provider.generateText).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+  });
+
+  it('gives up after the last retry with the last error', async () => {
+    const provider = createScriptedProvider(['[]', '[]', '[]']);
+    const assistant = createAssistant({ provider, sleep: async () => {} });
+    await expect(assistant.suggestAppliances(appliances, 'en')).rejects.toThrow('No plausible suggestions');
+    expect(provider.generateText).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors other than rate limiting', async () => {
+    const provider = createScriptedProvider([createProviderError('Bad key', 403)]);
+    const assistant = createAssistant({ provider, sleep: async () => {} });
+    await expect(assistant.getEnergySavingTips(appliances, 'en')).rejects.toThrow('Bad key');
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry calls that timed out', async () => {
+    const provider = createScriptedProvider([createProviderError('Timed out', TIMEOUT_STATUS), 'Tips']);
+    const assistant = createAssistant({ provider, sleep: async () => {} });
+    await expect(assistant.getEnergySavingTips(appliances, 'en')).rejects.toThrow('Timed out');
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers an identical prompt from the cache until it expires', async () => {
+    let time = 0;
+    const provider = createScriptedProvider(['First tips', 'Second tips']);
+    const assistant = createAssistant({ provider, now: () => time, cacheTtlMs: 1000 });
+    expect(await assistant.getEnergySavingTips(appliances, 'en')).toEqual({ tips: 'First tips' });
+    expect(await assistant.getEnergySavingTips(appliances, 'en')).toEqual({ tips: 'First tips' });
+    time = 1001;
+    expect(await assistant.getEnergySavingTips(appliances, 'en')).toEqual({ tips: 'Second tips' });
+    expect(provider.generateText).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('createGeminiProvider', () => {
+  it('posts the prompt and returns the text of the first candidate', async () => {
+    const fetchImpl = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ candidates: [{ content: { parts: [{ text: 'Tips' }] } }] }),
+    }));
+    const provider = createGeminiProvider({ apiKey: 'secret key', fetchImpl });
+    expect(await provider.generateText({ prompt: 'Hello' })).toBe('Tips');
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toContain('key=secret%20key');
+    expect(JSON.parse(request.body).contents[0].parts[0].text).toBe('Hello');
+  });
+
+  it('reports the upstream status of a failed request', async () => {
+    const provider = createGeminiProvider({ apiKey: 'key', fetchImpl: async () => ({ ok: false, status: 503 }) });
+    await expect(provider.generateText({ prompt: 'Hello' })).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('abandons calls that take longer than the timeout', async () => {
+    const fetchImpl = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const provider = createGeminiProvider({ apiKey: 'key', timeoutMs: 10, fetchImpl });
+    await expect(provider.generateText({ prompt: 'Hello' })).rejects.toMatchObject({ status: TIMEOUT_STATUS });
+  });
+});
+
+describe('createProviderFromEnv', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('uses the mock without an API key in development', () => {
+    vi.stubEnv('NODE_ENV', 'development');
+    vi.stubEnv('GEMINI_API_KEY', '');
+    expect(createProviderFromEnv().name).toBe('mock');
+  });
+
+  it('refuses to fall back to the mock in production without an API key', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('GEMINI_API_KEY', '');
+    vi.stubEnv('ASSISTANT_PROVIDER', '');
+    expect(() => createProviderFromEnv()).toThrow('GEMINI_API_KEY must be set');
+  });
+
+  it('uses the mock in production only when asked to', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('GEMINI_API_KEY', '');
+    vi.stubEnv('ASSISTANT_PROVIDER', 'mock');
+    expect(createProviderFromEnv().name).toBe('mock');
+  });
+
+  it('uses Gemini when a key is set', () => {
+    vi.stubEnv('GEMINI_MODEL', '');
+    vi.stubEnv('GEMINI_API_KEY', 'key');
+    vi.stubEnv('ASSISTANT_PROVIDER', '');
+    expect(createProviderFromEnv().name).toBe('gemini:gemini-2.0-flash');
+  });
+});
@@ -0,0 +1,85 @@
+// Checks model output before it reaches the calculator. Models can return malformed JSON
+// or implausible figures, so nothing is trusted until it passes these checks.
+
+const MAX_SUGGESTIONS = 5;
+const MAX_NAME_LENGTH = 100;
+const MIN_WATTAGE = 1;
+const MAX_WATTAGE = 10000; // Larger than any household appliance; anything above is a model error
+const MAX_HOURS_PER_DAY = 24;
+const MAX_TIPS_LENGTH = 4000;
+
+// Response schema sent to the model for appliance suggestions
+export const SUGGESTIONS_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      name: { type: 'STRING' },
+      wattage: { type: 'NUMBER' },
+      hoursPerDay: { type: 'NUMBER' },
+    },
+    required: ['name', 'wattage', 'hoursPerDay'],
+    propertyOrdering: ['name', 'wattage', 'hoursPerDay'],
+  },
+};
+
+/**
+ * Parses and validates appliance suggestions returned by a model.
+ * Implausible entries and appliances the user already has are dropped.
+ * @param {string} text - The model's JSON text.
+ * @param {Array} existingNames - Names of the appliances already listed.
+ * @returns {{ error: string, suggestions: Array }} An error message (empty when valid) and the cleaned suggestions.
+ */
+export const parseSuggestions = (text, existingNames = []) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { error: 'Suggestions are not valid JSON', suggestions: [] };
+  }
+  if (!Array.isArray(parsed)) {
+    return { error: 'Suggestions are not a list', suggestions: [] };
+  }
+
+  const seen = new Set(existingNames.map((name) => String(name).trim().toLowerCase()));
+  const suggestions = [];
+  for (const item of parsed) {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    const wattage = Number(item?.wattage);
+    const hoursPerDay = Number(item?.hoursPerDay);
+    if (
+      !name ||
+      name.length > MAX_NAME_LENGTH ||
+      seen.has(name.toLowerCase()) ||
+      !Number.isFinite(wattage) ||
+      wattage < MIN_WATTAGE ||
+      wattage > MAX_WATTAGE ||
+      !Number.isFinite(hoursPerDay) ||
+      hoursPerDay <= 0 ||
+      hoursPerDay > MAX_HOURS_PER_DAY
+    ) {
+      continue;
+    }
+    seen.add(name.toLowerCase());
+    suggestions.push({ name, wattage: Math.round(wattage), hoursPerDay });
+    if (suggestions.length === MAX_SUGGESTIONS) break;
+  }
+
+  if (suggestions.length === 0) {
+    return { error: 'No plausible suggestions', suggestions: [] };
+  }
+  return { error: '', suggestions };
+};
+
+/**
+ * Validates energy-saving tips returned by a model.
+ * @param {string} text - The model's plain-text answer.
+ * @returns {{ error: string, tips: string }} An error message (empty when valid) and the trimmed tips.
+ */
+export const parseTips = (text) => {
+  const tips = typeof text === 'string' ? text.trim() : '';
+  if (!tips) {
+    return { error: 'No tips returned', tips: '' };
+  }
+  return { error: '', tips: tips.slice(0, MAX_TIPS_LENGTH) };
+};
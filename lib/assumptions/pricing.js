@@ -0,0 +1,85 @@
+import { DEFAULT_ASSUMPTIONS } from '../solarEngine';
+import { TARIFF_CATEGORIES } from '../tariffs';
+
+// Pricing, efficiency and tariff assumptions that staff can change from the admin area
+// without a deploy. Each published set is a numbered version; quotes record the version
+// their estimate was calculated with.
+
+// Numeric engine assumptions that can be edited, with the range accepted for each
+export const EDITABLE_ASSUMPTIONS = [
+  { key: 'costPerWattSAR', label: 'Installed cost per watt (SAR)', min: 0.5, max: 50 },
+  { key: 'systemEfficiencyFactor', label: 'System efficiency (0-1)', min: 0.3, max: 1 },
+  { key: 'solarOffsetFraction', label: 'Share of solar output offsetting the bill (0-1)', min: 0, max: 1 },
+  { key: 'batteryInverterCostPerKWSAR', label: 'Battery inverter-charger cost per kW (SAR)', min: 0, max: 20000 },
+  { key: 'inverterSafetyMargin', label: 'Inverter headroom above peak load (e.g. 1.25)', min: 1, max: 3 },
+];
+
+// Highest tariff rate accepted, in SAR/kWh before VAT
+const MAX_TARIFF_RATE = 5;
+
+/**
+ * Returns the assumptions built into the code, used until staff publish a first version.
+ * @returns {object} The editable values and the tariff categories with their tiers.
+ */
+export const getBuiltInPricingAssumptions = () => ({
+  ...Object.fromEntries(EDITABLE_ASSUMPTIONS.map(({ key }) => [key, DEFAULT_ASSUMPTIONS[key]])),
+  tariffCategories: TARIFF_CATEGORIES.map(({ id, tiers }) => ({
+    id,
+    // JSON has no Infinity, so an open-ended last tier is stored with upTo: null
+    tiers: tiers.map(({ upTo, rate }) => ({ upTo: Number.isFinite(upTo) ? upTo : null, rate })),
+  })),
+});
+
+/**
+ * Validates a set of assumptions submitted from the admin area.
+ * @param {object} values - The editable values and tariff categories, as submitted.
+ * @returns {{ errors: object, value: object }} Error messages by field (empty when valid) and the cleaned values.
+ */
+export const validatePricingAssumptions = (values) => {
+  const errors = {};
+  const value = {};
+  // The request body is not trusted to have the expected shape
+  const isObject = (item) => item !== null && typeof item === 'object';
+  if (!isObject(values)) values = {};
+
+  for (const { key, label, min, max } of EDITABLE_ASSUMPTIONS) {
+    const number = Number(values[key]);
+    if (values[key] === '' || values[key] === null || !Number.isFinite(number) || number < min || number > max) {
+      errors[key] = `${label} must be between ${min} and ${max}.`;
+    }
+    value[key] = number;
+  }
+
+  value.tariffCategories = TARIFF_CATEGORIES.map(({ id }) => {
+    const categories = Array.isArray(values.tariffCategories) ? values.tariffCategories : [];
+    const submitted = categories.find((category) => isObject(category) && category.id === id);
+    const tiers = Array.isArray(submitted?.tiers) ? submitted.tiers : [];
+    const cleaned = tiers.map((tier, index) => ({
+      upTo: index === tiers.length - 1 ? null : Number(tier?.upTo),
+      rate: Number(tier?.rate),
+    }));
+    const isValid = cleaned.length > 0 && tiers.every(isObject) && cleaned.every((tier, index) =>
+      Number.isFinite(tier.rate) && tier.rate >= 0 && tier.rate <= MAX_TARIFF_RATE &&
+      (tier.upTo === null || (Number.isFinite(tier.upTo) && tier.upTo > (index > 0 ? cleaned[index - 1].upTo : 0)))
+    );
+    if (!isValid) {
+      errors[`tariff.${id}`] = `The ${id} tariff needs rates between 0 and ${MAX_TARIFF_RATE} SAR/kWh and increasing tier limits.`;
+    }
+    return { id, tiers: cleaned };
+  });
+
+  return { errors, value };
+};
+
+/**
+ * Converts stored assumptions into overrides for calculateSolarEstimate.
+ * @param {object} values - The values of an assumptions version.
+ * @returns {object} Assumption overrides, with open-ended tiers restored to Infinity.
+ */
+export const toEngineAssumptions = (values) => ({
+  ...Object.fromEntries(EDITABLE_ASSUMPTIONS.map(({ key }) => [key, values[key]])),
+  tariffCategories: values.tariffCategories.map(({ id, tiers }) => ({
+    id,
+    tiers: tiers.map(({ upTo, rate }) => ({ upTo: upTo === null ? Infinity : upTo, rate })),
+  })),
+});
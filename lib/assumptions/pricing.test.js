@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { getBuiltInPricingAssumptions, toEngineAssumptions, validatePricingAssumptions } from './pricing';
+
+const withResidentialTiers = (tiers) => ({
+  ...getBuiltInPricingAssumptions(),
+  tariffCategories: getBuiltInPricingAssumptions().tariffCategories
+    .map((category) => (category.id === 'residential' ? { ...category, tiers } : category)),
+});
+
+describe('validatePricingAssumptions', () => {
+  it('accepts the built-in assumptions unchanged', () => {
+    expect(validatePricingAssumptions(getBuiltInPricingAssumptions())).toEqual({ errors: {}, value: getBuiltInPricingAssumptions() });
+  });
+
+  it('reports values out of range or missing', () => {
+    const { errors } = validatePricingAssumptions({ ...getBuiltInPricingAssumptions(), costPerWattSAR: 0.1, systemEfficiencyFactor: '' });
+    expect(Object.keys(errors).sort()).toEqual(['costPerWattSAR', 'systemEfficiencyFactor']);
+  });
+
+  it('reports tiers with limits that do not increase or rates out of range', () => {
+    expect(validatePricingAssumptions(withResidentialTiers([{ upTo: 6000, rate: 0.18 }, { upTo: 4000, rate: 0.3 }, { upTo: null, rate: 0.3 }])).errors)
+      .toEqual({ 'tariff.residential': expect.any(String) });
+    expect(validatePricingAssumptions(withResidentialTiers([{ upTo: null, rate: 6 }])).errors)
+      .toEqual({ 'tariff.residential': expect.any(String) });
+  });
+
+  it('reports malformed input instead of throwing', () => {
+    for (const values of [undefined, null, 'cheap', []]) {
+      const { errors } = validatePricingAssumptions(values);
+      expect(errors).toHaveProperty('costPerWattSAR');
+      expect(errors).toHaveProperty('tariff.residential');
+    }
+    expect(validatePricingAssumptions({ ...getBuiltInPricingAssumptions(), tariffCategories: { residential: [] } }).errors)
+      .toHaveProperty('tariff.residential');
+    expect(validatePricingAssumptions({ ...getBuiltInPricingAssumptions(), tariffCategories: [null, 'residential'] }).errors)
+      .toHaveProperty('tariff.residential');
+    expect(validatePricingAssumptions(withResidentialTiers([null, { upTo: null, rate: 0.3 }])).errors)
+      .toEqual({ 'tariff.residential': expect.any(String) });
+  });
+});
+
+describe('toEngineAssumptions', () => {
+  it('restores open-ended tiers to Infinity', () => {
+    const { tariffCategories } = toEngineAssumptions(getBuiltInPricingAssumptions());
+    expect(tariffCategories.every(({ tiers }) => tiers[tiers.length - 1].upTo === Infinity)).toBe(true);
+  });
+});
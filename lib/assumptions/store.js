@@ -0,0 +1,183 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { collection, doc, getDoc, getDocs, limit, orderBy, query, runTransaction } from 'firebase/firestore';
+import { getServerAppId, getServerFirestore } from '../serverFirestore';
+import { getBuiltInPricingAssumptions } from './pricing';
+
+// Versioned storage for the pricing assumptions edited in the admin area.
+// Every store exposes the same async interface: list(), get(version), getCurrent() and
+// publish({ values, author, note }). Published versions are never changed; version 0 is the
+// set built into the code and is current until a first version is published.
+
+/**
+ * Describes the assumptions built into the code as version 0.
+ * @returns {object} The built-in version.
+ */
+const builtInVersion = () => ({
+  version: 0,
+  createdAt: null,
+  author: null,
+  note: 'Built-in defaults',
+  values: getBuiltInPricingAssumptions(),
+});
+
+/**
+ * Adds the version bookkeeping to a set of values.
+ * @param {Array} versions - The versions published so far.
+ * @param {object} entry - values, author and note of the new version.
+ * @param {Date} now - The publication time.
+ * @returns {object} The new version.
+ */
+const nextVersion = (versions, { values, author, note }, now) => ({
+  version: versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1,
+  createdAt: now.toISOString(),
+  author: author || null,
+  note: note || '',
+  values,
+});
+
+/**
+ * Creates a store that keeps assumption versions in memory. Useful for tests and local development.
+ * @returns {object} The assumptions store.
+ */
+export const createMemoryAssumptionsStore = () => {
+  const versions = [];
+
+  return {
+    async list() {
+      return [...versions].reverse().concat(builtInVersion());
+    },
+    async get(version) {
+      return Number(version) === 0 ? builtInVersion() : versions.find((entry) => entry.version === Number(version)) || null;
+    },
+    async getCurrent() {
+      return versions[versions.length - 1] || builtInVersion();
+    },
+    async publish(entry) {
+      const published = nextVersion(versions, entry, new Date());
+      versions.push(published);
+      return published;
+    },
+  };
+};
+
+/**
+ * Creates a store that writes each assumption version as a JSON file in a local directory.
+ * @param {object} options
+ * @param {string} options.dir - Directory the version files are written to.
+ * @returns {object} The assumptions store.
+ */
+export const createFileAssumptionsStore = ({ dir }) => {
+  const fileFor = (version) => path.join(dir, `v${Number(version)}.json`);
+
+  const readAll = async () => {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const versions = await Promise.all(
+      files
+        .filter((file) => /^v\d+\.json$/.test(file))
+        .map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+    );
+    return versions.sort((a, b) => a.version - b.version);
+  };
+
+  return {
+    async list() {
+      return (await readAll()).reverse().concat(builtInVersion());
+    },
+    async get(version) {
+      if (Number(version) === 0) return builtInVersion();
+      try {
+        return JSON.parse(await fs.readFile(fileFor(version), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async getCurrent() {
+      const versions = await readAll();
+      return versions[versions.length - 1] || builtInVersion();
+    },
+    async publish(entry) {
+      await fs.mkdir(dir, { recursive: true });
+      const published = nextVersion(await readAll(), entry, new Date());
+      // 'wx' refuses to overwrite, so two simultaneous publishes cannot share a version number
+      await fs.writeFile(fileFor(published.version), JSON.stringify(published, null, 2), { flag: 'wx' });
+      return published;
+    },
+  };
+};
+
+/**
+ * Creates a store keeping assumption versions in Firestore under artifacts/{appId}/assumptions,
+ * one document per version ('v1', 'v2', ...).
+ * @param {object} options
+ * @param {object|Function} options.db - The Firestore instance, or a function resolving to it, such as
+ *   getServerFirestore, which signs the server in first.
+ * @param {string} options.appId - The application id used to namespace the data.
+ * @returns {object} The assumptions store.
+ */
+export const createFirestoreAssumptionsStore = ({ db, appId }) => {
+  const database = async () => (typeof db === 'function' ? db() : db);
+  const versionsRef = async () => collection(await database(), 'artifacts', appId, 'assumptions');
+  const newestFirst = async (count) => {
+    const constraints = [orderBy('version', 'desc')];
+    if (count) constraints.push(limit(count));
+    const snapshot = await getDocs(query(await versionsRef(), ...constraints));
+    return snapshot.docs.map((item) => item.data());
+  };
+
+  return {
+    async list() {
+      return (await newestFirst()).concat(builtInVersion());
+    },
+    async get(version) {
+      if (Number(version) === 0) return builtInVersion();
+      const snapshot = await getDoc(doc(await versionsRef(), `v${Number(version)}`));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    async getCurrent() {
+      const [latest] = await newestFirst(1);
+      return latest || builtInVersion();
+    },
+    async publish(entry) {
+      const published = nextVersion(await newestFirst(1), entry, new Date());
+      const ref = doc(await versionsRef(), `v${published.version}`);
+      // Like the file store's 'wx', two simultaneous publishes cannot share a version number
+      await runTransaction(await database(), async (transaction) => {
+        if ((await transaction.get(ref)).exists()) {
+          throw new Error(`Assumptions version ${published.version} was published at the same time`);
+        }
+        transaction.set(ref, published);
+      });
+      return published;
+    },
+  };
+};
+
+let defaultStore = null;
+
+/**
+ * Returns the assumptions store configured through the environment.
+ * ASSUMPTIONS_STORE selects the backend: 'firestore' (the default in production, see lib/serverFirestore),
+ * 'file' (the default otherwise) or 'memory'; ASSUMPTIONS_STORE_DIR sets the directory used by the file backend.
+ * @returns {object} The shared assumptions store.
+ */
+export const getAssumptionsStore = () => {
+  if (!defaultStore) {
+    const backend = process.env.ASSUMPTIONS_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'file');
+    if (backend === 'memory') {
+      defaultStore = createMemoryAssumptionsStore();
+    } else if (backend === 'firestore') {
+      defaultStore = createFirestoreAssumptionsStore({ db: getServerFirestore, appId: getServerAppId() });
+    } else {
+      defaultStore = createFileAssumptionsStore({ dir: process.env.ASSUMPTIONS_STORE_DIR || path.join(process.cwd(), '.data', 'assumptions') });
+    }
+  }
+  return defaultStore;
+};
@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeFirestore } from '../testing/fakeFirestore';
+import { createFileAssumptionsStore, createFirestoreAssumptionsStore, createMemoryAssumptionsStore } from './store';
+import { getBuiltInPricingAssumptions } from './pricing';
+
+vi.mock('firebase/firestore', () => import('../testing/fakeFirestore'));
+
+const values = (costPerWattSAR) => ({ ...getBuiltInPricingAssumptions(), costPerWattSAR });
+
+const describeStore = (name, createStore) => {
+  describe(name, () => {
+    let store;
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    it('starts with the built-in version 0', async () => {
+      expect(await store.getCurrent()).toMatchObject({ version: 0, values: getBuiltInPricingAssumptions() });
+      expect((await store.list()).map((entry) => entry.version)).toEqual([0]);
+    });
+
+    it('numbers each published version and makes the newest current', async () => {
+      const first = await store.publish({ values: values(10), author: 'Noura', note: 'Spring prices' });
+      const second = await store.publish({ values: values(9) });
+      expect(first).toMatchObject({ version: 1, author: 'Noura', note: 'Spring prices' });
+      expect(second).toMatchObject({ version: 2, author: null, note: '' });
+      expect((await store.getCurrent()).values.costPerWattSAR).toBe(9);
+      expect((await store.list()).map((entry) => entry.version)).toEqual([2, 1, 0]);
+    });
+
+    it('returns earlier versions unchanged', async () => {
+      await store.publish({ values: values(10) });
+      await store.publish({ values: values(9) });
+      expect((await store.get(1)).values.costPerWattSAR).toBe(10);
+      expect((await store.get('0')).version).toBe(0);
+      expect(await store.get(7)).toBeNull();
+    });
+  });
+};
+
+describeStore('createMemoryAssumptionsStore', () => createMemoryAssumptionsStore());
+
+describe('file store', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eversolar-assumptions-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describeStore('createFileAssumptionsStore', () => createFileAssumptionsStore({ dir: path.join(dir, 'assumptions') }));
+});
+
+describeStore('createFirestoreAssumptionsStore', () => {
+  const db = createFakeFirestore();
+  return createFirestoreAssumptionsStore({ db: async () => db, appId: 'test-app' });
+});
+
+describe('createFirestoreAssumptionsStore', () => {
+  it('refuses to publish over a version saved in the meantime', async () => {
+    const db = createFakeFirestore();
+    const store = createFirestoreAssumptionsStore({ db, appId: 'test-app' });
+    // Another publish lands between reading the latest version and writing the next one
+    db.documents.set('artifacts/test-app/assumptions/v1', { version: 0 });
+    await expect(store.publish({ values: values(10) })).rejects.toThrow('published at the same time');
+  });
+});
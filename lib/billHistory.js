@@ -0,0 +1,229 @@
+import { estimateConsumptionFromBill } from './tariffs';
+
+// Consumption taken from past electricity bills instead of an appliance list.
+// Monthly values can be typed, pasted or read from a CSV export; months are January = 0 to December = 11.
+
+export const BILL_UNITS = ['kWh', 'SAR'];
+
+// Appliance and bill-based daily consumption differing by more than this share are flagged
+export const BILL_MISMATCH_THRESHOLD = 0.25;
+
+const MONTH_NAMES = [
+  ['jan', 'january', 'يناير', 'كانون الثاني'],
+  ['feb', 'february', 'فبراير', 'شباط'],
+  ['mar', 'march', 'مارس', 'آذار'],
+  ['apr', 'april', 'أبريل', 'ابريل', 'نيسان'],
+  ['may', 'مايو', 'أيار'],
+  ['jun', 'june', 'يونيو', 'حزيران'],
+  ['jul', 'july', 'يوليو', 'تموز'],
+  ['aug', 'august', 'أغسطس', 'اغسطس', 'آب'],
+  ['sep', 'sept', 'september', 'سبتمبر', 'أيلول'],
+  ['oct', 'october', 'أكتوبر', 'اكتوبر', 'تشرين الأول'],
+  ['nov', 'november', 'نوفمبر', 'تشرين الثاني'],
+  ['dec', 'december', 'ديسمبر', 'كانون الأول'],
+];
+
+const KWH_HEADER = /kwh|consumption|usage|units|استهلاك|الاستهلاك|كيلوواط/i;
+const AMOUNT_HEADER = /sar|amount|total|bill|cost|ريال|مبلغ|المبلغ|قيمة|القيمة|فاتورة/i;
+const MONTH_HEADER = /month|date|period|شهر|الشهر|تاريخ|التاريخ|فترة/i;
+
+/**
+ * Converts Arabic-Indic digits and separators to their ASCII equivalents.
+ * @param {string} text - The raw text.
+ * @returns {string} The text with ASCII digits.
+ */
+export const toAsciiDigits = (text) => text
+  .replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/٫/g, '.')
+  .replace(/٬/g, ',');
+
+/**
+ * Reads a number such as '1,234.5' or 'SAR 980'.
+ * @param {string} cell - The raw cell.
+ * @returns {number|null} The number, or null when the cell holds none.
+ */
+const parseAmount = (cell) => {
+  const match = toAsciiDigits(cell).replace(/,(?=\d{3}\b)/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Works out the month a cell refers to, from a date ('2024-03-15', '15/03/2024', '03/2024') or a month name.
+ * @param {string} cell - The raw cell.
+ * @returns {number|null} The month index (0-11), or null when it cannot be told.
+ */
+export const parseBillMonth = (cell) => {
+  const text = toAsciiDigits(String(cell)).trim().toLowerCase();
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})/);
+  if (iso) return Number(iso[2]) >= 1 && Number(iso[2]) <= 12 ? Number(iso[2]) - 1 : null;
+  const dayFirst = text.match(/^(?:\d{1,2}[-/.])?(\d{1,2})[-/.]\d{4}$/);
+  if (dayFirst) return Number(dayFirst[1]) >= 1 && Number(dayFirst[1]) <= 12 ? Number(dayFirst[1]) - 1 : null;
+  const month = MONTH_NAMES.findIndex((names) => names.some((name) =>
+    /^[a-z]+$/.test(name) ? new RegExp(`\\b${name}\\b`).test(text) : text.includes(name)
+  ));
+  return month === -1 ? null : month;
+};
+
+/**
+ * Splits one CSV line into cells, honouring double quotes around cells that contain separators.
+ * @param {string} line - The CSV line.
+ * @returns {Array} The cells.
+ */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === ',' || char === ';' || char === '\t')) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Reads bill rows from a CSV export or pasted text.
+ * With a header row, the month, kWh and amount columns are found by name (English or Arabic);
+ * without one, a month is read from the first cell and an unlabelled value from the last number on the line.
+ * @param {string} text - The CSV or pasted text.
+ * @returns {{ rows: Array, skippedLines: number }} Rows of { month, kWh, amountSAR, value } and the count of unreadable lines.
+ */
+export const parseBillCsv = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const rows = [];
+  let skippedLines = 0;
+  let columns = null;
+
+  lines.forEach((line, index) => {
+    const cells = splitCsvLine(line);
+    if (index === 0 && cells.some((cell) => KWH_HEADER.test(cell) || AMOUNT_HEADER.test(cell))) {
+      columns = {
+        month: cells.findIndex((cell) => MONTH_HEADER.test(cell)),
+        kWh: cells.findIndex((cell) => KWH_HEADER.test(cell)),
+        amount: cells.findIndex((cell) => AMOUNT_HEADER.test(cell) && !KWH_HEADER.test(cell) && !MONTH_HEADER.test(cell)),
+      };
+      return;
+    }
+
+    // Plain pasted lists may hold several values per line, e.g. '1200, 1350, 1800'
+    const values = cells.flatMap((cell) => cell.split(/\s+/)).filter(Boolean);
+    if (!columns && values.every((value) => parseAmount(value) !== null && parseBillMonth(value) === null)) {
+      values.forEach((value) => rows.push({ month: null, kWh: null, amountSAR: null, value: parseAmount(value) }));
+      return;
+    }
+
+    const row = columns
+      ? {
+        month: columns.month === -1 ? null : parseBillMonth(cells[columns.month] || ''),
+        kWh: columns.kWh === -1 ? null : parseAmount(cells[columns.kWh] || ''),
+        amountSAR: columns.amount === -1 ? null : parseAmount(cells[columns.amount] || ''),
+        value: null,
+      }
+      : {
+        month: parseBillMonth(cells[0]),
+        kWh: null,
+        amountSAR: null,
+        value: cells.length > 1 ? parseAmount(cells[cells.length - 1]) : null,
+      };
+
+    if ([row.kWh, row.amountSAR, row.value].every((value) => value === null || value < 0)) {
+      skippedLines += 1;
+      return;
+    }
+    rows.push(row);
+  });
+
+  return { rows, skippedLines };
+};
+
+/**
+ * Turns parsed bill rows into twelve monthly values. Rows without a month are taken in order
+ * from January; several bills for the same month (e.g. two years of history) are averaged.
+ * @param {Array} rows - Rows from parseBillCsv.
+ * @param {string} unit - 'kWh' or 'SAR', the column to take from labelled rows; unlabelled values are taken as they are.
+ * @returns {Array} Twelve values, null where no bill was given.
+ */
+export const rowsToMonthlyValues = (rows, unit) => {
+  const sums = new Array(12).fill(0);
+  const counts = new Array(12).fill(0);
+  let nextMonth = 0;
+
+  for (const row of rows) {
+    const value = row.value ?? (unit === 'SAR' ? row.amountSAR : row.kWh);
+    if (value === null || value === undefined) continue;
+    const month = row.month ?? nextMonth % 12;
+    nextMonth = month + 1;
+    sums[month] += value;
+    counts[month] += 1;
+  }
+  return sums.map((sum, month) => (counts[month] > 0 ? sum / counts[month] : null));
+};
+
+/**
+ * Picks the unit to import a CSV in: kWh when any row has a kWh column, the bill amount when
+ * only that is labelled, and null for unlabelled values whose unit only the user knows.
+ * @param {Array} rows - Rows from parseBillCsv.
+ * @returns {string|null} 'kWh', 'SAR' or null.
+ */
+export const detectBillUnit = (rows) => {
+  if (rows.some((row) => row.kWh !== null)) return 'kWh';
+  if (rows.some((row) => row.amountSAR !== null)) return 'SAR';
+  return null;
+};
+
+/**
+ * Infers annual consumption and seasonality from up to twelve monthly bills.
+ * Months without a bill are filled with the average of the others.
+ * @param {Array} monthlyValues - Twelve values (kWh or SAR), '' or null where missing.
+ * @param {object} [options]
+ * @param {string} [options.unit] - 'kWh' or 'SAR'.
+ * @param {string} [options.tariffCategory] - Used to turn SAR amounts back into kWh.
+ * @returns {object|null} The analysis, or null when no month has a value.
+ */
+export const analyseBillHistory = (monthlyValues, { unit = 'kWh', tariffCategory } = {}) => {
+  const provided = monthlyValues.map((value) => {
+    const number = value === '' || value === null || value === undefined ? NaN : Number(value);
+    if (!Number.isFinite(number) || number < 0) return null;
+    return unit === 'SAR' ? estimateConsumptionFromBill(number, tariffCategory) : number;
+  });
+  const known = provided.filter((value) => value !== null);
+  if (known.length === 0) return null;
+
+  const averageKWh = known.reduce((sum, value) => sum + value, 0) / known.length;
+  const monthlyKWh = provided.map((value) => value ?? averageKWh);
+  const annualKWh = monthlyKWh.reduce((sum, value) => sum + value, 0);
+  const meanMonthlyKWh = annualKWh / 12;
+
+  return {
+    monthlyKWh,
+    estimatedMonths: provided.map((value) => value === null),
+    providedMonths: known.length,
+    annualKWh,
+    averageDailyKWh: annualKWh / 365,
+    // Each month relative to the average month, e.g. 1.6 for a summer month using 60% more
+    seasonality: monthlyKWh.map((value) => (meanMonthlyKWh > 0 ? value / meanMonthlyKWh : 0)),
+    peakMonth: monthlyKWh.indexOf(Math.max(...monthlyKWh)),
+  };
+};
+
+/**
+ * Compares the daily consumption implied by the appliance list with the bills.
+ * @param {number} billDailyKWh - Average daily consumption from the bills.
+ * @param {number} applianceDailyKWh - Daily consumption of the appliance list.
+ * @returns {object} Both figures, the relative difference and whether it is large enough to flag.
+ */
+export const reconcileWithAppliances = (billDailyKWh, applianceDailyKWh) => {
+  const difference = billDailyKWh > 0 ? (applianceDailyKWh - billDailyKWh) / billDailyKWh : 0;
+  return {
+    billDailyKWh,
+    applianceDailyKWh,
+    difference,
+    isMismatch: applianceDailyKWh > 0 && Math.abs(difference) > BILL_MISMATCH_THRESHOLD,
+  };
+};
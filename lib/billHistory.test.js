@@ -0,0 +1,173 @@
+import { describe, expect, it } from 'vitest';
+import {
+  analyseBillHistory,
+  detectBillUnit,
+  parseBillCsv,
+  parseBillMonth,
+  reconcileWithAppliances,
+  rowsToMonthlyValues,
+  toAsciiDigits,
+} from './billHistory';
+import { estimateConsumptionFromBill } from './tariffs';
+
+describe('toAsciiDigits', () => {
+  it('converts Arabic-Indic digits and separators', () => {
+    expect(toAsciiDigits('١٬٢٣٤٫٥')).toBe('1,234.5');
+    expect(toAsciiDigits('SAR 180')).toBe('SAR 180');
+  });
+});
+
+describe('parseBillMonth', () => {
+  it.each([
+    ['2024-03-15', 2],
+    ['2024/11', 10],
+    ['15/03/2024', 2],
+    ['03/2024', 2],
+    ['٢٠٢٤-٠٧-٠١', 6],
+  ])('reads the month of the date %s', (cell, month) => {
+    expect(parseBillMonth(cell)).toBe(month);
+  });
+
+  it.each([
+    ['Jan', 0],
+    ['March 2024', 2],
+    ['SEPT', 8],
+    ['مارس ٢٠٢٤', 2],
+    ['تشرين الثاني', 10],
+    ['كانون الأول', 11],
+  ])('reads the month name in %s', (cell, month) => {
+    expect(parseBillMonth(cell)).toBe(month);
+  });
+
+  it('returns null for impossible months and text without one', () => {
+    expect(parseBillMonth('2024-13-01')).toBeNull();
+    expect(parseBillMonth('31/00/2024')).toBeNull();
+    expect(parseBillMonth('Maybe')).toBeNull();
+    expect(parseBillMonth('')).toBeNull();
+  });
+});
+
+describe('parseBillCsv', () => {
+  it('finds the month, kWh and amount columns by their headers', () => {
+    const csv = 'Month,Consumption (kWh),Amount (SAR)\n2024-01,"1,200",SAR 180\n2024-02,1350,202.5';
+    expect(parseBillCsv(csv)).toEqual({
+      rows: [
+        { month: 0, kWh: 1200, amountSAR: 180, value: null },
+        { month: 1, kWh: 1350, amountSAR: 202.5, value: null },
+      ],
+      skippedLines: 0,
+    });
+  });
+
+  it('reads Arabic headers, semicolons and Arabic-Indic digits', () => {
+    const csv = 'الشهر;الاستهلاك;المبلغ\r\nيناير;١٬٢٠٠;١٨٠٫٥';
+    expect(parseBillCsv(csv).rows).toEqual([{ month: 0, kWh: 1200, amountSAR: 180.5, value: null }]);
+  });
+
+  it('does not split on separators inside quotes', () => {
+    const { rows } = parseBillCsv('"March, 2024","1,500"\n"Apr; 2024"\t"1,650"');
+    expect(rows).toEqual([
+      { month: 2, kWh: null, amountSAR: null, value: 1500 },
+      { month: 3, kWh: null, amountSAR: null, value: 1650 },
+    ]);
+  });
+
+  it('reads a month and the last number from lines without a header', () => {
+    expect(parseBillCsv('Jan,paid,1200\nFeb,1350').rows).toEqual([
+      { month: 0, kWh: null, amountSAR: null, value: 1200 },
+      { month: 1, kWh: null, amountSAR: null, value: 1350 },
+    ]);
+  });
+
+  it('reads pasted lists of values without months', () => {
+    expect(parseBillCsv('1200, 1350 1800\n٩٠٠').rows.map((row) => [row.month, row.value])).toEqual([
+      [null, 1200],
+      [null, 1350],
+      [null, 1800],
+      [null, 900],
+    ]);
+  });
+
+  it('counts lines without a usable value', () => {
+    expect(parseBillCsv('Jan,1200\nTotal,n/a\nFeb,-5\n\n')).toEqual({
+      rows: [{ month: 0, kWh: null, amountSAR: null, value: 1200 }],
+      skippedLines: 2,
+    });
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseBillCsv('')).toEqual({ rows: [], skippedLines: 0 });
+    expect(parseBillCsv(null)).toEqual({ rows: [], skippedLines: 0 });
+  });
+});
+
+describe('rowsToMonthlyValues', () => {
+  it('takes the column of the chosen unit and averages bills for the same month', () => {
+    const rows = [
+      { month: 0, kWh: 1000, amountSAR: 150, value: null },
+      { month: 0, kWh: 1200, amountSAR: 180, value: null },
+      { month: 5, kWh: 2000, amountSAR: 300, value: null },
+    ];
+    const kWh = rowsToMonthlyValues(rows, 'kWh');
+    expect(kWh[0]).toBe(1100);
+    expect(kWh[5]).toBe(2000);
+    expect(kWh.filter((value) => value === null)).toHaveLength(10);
+    expect(rowsToMonthlyValues(rows, 'SAR')[0]).toBe(165);
+  });
+
+  it('places values without a month in order, from January or after the last month', () => {
+    const rows = [
+      { month: null, kWh: null, amountSAR: null, value: 1 },
+      { month: null, kWh: null, amountSAR: null, value: 2 },
+      { month: 10, kWh: null, amountSAR: null, value: 11 },
+      { month: null, kWh: null, amountSAR: null, value: 12 },
+      { month: null, kWh: null, amountSAR: null, value: 13 },
+    ];
+    const values = rowsToMonthlyValues(rows, 'kWh');
+    expect(values.slice(0, 2)).toEqual([7, 2]);
+    expect(values.slice(10)).toEqual([11, 12]);
+  });
+});
+
+describe('detectBillUnit', () => {
+  it('prefers kWh, then the bill amount, and leaves unlabelled values to the user', () => {
+    expect(detectBillUnit([{ kWh: 1200, amountSAR: 180 }])).toBe('kWh');
+    expect(detectBillUnit([{ kWh: null, amountSAR: 180 }])).toBe('SAR');
+    expect(detectBillUnit([{ kWh: null, amountSAR: null, value: 1200 }])).toBeNull();
+  });
+});
+
+describe('analyseBillHistory', () => {
+  it('fills missing months with the average and measures seasonality', () => {
+    const values = [1000, 1000, '', 1000, 1000, 2000, 2000, 2000, 1000, 1000, 1000, null];
+    const analysis = analyseBillHistory(values);
+    expect(analysis.providedMonths).toBe(10);
+    expect(analysis.monthlyKWh[2]).toBe(1300);
+    expect(analysis.estimatedMonths.filter(Boolean)).toHaveLength(2);
+    expect(analysis.annualKWh).toBe(15600);
+    expect(analysis.averageDailyKWh).toBeCloseTo(15600 / 365, 9);
+    expect(analysis.seasonality[5]).toBeCloseTo(2000 / 1300, 9);
+    expect(analysis.peakMonth).toBe(5);
+  });
+
+  it('turns bill amounts into kWh with the tariff', () => {
+    const analysis = analyseBillHistory([300, ...new Array(11).fill(null)], { unit: 'SAR', tariffCategory: 'residential' });
+    expect(analysis.monthlyKWh[0]).toBeCloseTo(estimateConsumptionFromBill(300, 'residential'), 9);
+  });
+
+  it('ignores negative and non-numeric values, and returns null without any bill', () => {
+    expect(analyseBillHistory([-100, 'abc', ...new Array(10).fill('')])).toBeNull();
+  });
+});
+
+describe('reconcileWithAppliances', () => {
+  it('flags appliance lists far from the bills', () => {
+    expect(reconcileWithAppliances(40, 20)).toEqual({ billDailyKWh: 40, applianceDailyKWh: 20, difference: -0.5, isMismatch: true });
+    expect(reconcileWithAppliances(40, 45).isMismatch).toBe(false);
+  });
+
+  it('does not flag an empty appliance list or missing bills', () => {
+    expect(reconcileWithAppliances(40, 0).isMismatch).toBe(false);
+    expect(reconcileWithAppliances(0, 20)).toMatchObject({ difference: 0, isMismatch: false });
+  });
+});
@@ -0,0 +1,84 @@
+// Downloads of the result charts as SVG or PNG files, e.g. for presentations. Browser only.
+
+/**
+ * Saves a blob as a file through a temporary link.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download only after the click handler returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Writes a chart as a standalone SVG document with a white background and a fixed size,
+ * so it opens the same way in image viewers, slides and documents.
+ * @param {SVGSVGElement} svg - The chart drawn on the page.
+ * @returns {{ text: string, width: number, height: number }} The SVG document and its size.
+ */
+export const serialiseChartSvg = (svg) => {
+  const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+  const copy = svg.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', String(width));
+  copy.setAttribute('height', String(height));
+  copy.removeAttribute('class');
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  copy.insertBefore(background, copy.firstChild);
+  return {
+    text: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`,
+    width,
+    height,
+  };
+};
+
+/**
+ * Downloads a chart as an SVG file.
+ * @param {SVGSVGElement} svg - The chart drawn on the page.
+ * @param {string} fileName - The file name, without extension.
+ */
+export const downloadChartSvg = (svg, fileName) => {
+  downloadBlob(new Blob([serialiseChartSvg(svg).text], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+};
+
+/**
+ * Downloads a chart as a PNG image, drawn at a multiple of its size so it stays sharp in slides.
+ * @param {SVGSVGElement} svg - The chart drawn on the page.
+ * @param {string} fileName - The file name, without extension.
+ * @param {object} [options]
+ * @param {number} [options.scale] - Pixels per SVG unit.
+ * @returns {Promise<void>} Settles once the download has started.
+ */
+export const downloadChartPng = (svg, fileName, { scale = 2 } = {}) => new Promise((resolve, reject) => {
+  const { text, width, height } = serialiseChartSvg(svg);
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('The chart could not be converted to PNG'));
+        return;
+      }
+      downloadBlob(blob, `${fileName}.png`);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The chart could not be converted to PNG'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,101 @@
+// Data preparation and scales for the result charts. The charts are drawn as plain SVG by the
+// components, with colours set as attributes rather than classes so exported files look the same.
+
+export const CHART_COLORS = {
+  production: '#eab308',
+  consumption: '#3b82f6',
+  savings: '#16a34a',
+  loss: '#dc2626',
+  other: '#9ca3af',
+  grid: '#e5e7eb',
+  axis: '#6b7280',
+  text: '#374151',
+};
+
+// Appliances shown individually in the consumption chart; the rest are grouped as 'other'
+export const MAX_CHART_APPLIANCES = 8;
+
+/**
+ * Orders the appliances by daily consumption, largest first, grouping the smallest together.
+ * @param {Array} breakdown - The estimate's per-appliance breakdown (id, name, dailyKWh, share).
+ * @param {object} [options]
+ * @param {number} [options.maxItems] - Appliances listed individually.
+ * @returns {Array} id, name, dailyKWh and share of each item; the grouped item has id 'other' and the count it holds.
+ */
+export const summariseApplianceShares = (breakdown, { maxItems = MAX_CHART_APPLIANCES } = {}) => {
+  const sorted = breakdown
+    .filter((row) => row.dailyKWh > 0)
+    .map(({ id, name, dailyKWh, share }) => ({ id, name, dailyKWh, share }))
+    .sort((a, b) => b.dailyKWh - a.dailyKWh);
+  if (sorted.length <= maxItems) return sorted;
+
+  const rest = sorted.slice(maxItems - 1);
+  return [
+    ...sorted.slice(0, maxItems - 1),
+    {
+      id: 'other',
+      name: '',
+      dailyKWh: rest.reduce((sum, row) => sum + row.dailyKWh, 0),
+      share: rest.reduce((sum, row) => sum + row.share, 0),
+      count: rest.length,
+    },
+  ];
+};
+
+/**
+ * Rounds a step up to 1, 2, 2.5 or 5 times a power of ten, so axis labels are easy to read.
+ * @param {number} step - The raw step.
+ * @returns {number} The rounded step.
+ */
+const toNiceStep = (step) => {
+  const magnitude = 10 ** Math.floor(Math.log10(step));
+  const nice = [1, 2, 2.5, 5, 10].find((factor) => factor * magnitude >= step);
+  return nice * magnitude;
+};
+
+/**
+ * Works out a value axis covering the data, including zero, with evenly spaced round ticks.
+ * @param {number} min - The smallest value drawn.
+ * @param {number} max - The largest value drawn.
+ * @param {number} [tickCount] - Roughly how many intervals to divide the axis in.
+ * @returns {{ min: number, max: number, ticks: Array<number> }} The axis range and tick values.
+ */
+export const getNiceScale = (min, max, tickCount = 4) => {
+  const low = Math.min(0, min);
+  const high = Math.max(0, max);
+  if (high === low) return { min: 0, max: 1, ticks: [0, 1] };
+
+  const step = toNiceStep((high - low) / tickCount);
+  const scaleMin = Math.floor(low / step) * step;
+  const scaleMax = Math.ceil(high / step) * step;
+  const ticks = [];
+  for (let tick = scaleMin; tick <= scaleMax + step / 2; tick += step) {
+    // Avoids labels such as 0.30000000000000004
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return { min: scaleMin, max: scaleMax, ticks };
+};
+
+/**
+ * Creates a function placing a value on an axis.
+ * @param {{ min: number, max: number }} scale - The axis range.
+ * @param {number} start - Position of the scale's minimum, in SVG units.
+ * @param {number} end - Position of the scale's maximum.
+ * @returns {Function} value => position.
+ */
+export const createLinearScale = ({ min, max }, start, end) => (value) => start + ((value - min) / (max - min)) * (end - start);
+
+/**
+ * Finds the months where the system produces the most and least, and where consumption peaks.
+ * @param {Array} monthlyProduction - The estimate's monthly rows (month, productionKWh, consumptionKWh).
+ * @returns {object|null} bestMonth, worstMonth and peakConsumptionMonth rows; null without data.
+ */
+export const describeMonthlyExtremes = (monthlyProduction) => {
+  if (!monthlyProduction || monthlyProduction.length === 0) return null;
+  const pick = (better) => monthlyProduction.reduce((found, month) => (better(month, found) ? month : found));
+  return {
+    bestMonth: pick((month, found) => month.productionKWh > found.productionKWh),
+    worstMonth: pick((month, found) => month.productionKWh < found.productionKWh),
+    peakConsumptionMonth: pick((month, found) => month.consumptionKWh > found.consumptionKWh),
+  };
+};
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { createLinearScale, describeMonthlyExtremes, getNiceScale, summariseApplianceShares } from './charts';
+
+const row = (id, dailyKWh, total = 100) => ({ id, name: `Appliance ${id}`, dailyKWh, share: dailyKWh / total, monthlyKWh: [] });
+
+describe('summariseApplianceShares', () => {
+  it('orders appliances by consumption and leaves out those using nothing', () => {
+    const items = summariseApplianceShares([row(1, 10), row(2, 0), row(3, 50), row(4, 40)]);
+    expect(items).toEqual([
+      { id: 3, name: 'Appliance 3', dailyKWh: 50, share: 0.5 },
+      { id: 4, name: 'Appliance 4', dailyKWh: 40, share: 0.4 },
+      { id: 1, name: 'Appliance 1', dailyKWh: 10, share: 0.1 },
+    ]);
+  });
+
+  it('groups the smallest appliances beyond the limit', () => {
+    const items = summariseApplianceShares([row(1, 40), row(2, 30), row(3, 20), row(4, 6), row(5, 4)], { maxItems: 3 });
+    expect(items.map((item) => item.id)).toEqual([1, 2, 'other']);
+    expect(items[2]).toMatchObject({ name: '', dailyKWh: 30, count: 3 });
+    expect(items[2].share).toBeCloseTo(0.3, 9);
+  });
+
+  it('lists up to the limit without grouping', () => {
+    const breakdown = Array.from({ length: 8 }, (_, index) => row(index + 1, index + 1));
+    expect(summariseApplianceShares(breakdown).some((item) => item.id === 'other')).toBe(false);
+    expect(summariseApplianceShares([...breakdown, row(9, 9)]).at(-1)).toMatchObject({ id: 'other', count: 2 });
+  });
+
+  it('returns nothing for an empty breakdown', () => {
+    expect(summariseApplianceShares([])).toEqual([]);
+  });
+});
+
+describe('getNiceScale', () => {
+  it('covers the data from zero with round steps', () => {
+    expect(getNiceScale(0, 1234)).toEqual({ min: 0, max: 1500, ticks: [0, 500, 1000, 1500] });
+    expect(getNiceScale(0, 0.9)).toEqual({ min: 0, max: 1, ticks: [0, 0.25, 0.5, 0.75, 1] });
+  });
+
+  it('always includes zero', () => {
+    expect(getNiceScale(5, 20).min).toBe(0);
+    expect(getNiceScale(-800, -100)).toEqual({ min: -800, max: 0, ticks: [-800, -600, -400, -200, 0] });
+  });
+
+  it('spans negative and positive values', () => {
+    expect(getNiceScale(-350, 1000)).toEqual({ min: -500, max: 1000, ticks: [-500, 0, 500, 1000] });
+  });
+
+  it('keeps tick labels free of floating-point noise', () => {
+    expect(getNiceScale(0, 0.55).ticks).toEqual([0, 0.2, 0.4, 0.6]);
+  });
+
+  it('falls back to a unit axis without any range', () => {
+    expect(getNiceScale(0, 0)).toEqual({ min: 0, max: 1, ticks: [0, 1] });
+  });
+});
+
+describe('createLinearScale', () => {
+  it('maps the axis range onto positions, also upside down as for SVG y', () => {
+    expect(createLinearScale({ min: 0, max: 100 }, 40, 240)(25)).toBe(90);
+    expect(createLinearScale({ min: 0, max: 100 }, 300, 0)(25)).toBe(225);
+    expect(createLinearScale({ min: -50, max: 50 }, 0, 100)(0)).toBe(50);
+  });
+});
+
+describe('describeMonthlyExtremes', () => {
+  const months = [
+    { month: 0, productionKWh: 300, consumptionKWh: 500 },
+    { month: 5, productionKWh: 520, consumptionKWh: 900 },
+    { month: 6, productionKWh: 520, consumptionKWh: 950 },
+    { month: 11, productionKWh: 280, consumptionKWh: 450 },
+  ];
+
+  it('finds the best and worst production months and the consumption peak', () => {
+    const { bestMonth, worstMonth, peakConsumptionMonth } = describeMonthlyExtremes(months);
+    expect(bestMonth.month).toBe(5);
+    expect(worstMonth.month).toBe(11);
+    expect(peakConsumptionMonth.month).toBe(6);
+  });
+
+  it('returns null without monthly data', () => {
+    expect(describeMonthlyExtremes([])).toBeNull();
+    expect(describeMonthlyExtremes(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+// Signed tokens the server hands to each browser when the calculator is opened. They carry a
+// client id the server chose, so rate limits are keyed on something a request cannot simply
+// rename, and the time they were issued, so the quotes API can tell how long the form was open.
+// The client id is also kept in a cookie, so reloading the page keeps the same id.
+
+export const CLIENT_ID_COOKIE = 'eversolar_client';
+
+// Tokens are accepted for a day; the calculator fetches a new one when its token is older
+export const CLIENT_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+// Outside production a key made at start-up will do; tokens then only last until a restart
+let developmentSecret = null;
+
+/**
+ * Returns the key tokens are signed with.
+ * @returns {string} CLIENT_TOKEN_SECRET, or a key for this process outside production.
+ */
+const getSecret = () => {
+  if (process.env.CLIENT_TOKEN_SECRET) return process.env.CLIENT_TOKEN_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CLIENT_TOKEN_SECRET is not set');
+  }
+  developmentSecret = developmentSecret || crypto.randomBytes(32).toString('hex');
+  return developmentSecret;
+};
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Returns the client id from the request's cookie, or a new one.
+ * @param {object} req - The API request.
+ * @returns {{ clientId: string, isNew: boolean }} The id, and whether it still has to be set as a cookie.
+ */
+export const getOrCreateClientId = (req) => {
+  const existing = req.cookies?.[CLIENT_ID_COOKIE];
+  if (typeof existing === 'string' && CLIENT_ID_PATTERN.test(existing)) {
+    return { clientId: existing, isNew: false };
+  }
+  return { clientId: crypto.randomBytes(16).toString('base64url'), isNew: true };
+};
+
+/**
+ * Builds the Set-Cookie header value that keeps a client id for a year.
+ * @param {string} clientId - The id.
+ * @returns {string} The header value.
+ */
+export const clientIdCookie = (clientId) => [
+  `${CLIENT_ID_COOKIE}=${clientId}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${365 * 24 * 60 * 60}`,
+  ...(process.env.NODE_ENV === 'production' ? ['Secure'] : []),
+].join('; ');
+
+/**
+ * Creates a signed token for a client id.
+ * @param {string} clientId - The id the server chose for the browser.
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @param {string} [options.secret] - Signing key; defaults to the environment.
+ * @returns {string} The token, '<issued at>.<client id>.<signature>'.
+ */
+export const createClientToken = (clientId, { now = Date.now(), secret = getSecret() } = {}) => {
+  const payload = `${now}.${clientId}`;
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Checks a token's signature and age.
+ * @param {string} token - The token sent with a request.
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @param {string} [options.secret] - Signing key; defaults to the environment.
+ * @returns {{ clientId: string, ageMs: number }|null} The client id and how long ago the token was
+ *   issued, or null when the token is missing, forged or expired.
+ */
+export const readClientToken = (token, { now = Date.now(), secret = getSecret() } = {}) => {
+  if (typeof token !== 'string') return null;
+  const [issuedAt, clientId, signature, ...rest] = token.split('.');
+  if (rest.length > 0 || !/^\d+$/.test(issuedAt || '') || !CLIENT_ID_PATTERN.test(clientId || '') || !signature) return null;
+
+  // Hashing first gives equal-length buffers, as timingSafeEqual requires
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(hash(signature), hash(sign(`${issuedAt}.${clientId}`, secret)))) return null;
+
+  const ageMs = now - Number(issuedAt);
+  return ageMs >= 0 && ageMs <= CLIENT_TOKEN_TTL_MS ? { clientId, ageMs } : null;
+};
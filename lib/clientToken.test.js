@@ -0,0 +1,62 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  clientIdCookie,
+  createClientToken,
+  getOrCreateClientId,
+  readClientToken,
+  CLIENT_ID_COOKIE,
+  CLIENT_TOKEN_TTL_MS,
+} from './clientToken';
+
+const secret = 'test-secret';
+const clientId = 'AAAAAAAAAAAAAAAAAAAAAA';
+
+describe('client tokens', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('reads back the client id and the age of a token', () => {
+    const token = createClientToken(clientId, { now: 1000, secret });
+    expect(readClientToken(token, { now: 4500, secret })).toEqual({ clientId, ageMs: 3500 });
+  });
+
+  it('refuses edited, foreign and expired tokens', () => {
+    const token = createClientToken(clientId, { now: 1000, secret });
+    const [, id, signature] = token.split('.');
+    expect(readClientToken(`0.${id}.${signature}`, { now: 4500, secret })).toBeNull();
+    expect(readClientToken(`1000.BBBBBBBBBBBBBBBBBBBBBB.${signature}`, { now: 4500, secret })).toBeNull();
+    expect(readClientToken(token, { now: 4500, secret: 'other-secret' })).toBeNull();
+    expect(readClientToken(token, { now: 1000 + CLIENT_TOKEN_TTL_MS + 1, secret })).toBeNull();
+    expect(readClientToken(token, { now: 999, secret })).toBeNull();
+  });
+
+  it.each([undefined, '', 'abc', `1.${clientId}.x.y`])('refuses %s', (token) => {
+    expect(readClientToken(token, { now: 0, secret })).toBeNull();
+  });
+
+  it('requires a secret in production', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('CLIENT_TOKEN_SECRET', '');
+    expect(() => createClientToken(clientId)).toThrow('CLIENT_TOKEN_SECRET');
+    vi.stubEnv('CLIENT_TOKEN_SECRET', secret);
+    expect(readClientToken(createClientToken(clientId))).toMatchObject({ clientId });
+  });
+});
+
+describe('client ids', () => {
+  it('keeps the id from the cookie', () => {
+    expect(getOrCreateClientId({ cookies: { [CLIENT_ID_COOKIE]: clientId } })).toEqual({ clientId, isNew: false });
+  });
+
+  it('issues a new id when the cookie is missing or malformed', () => {
+    const { clientId: issued, isNew } = getOrCreateClientId({ cookies: { [CLIENT_ID_COOKIE]: 'chosen-by-me' } });
+    expect(isNew).toBe(true);
+    expect(issued).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(getOrCreateClientId({}).clientId).not.toBe(issued);
+  });
+
+  it('keeps the id in an HttpOnly cookie', () => {
+    expect(clientIdCookie(clientId)).toMatch(new RegExp(`^${CLIENT_ID_COOKIE}=${clientId}; Path=/; HttpOnly; SameSite=Lax`));
+  });
+});
@@ -0,0 +1,79 @@
+// Minimal CSV reading and writing shared by the imports and exports in the app.
+
+/**
+ * Quotes a value for a CSV cell. Cells starting with =, +, - or @ are prefixed with an
+ * apostrophe so spreadsheet programs do not run them as formulas.
+ * @param {*} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+export const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows as CSV with a header line.
+ * @param {Array} rows - The records to write.
+ * @param {Array} columns - { header, value(row) } for each column.
+ * @returns {string} The CSV text, lines separated by CRLF.
+ */
+export const toCsv = (rows, columns) => [
+  columns.map((column) => escapeCsvCell(column.header)).join(','),
+  ...rows.map((row) => columns.map((column) => escapeCsvCell(column.value(row))).join(',')),
+].join('\r\n');
+
+/**
+ * Reads CSV text into rows of cells. Handles quoted cells containing commas, doubled quotes and
+ * line breaks, CRLF or LF line endings and the byte order mark spreadsheet programs add.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, each with its line number (line) in the text.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const source = String(text).replace(/^\ufeff/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    rows.push(Object.assign(row, { line: rowLine }));
+    row = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      line += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
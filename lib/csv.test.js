@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { escapeCsvCell, parseCsv, toCsv } from './csv';
+
+// Rows also carry their line number, which toEqual would compare
+const cells = (text) => parseCsv(text).map((row) => [...row]);
+
+describe('escapeCsvCell', () => {
+  it('writes empty cells for missing values', () => {
+    expect(escapeCsvCell(null)).toBe('');
+    expect(escapeCsvCell(undefined)).toBe('');
+    expect(escapeCsvCell(0)).toBe('0');
+  });
+
+  it('quotes cells containing separators, quotes or line breaks', () => {
+    expect(escapeCsvCell('Riyadh, Olaya')).toBe('"Riyadh, Olaya"');
+    expect(escapeCsvCell('2" pipe')).toBe('"2"" pipe"');
+    expect(escapeCsvCell('first\nsecond')).toBe('"first\nsecond"');
+  });
+
+  it('stops spreadsheet programs running cells as formulas', () => {
+    expect(escapeCsvCell('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(escapeCsvCell('+966 50 123 4567')).toBe("'+966 50 123 4567");
+    expect(escapeCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCsvCell('-cmd')).toBe("'-cmd");
+  });
+
+  it('leaves negative numbers as numbers', () => {
+    expect(escapeCsvCell(-12.5)).toBe('-12.5');
+    expect(escapeCsvCell('-3')).toBe('-3');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header line and one line per row, separated by CRLF', () => {
+    const columns = [{ header: 'Name', value: (row) => row.name }, { header: 'Watts', value: (row) => row.watts }];
+    expect(toCsv([{ name: 'Fan', watts: 75 }, { name: 'AC, split', watts: null }], columns)).toBe('Name,Watts\r\nFan,75\r\n"AC, split",');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads cells and numbers each row by its line', () => {
+    const rows = parseCsv('name,watts\nFan,75\r\nTV,120');
+    expect(rows.map((row) => [...row])).toEqual([['name', 'watts'], ['Fan', '75'], ['TV', '120']]);
+    expect(rows.map((row) => row.line)).toEqual([1, 2, 3]);
+  });
+
+  it('reads quoted separators, doubled quotes and line breaks', () => {
+    const rows = parseCsv('"AC, split","2"" pipe","first\nsecond"\nnext,row');
+    expect([...rows[0]]).toEqual(['AC, split', '2" pipe', 'first\nsecond']);
+    expect([...rows[1]]).toEqual(['next', 'row']);
+    expect(rows[1].line).toBe(3);
+  });
+
+  it('drops the byte order mark and a final line break', () => {
+    expect(cells('﻿name\nFan\n')).toEqual([['name'], ['Fan']]);
+  });
+
+  it('keeps empty cells and lines', () => {
+    expect(cells('a,,c\n\n,')).toEqual([['a', '', 'c'], [''], ['', '']]);
+  });
+
+  it('reads what toCsv wrote', () => {
+    const columns = [{ header: 'Name', value: (row) => row.name }, { header: 'Note', value: (row) => row.note }];
+    const rows = [{ name: 'AC, split', note: 'says "hi"\r\non two lines' }];
+    expect(cells(toCsv(rows, columns))[1]).toEqual(['AC, split', 'says "hi"\r\non two lines']);
+  });
+
+  it('returns no rows for empty text', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
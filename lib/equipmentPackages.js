@@ -0,0 +1,146 @@
+import { calculateSolarEstimate, DEFAULT_ASSUMPTIONS } from './solarEngine';
+import { projectCashFlows, DEFAULT_FINANCIAL_ASSUMPTIONS } from './financials';
+import { DEFAULT_SYSTEM_TYPE_ID } from './systemSizing';
+
+// Good / better / best equipment packages offered with a quote. Each package lists its panels,
+// inverter and optional battery with their installed prices (SAR per watt of array, including
+// the package's share of mounting, cabling and labour), efficiency and warranties. Package prices
+// replace the single cost per watt of the headline estimate.
+// Bump the version whenever prices or components change so stored quotes can be traced to them.
+
+export const EQUIPMENT_PACKAGE_CATALOGUE_VERSION = '2025.1';
+
+// Mounting structure, cabling, protection and installation labour, SAR per watt
+const BALANCE_OF_SYSTEM_COST_PER_WATT_SAR = 5.5;
+
+// Inverter efficiency already included in the engine's systemEfficiencyFactor; packages scale
+// the efficiency by how their inverter compares with it
+export const REFERENCE_INVERTER_EFFICIENCY = 0.96;
+
+export const EQUIPMENT_PACKAGES = [
+  {
+    id: 'essential',
+    tier: 'good',
+    name: 'Essential',
+    panel: { name: 'Tier-2 mono PERC 450 W', costPerWattSAR: 2.4, temperatureCoefficientPerC: -0.0038, productWarrantyYears: 10, performanceWarrantyYears: 25 },
+    inverter: { type: 'string', name: 'String inverter', costPerWattSAR: 1.1, efficiency: 0.96, warrantyYears: 5, lifeYears: 10 },
+    battery: null,
+    workmanshipWarrantyYears: 2,
+  },
+  {
+    id: 'standard',
+    tier: 'better',
+    name: 'Standard',
+    panel: { name: 'Tier-1 mono PERC 550 W', costPerWattSAR: 3.1, temperatureCoefficientPerC: -0.0035, productWarrantyYears: 12, performanceWarrantyYears: 25 },
+    inverter: { type: 'string', name: 'Premium string inverter', costPerWattSAR: 1.6, efficiency: 0.97, warrantyYears: 10, lifeYears: 12 },
+    battery: null,
+    workmanshipWarrantyYears: 5,
+  },
+  {
+    id: 'premium',
+    tier: 'best',
+    name: 'Premium',
+    panel: { name: 'Tier-1 N-type bifacial 600 W', costPerWattSAR: 3.8, temperatureCoefficientPerC: -0.003, productWarrantyYears: 25, performanceWarrantyYears: 30 },
+    // Micro-inverters track every panel separately, so shading or soiling of one panel costs less
+    inverter: { type: 'micro', name: 'Micro-inverters', costPerWattSAR: 3.2, efficiency: 0.985, warrantyYears: 25, lifeYears: 25 },
+    battery: null,
+    workmanshipWarrantyYears: 10,
+  },
+  {
+    id: 'premium-storage',
+    tier: 'best',
+    name: 'Premium + battery',
+    panel: { name: 'Tier-1 N-type bifacial 600 W', costPerWattSAR: 3.8, temperatureCoefficientPerC: -0.003, productWarrantyYears: 25, performanceWarrantyYears: 30 },
+    // The inverter-charger is priced per kW by the engine; this covers the PV side of the hybrid inverter
+    inverter: { type: 'hybrid', name: 'Hybrid inverter', costPerWattSAR: 1.2, efficiency: 0.965, warrantyYears: 10, lifeYears: 12 },
+    battery: { chemistryId: 'lithium-ion', daysOfAutonomy: 0.5, warrantyYears: 10 },
+    workmanshipWarrantyYears: 10,
+  },
+];
+
+export const DEFAULT_EQUIPMENT_PACKAGE_ID = 'standard';
+
+/**
+ * Looks up an equipment package by id.
+ * @param {string} packageId - A package id such as 'premium'.
+ * @returns {object|null} The package, or null when it does not exist.
+ */
+export const findEquipmentPackage = (packageId) =>
+  EQUIPMENT_PACKAGES.find((pkg) => pkg.id === packageId) || null;
+
+/**
+ * Calculates a package's installed cost per watt of array.
+ * @param {object} pkg - An equipment package.
+ * @returns {number} Panels, inverter and balance of system, SAR per watt.
+ */
+export const getPackageCostPerWattSAR = (pkg) =>
+  pkg.panel.costPerWattSAR + pkg.inverter.costPerWattSAR + BALANCE_OF_SYSTEM_COST_PER_WATT_SAR;
+
+/**
+ * Builds the estimate assumptions for a package on top of the calculator's own.
+ * Packages with a battery turn a grid-tied system into a hybrid one; hybrid and off-grid
+ * systems keep their type and take the package's battery chemistry.
+ * @param {object} pkg - An equipment package.
+ * @param {object} [assumptions] - The assumptions of the headline estimate.
+ * @returns {object} Assumption overrides for calculateSolarEstimate.
+ */
+export const getPackageAssumptions = (pkg, assumptions = {}) => {
+  const systemEfficiencyFactor = assumptions.systemEfficiencyFactor ?? DEFAULT_ASSUMPTIONS.systemEfficiencyFactor;
+  const systemType = assumptions.systemType ?? DEFAULT_SYSTEM_TYPE_ID;
+  return {
+    ...assumptions,
+    costPerWattSAR: getPackageCostPerWattSAR(pkg),
+    systemEfficiencyFactor: systemEfficiencyFactor * (pkg.inverter.efficiency / REFERENCE_INVERTER_EFFICIENCY),
+    temperatureCoefficientPerC: pkg.panel.temperatureCoefficientPerC,
+    ...(pkg.battery && {
+      systemType: systemType === DEFAULT_SYSTEM_TYPE_ID ? 'hybrid' : systemType,
+      batteryChemistry: pkg.battery.chemistryId,
+      daysOfAutonomy: systemType === DEFAULT_SYSTEM_TYPE_ID ? pkg.battery.daysOfAutonomy : assumptions.daysOfAutonomy,
+    }),
+  };
+};
+
+/**
+ * Estimates every package for the same appliances and settings, for a side-by-side comparison.
+ * @param {Array} appliances - Appliance rows.
+ * @param {object} [assumptions] - The assumptions of the headline estimate.
+ * @param {object} [financialAssumptions] - Overrides for the financial projection.
+ * @param {Array} [packages] - The packages to compare; the whole catalogue by default.
+ * @returns {Array} Per package: the package, its estimate and its financial projection (null when the estimate failed).
+ */
+export const comparePackages = (appliances, assumptions = {}, financialAssumptions = {}, packages = EQUIPMENT_PACKAGES) =>
+  packages.map((pkg) => {
+    const estimate = calculateSolarEstimate(appliances, getPackageAssumptions(pkg, assumptions));
+    const projection = estimate.error ? null : projectCashFlows(
+      {
+        systemCostSAR: estimate.estimatedSystemCostSAR,
+        annualSavingsSAR: estimate.estimatedMonthlySavingsSAR * 12,
+        inverterKW: estimate.inverterKW,
+      },
+      // Inverters outlasting the projection are never replaced
+      {
+        ...financialAssumptions,
+        inverterReplacementYear: pkg.inverter.lifeYears >= (financialAssumptions.years ?? DEFAULT_FINANCIAL_ASSUMPTIONS.years)
+          ? null
+          : pkg.inverter.lifeYears,
+      }
+    );
+    return { package: pkg, estimate, projection };
+  });
+
+/**
+ * Summarises a package estimate for storing with a quote request.
+ * @param {object} comparison - One entry returned by comparePackages.
+ * @returns {object} Package id and name, catalogue version and the headline figures.
+ */
+export const summarisePackageEstimate = ({ package: pkg, estimate, projection }) => ({
+  id: pkg.id,
+  name: pkg.name,
+  catalogueVersion: EQUIPMENT_PACKAGE_CATALOGUE_VERSION,
+  costPerWattSAR: getPackageCostPerWattSAR(pkg),
+  estimatedSystemSizeKW: estimate.estimatedSystemSizeKW,
+  estimatedSystemCostSAR: estimate.estimatedSystemCostSAR,
+  annualProductionKWh: estimate.annualProductionKWh,
+  estimatedMonthlySavingsSAR: estimate.estimatedMonthlySavingsSAR,
+  paybackYears: projection ? projection.paybackYears : null,
+});
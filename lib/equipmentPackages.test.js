@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import {
+  comparePackages,
+  EQUIPMENT_PACKAGE_CATALOGUE_VERSION,
+  EQUIPMENT_PACKAGES,
+  findEquipmentPackage,
+  getPackageAssumptions,
+  getPackageCostPerWattSAR,
+  REFERENCE_INVERTER_EFFICIENCY,
+  summarisePackageEstimate,
+} from './equipmentPackages';
+
+const appliances = [
+  { name: 'Air Conditioner', wattage: 1500, hoursPerDay: 8, quantity: 2 },
+  { name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1 },
+];
+
+const standard = findEquipmentPackage('standard');
+const storage = findEquipmentPackage('premium-storage');
+
+describe('findEquipmentPackage', () => {
+  it('finds a package by id, or returns null', () => {
+    expect(findEquipmentPackage('premium').tier).toBe('best');
+    expect(findEquipmentPackage('deluxe')).toBeNull();
+  });
+});
+
+describe('getPackageCostPerWattSAR', () => {
+  it('adds panels, inverter and the balance of system', () => {
+    expect(getPackageCostPerWattSAR(standard)).toBeCloseTo(3.1 + 1.6 + 5.5, 9);
+  });
+
+  it('prices the tiers in order', () => {
+    const [essential, , premium] = EQUIPMENT_PACKAGES.map(getPackageCostPerWattSAR);
+    expect(essential).toBeLessThan(getPackageCostPerWattSAR(standard));
+    expect(premium).toBeGreaterThan(getPackageCostPerWattSAR(standard));
+  });
+});
+
+describe('getPackageAssumptions', () => {
+  it('applies the package\'s price, inverter efficiency and panel temperature losses', () => {
+    const assumptions = getPackageAssumptions(standard, { systemEfficiencyFactor: 0.8, tariffCategory: 'commercial' });
+    expect(assumptions.costPerWattSAR).toBeCloseTo(10.2, 9);
+    expect(assumptions.systemEfficiencyFactor).toBeCloseTo(0.8 * (0.97 / REFERENCE_INVERTER_EFFICIENCY), 9);
+    expect(assumptions).toMatchObject({ temperatureCoefficientPerC: -0.0035, tariffCategory: 'commercial' });
+    expect(assumptions.systemType).toBeUndefined();
+  });
+
+  it('turns a grid-tied system into a hybrid one for packages with a battery', () => {
+    expect(getPackageAssumptions(storage)).toMatchObject({ systemType: 'hybrid', batteryChemistry: 'lithium-ion', daysOfAutonomy: 0.5 });
+  });
+
+  it('keeps the system type and autonomy of battery-based systems', () => {
+    expect(getPackageAssumptions(storage, { systemType: 'off-grid', daysOfAutonomy: 3, batteryChemistry: 'lead-acid-agm' }))
+      .toMatchObject({ systemType: 'off-grid', daysOfAutonomy: 3, batteryChemistry: 'lithium-ion' });
+  });
+});
+
+describe('comparePackages', () => {
+  it('estimates every package for the same appliances', () => {
+    const comparison = comparePackages(appliances);
+    expect(comparison.map((entry) => entry.package.id)).toEqual(EQUIPMENT_PACKAGES.map((pkg) => pkg.id));
+    const totals = comparison.map((entry) => entry.estimate.totalDailyKWh);
+    expect(new Set(totals).size).toBe(1);
+    expect(comparison.every((entry) => entry.projection !== null)).toBe(true);
+  });
+
+  it('costs more for the premium package but produces more from each kW', () => {
+    const [essential, , premium] = comparePackages(appliances);
+    expect(premium.estimate.estimatedSystemCostSAR).toBeGreaterThan(essential.estimate.estimatedSystemCostSAR);
+    expect(premium.estimate.annualProductionKWh / premium.estimate.estimatedSystemSizeKW)
+      .toBeGreaterThan(essential.estimate.annualProductionKWh / essential.estimate.estimatedSystemSizeKW);
+  });
+
+  it('sizes a battery only for the storage package', () => {
+    const comparison = comparePackages(appliances);
+    expect(comparison.filter((entry) => entry.estimate.battery).map((entry) => entry.package.id)).toEqual(['premium-storage']);
+  });
+
+  it('replaces inverters only when they wear out within the projection', () => {
+    const [essential, , premium] = comparePackages(appliances, {}, { years: 20 });
+    expect(essential.projection.rows.filter((row) => row.expensesSAR > 0).map((row) => row.year)).toEqual([10]);
+    expect(premium.projection.rows.every((row) => row.expensesSAR === 0)).toBe(true);
+  });
+
+  it('compares only the packages given, and projects nothing for invalid appliances', () => {
+    const [entry] = comparePackages([{ name: '', wattage: 0, hoursPerDay: 1, quantity: 1 }], {}, {}, [standard]);
+    expect(entry.package).toBe(standard);
+    expect(entry.estimate.error).not.toBe('');
+    expect(entry.projection).toBeNull();
+  });
+});
+
+describe('summarisePackageEstimate', () => {
+  it('keeps the headline figures and the catalogue version', () => {
+    const [comparison] = comparePackages(appliances, {}, {}, [standard]);
+    expect(summarisePackageEstimate(comparison)).toEqual({
+      id: 'standard',
+      name: 'Standard',
+      catalogueVersion: EQUIPMENT_PACKAGE_CATALOGUE_VERSION,
+      costPerWattSAR: getPackageCostPerWattSAR(standard),
+      estimatedSystemSizeKW: comparison.estimate.estimatedSystemSizeKW,
+      estimatedSystemCostSAR: comparison.estimate.estimatedSystemCostSAR,
+      annualProductionKWh: comparison.estimate.annualProductionKWh,
+      estimatedMonthlySavingsSAR: comparison.estimate.estimatedMonthlySavingsSAR,
+      paybackYears: comparison.projection.paybackYears,
+    });
+  });
+
+  it('has no payback without a projection', () => {
+    const [comparison] = comparePackages([], {}, {}, [standard]);
+    expect(summarisePackageEstimate({ ...comparison, projection: null }).paybackYears).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+// Long-term financial projection of a solar system: payback, cumulative savings,
+// NPV and IRR, accounting for panel degradation, tariff escalation and inverter replacement.
+
+export const DEFAULT_FINANCIAL_ASSUMPTIONS = {
+  years: 25, // Typical panel performance warranty
+  discountRate: 0.06, // Rate used to discount future savings for NPV
+  tariffEscalationRate: 0.02, // Yearly increase of electricity prices
+  degradationRate: 0.005, // Yearly loss of panel output
+  inverterReplacementYear: 12, // Inverters usually last 10-15 years
+  inverterReplacementCostPerKWSAR: 900,
+};
+
+/**
+ * Calculates the net present value of yearly cash flows, where index 0 is the upfront investment.
+ * @param {Array} cashFlows - Cash flow per year, starting with year 0.
+ * @param {number} rate - Discount rate per year.
+ * @returns {number} The NPV.
+ */
+export const calculateNPV = (cashFlows, rate) =>
+  cashFlows.reduce((sum, cashFlow, year) => sum + cashFlow / Math.pow(1 + rate, year), 0);
+
+// Highest rate the IRR is searched up to (10,000% a year), well beyond any real system
+const MAX_IRR = 100;
+
+/**
+ * Finds the internal rate of return by bisection. The search starts between -99% and 100% and
+ * widens upwards for very cheap systems that pay for themselves within months.
+ * @param {Array} cashFlows - Cash flow per year, starting with the (negative) investment.
+ * @returns {number|null} The IRR, or null when the cash flows never break even.
+ */
+export const calculateIRR = (cashFlows) => {
+  let low = -0.99;
+  let high = 1;
+  while (calculateNPV(cashFlows, low) * calculateNPV(cashFlows, high) > 0) {
+    if (high >= MAX_IRR) return null;
+    high = Math.min(high * 2, MAX_IRR);
+  }
+
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (calculateNPV(cashFlows, low) * calculateNPV(cashFlows, middle) <= 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Projects yearly savings and cumulative cash flow over the life of the system.
+ * @param {object} options
+ * @param {number} options.systemCostSAR - Upfront system cost.
+ * @param {number} options.annualSavingsSAR - Savings in the first year.
+ * @param {number} [options.inverterKW] - Inverter size, used to price its replacement.
+ * @param {object} [assumptions] - Overrides for DEFAULT_FINANCIAL_ASSUMPTIONS.
+ * @returns {object} Year-by-year rows, payback, total savings, NPV and IRR.
+ */
+export const projectCashFlows = ({ systemCostSAR, annualSavingsSAR, inverterKW = 0 }, assumptions = {}) => {
+  const settings = { ...DEFAULT_FINANCIAL_ASSUMPTIONS, ...assumptions };
+  const cashFlows = [-systemCostSAR];
+  const rows = [];
+  let cumulativeSAR = -systemCostSAR;
+  let paybackYears = null;
+
+  for (let year = 1; year <= settings.years; year++) {
+    const productionFactor = Math.pow(1 - settings.degradationRate, year - 1);
+    const tariffFactor = Math.pow(1 + settings.tariffEscalationRate, year - 1);
+    const savingsSAR = annualSavingsSAR * productionFactor * tariffFactor;
+    const expensesSAR = year === settings.inverterReplacementYear
+      ? inverterKW * settings.inverterReplacementCostPerKWSAR
+      : 0;
+    const netCashFlowSAR = savingsSAR - expensesSAR;
+    const previousCumulativeSAR = cumulativeSAR;
+    cumulativeSAR += netCashFlowSAR;
+
+    // Interpolate within the year the cumulative cash flow turns positive
+    if (paybackYears === null && cumulativeSAR >= 0 && netCashFlowSAR > 0) {
+      paybackYears = year - 1 + -previousCumulativeSAR / netCashFlowSAR;
+    }
+
+    cashFlows.push(netCashFlowSAR);
+    rows.push({
+      year,
+      productionFactor,
+      savingsSAR,
+      expensesSAR,
+      netCashFlowSAR,
+      cumulativeSAR,
+      discountedSAR: netCashFlowSAR / Math.pow(1 + settings.discountRate, year),
+    });
+  }
+
+  return {
+    rows,
+    simplePaybackYears: annualSavingsSAR > 0 ? systemCostSAR / annualSavingsSAR : null,
+    paybackYears,
+    totalSavingsSAR: rows.reduce((sum, row) => sum + row.savingsSAR, 0),
+    netGainSAR: cumulativeSAR,
+    npvSAR: calculateNPV(cashFlows, settings.discountRate),
+    irr: systemCostSAR > 0 ? calculateIRR(cashFlows) : null,
+    assumptions: settings,
+  };
+};
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { calculateIRR, calculateNPV, DEFAULT_FINANCIAL_ASSUMPTIONS, projectCashFlows } from './financials';
+
+describe('calculateNPV', () => {
+  it('discounts each year by the rate, leaving year 0 as it is', () => {
+    expect(calculateNPV([-1000, 1100], 0.1)).toBeCloseTo(0, 9);
+    expect(calculateNPV([-1000, 550, 605], 0.1)).toBeCloseTo(0, 9);
+  });
+
+  it('adds the cash flows up at a zero rate', () => {
+    expect(calculateNPV([-1000, 300, 300, 300], 0)).toBe(-100);
+  });
+
+  it('is zero without cash flows', () => {
+    expect(calculateNPV([], 0.06)).toBe(0);
+  });
+});
+
+describe('calculateIRR', () => {
+  it('finds the rate at which the NPV is zero', () => {
+    expect(calculateIRR([-1000, 1100])).toBeCloseTo(0.1, 6);
+    const irr = calculateIRR([-10000, 3000, 3000, 3000, 3000, 3000]);
+    expect(calculateNPV([-10000, 3000, 3000, 3000, 3000, 3000], irr)).toBeCloseTo(0, 3);
+  });
+
+  it('finds negative rates for investments that are never fully recovered', () => {
+    expect(calculateIRR([-1000, 500])).toBeCloseTo(-0.5, 6);
+  });
+
+  it('finds rates above 100%', () => {
+    expect(calculateIRR([-1000, 3000])).toBeCloseTo(2, 6);
+    expect(calculateIRR([-100, 1000, 1000])).toBeGreaterThan(1);
+  });
+
+  it('returns null when the cash flows never change sign', () => {
+    expect(calculateIRR([1000, 500, 500])).toBeNull();
+  });
+
+  it('returns null when every cash flow is negative', () => {
+    expect(calculateIRR([-1000, -100, -100])).toBeNull();
+  });
+});
+
+describe('projectCashFlows', () => {
+  const settings = { degradationRate: 0, tariffEscalationRate: 0, inverterReplacementCostPerKWSAR: 0 };
+
+  it('projects one row per year with the cumulative cash flow', () => {
+    const projection = projectCashFlows({ systemCostSAR: 10000, annualSavingsSAR: 2000 }, settings);
+    expect(projection.rows).toHaveLength(DEFAULT_FINANCIAL_ASSUMPTIONS.years);
+    expect(projection.rows[0]).toMatchObject({ year: 1, savingsSAR: 2000, netCashFlowSAR: 2000, cumulativeSAR: -8000 });
+    expect(projection.totalSavingsSAR).toBe(50000);
+    expect(projection.netGainSAR).toBe(40000);
+  });
+
+  it('interpolates the payback within the year it is reached', () => {
+    const projection = projectCashFlows({ systemCostSAR: 10000, annualSavingsSAR: 4000 }, settings);
+    expect(projection.simplePaybackYears).toBe(2.5);
+    expect(projection.paybackYears).toBeCloseTo(2.5, 9);
+  });
+
+  it('delays the payback when savings shrink with panel degradation', () => {
+    const projection = projectCashFlows({ systemCostSAR: 10000, annualSavingsSAR: 2000 }, { ...settings, degradationRate: 0.05 });
+    expect(projection.rows[1].productionFactor).toBeCloseTo(0.95, 9);
+    expect(projection.paybackYears).toBeGreaterThan(5);
+  });
+
+  it('charges the inverter replacement in its year', () => {
+    const projection = projectCashFlows(
+      { systemCostSAR: 10000, annualSavingsSAR: 2000, inverterKW: 5 },
+      { ...settings, inverterReplacementYear: 3, inverterReplacementCostPerKWSAR: 1000 },
+    );
+    expect(projection.rows[2]).toMatchObject({ expensesSAR: 5000, netCashFlowSAR: -3000 });
+    expect(projection.rows.filter((row) => row.expensesSAR > 0)).toHaveLength(1);
+  });
+
+  it('reports NPV and IRR of the projected cash flows', () => {
+    const projection = projectCashFlows({ systemCostSAR: 10000, annualSavingsSAR: 2000 }, { ...settings, years: 10, discountRate: 0.06 });
+    const cashFlows = [-10000, ...projection.rows.map((row) => row.netCashFlowSAR)];
+    expect(projection.npvSAR).toBeCloseTo(calculateNPV(cashFlows, 0.06), 6);
+    expect(calculateNPV(cashFlows, projection.irr)).toBeCloseTo(0, 3);
+  });
+
+  it('reports an IRR above 100% for systems that pay back within the first year', () => {
+    const projection = projectCashFlows({ systemCostSAR: 1000, annualSavingsSAR: 3000 }, settings);
+    expect(projection.irr).toBeCloseTo(3, 3);
+    expect(projection.paybackYears).toBeCloseTo(1 / 3, 9);
+  });
+
+  it('has no payback or IRR when the system never pays for itself', () => {
+    const projection = projectCashFlows({ systemCostSAR: 10000, annualSavingsSAR: 0 }, settings);
+    expect(projection).toMatchObject({ simplePaybackYears: null, paybackYears: null, irr: null });
+    expect(projection.netGainSAR).toBe(-10000);
+  });
+
+  it('has no IRR without an upfront cost', () => {
+    expect(projectCashFlows({ systemCostSAR: 0, annualSavingsSAR: 2000 }, settings).irr).toBeNull();
+  });
+});
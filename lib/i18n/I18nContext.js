@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LOCALE } from './index';
+
+// Shares the active locale's helpers, and the language switch, with every page and component
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), toggleLocale: () => {} });
+
+/**
+ * Returns the translation and formatting helpers of the active locale.
+ * @returns {object} See createI18n, plus toggleLocale() switching between English and Arabic.
+ */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,643 @@
+// Arabic message catalogue. Mirrors the keys of en.js; missing keys fall back to English.
+
+const ar = {
+  app: {
+    brand: 'إيفرسولار',
+    title: 'حاسبة الطاقة',
+    intro: 'قدّر استهلاك منزلك من الكهرباء واحصل على عرض سعر مبدئي لنظام الطاقة الشمسية.',
+    switchLanguage: 'English',
+    switchLanguageLabel: 'View this page in English',
+  },  nav: {
+    label: 'القائمة الرئيسية',
+    home: 'الصفحة الرئيسية',
+    calculator: 'الحاسبة',
+  },
+  footer: {
+    notice: '© {year} إيفرسولار. التقديرات عبر الإنترنت أولية، ويؤكد المسح الميداني عرض السعر النهائي.',
+    hostedBy: 'مستضاف على Netlify',
+  },
+  landing: {
+    metaTitle: 'الطاقة الشمسية للمنازل والأعمال في السعودية',
+    metaDescription: 'قدّر استهلاكك للكهرباء، واحسب حجم النظام الشمسي المناسب لسطحك، واطلب عرض سعر مفصلاً من إيفرسولار.',
+    headline: 'طاقة شمسية بالحجم المناسب لمنزلك أو عملك',
+    subheading: 'احسب استهلاكك للكهرباء، واعرف النظام الذي تحتاجه وتكلفته ومتى يسترد قيمته، ثم اطلب عرض سعر مفصلاً.',
+    start: 'ابدأ التقدير',
+    howItWorksLink: 'كيف تعمل',
+    featuresHeading: 'ماذا تقدم الحاسبة',
+    features: {
+      appliances: {
+        title: 'جهازاً بجهاز',
+        body: 'أدخل أجهزتك أو اخترها من كتالوج الأحمال المنزلية والتجارية المعتادة في السعودية، مع ساعات استخدامها على مدار المواسم.',
+      },
+      bills: {
+        title: 'من فواتير الكهرباء',
+        body: 'أو أدخل فواتيرك الشهرية الاثنتي عشرة الأخيرة أو ارفعها، بالكيلوواط ساعة أو بالريال، لتحسب الحاسبة استهلاكك.',
+      },
+      roof: {
+        title: 'مطابق لسطحك',
+        body: 'تحقق من أن الألواح تتسع على سطحك، مع مخطط لتوزيعها وإنتاجية اتجاهها وميلها.',
+      },
+      packages: {
+        title: 'باقات جيدة وأفضل والأفضل',
+        body: 'قارن باقات المعدات جنباً إلى جنب: التكلفة والإنتاج والتوفير وفترة الاسترداد والضمانات.',
+      },
+      quote: {
+        title: 'عرض سعر تحتفظ به',
+        body: 'نزّل عرض سعر بصيغة PDF، وشارك رابط تقديرك، واطلب عرض سعر مفصلاً من فريقنا.',
+      },
+      offline: {
+        title: 'بالعربية والإنجليزية، حتى دون اتصال',
+        body: 'ثبّت الحاسبة على هاتفك واستخدمها دون اتصال بالإنترنت، وتُرسل طلبات عروض الأسعار عند عودة الاتصال.',
+      },
+    },
+    howItWorksHeading: 'كيف تعمل',
+    steps: {
+      describe: {
+        title: 'صف استهلاكك',
+        body: 'اختر مدينتك وفئة التعرفة، ثم أضف أجهزتك أو فواتيرك.',
+      },
+      compare: {
+        title: 'قارن الخيارات',
+        body: 'راجع حجم النظام الموصى به، متصلاً بالشبكة أو مع بطاريات، وباقات المعدات.',
+      },
+      request: {
+        title: 'اطلب عرض السعر',
+        body: 'أرسل لنا بياناتك وسنتواصل معك لترتيب مسح ميداني.',
+      },
+    },
+    ctaHeading: 'هل أنت مستعد لمعرفة أرقامك؟',
+    ctaBody: 'يستغرق الأمر بضع دقائق، ولا تُشارك أي بيانات حتى تطلب عرض سعر.',
+  },
+
+  appliances: {
+    heading: 'أجهزتك',
+    name: 'اسم الجهاز',
+    wattage: 'القدرة (واط)',
+    hoursPerDay: 'ساعات/يوم',
+    whenUsed: 'وقت الاستخدام',
+    quantity: 'العدد',
+    dutySeason: 'دورة التشغيل / الموسم',
+    namePlaceholder: 'مثال: حاسوب محمول',
+    wattagePlaceholder: 'مثال: 60',
+    hoursPlaceholder: 'مثال: 8',
+    quantityPlaceholder: 'مثال: 1',
+    dutyCyclePlaceholder: 'نسبة التشغيل % (100)',
+    customHoursPlaceholder: 'مثال: 6-9, 18-23',
+    nameLabel: 'اسم الجهاز {name}',
+    wattageLabel: 'قدرة {name}',
+    hoursLabel: 'ساعات تشغيل {name} يومياً',
+    usageLabel: 'وقت استخدام {name}',
+    customHoursLabel: 'ساعات الاستخدام المخصصة لـ {name}',
+    quantityLabel: 'عدد {name}',
+    dutyCycleLabel: 'نسبة دورة التشغيل لـ {name}: الجزء من وقت تشغيله الذي يستهلك فيه الكهرباء فعلياً',
+    seasonLabel: 'كيف يتغير استخدام {name} على مدار السنة',
+    remove: 'حذف {name}',
+    duplicateLabel: 'تكرار {name}',
+    selectLabel: 'تحديد {name}',
+    selectZoneLabel: 'تحديد جميع الأجهزة في {zone}',
+    reorderLabel: 'نقل {name}: اسحبه إلى موضع جديد، أو استخدم مفتاحي السهم لأعلى ولأسفل',
+    add: 'إضافة جهاز آخر',
+    customHours: 'ساعات مخصصة',
+    catalogueLabel: 'أجهزة مطابقة من الدليل',
+    catalogueOption: '{wattage} واط، {hours} ساعة/يوم',
+    invalidRows: 'عدد صفوف الأجهزة غير المكتملة أو غير الصحيحة: {count}؛ صحّح الحقول المميزة لعرض التقدير.',
+  },
+  applianceTools: {
+    undo: 'تراجع',
+    redo: 'إعادة',
+    exportCsv: 'تصدير CSV',
+    importCsv: 'استيراد CSV',
+    csvHelp: 'أعمدة ملف CSV: {columns}. يستبدل الاستيراد القائمة الحالية؛ استخدم التراجع للعودة إليها.',
+    imported: 'تم استيراد {count} جهاز.',
+    importFailed: 'لم يتم استيراد أي شيء.',
+    importLine: 'السطر {line}: {message}',
+    dismiss: 'إغلاق',
+    selected: 'الأجهزة المحددة: {count}',
+    selectionLabel: 'تعديل الأجهزة المحددة',
+    duplicateSelected: 'تكرار المحدد',
+    removeSelected: 'حذف المحدد',
+    clearSelection: 'إلغاء التحديد',
+  },
+  applianceCatalogue: {
+    'split-ac-1-ton': 'مكيف سبليت 1 طن (12,000 وحدة حرارية)',
+    'split-ac-1-5-ton': 'مكيف سبليت 1.5 طن (18,000 وحدة حرارية)',
+    'split-ac-2-ton': 'مكيف سبليت 2 طن (24,000 وحدة حرارية)',
+    'window-ac-1-5-ton': 'مكيف شباك 1.5 طن (18,000 وحدة حرارية)',
+    'window-ac-2-ton': 'مكيف شباك 2 طن (24,000 وحدة حرارية)',
+    'central-ac-3-ton': 'مكيف مركزي 3 طن',
+    'central-ac-5-ton': 'مكيف مركزي 5 طن',
+    'evaporative-cooler': 'مكيف صحراوي',
+    'ceiling-fan': 'مروحة سقف',
+    'stand-fan': 'مروحة عمودية',
+    'water-heater-50l': 'سخان ماء 50 لتر',
+    'water-heater-80l': 'سخان ماء 80 لتر',
+    'instant-water-heater': 'سخان ماء فوري',
+    'water-pump-0-5-hp': 'مضخة ماء 0.5 حصان',
+    'water-pump-1-hp': 'مضخة ماء 1 حصان',
+    'booster-pump': 'مضخة تقوية الضغط',
+    'pool-pump': 'مضخة مسبح 1.5 حصان',
+    'water-dispenser': 'برادة ماء (حار وبارد)',
+    refrigerator: 'ثلاجة',
+    'refrigerator-large': 'ثلاجة كبيرة (بابين)',
+    freezer: 'فريزر أفقي',
+    microwave: 'ميكروويف',
+    'electric-oven': 'فرن كهربائي',
+    'electric-kettle': 'غلاية كهربائية',
+    dishwasher: 'غسالة صحون',
+    'coffee-machine': 'آلة قهوة',
+    'washing-machine': 'غسالة ملابس',
+    'clothes-dryer': 'مجفف ملابس',
+    iron: 'مكواة ملابس',
+    'led-bulb': 'لمبة LED',
+    'fluorescent-tube': 'لمبة فلورسنت',
+    'outdoor-floodlight': 'كشاف خارجي',
+    'led-tv': 'تلفزيون LED',
+    'desktop-computer': 'كمبيوتر مكتبي',
+    laptop: 'لابتوب',
+    'wifi-router': 'راوتر واي فاي',
+    'game-console': 'جهاز ألعاب',
+    'display-fridge': 'ثلاجة عرض (محل)',
+    'cold-room-3-ton': 'غرفة تبريد 3 طن',
+    'ice-machine': 'آلة ثلج',
+    'office-printer': 'طابعة ليزر',
+    'farm-well-pump-5-hp': 'مضخة بئر 5 حصان (مزرعة)',
+  },
+  seasonalProfiles: {
+    'year-round': 'طوال العام',
+    cooling: 'تبريد (ذروة صيفية)',
+    heating: 'تدفئة (ذروة شتوية)',
+  },
+  usagePresets: {
+    'all-day': 'طوال اليوم',
+    daytime: 'النهار (8-17)',
+    morning: 'الصباح (5-9)',
+    afternoon: 'بعد الظهر (12-18)',
+    evening: 'المساء (17-23)',
+    night: 'الليل (22-6)',
+  },
+  suggestions: {
+    button: '✨ اقترح أجهزة',
+    buttonLabel: 'اقتراح المزيد من الأجهزة',
+    heading: 'الأجهزة المقترحة:',
+    item: '{name} ({wattage} واط، {hours} ساعة/يوم)',
+    add: 'إضافة',
+    addLabel: 'إضافة {name}',
+    failed: 'تعذر الحصول على اقتراحات. يرجى المحاولة مرة أخرى.',
+    network: 'تعذر جلب الاقتراحات. يرجى التحقق من اتصالك بالشبكة.',
+    fromCatalogueOffline: 'أنت غير متصل بالإنترنت، لذلك تأتي هذه الاقتراحات من كتالوج الأجهزة لدينا.',
+    fromCatalogue: 'المساعد غير متاح حاليًا، لذا هذه الاقتراحات من دليل الأجهزة لدينا.',
+    fromCatalogueRateLimited: 'وصلت إلى الحد المسموح من طلبات المساعد حاليًا، لذا هذه الاقتراحات من دليل الأجهزة لدينا.',
+  },
+  tips: {
+    offline: 'تحتاج نصائح توفير الطاقة إلى اتصال بالإنترنت.',
+    button: '✨ نصائح لتوفير الطاقة',
+    buttonLabel: 'الحصول على نصائح لتوفير الطاقة',
+    heading: 'نصائح مخصصة لك لتوفير الطاقة:',
+    failed: 'تعذر إنشاء نصائح توفير الطاقة. يرجى المحاولة مرة أخرى.',
+    network: 'تعذر إنشاء النصائح. يرجى التحقق من اتصالك بالشبكة.',
+  },
+  assistant: {
+    rateLimited: 'استخدمت المساعد مرات كثيرة خلال وقت قصير. ستتاح الأزرار مجددًا بعد {seconds} ثانية.',
+  },
+  prompts: {
+    language: 'Write your answer in Arabic (Modern Standard Arabic).',
+    suggestionsLanguage: 'Write the appliance names in Arabic. Keep the JSON keys exactly as specified, in English.',
+  },
+  bills: {
+    modeLabel: 'طريقة تقدير الاستهلاك',
+    modeAppliances: 'من أجهزتي',
+    modeBills: 'من فواتير الكهرباء',
+    heading: 'فواتير الكهرباء',
+    intro: 'أدخل فواتير آخر اثني عشر شهراً، أو الصقها، أو ارفع ملف CSV. تُعبأ الأشهر الفارغة بمتوسط الأشهر الأخرى.',
+    unit: 'قيم الفواتير بـ',
+    unitKWh: 'كيلوواط ساعة مستهلكة',
+    unitSAR: 'ريال مدفوع (شامل الضريبة)',
+    monthLabel: 'فاتورة {month}',
+    paste: 'لصق سجل الفواتير',
+    pastePlaceholder: 'مثال: 1200، 1350، 1800 ... أو "الشهر، القيمة" في كل سطر',
+    pasteApply: 'تعبئة الأشهر',
+    upload: 'رفع ملف CSV',
+    uploadLabel: 'رفع ملف CSV لفواتيرك',
+    parseErrors: 'تعذرت قراءة {count} سطر وتم تجاهلها.',
+    noValues: 'لم يتم العثور على قيم فواتير في النص.',
+    annual: 'الاستهلاك السنوي: {value} كيلوواط ساعة',
+    averageDaily: 'متوسط الاستهلاك اليومي: {value} كيلوواط ساعة',
+    peakMonth: 'أعلى شهر: {month}',
+    monthsProvided: 'تم إدخال {count} من 12 شهراً',
+    estimated: 'تقديري',
+    reconcile: 'مجموع قائمة أجهزتك {appliances} كيلوواط ساعة/يوم، بينما تُظهر فواتيرك {bills} كيلوواط ساعة/يوم.',
+    mismatch: 'الفرق {difference}. تُستخدم الفواتير في التصميم؛ راجع قائمة الأجهزة بحثاً عن أحمال ناقصة أو مبالغ فيها.',
+    appliancesOptional: 'قائمة الأجهزة أدناه اختيارية في هذا الوضع، وتُستخدم لتوزيع الاستهلاك بين النهار والليل وللتحقق من الفواتير.',
+  },
+  results: {
+    heading: 'تقديرك للطاقة الشمسية',
+    city: 'مدينتك',
+    cityLabel: 'المدينة المستخدمة لساعات الشمس ودرجة الحرارة',
+    nationalAverage: 'المتوسط الوطني (5 ساعات شمس/يوم)',
+    customerCategory: 'فئة المشترك',
+    customerCategoryLabel: 'فئة المشترك في تعرفة الكهرباء',
+    dailyConsumption: 'الاستهلاك اليومي المقدر للطاقة:',
+    systemSize: 'حجم النظام الشمسي الموصى به:',
+    inverterSize: 'حجم العاكس الموصى به:',
+    peakLoad: '(ذروة الحمل {value} كيلوواط، تيار البدء {surge} كيلوواط)',
+    peakDemand: 'ذروة الطلب {peak} كيلوواط من {connected} كيلوواط موصول (معامل تباين {diversity})، أي نحو {current} أمبير لكل طور على {phases} طور.',
+    batteryBank: 'بنك البطاريات:',
+    batteryDetails: '({usable} كيلوواط ساعة قابلة للاستخدام، استقلالية {days} يوم بعمق تفريغ {dod})',
+    systemCost: 'التكلفة المقدرة للنظام:',
+    costBreakdown: 'الألواح {panels} + البطاريات {batteries} + العاكس {inverter}',
+    billBefore: 'الفاتورة الشهرية الحالية (متوسط، شاملة الضريبة):',
+    billAfter: 'الفاتورة الشهرية مع الطاقة الشمسية:',
+    monthlySavings: 'التوفير الشهري المقدر:',
+    disclaimer: 'هذه تقديرات مبدئية مبنية على افتراضات مبسطة. قد تختلف التكاليف والتوفير الفعلية بشكل كبير حسب موقعك وخصائص سطح منزلك والحوافز المحلية وأنماط استهلاكك للطاقة.',
+    download: '📄 تنزيل عرض السعر',
+    downloading: 'جارٍ تجهيز الملف...',
+    downloadLabel: 'تنزيل عرض السعر بصيغة PDF',
+    pdfFailed: 'تعذر إنشاء ملف PDF. يرجى المحاولة مرة أخرى.',
+  },
+  monthly: {
+    heading: 'الإنتاج الشهري',
+    month: 'الشهر',
+    sunHours: 'ساعات الشمس/يوم',
+    heatLoss: 'فقد الحرارة',
+    production: 'الإنتاج (كيلوواط ساعة)',
+    consumption: 'الاستهلاك (كيلوواط ساعة)',
+    requiredSize: 'المنظومة اللازمة (كيلوواط)',
+    drivesSize: 'يحدد حجم المنظومة',
+    sizingMonths: 'يتحدد حجم المنظومة بأشهر {months}، حين يكون الاستهلاك في أعلى مستوياته مقارنة بالإشعاع الشمسي.',
+    savings: 'التوفير (ريال)',
+  },
+  loadProfile: {
+    heading: 'الاستخدام نهاراً وليلاً',
+    chartLabel: 'استهلاك الكهرباء بالساعة مقارنة بإنتاج الطاقة الشمسية بالساعة في يوم متوسط',
+    hourTitle: 'الساعة {hour}:00 - استهلاك {load} كيلوواط ساعة، إنتاج شمسي {solar} كيلوواط ساعة',
+    yourUse: 'استهلاكك',
+    solarProduction: 'الإنتاج الشمسي',
+    selfConsumption: 'الاستهلاك الذاتي:',
+    ofSolarOutput: 'من الإنتاج الشمسي',
+    solarCoverage: 'التغطية الشمسية:',
+    ofYourUse: 'من استهلاكك',
+    gridImport: 'السحب من الشبكة:',
+    gridExport: 'التصدير إلى الشبكة:',
+    perDay: '{value} كيلوواط ساعة/يوم',
+    nightBattery: 'سعة البطارية اللازمة لتغطية الحمل الليلي:',
+    usable: '{value} كيلوواط ساعة قابلة للاستخدام',
+  },
+  charts: {
+    table: 'عرض الأرقام في جدول',
+    downloadSvg: 'SVG',
+    downloadPng: 'PNG',
+    downloadSvgLabel: 'تنزيل الرسم البياني "{chart}" كصورة SVG',
+    downloadPngLabel: 'تنزيل الرسم البياني "{chart}" كصورة PNG',
+    exportFailed: 'تعذر تصدير الرسم البياني. يرجى تجربة تنزيل SVG بدلاً من ذلك.',
+    appliances: {
+      title: 'الاستهلاك اليومي حسب الجهاز',
+      chartLabel: 'رسم بياني بالأعمدة للاستهلاك اليومي لكل جهاز، من الأكبر إلى الأصغر',
+      description: 'يستهلك {name} أكبر قدر من الطاقة: {kWh} كيلوواط ساعة يومياً، أي {share} من إجمالي الأجهزة.',
+      value: '{kWh} كيلوواط ساعة · {share}',
+      other: 'أجهزة أخرى ({count})',
+      appliance: 'الجهاز',
+      dailyKWh: 'كيلوواط ساعة/يوم',
+      share: 'النسبة',
+    },
+    monthly: {
+      title: 'الإنتاج والاستهلاك الشهري',
+      chartLabel: 'رسم بياني بالأعمدة لإنتاج الطاقة الشمسية والاستهلاك في كل شهر، بالكيلوواط ساعة',
+      description: 'يبلغ الإنتاج أعلاه في {best} ({bestKWh} كيلوواط ساعة) وأدناه في {worst} ({worstKWh} كيلوواط ساعة)؛ ويبلغ الاستهلاك ذروته في {peak} ({peakKWh} كيلوواط ساعة). يعرض الجدول أدناه جميع الأشهر.',
+      production: 'الإنتاج الشمسي (كيلوواط ساعة)',
+      consumption: 'الاستهلاك (كيلوواط ساعة)',
+      bar: '{month}، {series}: {kWh}',
+    },
+    savings: {
+      title: 'التوفير التراكمي',
+      description: 'بدءاً من تكلفة النظام البالغة {cost}، يسترد التوفير تكلفة النظام بعد {payback} ويصل صافي الربح إلى {total} بعد {years} سنة.',
+      descriptionNoPayback: 'بدءاً من تكلفة النظام البالغة {cost}، لا يسترد التوفير تكلفة النظام خلال {years} سنة؛ ويبلغ الرصيد بعد {years} سنة {total}.',
+    },
+  },
+  financial: {
+    heading: 'التوقعات المالية لمدة {years} سنة',
+    discountRate: 'معدل الخصم (%)',
+    tariffEscalation: 'زيادة التعرفة (%/سنة)',
+    degradation: 'تدهور الألواح (%/سنة)',
+    simplePayback: 'فترة الاسترداد البسيطة:',
+    payback: 'فترة الاسترداد مع التدهور وزيادة التعرفة واستبدال العاكس:',
+    years: '{value} سنة',
+    notWithin: 'ليس خلال {years} سنة',
+    notAvailable: 'غير متاح',
+    cumulativeSavings: 'التوفير التراكمي ({years} سنة):',
+    npv: 'صافي القيمة الحالية:',
+    irr: 'معدل العائد الداخلي:',
+    chartLabel: 'التدفق النقدي التراكمي حسب السنة، بدءاً بتكلفة النظام في السنة 0',
+    chartBar: 'السنة {year}: {value}',
+    table: 'جدول سنوي',
+    year: 'السنة',
+    output: 'الإنتاج',
+    savings: 'التوفير',
+    expenses: 'المصروفات',
+    cumulative: 'التراكمي',
+  },  packages: {
+    heading: 'مقارنة باقات المعدات',
+    intro: 'النظام نفسه بألواح وعواكس وبطاريات مختلفة. اختر باقة لإرفاقها بطلب عرض السعر.',
+    figure: 'البند',
+    tiers: {
+      good: 'جيد',
+      better: 'أفضل',
+      best: 'الأفضل',
+    },
+    panels: 'الألواح',
+    inverter: 'العاكس',
+    battery: 'البطارية',
+    batterySize: '{value} كيلوواط ساعة، {chemistry}',
+    noBattery: 'بدون',
+    systemSize: 'حجم النظام',
+    kW: '{value} كيلوواط',
+    cost: 'التكلفة التقديرية',
+    production: 'الإنتاج السنوي',
+    kWhPerYear: '{value} كيلوواط ساعة/سنة',
+    savings: 'التوفير الشهري',
+    payback: 'فترة الاسترداد',
+    warranty: 'الضمانات',
+    panelWarranty: 'الألواح: {product} سنة للمنتج، {performance} سنة للأداء',
+    inverterWarranty: 'العاكس: {years} سنة',
+    batteryWarranty: 'البطارية: {years} سنة',
+    workmanshipWarranty: 'التركيب: {years} سنة',
+    choose: 'اختيار',
+    chosen: 'تم الاختيار',
+    chooseLabel: 'اختيار باقة {name}',
+  },
+  equipmentPackages: {
+    essential: {
+      name: 'الأساسية',
+      panel: 'ألواح أحادية PERC من الفئة الثانية 450 واط',
+      inverter: 'عاكس سلسلة',
+    },
+    standard: {
+      name: 'القياسية',
+      panel: 'ألواح أحادية PERC من الفئة الأولى 550 واط',
+      inverter: 'عاكس سلسلة متميز',
+    },
+    premium: {
+      name: 'المتميزة',
+      panel: 'ألواح ثنائية الوجه N-type من الفئة الأولى 600 واط',
+      inverter: 'عواكس صغيرة (واحد لكل لوح)',
+    },
+    'premium-storage': {
+      name: 'المتميزة + بطارية',
+      panel: 'ألواح ثنائية الوجه N-type من الفئة الأولى 600 واط',
+      inverter: 'عاكس هجين',
+    },
+  },
+
+  zones: {
+    unnamed: 'المنطقة {number}',
+    namePlaceholder: 'اسم المنطقة، مثل: المنزل الرئيسي',
+    nameLabel: 'اسم {zone}',
+    copyName: '{name} (نسخة)',
+    add: '+ إضافة منطقة',
+    addApplianceLabel: 'إضافة جهاز إلى {zone}',
+    empty: 'لا توجد أجهزة في هذه المنطقة بعد.',
+    duplicate: 'تكرار',
+    duplicateLabel: 'تكرار {zone} مع أجهزتها',
+    remove: 'حذف',
+    removeLabel: 'حذف {zone} مع أجهزتها',
+    bulkEdit: 'تعديل الكل',
+    bulkEditLabel: 'تغيير حقل لكل الأجهزة في {zone}',
+    bulkField: 'الحقل',
+    bulkValue: 'القيمة الجديدة',
+    bulkFields: {
+      hoursPerDay: 'ساعات التشغيل يوميًا',
+      quantity: 'الكمية',
+      dutyCyclePercent: 'دورة التشغيل (%)',
+      usagePreset: 'وقت الاستخدام',
+      seasonalProfile: 'الاستخدام الموسمي',
+    },
+    bulkApply: 'تطبيق على {count} جهاز',
+    bulkCancel: 'إلغاء',
+    subtotal: '{kWh} كيلوواط ساعة/يوم · {kW} كيلوواط موصول · {count} جهاز',
+    suggestTo: 'إضافة الاقتراحات إلى:',
+    breakdownHeading: 'الاستهلاك حسب المنطقة',
+    zone: 'المنطقة',
+    appliances: 'الأجهزة',
+    connectedLoad: 'الحمل الموصول (كيلوواط)',
+    dailyConsumption: 'كيلوواط ساعة/يوم',
+    share: 'النسبة',
+    total: 'الإجمالي',
+  },
+  supply: {
+    phase: 'مصدر الكهرباء',
+    phases: {
+      'single-phase': 'أحادي الطور (230 فولت)',
+      'three-phase': 'ثلاثي الأطوار (400 فولت)',
+    },
+    diversityFactor: 'معامل التباين (%)',
+    diversityHint: 'نسبة الحمل الموصول المتوقع تشغيلها في الوقت نفسه. اتركه فارغًا لافتراض تشغيل كل الأجهزة معًا.',
+  },
+  system: {
+    type: 'نوع النظام',
+    typeLabel: 'نوع نظام الطاقة الشمسية',
+    batteryType: 'نوع البطارية',
+    daysOfAutonomy: 'أيام الاستقلالية',
+    depthOfDischarge: 'عمق التفريغ (%)',
+    example: 'مثال: {value}',
+  },
+  roof: {
+    heading: 'السطح وتوزيع الألواح',
+    intro: 'تحقق من أن المنظومة المقترحة تتسع على سطحك. أدخل أبعاد السطح، أو مساحته الصالحة إن لم تكن تعرف الأبعاد.',
+    length: 'طول السطح (م)',
+    width: 'عرض السطح (م)',
+    widthHint: 'يُقاس على امتداد الميل في الأسطح المائلة.',
+    area: 'أو المساحة الصالحة (م²)',
+    roofType: 'نوع السطح',
+    orientation: 'اتجاه الألواح',
+    tilt: 'ميل الألواح (°)',
+    panel: 'طراز اللوح',
+    panelOption: '{wattage} واط، {width} م × {height} م',
+    example: 'مثال: {value}',
+    orientationFactor: 'يحافظ الاتجاه والميل على {value} من أفضل إنتاج ممكن.',
+    panels: '{count} لوحاً بقدرة {wattage} واط',
+    requiredArea: 'المساحة اللازمة: {value} م² من أصل {available} م²',
+    fits: 'المنظومة المقترحة تتسع على السطح.',
+    tooSmall: 'يتسع السطح لـ {count} لوحاً كحد أقصى ({size} كيلوواط)، وهذا أقل من {required} كيلوواط المقترحة.',
+    limitedSavings: 'أكبر منظومة تتسع على السطح توفر نحو {savings} شهرياً بدلاً من {full}، بتكلفة {cost}.',
+    previewLabel: 'توزيع {count} لوحاً على سطح بطول {length} م وعرض {width} م',
+    noRoof: 'أدخل مقاس السطح للتحقق من أن المنظومة تتسع عليه.',
+  },
+  roofTypes: {
+    'flat-concrete': 'سطح خرساني مستوٍ',
+    'metal-sheet': 'سطح من الصاج المعدني',
+    'pitched-tile': 'سطح قرميد مائل',
+    carport: 'مظلة سيارات / مظلة',
+  },
+  orientations: {
+    south: 'الجنوب',
+    'south-east': 'الجنوب الشرقي',
+    'south-west': 'الجنوب الغربي',
+    east: 'الشرق',
+    west: 'الغرب',
+    'north-east': 'الشمال الشرقي',
+    'north-west': 'الشمال الغربي',
+    north: 'الشمال',
+  },
+  panelModels: {
+    'mono-410': 'أحادي البلورة 410 واط',
+    'mono-450': 'أحادي البلورة 450 واط',
+    'mono-550': 'أحادي البلورة 550 واط',
+    'bifacial-600': 'ثنائي الوجه 600 واط',
+  },
+  systemTypes: {
+    'grid-tied': 'متصل بالشبكة',
+    hybrid: 'هجين (شبكة + بطاريات احتياطية)',
+    'off-grid': 'منفصل عن الشبكة',
+  },
+  batteryChemistries: {
+    'lithium-ion': 'ليثيوم فوسفات الحديد (LiFePO4)',
+    'lead-acid-agm': 'رصاص حمضي (AGM)',
+    'lead-acid-flooded': 'رصاص حمضي (سائل)',
+  },
+  tariffCategories: {
+    residential: 'سكني',
+    commercial: 'تجاري',
+    agricultural: 'زراعي',
+    governmental: 'حكومي',
+    industrial: 'صناعي',
+  },
+  cities: {
+    riyadh: 'الرياض',
+    jeddah: 'جدة',
+    makkah: 'مكة المكرمة',
+    madinah: 'المدينة المنورة',
+    dammam: 'الدمام',
+    abha: 'أبها',
+    tabuk: 'تبوك',
+    hail: 'حائل',
+    buraydah: 'بريدة',
+    jazan: 'جازان',
+    najran: 'نجران',
+  },
+  scenarios: {
+    heading: 'السيناريوهات المحفوظة',
+    namePlaceholder: 'مثال: فيلا مع مضخة مسبح',
+    nameLabel: 'اسم السيناريو',
+    save: 'حفظ الحالي',
+    summary: '{size} كيلوواط، {count} أجهزة',
+    load: 'تحميل',
+    loadLabel: 'تحميل {name}',
+    rename: 'إعادة تسمية',
+    renameLabel: 'إعادة تسمية {name}',
+    newNameLabel: 'الاسم الجديد لـ {name}',
+    delete: 'حذف',
+    deleteLabel: 'حذف {name}',
+    confirm: 'حفظ',
+    cancel: 'إلغاء',
+    empty: 'لا توجد سيناريوهات محفوظة بعد.',
+    loading: 'جارٍ تحميل السيناريوهات المحفوظة...',
+    loadFailed: 'تعذر تحميل السيناريوهات المحفوظة.',
+    saveFailed: 'تعذر حفظ السيناريو. يرجى المحاولة مرة أخرى.',
+    renameFailed: 'تعذرت إعادة تسمية السيناريو. يرجى المحاولة مرة أخرى.',
+    deleteFailed: 'تعذر حذف السيناريو. يرجى المحاولة مرة أخرى.',
+  },  share: {
+    button: 'مشاركة هذا التقدير',
+    linkLabel: 'رابط هذا التقدير',
+    privacy: 'يحتوي الرابط على أجهزتك وإعداداتك، ولا يحتوي على اسمك أو بيانات التواصل معك.',
+    copied: 'تم نسخ الرابط.',
+    copyFailed: 'تعذر نسخ الرابط. يرجى نسخه من المربع أعلاه.',
+    invalidLink: 'هذا الرابط المشترك تالف أو غير مكتمل، لذلك تُعرض الأجهزة الافتراضية بدلاً منه.',
+    openedHeading: 'أنت تشاهد تقديراً تمت مشاركته معك.',
+    dismissLabel: 'إخفاء هذه الرسالة',
+    resultsUnchanged: 'الأرقام أدناه مطابقة لما كان معروضاً عند إنشاء الرابط.',
+    resultsChanged: 'تم تحديث الأسعار أو طريقة الحساب منذ إنشاء الرابط. كان يعرض نظاماً بقدرة {size} كيلوواط بتكلفة {cost} وتوفير {savings} شهرياً؛ الأرقام أدناه محسوبة من جديد.',
+  },
+
+  quote: {
+    heading: 'احصل على عرض سعر مفصل',
+    intro: 'املأ النموذج أدناه للحصول على استشارة مخصصة وعرض سعر دقيق من خبرائنا.',
+    package: 'باقة المعدات: {name}. يمكنك تغييرها من المقارنة أعلاه.',
+    noPackage: 'لم تختر باقة معدات بعد؛ اختر واحدة من المقارنة أعلاه أو اترك الاختيار لخبرائنا.',
+    name: 'الاسم',
+    namePlaceholder: 'اسمك الكامل',
+    nameLabel: 'اسمك لطلب عرض السعر',
+    email: 'البريد الإلكتروني',
+    emailPlaceholder: 'your.email@example.com',
+    emailLabel: 'بريدك الإلكتروني لطلب عرض السعر',
+    phone: 'رقم الجوال',
+    phonePlaceholder: 'مثال: +966 50 123 4567',
+    phoneLabel: 'رقم جوالك لطلب عرض السعر',
+    location: 'مدينتك / موقعك',
+    locationPlaceholder: 'مثال: الرياض',
+    locationLabel: 'مدينتك أو موقعك لطلب عرض السعر',
+    submit: 'احصل على عرض السعر المفصل',
+    submitOffline: 'حفظ الطلب لإرساله لاحقاً',
+    submitting: 'جارٍ الإرسال...',
+    submitLabel: 'إرسال طلب عرض سعر مفصل',
+    queued: 'أنت غير متصل، لذلك حُفظ طلبك على هذا الجهاز وسيُرسل تلقائياً عند عودة الاتصال.',
+    correctFields: 'يرجى تصحيح الحقول المحددة.',
+    thankYou: 'شكراً لطلبك! رقمك المرجعي هو {reference}. سنتواصل معك قريباً.',
+    thankYouConfirmation: 'شكراً لطلبك! رقمك المرجعي هو {reference}. أرسلنا تأكيداً مع تقديرك إلى {email}، وسنتواصل معك قريباً.',
+    saveFailed: 'تعذر حفظ طلبك. يرجى المحاولة لاحقاً.',
+    network: 'تعذر إرسال طلبك. يرجى التحقق من اتصالك بالشبكة.',
+    honeypot: 'اترك هذا الحقل فارغاً',
+    rateLimited: 'أرسلت عدة طلبات عروض أسعار خلال وقت قصير. يرجى المحاولة مرة أخرى بعد {minutes} دقيقة.',
+    duplicate: 'استلمنا مسبقاً طلباً من هذا البريد الإلكتروني أو رقم الهاتف في {time} (الرقم المرجعي {reference}). سيتواصل معك فريقنا بشأنه، ولا حاجة لإرساله مرة أخرى.',
+    blocked: {
+      honeypot: 'يبدو طلبك آلياً لأن حقلاً مخفياً تمت تعبئته، ربما بواسطة التعبئة التلقائية في متصفحك. يرجى إعادة تحميل الصفحة وتعبئة النموذج يدوياً.',
+      formExpired: 'انتهت صلاحية النموذج. يرجى إعادة تحميل الصفحة وإرسال طلبك مرة أخرى.',
+      tooFast: 'أُرسل النموذج بسرعة أكبر من أن يكون قد عُبئ يدوياً. يرجى التحقق من بياناتك وإرساله مرة أخرى.',
+      links: 'يرجى إزالة روابط المواقع من الاسم والموقع.',
+    },
+  },  offline: {
+    banner: 'أنت غير متصل بالإنترنت. تستمر الحاسبة في العمل، وتُحفظ طلبات عروض الأسعار على هذا الجهاز وتُرسل عند عودة الاتصال.',
+  },
+  outbox: {
+    heading: 'طلبات عروض الأسعار على هذا الجهاز',
+    entry: '{name}، {time}',
+    pending: 'بانتظار الإرسال',
+    sending: 'جارٍ الإرسال…',
+    sent: 'تم الإرسال، الرقم المرجعي {reference}',
+    rejected: 'لم يُقبل الطلب، يرجى إرساله مرة أخرى',
+    duplicate: 'طُلب مسبقاً، الرقم المرجعي {reference}. يمكن للموظفين المسجلين في لوحة الإدارة إرساله مرة أخرى',
+    remove: 'إزالة',
+    removeLabel: 'إزالة طلب {name} من هذه القائمة',
+    waitingForConnection: 'تُرسل الطلبات المنتظرة تلقائياً عند عودة الاتصال.',
+    willRetry: 'تعذر إرسال بعض الطلبات حتى الآن وستتم إعادة المحاولة.',
+    sendNow: 'إرسال الآن',
+    retryAt: 'طلب الخادم الانتظار؛ ستُرسل الطلبات المنتظرة مرة أخرى في {time}.',
+    resend: 'إرسال مرة أخرى',
+    resendLabel: 'إرسال طلب {name} مرة أخرى',
+  },
+
+  notifications: {
+    noPackage: 'لم تُختر بعد',
+  },
+  validation: {
+    nameRequired: 'يرجى إدخال اسمك.',
+    nameTooLong: 'الاسم طويل جداً.',
+    emailRequired: 'يرجى إدخال بريدك الإلكتروني.',
+    emailInvalid: 'يرجى إدخال بريد إلكتروني صحيح.',
+    emailTooLong: 'البريد الإلكتروني طويل جداً.',
+    phoneRequired: 'يرجى إدخال رقم جوالك.',
+    phoneInvalid: 'يرجى إدخال رقم جوال صحيح.',
+    locationRequired: 'يرجى إدخال مدينتك أو موقعك.',
+    locationTooLong: 'الموقع طويل جداً.',
+    appliancesRequired: 'يرجى إضافة جهاز واحد على الأقل.',
+    tooManyAppliances: 'يرجى تقليل عدد الأجهزة.',
+    appliancesInvalid: 'يرجى التأكد من تعبئة جميع حقول الأجهزة بشكل صحيح بأرقام موجبة.',
+    billHistoryInvalid: 'يرجى إدخال قيم الفواتير الشهرية كأرقام موجبة.',
+    roofInvalid: 'يرجى التحقق من أبعاد السطح وميل الألواح.',
+    zonesInvalid: 'يرجى التحقق من أسماء المباني والمناطق.',
+    diversityFactorInvalid: 'يرجى إدخال معامل تباين بين 1% و100%.',
+    daysOfAutonomyInvalid: 'يرجى إدخال عدد أيام استقلالية بين 0 و7.',
+    depthOfDischargeInvalid: 'يرجى إدخال عمق تفريغ بين 10% و100%.',
+    applianceNameRequired: 'أدخل اسم الجهاز.',
+    wattageInvalid: 'يجب أن تكون القدرة رقماً أكبر من 0.',
+    hoursPerDayInvalid: 'يجب أن تكون ساعات الاستخدام اليومية رقماً من 0 إلى 24.',
+    quantityInvalid: 'يجب أن تكون الكمية رقماً أكبر من 0.',
+    dutyCycleInvalid: 'يجب أن تكون دورة التشغيل نسبة أكبر من 0 وحتى 100.',
+    usagePresetInvalid: 'وقت استخدام غير معروف؛ تم افتراض الاستخدام طوال اليوم.',
+    customHoursInvalid: 'يجب أن تكون الساعات المخصصة فترات مثل 6-9، 18-23.',
+    seasonalProfileInvalid: 'موسم غير معروف؛ تم افتراض الاستخدام على مدار السنة.',
+    csvEmpty: 'لا يحتوي الملف على صفوف أجهزة.',
+    csvColumnsMissing: 'يجب أن يحدد السطر الأول أسماء الأعمدة، ومنها {columns}.',
+    tooManyZones: 'عدد المباني أو المناطق كبير جداً؛ أضيف هذا الصف إلى المنطقة الأولى.',
+  },
+};
+
+export default ar;
@@ -0,0 +1,644 @@
+// English message catalogue. Keys are grouped by the part of the calculator they belong to;
+// {placeholders} are filled in by t(key, params).
+
+const en = {
+  app: {
+    brand: 'EverSolar',
+    title: 'Energy Calculator',
+    intro: "Estimate your home's electricity load and get a preliminary solar quotation.",
+    switchLanguage: 'العربية',
+    switchLanguageLabel: 'عرض الصفحة باللغة العربية',
+  },  nav: {
+    label: 'Main',
+    home: 'Home',
+    calculator: 'Calculator',
+  },
+  footer: {
+    notice: '© {year} EverSolar. Online estimates are preliminary; a site survey confirms the final quotation.',
+    hostedBy: 'Hosted on Netlify',
+  },
+  landing: {
+    metaTitle: 'Solar energy for Saudi homes and businesses',
+    metaDescription: 'Estimate your electricity use, size a solar system for your roof and request a detailed quotation from EverSolar.',
+    headline: 'Solar power sized for your home or business',
+    subheading: 'Work out your electricity use, see the system you need, what it costs and how soon it pays for itself, then request a detailed quotation.',
+    start: 'Start your estimate',
+    howItWorksLink: 'How it works',
+    featuresHeading: 'What the calculator does',
+    features: {
+      appliances: {
+        title: 'Appliance by appliance',
+        body: 'List your appliances, or pick them from our catalogue of typical Saudi household and business loads, with their hours of use through the seasons.',
+      },
+      bills: {
+        title: 'From your electricity bills',
+        body: 'Type or upload your last twelve monthly bills instead, in kWh or SAR, and the calculator works out your consumption.',
+      },
+      roof: {
+        title: 'Checked against your roof',
+        body: 'See whether the panels fit on your roof, with a plan of the layout and the yield of its orientation and tilt.',
+      },
+      packages: {
+        title: 'Good, better and best packages',
+        body: 'Compare equipment packages side by side: cost, production, savings, payback and warranties.',
+      },
+      quote: {
+        title: 'A quotation you can keep',
+        body: 'Download a PDF quotation, share a link to your estimate and request a detailed quote from our team.',
+      },
+      offline: {
+        title: 'In Arabic and English, even offline',
+        body: 'Install the calculator on your phone and keep using it without a connection; quote requests are sent once you are back online.',
+      },
+    },
+    howItWorksHeading: 'How it works',
+    steps: {
+      describe: {
+        title: 'Describe your usage',
+        body: 'Choose your city and tariff, then add your appliances or your bills.',
+      },
+      compare: {
+        title: 'Compare the options',
+        body: 'Review the recommended system size, grid-tied or with batteries, and the equipment packages.',
+      },
+      request: {
+        title: 'Request your quotation',
+        body: 'Send us your details and we will contact you to arrange a site survey.',
+      },
+    },
+    ctaHeading: 'Ready to see your numbers?',
+    ctaBody: 'It takes a few minutes and nothing is shared until you request a quotation.',
+  },
+
+  appliances: {
+    heading: 'Your Appliances',
+    name: 'Appliance Name',
+    wattage: 'Wattage (W)',
+    hoursPerDay: 'Hours/Day',
+    whenUsed: 'When Used',
+    quantity: 'Quantity',
+    dutySeason: 'Duty Cycle / Season',
+    namePlaceholder: 'e.g., Laptop',
+    wattagePlaceholder: 'e.g., 60',
+    hoursPlaceholder: 'e.g., 8',
+    quantityPlaceholder: 'e.g., 1',
+    dutyCyclePlaceholder: 'Duty % (100)',
+    customHoursPlaceholder: 'e.g., 6-9, 18-23',
+    nameLabel: 'Appliance Name for {name}',
+    wattageLabel: 'Wattage for {name}',
+    hoursLabel: 'Hours per day for {name}',
+    usageLabel: 'When {name} is used',
+    customHoursLabel: 'Custom usage hours for {name}',
+    quantityLabel: 'Quantity for {name}',
+    dutyCycleLabel: 'Duty cycle in percent for {name}: the share of its running time it actually draws power',
+    seasonLabel: 'How use of {name} changes over the year',
+    remove: 'Remove {name}',
+    duplicateLabel: 'Duplicate {name}',
+    selectLabel: 'Select {name}',
+    selectZoneLabel: 'Select all appliances in {zone}',
+    reorderLabel: 'Move {name}: drag to a new position, or use the up and down arrow keys',
+    add: 'Add Another Appliance',
+    customHours: 'Custom hours',
+    catalogueLabel: 'Matching appliances from the catalogue',
+    catalogueOption: '{wattage} W, {hours} h/day',
+    invalidRows: '{count} appliance row(s) are incomplete or invalid; correct the highlighted fields to see your estimate.',
+  },
+  applianceTools: {
+    undo: 'Undo',
+    redo: 'Redo',
+    exportCsv: 'Export CSV',
+    importCsv: 'Import CSV',
+    csvHelp: 'CSV columns: {columns}. Importing replaces the current list; use Undo to go back.',
+    imported: '{count} appliance(s) imported.',
+    importFailed: 'Nothing was imported.',
+    importLine: 'Line {line}: {message}',
+    dismiss: 'Dismiss',
+    selected: '{count} appliance(s) selected',
+    selectionLabel: 'Change the selected appliances',
+    duplicateSelected: 'Duplicate selected',
+    removeSelected: 'Remove selected',
+    clearSelection: 'Clear selection',
+  },
+  applianceCatalogue: {
+    'split-ac-1-ton': 'Split AC 1 ton (12,000 BTU)',
+    'split-ac-1-5-ton': 'Split AC 1.5 ton (18,000 BTU)',
+    'split-ac-2-ton': 'Split AC 2 ton (24,000 BTU)',
+    'window-ac-1-5-ton': 'Window AC 1.5 ton (18,000 BTU)',
+    'window-ac-2-ton': 'Window AC 2 ton (24,000 BTU)',
+    'central-ac-3-ton': 'Central AC 3 ton',
+    'central-ac-5-ton': 'Central AC 5 ton',
+    'evaporative-cooler': 'Evaporative Cooler',
+    'ceiling-fan': 'Ceiling Fan',
+    'stand-fan': 'Stand Fan',
+    'water-heater-50l': 'Water Heater 50 L',
+    'water-heater-80l': 'Water Heater 80 L',
+    'instant-water-heater': 'Instant Water Heater',
+    'water-pump-0-5-hp': 'Water Pump 0.5 HP',
+    'water-pump-1-hp': 'Water Pump 1 HP',
+    'booster-pump': 'Pressure Booster Pump',
+    'pool-pump': 'Pool Pump 1.5 HP',
+    'water-dispenser': 'Water Dispenser (hot and cold)',
+    refrigerator: 'Refrigerator',
+    'refrigerator-large': 'Refrigerator (large, side-by-side)',
+    freezer: 'Chest Freezer',
+    microwave: 'Microwave',
+    'electric-oven': 'Electric Oven',
+    'electric-kettle': 'Electric Kettle',
+    dishwasher: 'Dishwasher',
+    'coffee-machine': 'Coffee Machine',
+    'washing-machine': 'Washing Machine',
+    'clothes-dryer': 'Clothes Dryer',
+    iron: 'Clothes Iron',
+    'led-bulb': 'LED Bulb',
+    'fluorescent-tube': 'Fluorescent Tube',
+    'outdoor-floodlight': 'Outdoor Floodlight',
+    'led-tv': 'LED TV',
+    'desktop-computer': 'Desktop Computer',
+    laptop: 'Laptop',
+    'wifi-router': 'Wi-Fi Router',
+    'game-console': 'Game Console',
+    'display-fridge': 'Display Fridge (shop)',
+    'cold-room-3-ton': 'Cold Room 3 ton',
+    'ice-machine': 'Ice Machine',
+    'office-printer': 'Laser Printer',
+    'farm-well-pump-5-hp': 'Well Pump 5 HP (farm)',
+  },
+  seasonalProfiles: {
+    'year-round': 'Year-round',
+    cooling: 'Cooling (summer peak)',
+    heating: 'Heating (winter peak)',
+  },
+  usagePresets: {
+    'all-day': 'All day',
+    daytime: 'Daytime (8-17)',
+    morning: 'Morning (5-9)',
+    afternoon: 'Afternoon (12-18)',
+    evening: 'Evening (17-23)',
+    night: 'Night (22-6)',
+  },
+  suggestions: {
+    button: '✨ Suggest Appliances',
+    buttonLabel: 'Suggest More Appliances',
+    heading: 'Suggested Appliances:',
+    item: '{name} ({wattage}W, {hours}h/day)',
+    add: 'Add',
+    addLabel: 'Add {name}',
+    failed: 'Could not get suggestions. Please try again.',
+    network: 'Failed to fetch suggestions. Please check your network connection.',
+    fromCatalogueOffline: 'You are offline, so these suggestions come from our appliance catalogue.',
+    fromCatalogue: 'The assistant is unavailable right now, so these suggestions come from our appliance catalogue.',
+    fromCatalogueRateLimited: 'You have reached the assistant\'s request limit for now, so these suggestions come from our appliance catalogue.',
+  },
+  tips: {
+    offline: 'Energy-saving tips need an internet connection.',
+    button: '✨ Get Energy Saving Tips',
+    buttonLabel: 'Get Energy Saving Tips',
+    heading: 'Your Personalized Energy Saving Tips:',
+    failed: 'Could not generate energy-saving tips. Please try again.',
+    network: 'Failed to generate tips. Please check your network connection.',
+  },
+  assistant: {
+    rateLimited: 'You have used the assistant many times in a short while. The buttons are available again in {seconds} seconds.',
+  },
+  prompts: {
+    language: 'Write your answer in English.',
+    suggestionsLanguage: "Write the appliance names in English. Keep the JSON keys exactly as specified.",
+  },
+  bills: {
+    modeLabel: 'How to estimate consumption',
+    modeAppliances: 'From my appliances',
+    modeBills: 'From my electricity bills',
+    heading: 'Your Electricity Bills',
+    intro: 'Enter the last twelve monthly bills, paste them, or upload a CSV export. Months left empty are filled with the average of the others.',
+    unit: 'Bills are in',
+    unitKWh: 'kWh consumed',
+    unitSAR: 'SAR paid (incl. VAT)',
+    monthLabel: 'Bill for {month}',
+    paste: 'Paste bill history',
+    pastePlaceholder: 'e.g., 1200, 1350, 1800 ... or one "month, value" per line',
+    pasteApply: 'Fill Months',
+    upload: 'Upload CSV',
+    uploadLabel: 'Upload a CSV export of your bills',
+    parseErrors: '{count} line(s) could not be read and were skipped.',
+    noValues: 'No bill values were found in that text.',
+    annual: 'Annual consumption: {value} kWh',
+    averageDaily: 'Average daily consumption: {value} kWh',
+    peakMonth: 'Highest month: {month}',
+    monthsProvided: '{count} of 12 months entered',
+    estimated: 'estimated',
+    reconcile: 'Your appliance list adds up to {appliances} kWh/day; your bills show {bills} kWh/day.',
+    mismatch: 'These differ by {difference}. The bills are used for sizing; check the appliance list for missing or overstated loads.',
+    appliancesOptional: 'The appliance list below is optional in this mode. It is used to shape the day and night usage and to check the bills.',
+  },
+  results: {
+    heading: 'Your Solar Estimate',
+    city: 'Your City',
+    cityLabel: 'City used for sun hours and temperature',
+    nationalAverage: 'National average (5 sun hours/day)',
+    customerCategory: 'Customer Category',
+    customerCategoryLabel: 'Electricity tariff customer category',
+    dailyConsumption: 'Estimated Daily Energy Consumption:',
+    systemSize: 'Recommended Solar System Size:',
+    inverterSize: 'Recommended Inverter Size:',
+    peakLoad: '(peak load {value} kW, starting surge {surge} kW)',
+    peakDemand: 'Peak demand {peak} kW of {connected} kW connected ({diversity} diversity), about {current} A per phase on {phases} phase(s).',
+    batteryBank: 'Battery Bank:',
+    batteryDetails: '({usable} kWh usable, {days} day(s) autonomy at {dod} DoD)',
+    systemCost: 'Estimated System Cost:',
+    costBreakdown: 'Panels {panels} + Batteries {batteries} + Inverter {inverter}',
+    billBefore: 'Current Monthly Bill (average, incl. VAT):',
+    billAfter: 'Monthly Bill with Solar:',
+    monthlySavings: 'Estimated Monthly Savings:',
+    disclaimer: 'These are preliminary estimates based on simplified assumptions. Actual costs and savings can vary significantly based on your specific location, roof characteristics, local incentives, and energy consumption patterns.',
+    download: '📄 Download Quote',
+    downloading: 'Preparing PDF...',
+    downloadLabel: 'Download Quote as PDF',
+    pdfFailed: 'Could not generate the PDF. Please try again.',
+  },
+  monthly: {
+    heading: 'Month-by-Month Production',
+    month: 'Month',
+    sunHours: 'Sun Hours/Day',
+    heatLoss: 'Heat Loss',
+    production: 'Production (kWh)',
+    consumption: 'Consumption (kWh)',
+    requiredSize: 'Array Needed (kW)',
+    drivesSize: 'drives the system size',
+    sizingMonths: 'The system size is driven by {months}, when consumption is highest compared with the sunshine.',
+    savings: 'Savings (SAR)',
+  },
+  loadProfile: {
+    heading: 'Day and Night Usage',
+    chartLabel: 'Hourly electricity use compared with hourly solar production on an average day',
+    hourTitle: '{hour}:00 - use {load} kWh, solar {solar} kWh',
+    yourUse: 'Your use',
+    solarProduction: 'Solar production',
+    selfConsumption: 'Self-consumption:',
+    ofSolarOutput: 'of solar output',
+    solarCoverage: 'Solar coverage:',
+    ofYourUse: 'of your use',
+    gridImport: 'Grid import:',
+    gridExport: 'Grid export:',
+    perDay: '{value} kWh/day',
+    nightBattery: 'Battery needed to cover the night load:',
+    usable: '{value} kWh usable',
+  },
+  charts: {
+    table: 'Show the figures as a table',
+    downloadSvg: 'SVG',
+    downloadPng: 'PNG',
+    downloadSvgLabel: 'Download the chart "{chart}" as an SVG image',
+    downloadPngLabel: 'Download the chart "{chart}" as a PNG image',
+    exportFailed: 'The chart could not be exported. Please try the SVG download instead.',
+    appliances: {
+      title: 'Daily Consumption by Appliance',
+      chartLabel: 'Bar chart of the daily consumption of each appliance, largest first',
+      description: '{name} uses the most energy: {kWh} kWh a day, {share} of the appliance total.',
+      value: '{kWh} kWh · {share}',
+      other: '{count} other appliance(s)',
+      appliance: 'Appliance',
+      dailyKWh: 'kWh/day',
+      share: 'Share',
+    },
+    monthly: {
+      title: 'Monthly Production and Consumption',
+      chartLabel: 'Bar chart of the solar production and the consumption in each month, in kWh',
+      description: 'Production is highest in {best} ({bestKWh} kWh) and lowest in {worst} ({worstKWh} kWh); consumption peaks in {peak} ({peakKWh} kWh). The table below lists every month.',
+      production: 'Solar production (kWh)',
+      consumption: 'Consumption (kWh)',
+      bar: '{month}, {series}: {kWh}',
+    },
+    savings: {
+      title: 'Cumulative Savings',
+      description: 'Starting from the system cost of {cost}, savings pay the system back after {payback} and reach a net gain of {total} after {years} years.',
+      descriptionNoPayback: 'Starting from the system cost of {cost}, savings do not pay the system back within {years} years; the balance after {years} years is {total}.',
+    },
+  },
+  financial: {
+    heading: '{years}-Year Financial Projection',
+    discountRate: 'Discount Rate (%)',
+    tariffEscalation: 'Tariff Increase (%/yr)',
+    degradation: 'Panel Degradation (%/yr)',
+    simplePayback: 'Simple Payback:',
+    payback: 'Payback incl. degradation, tariff increases and inverter replacement:',
+    years: '{value} years',
+    notWithin: 'Not within {years} years',
+    notAvailable: 'n/a',
+    cumulativeSavings: 'Cumulative Savings ({years} years):',
+    npv: 'Net Present Value:',
+    irr: 'Internal Rate of Return:',
+    chartLabel: 'Cumulative cash flow by year, starting with the system cost in year 0',
+    chartBar: 'Year {year}: {value}',
+    table: 'Year-by-year table',
+    year: 'Year',
+    output: 'Output',
+    savings: 'Savings',
+    expenses: 'Expenses',
+    cumulative: 'Cumulative',
+  },  packages: {
+    heading: 'Compare Equipment Packages',
+    intro: 'The same system sized with different panels, inverters and batteries. Choose a package to include it in your quote request.',
+    figure: 'Figure',
+    tiers: {
+      good: 'Good',
+      better: 'Better',
+      best: 'Best',
+    },
+    panels: 'Panels',
+    inverter: 'Inverter',
+    battery: 'Battery',
+    batterySize: '{value} kWh, {chemistry}',
+    noBattery: 'None',
+    systemSize: 'System size',
+    kW: '{value} kW',
+    cost: 'Estimated cost',
+    production: 'Annual production',
+    kWhPerYear: '{value} kWh/year',
+    savings: 'Monthly savings',
+    payback: 'Payback',
+    warranty: 'Warranties',
+    panelWarranty: 'Panels: {product} years product, {performance} years performance',
+    inverterWarranty: 'Inverter: {years} years',
+    batteryWarranty: 'Battery: {years} years',
+    workmanshipWarranty: 'Installation: {years} years',
+    choose: 'Choose',
+    chosen: 'Chosen',
+    chooseLabel: 'Choose the {name} package',
+  },
+  equipmentPackages: {
+    essential: {
+      name: 'Essential',
+      panel: 'Tier-2 mono PERC 450 W',
+      inverter: 'String inverter',
+    },
+    standard: {
+      name: 'Standard',
+      panel: 'Tier-1 mono PERC 550 W',
+      inverter: 'Premium string inverter',
+    },
+    premium: {
+      name: 'Premium',
+      panel: 'Tier-1 N-type bifacial 600 W',
+      inverter: 'Micro-inverters (one per panel)',
+    },
+    'premium-storage': {
+      name: 'Premium + battery',
+      panel: 'Tier-1 N-type bifacial 600 W',
+      inverter: 'Hybrid inverter',
+    },
+  },
+
+  zones: {
+    unnamed: 'Zone {number}',
+    namePlaceholder: 'Zone name, e.g., Main house',
+    nameLabel: 'Name of {zone}',
+    copyName: '{name} (copy)',
+    add: '+ Add Zone',
+    addApplianceLabel: 'Add an appliance to {zone}',
+    empty: 'No appliances in this zone yet.',
+    duplicate: 'Duplicate',
+    duplicateLabel: 'Duplicate {zone} and its appliances',
+    remove: 'Remove',
+    removeLabel: 'Remove {zone} and its appliances',
+    bulkEdit: 'Edit all',
+    bulkEditLabel: 'Change a field for every appliance in {zone}',
+    bulkField: 'Field',
+    bulkValue: 'New value',
+    bulkFields: {
+      hoursPerDay: 'Hours per day',
+      quantity: 'Quantity',
+      dutyCyclePercent: 'Duty cycle (%)',
+      usagePreset: 'Time of use',
+      seasonalProfile: 'Seasonal use',
+    },
+    bulkApply: 'Apply to {count} appliance(s)',
+    bulkCancel: 'Cancel',
+    subtotal: '{kWh} kWh/day · {kW} kW connected · {count} appliance(s)',
+    suggestTo: 'Add suggestions to:',
+    breakdownHeading: 'Consumption by Zone',
+    zone: 'Zone',
+    appliances: 'Appliances',
+    connectedLoad: 'Connected Load (kW)',
+    dailyConsumption: 'kWh/day',
+    share: 'Share',
+    total: 'Total',
+  },
+  supply: {
+    phase: 'Electrical Supply',
+    phases: {
+      'single-phase': 'Single-phase (230 V)',
+      'three-phase': 'Three-phase (400 V)',
+    },
+    diversityFactor: 'Diversity Factor (%)',
+    diversityHint: 'Share of the connected load expected to run at the same time. Leave empty to assume everything can run together.',
+  },
+  system: {
+    type: 'System Type',
+    typeLabel: 'Solar system type',
+    batteryType: 'Battery Type',
+    daysOfAutonomy: 'Days of Autonomy',
+    depthOfDischarge: 'Depth of Discharge (%)',
+    example: 'e.g., {value}',
+  },
+  roof: {
+    heading: 'Roof and Panel Layout',
+    intro: 'Check that the recommended system fits on your roof. Enter the roof dimensions, or its usable area if you do not know them.',
+    length: 'Roof Length (m)',
+    width: 'Roof Width (m)',
+    widthHint: 'Measured up the slope for sloped roofs.',
+    area: 'Or Usable Area (m²)',
+    roofType: 'Roof Type',
+    orientation: 'Panels Face',
+    tilt: 'Panel Tilt (°)',
+    panel: 'Panel Model',
+    panelOption: '{wattage} W, {width} m x {height} m',
+    example: 'e.g., {value}',
+    orientationFactor: 'Orientation and tilt keep {value} of the best possible yield.',
+    panels: '{count} panels of {wattage} W',
+    requiredArea: 'Roof area needed: {value} m² of {available} m²',
+    fits: 'The recommended system fits on the roof.',
+    tooSmall: 'The roof fits at most {count} panels ({size} kW), less than the recommended {required} kW.',
+    limitedSavings: 'The largest system that fits would save about {savings} a month instead of {full}, for {cost}.',
+    previewLabel: 'Layout of {count} panels on a {length} m by {width} m roof',
+    noRoof: 'Enter the roof size to check that the system fits.',
+  },
+  roofTypes: {
+    'flat-concrete': 'Flat concrete roof',
+    'metal-sheet': 'Metal sheet roof',
+    'pitched-tile': 'Pitched tile roof',
+    carport: 'Carport / shade structure',
+  },
+  orientations: {
+    south: 'South',
+    'south-east': 'South-east',
+    'south-west': 'South-west',
+    east: 'East',
+    west: 'West',
+    'north-east': 'North-east',
+    'north-west': 'North-west',
+    north: 'North',
+  },
+  panelModels: {
+    'mono-410': 'Monocrystalline 410 W',
+    'mono-450': 'Monocrystalline 450 W',
+    'mono-550': 'Monocrystalline 550 W',
+    'bifacial-600': 'Bifacial 600 W',
+  },
+  systemTypes: {
+    'grid-tied': 'Grid-Tied',
+    hybrid: 'Hybrid (grid + battery backup)',
+    'off-grid': 'Off-Grid',
+  },
+  batteryChemistries: {
+    'lithium-ion': 'Lithium Iron Phosphate (LiFePO4)',
+    'lead-acid-agm': 'Lead-Acid (AGM)',
+    'lead-acid-flooded': 'Lead-Acid (Flooded)',
+  },
+  tariffCategories: {
+    residential: 'Residential',
+    commercial: 'Commercial',
+    agricultural: 'Agricultural',
+    governmental: 'Governmental',
+    industrial: 'Industrial',
+  },
+  cities: {
+    riyadh: 'Riyadh',
+    jeddah: 'Jeddah',
+    makkah: 'Makkah',
+    madinah: 'Madinah',
+    dammam: 'Dammam',
+    abha: 'Abha',
+    tabuk: 'Tabuk',
+    hail: 'Hail',
+    buraydah: 'Buraydah',
+    jazan: 'Jazan',
+    najran: 'Najran',
+  },
+  scenarios: {
+    heading: 'Saved Scenarios',
+    namePlaceholder: 'e.g., Villa with pool pump',
+    nameLabel: 'Scenario name',
+    save: 'Save Current',
+    summary: '{size} kW, {count} appliances',
+    load: 'Load',
+    loadLabel: 'Load {name}',
+    rename: 'Rename',
+    renameLabel: 'Rename {name}',
+    newNameLabel: 'New name for {name}',
+    delete: 'Delete',
+    deleteLabel: 'Delete {name}',
+    confirm: 'Save',
+    cancel: 'Cancel',
+    empty: 'No saved scenarios yet.',
+    loading: 'Loading your saved scenarios...',
+    loadFailed: 'Could not load your saved scenarios.',
+    saveFailed: 'Could not save the scenario. Please try again.',
+    renameFailed: 'Could not rename the scenario. Please try again.',
+    deleteFailed: 'Could not delete the scenario. Please try again.',
+  },  share: {
+    button: 'Share this estimate',
+    linkLabel: 'Link to this estimate',
+    privacy: 'The link contains your appliances and settings, but not your name or contact details.',
+    copied: 'Link copied to the clipboard.',
+    copyFailed: 'Could not copy the link. Please copy it from the box above.',
+    invalidLink: 'This shared link is damaged or was cut short, so the default appliances are shown instead.',
+    openedHeading: 'You are viewing an estimate that was shared with you.',
+    dismissLabel: 'Hide this message',
+    resultsUnchanged: 'The figures below match the ones shown when the link was created.',
+    resultsChanged: 'Prices or the calculation have been updated since the link was created. It showed a {size} kW system costing {cost} and saving {savings} a month; the figures below are recalculated.',
+  },
+
+  quote: {
+    heading: 'Get a Detailed Quote',
+    intro: 'Fill out the form below for a personalized consultation and precise quotation from our experts.',
+    package: 'Equipment package: {name}. You can change it in the comparison above.',
+    noPackage: 'No equipment package chosen yet; pick one in the comparison above, or leave it to our experts.',
+    name: 'Name',
+    namePlaceholder: 'Your Full Name',
+    nameLabel: 'Your Name for Quote Request',
+    email: 'Email',
+    emailPlaceholder: 'your.email@example.com',
+    emailLabel: 'Your Email for Quote Request',
+    phone: 'Phone Number',
+    phonePlaceholder: 'e.g., +966 50 123 4567',
+    phoneLabel: 'Your Phone Number for Quote Request',
+    location: 'Your City / Location',
+    locationPlaceholder: 'e.g., Riyadh',
+    locationLabel: 'Your City or Location for Quote Request',
+    submit: 'Get My Detailed Quote',
+    submitOffline: 'Save Request to Send Later',
+    submitting: 'Submitting...',
+    submitLabel: 'Submit Detailed Quote Request',
+    queued: 'You are offline, so your request is saved on this device and will be sent automatically when the connection returns.',
+    correctFields: 'Please correct the highlighted fields.',
+    thankYou: 'Thank you for your detailed request! Your reference number is {reference}. We will contact you shortly.',
+    thankYouConfirmation: 'Thank you for your detailed request! Your reference number is {reference}. A confirmation with your estimate has been sent to {email}, and we will contact you shortly.',
+    saveFailed: 'Could not save your request. Please try again later.',
+    network: 'Failed to submit your request. Please check your network connection.',
+    honeypot: 'Leave this field empty',
+    rateLimited: 'You have sent several quote requests in a short time. Please try again in {minutes} minute(s).',
+    duplicate: 'We already received a request from this email address or phone number on {time} (reference {reference}). Our team will contact you about it; there is no need to submit again.',
+    blocked: {
+      honeypot: 'Your request looks automated because a hidden field was filled in, possibly by your browser\'s autofill. Please reload the page and fill in the form by hand.',
+      formExpired: 'This form has expired. Please reload the page and submit your request again.',
+      tooFast: 'The form was sent too quickly to have been filled in by hand. Please check your details and submit again.',
+      links: 'Please remove web links from your name and location.',
+    },
+  },  offline: {
+    banner: 'You are offline. The calculator keeps working, and quote requests are saved on this device and sent when the connection returns.',
+  },
+  outbox: {
+    heading: 'Quote requests on this device',
+    entry: '{name}, {time}',
+    pending: 'Waiting to send',
+    sending: 'Sending…',
+    sent: 'Sent, reference {reference}',
+    rejected: 'Not accepted, please submit again',
+    duplicate: 'Already requested, reference {reference}. Staff signed in to the admin area can send it again',
+    remove: 'Remove',
+    removeLabel: 'Remove the request for {name} from this list',
+    waitingForConnection: 'Waiting requests are sent automatically when the connection returns.',
+    willRetry: 'Some requests could not be sent yet and will be retried.',
+    sendNow: 'Send now',
+    retryAt: 'The server asked us to wait; waiting requests are sent again at {time}.',
+    resend: 'Send again',
+    resendLabel: 'Send the request for {name} again',
+  },
+
+  notifications: {
+    noPackage: 'Not chosen yet',
+  },
+  validation: {
+    nameRequired: 'Please enter your name.',
+    nameTooLong: 'Name is too long.',
+    emailRequired: 'Please enter your email address.',
+    emailInvalid: 'Please enter a valid email address.',
+    emailTooLong: 'Email address is too long.',
+    phoneRequired: 'Please enter your phone number.',
+    phoneInvalid: 'Please enter a valid phone number.',
+    locationRequired: 'Please enter your city or location.',
+    locationTooLong: 'Location is too long.',
+    appliancesRequired: 'Please add at least one appliance.',
+    tooManyAppliances: 'Please list fewer appliances.',
+    appliancesInvalid: 'Please ensure all appliance fields are filled correctly with positive numbers.',
+    billHistoryInvalid: 'Please enter monthly bill values as positive numbers.',
+    roofInvalid: 'Please check the roof dimensions and panel tilt.',
+    zonesInvalid: 'Please check the names of your buildings and zones.',
+    diversityFactorInvalid: 'Please enter a diversity factor between 1% and 100%.',
+    daysOfAutonomyInvalid: 'Please enter between 0 and 7 days of autonomy.',
+    depthOfDischargeInvalid: 'Please enter a depth of discharge between 10% and 100%.',
+    applianceNameRequired: 'Enter the appliance name.',
+    wattageInvalid: 'Wattage must be a number greater than 0.',
+    hoursPerDayInvalid: 'Hours per day must be a number from 0 to 24.',
+    quantityInvalid: 'Quantity must be a number greater than 0.',
+    dutyCycleInvalid: 'Duty cycle must be a percentage above 0 and up to 100.',
+    usagePresetInvalid: 'Unknown usage; all-day use was assumed.',
+    customHoursInvalid: 'Custom hours must be ranges such as 6-9, 18-23.',
+    seasonalProfileInvalid: 'Unknown season; year-round use was assumed.',
+    csvEmpty: 'The file has no appliance rows.',
+    csvColumnsMissing: 'The first line must name the columns, including {columns}.',
+    tooManyZones: 'Too many buildings or zones; this row was added to the first one.',
+  },
+};
+
+export default en;
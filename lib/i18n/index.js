@@ -0,0 +1,66 @@
+import en from './en';
+import ar from './ar';
+
+// Locales the calculator can be shown in, with their text direction and Intl locale
+export const LOCALES = {
+  en: { id: 'en', dir: 'ltr', intlLocale: 'en-US', catalogue: en },
+  ar: { id: 'ar', dir: 'rtl', intlLocale: 'ar-SA', catalogue: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Reads a dotted key such as 'results.heading' from a catalogue.
+ * @param {object} catalogue - The message catalogue.
+ * @param {string} key - The dotted message key.
+ * @returns {string|undefined} The message, if the catalogue has it.
+ */
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+
+/**
+ * Creates the translation and formatting helpers for a locale.
+ * Messages missing from the locale's catalogue fall back to English, then to the key itself.
+ * @param {string} localeId - 'en' or 'ar'.
+ * @returns {object} locale, dir, t and the number, currency, percent, month, date-time and list formatters.
+ */
+export const createI18n = (localeId) => {
+  const locale = LOCALES[localeId] || LOCALES[DEFAULT_LOCALE];
+
+  const t = (key, params = {}) => {
+    const message = lookup(locale.catalogue, key) ?? lookup(en, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+
+  const formatNumber = (value, fractionDigits = 2) =>
+    new Intl.NumberFormat(locale.intlLocale, {
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(value);
+
+  const formatCurrency = (value, fractionDigits = 2) =>
+    new Intl.NumberFormat(locale.intlLocale, {
+      style: 'currency',
+      currency: 'SAR',
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(value);
+
+  const formatPercent = (value, fractionDigits = 0) =>
+    new Intl.NumberFormat(locale.intlLocale, {
+      style: 'percent',
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(value);
+
+  const formatMonth = (month) =>
+    new Intl.DateTimeFormat(locale.intlLocale, { month: 'short', timeZone: 'UTC' }).format(new Date(Date.UTC(2000, month, 1)));
+
+  const formatDateTime = (value, { timeZone } = {}) =>
+    new Intl.DateTimeFormat(locale.intlLocale, { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(new Date(value));
+
+  const formatList = (items) =>
+    new Intl.ListFormat(locale.intlLocale, { style: 'long', type: 'conjunction' }).format(items);
+
+  return { locale: locale.id, dir: locale.dir, t, formatNumber, formatCurrency, formatPercent, formatMonth, formatDateTime, formatList };
+};
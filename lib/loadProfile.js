@@ -0,0 +1,138 @@
+// Time-of-use modelling: spreads each appliance's daily energy over the hours it is
+// used and compares the resulting 24-hour load curve with a typical solar production curve.
+
+export const USAGE_PRESETS = [
+  { id: 'all-day', name: 'All day', windows: [{ start: 0, end: 24 }] },
+  { id: 'daytime', name: 'Daytime (8-17)', windows: [{ start: 8, end: 17 }] },
+  { id: 'morning', name: 'Morning (5-9)', windows: [{ start: 5, end: 9 }] },
+  { id: 'afternoon', name: 'Afternoon (12-18)', windows: [{ start: 12, end: 18 }] },
+  { id: 'evening', name: 'Evening (17-23)', windows: [{ start: 17, end: 23 }] },
+  { id: 'night', name: 'Night (22-6)', windows: [{ start: 22, end: 6 }] },
+];
+
+export const CUSTOM_USAGE_PRESET_ID = 'custom';
+export const DEFAULT_USAGE_PRESET_ID = 'all-day';
+
+// Hours of daylight used for the production curve
+const SUNRISE_HOUR = 6;
+const SUNSET_HOUR = 18;
+
+/**
+ * Parses custom hour ranges such as "6-9, 18-23". A range may wrap past midnight ("22-6").
+ * @param {string} text - Comma-separated start-end pairs with hours from 0 to 24.
+ * @returns {Array|null} The windows, or null when the text is not valid.
+ */
+export const parseHourRanges = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const windows = [];
+  for (const part of text.split(',')) {
+    const match = part.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+    if (!match) return null;
+    const start = Number(match[1]);
+    const end = Number(match[2]);
+    // Ranges covering no hours, such as "6-6" or "24-0", are mistakes
+    if (start > 24 || end > 24 || start % 24 === end) return null;
+    windows.push({ start, end });
+  }
+  return windows;
+};
+
+/**
+ * Returns the usage windows of an appliance row, falling back to all day.
+ * @param {object} app - The appliance row with optional usagePreset and customHours.
+ * @returns {Array} Windows of { start, end } hours.
+ */
+export const getUsageWindows = (app) => {
+  if (app?.usagePreset === CUSTOM_USAGE_PRESET_ID) {
+    const windows = parseHourRanges(app.customHours);
+    if (windows) return windows;
+  }
+  const preset = USAGE_PRESETS.find((item) => item.id === app?.usagePreset) ||
+    USAGE_PRESETS.find((item) => item.id === DEFAULT_USAGE_PRESET_ID);
+  return preset.windows;
+};
+
+/**
+ * Lists the hours of the day (0-23) covered by a set of windows.
+ * @param {Array} windows - Windows of { start, end } hours.
+ * @returns {Array} Distinct hour indexes.
+ */
+const hoursInWindows = (windows) => {
+  const hours = new Set();
+  for (const { start, end } of windows) {
+    const length = end > start ? end - start : 24 - start + end;
+    for (let offset = 0; offset < length; offset++) {
+      hours.add((start + offset) % 24);
+    }
+  }
+  return [...hours];
+};
+
+/**
+ * Builds the share of a day's solar production falling in each hour (a half-sine between sunrise and sunset).
+ * @returns {Array} 24 fractions summing to 1.
+ */
+const buildSolarShape = () => {
+  const weights = Array.from({ length: 24 }, (_, hour) => {
+    const middleOfHour = hour + 0.5;
+    if (middleOfHour <= SUNRISE_HOUR || middleOfHour >= SUNSET_HOUR) return 0;
+    return Math.sin((Math.PI * (middleOfHour - SUNRISE_HOUR)) / (SUNSET_HOUR - SUNRISE_HOUR));
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => weight / total);
+};
+
+/**
+ * Compares the hourly load of the appliances with the hourly output of the array on an average day.
+ * @param {Array} appliances - Valid appliance rows.
+ * @param {object} options
+ * @param {Function} options.dailyKWhOf - Returns the daily kWh of an appliance row, given the row and its index.
+ * @param {number} options.dailyProductionKWh - Average daily production of the array.
+ * @param {number} [options.dailyLoadKWh] - Scales the appliances' shape to this daily total, e.g. from bills.
+ * @param {number} options.batteryEfficiency - Round-trip efficiency used to size night storage.
+ * @returns {object} Hourly curves, self-consumption, grid import/export and night battery need.
+ */
+export const buildLoadProfile = (appliances, { dailyKWhOf, dailyProductionKWh, dailyLoadKWh, batteryEfficiency }) => {
+  let hourlyLoadKWh = new Array(24).fill(0);
+  appliances.forEach((app, index) => {
+    const hours = hoursInWindows(getUsageWindows(app));
+    const energyPerHour = dailyKWhOf(app, index) / hours.length;
+    for (const hour of hours) {
+      hourlyLoadKWh[hour] += energyPerHour;
+    }
+  });
+  if (dailyLoadKWh !== undefined) {
+    // Keep the appliances' daily shape but match the measured total; spread evenly without appliances
+    const shapeKWh = hourlyLoadKWh.reduce((sum, load) => sum + load, 0);
+    hourlyLoadKWh = shapeKWh > 0
+      ? hourlyLoadKWh.map((load) => (load / shapeKWh) * dailyLoadKWh)
+      : hourlyLoadKWh.map(() => dailyLoadKWh / 24);
+  }
+
+  const hourlySolarKWh = buildSolarShape().map((share) => share * dailyProductionKWh);
+
+  let selfConsumedKWh = 0;
+  let gridImportKWh = 0;
+  let gridExportKWh = 0;
+  hourlyLoadKWh.forEach((load, hour) => {
+    const solar = hourlySolarKWh[hour];
+    selfConsumedKWh += Math.min(load, solar);
+    gridImportKWh += Math.max(0, load - solar);
+    gridExportKWh += Math.max(0, solar - load);
+  });
+
+  const totalLoadKWh = hourlyLoadKWh.reduce((sum, load) => sum + load, 0);
+  const totalSolarKWh = hourlySolarKWh.reduce((sum, solar) => sum + solar, 0);
+
+  return {
+    hourlyLoadKWh,
+    hourlySolarKWh,
+    selfConsumedKWh,
+    selfConsumptionPct: totalSolarKWh > 0 ? (selfConsumedKWh / totalSolarKWh) * 100 : 0,
+    solarCoveragePct: totalLoadKWh > 0 ? (selfConsumedKWh / totalLoadKWh) * 100 : 0,
+    gridImportKWh,
+    gridExportKWh,
+    // Usable storage needed to supply every hour the sun does not cover
+    nightBatteryKWh: gridImportKWh / batteryEfficiency,
+  };
+};
@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { buildLoadProfile, CUSTOM_USAGE_PRESET_ID, getUsageWindows, parseHourRanges, USAGE_PRESETS } from './loadProfile';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Daily kWh is taken from the row itself to keep the profiles easy to follow
+const profileOf = (appliances, options = {}) => buildLoadProfile(appliances, {
+  dailyKWhOf: (app) => app.dailyKWh,
+  dailyProductionKWh: 12,
+  batteryEfficiency: 0.9,
+  ...options,
+});
+
+describe('parseHourRanges', () => {
+  it('reads comma-separated ranges', () => {
+    expect(parseHourRanges('6-9, 18-23')).toEqual([{ start: 6, end: 9 }, { start: 18, end: 23 }]);
+    expect(parseHourRanges(' 0 - 24 ')).toEqual([{ start: 0, end: 24 }]);
+  });
+
+  it('accepts ranges crossing midnight', () => {
+    expect(parseHourRanges('22-6')).toEqual([{ start: 22, end: 6 }]);
+    expect(parseHourRanges('24-5')).toEqual([{ start: 24, end: 5 }]);
+  });
+
+  it.each(['', '   ', '6', '6-9,', '6-9;18-23', '25-3', '3-25', '-1-5', '6.5-9', 'a-b', '6–9'])('rejects %j', (text) => {
+    expect(parseHourRanges(text)).toBeNull();
+  });
+
+  it('rejects ranges covering no hours', () => {
+    expect(parseHourRanges('6-6')).toBeNull();
+    expect(parseHourRanges('24-0')).toBeNull();
+    expect(parseHourRanges('6-9, 12-12')).toBeNull();
+  });
+
+  it('rejects anything but text', () => {
+    expect(parseHourRanges(null)).toBeNull();
+    expect(parseHourRanges(69)).toBeNull();
+  });
+});
+
+describe('getUsageWindows', () => {
+  const allDay = USAGE_PRESETS.find((preset) => preset.id === 'all-day').windows;
+
+  it('returns the windows of the chosen preset', () => {
+    expect(getUsageWindows({ usagePreset: 'night' })).toEqual([{ start: 22, end: 6 }]);
+  });
+
+  it('reads custom hours', () => {
+    expect(getUsageWindows({ usagePreset: CUSTOM_USAGE_PRESET_ID, customHours: '5-7, 19-21' }))
+      .toEqual([{ start: 5, end: 7 }, { start: 19, end: 21 }]);
+  });
+
+  it('falls back to all day for invalid custom hours, unknown presets and rows without one', () => {
+    expect(getUsageWindows({ usagePreset: CUSTOM_USAGE_PRESET_ID, customHours: '9-9' })).toEqual(allDay);
+    expect(getUsageWindows({ usagePreset: 'siesta' })).toEqual(allDay);
+    expect(getUsageWindows({})).toEqual(allDay);
+    expect(getUsageWindows(undefined)).toEqual(allDay);
+  });
+});
+
+describe('buildLoadProfile', () => {
+  it('spreads each appliance evenly over its hours, across midnight too', () => {
+    const { hourlyLoadKWh } = profileOf([{ dailyKWh: 8, usagePreset: 'night' }]);
+    const loadedHours = hourlyLoadKWh.flatMap((load, hour) => (load > 0 ? [hour] : []));
+    expect(loadedHours).toEqual([0, 1, 2, 3, 4, 5, 22, 23]);
+    expect(hourlyLoadKWh[23]).toBe(1);
+    expect(sum(hourlyLoadKWh)).toBeCloseTo(8, 9);
+  });
+
+  it('counts hours covered by overlapping custom ranges once', () => {
+    const { hourlyLoadKWh } = profileOf([{ dailyKWh: 6, usagePreset: CUSTOM_USAGE_PRESET_ID, customHours: '6-9, 8-12' }]);
+    expect(hourlyLoadKWh.filter((load) => load > 0)).toHaveLength(6);
+    expect(sum(hourlyLoadKWh)).toBeCloseTo(6, 9);
+  });
+
+  it('produces solar only in daylight, peaking around noon', () => {
+    const { hourlySolarKWh } = profileOf([]);
+    expect(sum(hourlySolarKWh)).toBeCloseTo(12, 9);
+    expect(hourlySolarKWh.slice(0, 6).every((solar) => solar === 0)).toBe(true);
+    expect(hourlySolarKWh.slice(18).every((solar) => solar === 0)).toBe(true);
+    expect(hourlySolarKWh[11]).toBeCloseTo(hourlySolarKWh[12], 9);
+    expect(Math.max(...hourlySolarKWh)).toBe(hourlySolarKWh[11]);
+  });
+
+  it('covers a small daytime load from the array and exports the rest', () => {
+    const profile = profileOf([{ dailyKWh: 0.9, usagePreset: CUSTOM_USAGE_PRESET_ID, customHours: '11-14' }]);
+    expect(profile.selfConsumedKWh).toBeCloseTo(0.9, 9);
+    expect(profile.solarCoveragePct).toBeCloseTo(100, 9);
+    expect(profile.selfConsumptionPct).toBeCloseTo(7.5, 9);
+    expect(profile.gridImportKWh).toBeCloseTo(0, 9);
+    expect(profile.gridExportKWh).toBeCloseTo(11.1, 9);
+  });
+
+  it('sizes the night battery from the energy imported, allowing for its efficiency', () => {
+    const profile = profileOf([{ dailyKWh: 9, usagePreset: 'night' }]);
+    expect(profile.selfConsumedKWh).toBe(0);
+    expect(profile.gridImportKWh).toBeCloseTo(9, 9);
+    expect(profile.nightBatteryKWh).toBeCloseTo(10, 9);
+  });
+
+  it('scales the appliances to a measured daily total, keeping their shape', () => {
+    const { hourlyLoadKWh } = profileOf(
+      [{ dailyKWh: 2, usagePreset: 'morning' }, { dailyKWh: 6, usagePreset: 'evening' }],
+      { dailyLoadKWh: 16 },
+    );
+    expect(sum(hourlyLoadKWh)).toBeCloseTo(16, 9);
+    expect(hourlyLoadKWh[6]).toBeCloseTo(1, 9);
+    expect(hourlyLoadKWh[20]).toBeCloseTo(2, 9);
+  });
+
+  it('spreads a measured total evenly without appliances', () => {
+    const { hourlyLoadKWh } = profileOf([], { dailyLoadKWh: 24 });
+    expect(hourlyLoadKWh.every((load) => load === 1)).toBe(true);
+  });
+
+  it('reports no shares without load or production', () => {
+    expect(profileOf([], { dailyProductionKWh: 0 })).toMatchObject({ selfConsumptionPct: 0, solarCoveragePct: 0 });
+  });
+});
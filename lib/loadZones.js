@@ -0,0 +1,71 @@
+import { calculatePeakLoadKW } from './systemSizing';
+
+// Load zones group the appliance rows of a project by building or area, e.g. 'Main house',
+// 'Majlis' or 'Water pump station', for villas with annexes, shops and farms. Every row carries
+// the id of its zone in zoneId; the list itself stays flat, so the whole site is sized at once.
+
+// Upper bound on zones in one project
+export const MAX_ZONES = 20;
+
+/**
+ * Returns the zone an appliance row belongs to. Rows without a known zone, such as those saved
+ * before zones existed, belong to the first zone.
+ * @param {object} app - The appliance row.
+ * @param {Array} zones - The project's zones, each with id and name.
+ * @returns {number|string|null} The zone id, or null when there are no zones.
+ */
+export const getApplianceZoneId = (app, zones) =>
+  (zones.some((zone) => zone.id === app.zoneId) ? app.zoneId : zones[0]?.id ?? null);
+
+/**
+ * Gives every appliance row the id of the zone it belongs to.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} zones - The project's zones.
+ * @returns {Array} The rows, each with a valid zoneId.
+ */
+export const assignApplianceZones = (appliances, zones) =>
+  appliances.map((app) => ({ ...app, zoneId: getApplianceZoneId(app, zones) }));
+
+/**
+ * Names a zone in English-only output such as the PDF quotation and the leads export;
+ * the calculator shows unnamed zones with a translated label instead.
+ * @param {object} zone - The zone.
+ * @param {number} index - Its position in the project.
+ * @returns {string} The zone's name, or 'Zone <n>' when it has none.
+ */
+export const getZoneDisplayName = (zone, index) => zone.name || `Zone ${index + 1}`;
+
+/**
+ * Returns the appliance rows of one zone, in list order.
+ * @param {Array} appliances - Appliance rows.
+ * @param {Array} zones - The project's zones.
+ * @param {number|string} zoneId - The zone id.
+ * @returns {Array} The zone's rows.
+ */
+export const getZoneAppliances = (appliances, zones, zoneId) =>
+  appliances.filter((app) => getApplianceZoneId(app, zones) === zoneId);
+
+/**
+ * Totals the consumption and connected load of every zone.
+ * @param {Array} zones - The project's zones.
+ * @param {Array} appliances - The appliance rows the estimate was calculated with.
+ * @param {Array} breakdown - The estimate's per-appliance breakdown, in the same order as the rows.
+ * @returns {Array} Per zone: id, name, appliance count, connected load (kW), daily kWh and share of the appliance total.
+ */
+export const summariseZones = (zones, appliances, breakdown) => {
+  const totalDailyKWh = breakdown.reduce((sum, row) => sum + row.dailyKWh, 0);
+  return zones.map((zone) => {
+    const indexes = appliances
+      .map((app, index) => (getApplianceZoneId(app, zones) === zone.id ? index : -1))
+      .filter((index) => index >= 0);
+    const dailyKWh = indexes.reduce((sum, index) => sum + (breakdown[index]?.dailyKWh || 0), 0);
+    return {
+      id: zone.id,
+      name: zone.name,
+      applianceCount: indexes.length,
+      connectedLoadKW: calculatePeakLoadKW(indexes.map((index) => appliances[index])),
+      dailyKWh,
+      share: totalDailyKWh > 0 ? dailyKWh / totalDailyKWh : 0,
+    };
+  });
+};
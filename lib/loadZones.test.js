@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  assignApplianceZones,
+  getApplianceZoneId,
+  getZoneAppliances,
+  getZoneDisplayName,
+  summariseZones,
+} from './loadZones';
+import { calculateSolarEstimate } from './solarEngine';
+
+const zones = [{ id: 1, name: 'Main house' }, { id: 2, name: 'Majlis' }, { id: 3, name: '' }];
+
+const appliances = [
+  { name: 'Air Conditioner', wattage: 1500, hoursPerDay: 8, quantity: 2, zoneId: 1 },
+  { name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1, zoneId: 1 },
+  { name: 'Lights', wattage: 100, hoursPerDay: 6, quantity: 3, zoneId: 2 },
+  { name: 'Water Pump', wattage: 750, hoursPerDay: 1, quantity: 1 },
+];
+
+describe('getApplianceZoneId', () => {
+  it('keeps the zone of rows in a known zone', () => {
+    expect(getApplianceZoneId({ zoneId: 2 }, zones)).toBe(2);
+  });
+
+  it('puts rows without a known zone in the first zone', () => {
+    expect(getApplianceZoneId({}, zones)).toBe(1);
+    expect(getApplianceZoneId({ zoneId: 9 }, zones)).toBe(1);
+  });
+
+  it('returns null without zones', () => {
+    expect(getApplianceZoneId({ zoneId: 1 }, [])).toBeNull();
+  });
+});
+
+describe('assignApplianceZones', () => {
+  it('gives every row a valid zone id without changing the rest', () => {
+    const assigned = assignApplianceZones(appliances, zones);
+    expect(assigned.map((app) => app.zoneId)).toEqual([1, 1, 2, 1]);
+    expect(assigned[3]).toMatchObject({ name: 'Water Pump', wattage: 750 });
+    expect(appliances[3].zoneId).toBeUndefined();
+  });
+});
+
+describe('getZoneAppliances', () => {
+  it('returns the rows of one zone in list order', () => {
+    expect(getZoneAppliances(appliances, zones, 1).map((app) => app.name)).toEqual(['Air Conditioner', 'Refrigerator', 'Water Pump']);
+    expect(getZoneAppliances(appliances, zones, 3)).toEqual([]);
+  });
+});
+
+describe('getZoneDisplayName', () => {
+  it('uses the zone name, or numbers unnamed zones from 1', () => {
+    expect(getZoneDisplayName(zones[1], 1)).toBe('Majlis');
+    expect(getZoneDisplayName(zones[2], 2)).toBe('Zone 3');
+  });
+});
+
+describe('summariseZones', () => {
+  const breakdown = [{ dailyKWh: 24 }, { dailyKWh: 3.6 }, { dailyKWh: 1.8 }, { dailyKWh: 0.6 }];
+
+  it('totals each zone\'s rows, connected load and share of the consumption', () => {
+    const [main, majlis, empty] = summariseZones(zones, appliances, breakdown);
+    expect(main).toMatchObject({ id: 1, name: 'Main house', applianceCount: 3 });
+    expect(main.dailyKWh).toBeCloseTo(28.2, 9);
+    expect(main.connectedLoadKW).toBeCloseTo(3 + 0.15 + 0.75, 9);
+    expect(main.share).toBeCloseTo(28.2 / 30, 9);
+    expect(majlis).toMatchObject({ applianceCount: 1, connectedLoadKW: 0.3 });
+    expect(majlis.share).toBeCloseTo(0.06, 9);
+    expect(empty).toEqual({ id: 3, name: '', applianceCount: 0, connectedLoadKW: 0, dailyKWh: 0, share: 0 });
+  });
+
+  it('adds up to the estimate\'s appliance total', () => {
+    const estimate = calculateSolarEstimate(appliances);
+    const summary = summariseZones(zones, appliances, estimate.breakdown);
+    expect(summary.reduce((sum, zone) => sum + zone.dailyKWh, 0)).toBeCloseTo(estimate.applianceDailyKWh, 9);
+    expect(summary.reduce((sum, zone) => sum + zone.share, 0)).toBeCloseTo(1, 9);
+  });
+
+  it('gives every zone no share without consumption', () => {
+    expect(summariseZones(zones, [], []).map((zone) => zone.share)).toEqual([0, 0, 0]);
+  });
+});
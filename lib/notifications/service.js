@@ -0,0 +1,174 @@
+import path from 'path';
+import { createSmtpTransport, createFileTransport, createMemoryTransport, createWebhookTransport } from './transports';
+import { loadTemplate, renderTemplate, buildQuoteTemplateParams } from './templates';
+import { getTemplateStore } from './templateStore';
+import { DEFAULT_LOCALE, LOCALES } from '../i18n';
+import { createRateLimiter } from '../rateLimit';
+
+// Notifications sent when a detailed quote is requested: a confirmation email to the customer,
+// an alert email to the sales team and a 'quote.created' webhook event for the CRM.
+
+/**
+ * Summarises a saved quote for the webhook. Contact details are included so the CRM can create
+ * the lead; the appliance list is not.
+ * @param {object} quote - The saved quote request.
+ * @returns {object} The event data.
+ */
+export const toQuoteEventData = (quote) => ({
+  reference: quote.reference,
+  createdAt: quote.createdAt,
+  locale: quote.locale,
+  contact: { name: quote.name, email: quote.email, phone: quote.phone, location: quote.location },
+  cityId: quote.cityId,
+  tariffCategory: quote.tariffCategory,
+  systemType: quote.systemType,
+  supplyPhase: quote.supplyPhase,
+  packageId: quote.packageId || null,
+  estimate: {
+    totalDailyKWh: quote.estimate?.totalDailyKWh,
+    estimatedSystemSizeKW: quote.estimate?.estimatedSystemSizeKW,
+    estimatedSystemCostSAR: quote.estimate?.estimatedSystemCostSAR,
+    estimatedMonthlySavingsSAR: quote.estimate?.estimatedMonthlySavingsSAR,
+  },
+  equipmentPackage: quote.equipmentPackage,
+  zoneBreakdown: quote.zoneBreakdown,
+  assumptionsVersion: quote.assumptionsVersion,
+});
+
+/**
+ * Creates the quote notifier.
+ * @param {object} options
+ * @param {object|null} options.emailTransport - Transport for the emails; null sends none.
+ * @param {object|null} options.webhookTransport - Transport for the webhook event; null sends none.
+ * @param {string} options.from - Sender of the emails, e.g. 'EverSolar <quotes@example.com>'.
+ * @param {Array<string>} [options.salesEmails] - Addresses alerted about new requests.
+ * @param {string} [options.replyTo] - Where customer replies go; defaults to the first sales address.
+ * @param {object} [options.templateStore] - Store of the templates edited in the admin area.
+ * @param {object} [options.confirmationLimiter] - Rate limiter (lib/rateLimit.js) for confirmations
+ *   to each address; the form accepts any address, so the mail server must not be usable to send
+ *   it mail over and over.
+ * @param {number} [options.timeoutMs] - How long to wait for each delivery before reporting it failed.
+ * @returns {object} The notifier.
+ */
+export const createQuoteNotifier = ({
+  emailTransport,
+  webhookTransport,
+  from,
+  salesEmails = [],
+  replyTo,
+  templateStore,
+  confirmationLimiter = null,
+  timeoutMs = 5000,
+}) => {
+  const renderEmail = async (name, quote, locale) =>
+    renderTemplate(await loadTemplate(name, locale, { store: templateStore }), buildQuoteTemplateParams(quote, locale));
+
+  const deliveries = {
+    async customer(quote) {
+      if (!emailTransport) return 'skipped';
+      if (confirmationLimiter && !confirmationLimiter.check(quote.email.toLowerCase()).allowed) return 'limited';
+      const locale = LOCALES[quote.locale] ? quote.locale : DEFAULT_LOCALE;
+      const { subject, text } = await renderEmail('customer-confirmation', quote, locale);
+      await emailTransport.send({ channel: 'email', from, to: [quote.email], replyTo: replyTo || salesEmails[0], subject, text });
+      return 'sent';
+    },
+    async sales(quote) {
+      if (!emailTransport || salesEmails.length === 0) return 'skipped';
+      // Staff answer the customer directly by replying to the alert
+      const { subject, text } = await renderEmail('sales-alert', quote, DEFAULT_LOCALE);
+      await emailTransport.send({ channel: 'email', from, to: salesEmails, replyTo: quote.email, subject, text });
+      return 'sent';
+    },
+    async webhook(quote) {
+      if (!webhookTransport) return 'skipped';
+      await webhookTransport.send({ channel: 'webhook', event: 'quote.created', data: toQuoteEventData(quote) });
+      return 'sent';
+    },
+  };
+
+  return {
+    /**
+     * Sends every notification for a newly saved quote, waiting at most timeoutMs for each.
+     * Never throws: the request is already saved, so a failed delivery is logged and reported instead.
+     * @param {object} quote - The saved quote request.
+     * @returns {Promise<object>} 'sent', 'skipped' (not configured), 'limited' (too many
+     *   confirmations to the address) or 'failed' for customer, sales and webhook.
+     */
+    async notifyQuoteCreated(quote) {
+      const results = await Promise.all(Object.entries(deliveries).map(async ([channel, deliver]) => {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+        });
+        try {
+          return [channel, await Promise.race([deliver(quote), timeout])];
+        } catch (error) {
+          console.error(`Error sending the ${channel} notification for quote ${quote.reference}:`, error);
+          return [channel, 'failed'];
+        } finally {
+          clearTimeout(timer);
+        }
+      }));
+      return Object.fromEntries(results);
+    },
+  };
+};
+
+/**
+ * Splits a comma-separated list of addresses.
+ * @param {string} [value] - e.g. 'sales@example.com, owner@example.com'.
+ * @returns {Array<string>} The addresses.
+ */
+const parseAddressList = (value) => String(value || '').split(',').map((address) => address.trim()).filter(Boolean);
+
+let defaultNotifier = null;
+
+/**
+ * Returns the notifier configured through the environment.
+ * NOTIFY_TRANSPORT selects delivery: 'network' (default) sends email over SMTP (when SMTP_HOST is set)
+ * and the webhook over HTTP (when NOTIFY_WEBHOOK_URL is set); 'file' writes every message to
+ * NOTIFY_OUTBOX_DIR instead, and 'memory' keeps them in memory.
+ * @returns {object} The shared notifier.
+ */
+export const getQuoteNotifier = () => {
+  if (!defaultNotifier) {
+    const { env } = process;
+    const webhookUrl = env.NOTIFY_WEBHOOK_URL;
+    let emailTransport = null;
+    let webhookTransport = null;
+
+    if (env.NOTIFY_TRANSPORT === 'file' || env.NOTIFY_TRANSPORT === 'memory') {
+      const transport = env.NOTIFY_TRANSPORT === 'memory'
+        ? createMemoryTransport()
+        : createFileTransport({ dir: env.NOTIFY_OUTBOX_DIR || path.join(process.cwd(), '.data', 'outbox') });
+      emailTransport = transport;
+      webhookTransport = webhookUrl ? transport : null;
+    } else {
+      emailTransport = env.SMTP_HOST
+        ? createSmtpTransport({
+          host: env.SMTP_HOST,
+          port: Number(env.SMTP_PORT) || undefined,
+          secure: env.SMTP_SECURE === 'true',
+          user: env.SMTP_USER,
+          password: env.SMTP_PASSWORD,
+        })
+        : null;
+      webhookTransport = webhookUrl ? createWebhookTransport({ url: webhookUrl, secret: env.NOTIFY_WEBHOOK_SECRET }) : null;
+    }
+
+    defaultNotifier = createQuoteNotifier({
+      emailTransport,
+      webhookTransport,
+      from: env.NOTIFY_FROM || 'EverSolar <no-reply@localhost>',
+      salesEmails: parseAddressList(env.NOTIFY_SALES_EMAIL),
+      replyTo: env.NOTIFY_REPLY_TO,
+      templateStore: getTemplateStore(),
+      confirmationLimiter: createRateLimiter({
+        limit: Number(env.NOTIFY_CONFIRMATION_LIMIT) || 3,
+        windowMs: 24 * 60 * 60 * 1000,
+      }),
+      timeoutMs: Number(env.NOTIFY_TIMEOUT_MS) || undefined,
+    });
+  }
+  return defaultNotifier;
+};
@@ -0,0 +1,134 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createQuoteNotifier, toQuoteEventData } from './service';
+import { createMemoryTemplateStore } from './templateStore';
+import { createMemoryTransport } from './transports';
+import { createRateLimiter } from '../rateLimit';
+
+const quote = {
+  reference: 'EVS-20250314-ABC123',
+  createdAt: '2025-03-14T10:00:00.000Z',
+  locale: 'en',
+  name: 'Sara',
+  email: 'sara@example.com',
+  phone: '0501234567',
+  location: 'Riyadh',
+  cityId: 'riyadh',
+  tariffCategory: 'residential',
+  systemType: 'grid-tied',
+  supplyPhase: 'single-phase',
+  appliances: [{ name: 'AC', wattage: 1500, hoursPerDay: 8, quantity: 1 }],
+  estimate: { totalDailyKWh: 12, estimatedSystemSizeKW: 2.5, estimatedSystemCostSAR: 30000, estimatedMonthlySavingsSAR: 250 },
+  equipmentPackage: null,
+  assumptionsVersion: 2,
+};
+
+// The emails go out side by side, so they are told apart by recipient rather than order
+const findEmail = (transport, to) => transport.sent.find((message) => message.to.includes(to));
+
+const createNotifier = (options = {}) => createQuoteNotifier({
+  emailTransport: createMemoryTransport(),
+  webhookTransport: createMemoryTransport(),
+  from: 'EverSolar <quotes@example.com>',
+  salesEmails: ['sales@example.com', 'owner@example.com'],
+  ...options,
+});
+
+describe('createQuoteNotifier', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('emails the customer and the sales team and posts the webhook event', async () => {
+    const emailTransport = createMemoryTransport();
+    const webhookTransport = createMemoryTransport();
+    const notifier = createNotifier({ emailTransport, webhookTransport });
+
+    expect(await notifier.notifyQuoteCreated(quote)).toEqual({ customer: 'sent', sales: 'sent', webhook: 'sent' });
+    const customer = findEmail(emailTransport, 'sara@example.com');
+    const sales = findEmail(emailTransport, 'sales@example.com');
+    expect(customer).toMatchObject({ channel: 'email', to: ['sara@example.com'], replyTo: 'sales@example.com' });
+    expect(customer.subject).toBe('Your EverSolar quote request EVS-20250314-ABC123');
+    expect(customer.text).toContain('Dear Sara,');
+    expect(customer.text).toContain('Grid-Tied');
+    expect(sales).toMatchObject({ to: ['sales@example.com', 'owner@example.com'], replyTo: 'sara@example.com' });
+    expect(sales.subject).toContain('New quote request EVS-20250314-ABC123: Sara');
+    expect(webhookTransport.sent).toEqual([{ channel: 'webhook', event: 'quote.created', data: toQuoteEventData(quote) }]);
+  });
+
+  it('writes to Arabic-speaking customers in Arabic and alerts staff in English', async () => {
+    const emailTransport = createMemoryTransport();
+    await createNotifier({ emailTransport }).notifyQuoteCreated({ ...quote, locale: 'ar' });
+    const customer = findEmail(emailTransport, 'sara@example.com');
+    const sales = findEmail(emailTransport, 'sales@example.com');
+    expect(customer.subject).toContain('EverSolar');
+    expect(customer.text).toContain('عزيزي/عزيزتي Sara');
+    expect(sales.text).toContain('Customer language: ar');
+  });
+
+  it('uses a template edited in the admin area', async () => {
+    const templateStore = createMemoryTemplateStore();
+    await templateStore.save({ name: 'customer-confirmation', locale: 'en', text: 'Subject: Thanks {name}\n\nReference {reference}\n' });
+    const emailTransport = createMemoryTransport();
+    await createNotifier({ emailTransport, templateStore }).notifyQuoteCreated(quote);
+    expect(findEmail(emailTransport, 'sara@example.com')).toMatchObject({ subject: 'Thanks Sara', text: 'Reference EVS-20250314-ABC123\n' });
+  });
+
+  it('skips what is not configured', async () => {
+    const notifier = createNotifier({ emailTransport: null, webhookTransport: null });
+    expect(await notifier.notifyQuoteCreated(quote)).toEqual({ customer: 'skipped', sales: 'skipped', webhook: 'skipped' });
+
+    const emailTransport = createMemoryTransport();
+    expect(await createNotifier({ emailTransport, salesEmails: [] }).notifyQuoteCreated(quote))
+      .toMatchObject({ customer: 'sent', sales: 'skipped' });
+    expect(emailTransport.sent[0].replyTo).toBeUndefined();
+  });
+
+  it('reports a failed delivery without failing the others', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const webhookTransport = { send: vi.fn().mockRejectedValue(new Error('CRM is down')) };
+    const notifier = createNotifier({ webhookTransport });
+
+    expect(await notifier.notifyQuoteCreated(quote)).toEqual({ customer: 'sent', sales: 'sent', webhook: 'failed' });
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('webhook notification for quote EVS-20250314-ABC123'), expect.any(Error));
+  });
+});
+
+describe('createQuoteNotifier limits', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('stops confirming to an address that keeps being entered', async () => {
+    const emailTransport = createMemoryTransport();
+    const confirmationLimiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+    const notifier = createNotifier({ emailTransport, confirmationLimiter });
+
+    expect((await notifier.notifyQuoteCreated(quote)).customer).toBe('sent');
+    const again = await notifier.notifyQuoteCreated({ ...quote, reference: 'EVS-2', email: 'SARA@example.com' });
+    // Sales still hear about the request
+    expect(again).toMatchObject({ customer: 'limited', sales: 'sent' });
+    expect(emailTransport.sent.filter((message) => message.to.includes('sara@example.com'))).toHaveLength(1);
+  });
+
+  it('reports a delivery that takes too long as failed', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const webhookTransport = { send: () => new Promise(() => {}) };
+    const pending = createNotifier({ webhookTransport, timeoutMs: 1000 }).notifyQuoteCreated(quote);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(await pending).toEqual({ customer: 'sent', sales: 'sent', webhook: 'failed' });
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('webhook notification'), expect.objectContaining({ message: 'Timed out after 1000 ms' }));
+  });
+});
+
+describe('toQuoteEventData', () => {
+  it('includes the contact details and estimate but not the appliances', () => {
+    const data = toQuoteEventData(quote);
+    expect(data.contact).toEqual({ name: 'Sara', email: 'sara@example.com', phone: '0501234567', location: 'Riyadh' });
+    expect(data.estimate.estimatedSystemSizeKW).toBe(2.5);
+    expect(data.packageId).toBeNull();
+    expect(data).not.toHaveProperty('appliances');
+  });
+});
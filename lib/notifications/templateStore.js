@@ -0,0 +1,152 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { collection, deleteDoc, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { getServerAppId, getServerFirestore } from '../serverFirestore';
+
+// Storage for the email templates edited in the admin area, kept with the other admin-managed
+// data. Every store exposes the same async interface: list(), get(name, locale),
+// save({ name, locale, text, author }) and remove(name, locale). Only edited templates are
+// stored; the defaults live in lib/notifications/templates.js.
+
+/**
+ * Adds the bookkeeping to an edited template.
+ * @param {object} entry - name, locale, text and author.
+ * @param {Date} now - The time of the edit.
+ * @returns {object} The stored template.
+ */
+const toStoredTemplate = ({ name, locale, text, author }, now) => ({
+  name,
+  locale,
+  text,
+  updatedAt: now.toISOString(),
+  author: author || null,
+});
+
+const idFor = (name, locale) => `${name}.${locale}`;
+
+/**
+ * Creates a store that keeps edited templates in memory. Useful for tests.
+ * @returns {object} The template store.
+ */
+export const createMemoryTemplateStore = () => {
+  const templates = new Map();
+
+  return {
+    async list() {
+      return [...templates.values()];
+    },
+    async get(name, locale) {
+      return templates.get(idFor(name, locale)) || null;
+    },
+    async save(entry) {
+      const stored = toStoredTemplate(entry, new Date());
+      templates.set(idFor(entry.name, entry.locale), stored);
+      return stored;
+    },
+    async remove(name, locale) {
+      templates.delete(idFor(name, locale));
+    },
+  };
+};
+
+/**
+ * Creates a store that keeps each edited template as a text file named '<template>.<locale>.txt'
+ * in a local directory, for development.
+ * @param {object} options
+ * @param {string} options.dir - Directory of the template files.
+ * @returns {object} The template store.
+ */
+export const createFileTemplateStore = ({ dir }) => {
+  const fileFor = (name, locale) => path.join(dir, `${path.basename(idFor(name, locale))}.txt`);
+
+  const read = async (name, locale) => {
+    const file = fileFor(name, locale);
+    try {
+      const [text, stats] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+      return { name, locale, text, updatedAt: stats.mtime.toISOString(), author: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const ids = files.map((file) => /^([\w-]+)\.(\w+)\.txt$/.exec(file)).filter(Boolean);
+      return Promise.all(ids.map(([, name, locale]) => read(name, locale)));
+    },
+    get: read,
+    async save(entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(entry.name, entry.locale), entry.text);
+      return read(entry.name, entry.locale);
+    },
+    async remove(name, locale) {
+      await fs.rm(fileFor(name, locale), { force: true });
+    },
+  };
+};
+
+/**
+ * Creates a store keeping edited templates in Firestore under artifacts/{appId}/templates,
+ * one document per template and language ('customer-confirmation.ar', ...).
+ * @param {object} options
+ * @param {object|Function} options.db - The Firestore instance, or a function resolving to it, such as
+ *   getServerFirestore, which signs the server in first.
+ * @param {string} options.appId - The application id used to namespace the data.
+ * @returns {object} The template store.
+ */
+export const createFirestoreTemplateStore = ({ db, appId }) => {
+  const templatesRef = async () => collection(typeof db === 'function' ? await db() : db, 'artifacts', appId, 'templates');
+
+  return {
+    async list() {
+      const snapshot = await getDocs(await templatesRef());
+      return snapshot.docs.map((item) => item.data());
+    },
+    async get(name, locale) {
+      const snapshot = await getDoc(doc(await templatesRef(), idFor(name, locale)));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    async save(entry) {
+      const stored = toStoredTemplate(entry, new Date());
+      await setDoc(doc(await templatesRef(), idFor(entry.name, entry.locale)), stored);
+      return stored;
+    },
+    async remove(name, locale) {
+      await deleteDoc(doc(await templatesRef(), idFor(name, locale)));
+    },
+  };
+};
+
+let defaultStore = null;
+
+/**
+ * Returns the template store configured through the environment.
+ * TEMPLATE_STORE selects the backend and defaults to the one the assumptions use
+ * (ASSUMPTIONS_STORE): 'firestore' (the default in production, see lib/serverFirestore),
+ * 'file' (the default otherwise) or 'memory'; NOTIFY_TEMPLATES_DIR sets the directory used by
+ * the file backend.
+ * @returns {object} The shared template store.
+ */
+export const getTemplateStore = () => {
+  if (!defaultStore) {
+    const { env } = process;
+    const backend = env.TEMPLATE_STORE || env.ASSUMPTIONS_STORE || (env.NODE_ENV === 'production' ? 'firestore' : 'file');
+    if (backend === 'memory') {
+      defaultStore = createMemoryTemplateStore();
+    } else if (backend === 'firestore') {
+      defaultStore = createFirestoreTemplateStore({ db: getServerFirestore, appId: getServerAppId() });
+    } else {
+      defaultStore = createFileTemplateStore({ dir: env.NOTIFY_TEMPLATES_DIR || path.join(process.cwd(), '.data', 'templates') });
+    }
+  }
+  return defaultStore;
+};
@@ -0,0 +1,78 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeFirestore } from '../testing/fakeFirestore';
+import { createFileTemplateStore, createFirestoreTemplateStore, createMemoryTemplateStore } from './templateStore';
+
+vi.mock('firebase/firestore', () => import('../testing/fakeFirestore'));
+
+const template = (name, locale, text = 'Subject: Hi {name}\n\nBody\n') => ({ name, locale, text, author: 'Huda' });
+
+const describeStore = (name, createStore) => {
+  describe(name, () => {
+    let store;
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    it('returns a saved template with when it was edited', async () => {
+      const saved = await store.save(template('customer-confirmation', 'ar'));
+      expect(saved).toMatchObject({ name: 'customer-confirmation', locale: 'ar', text: 'Subject: Hi {name}\n\nBody\n' });
+      expect(Date.parse(saved.updatedAt)).not.toBeNaN();
+      expect(await store.get('customer-confirmation', 'ar')).toMatchObject({ text: 'Subject: Hi {name}\n\nBody\n' });
+    });
+
+    it('returns null for a template that was not edited', async () => {
+      await store.save(template('customer-confirmation', 'ar'));
+      expect(await store.get('customer-confirmation', 'en')).toBeNull();
+    });
+
+    it('lists the edited templates', async () => {
+      await store.save(template('customer-confirmation', 'ar'));
+      await store.save(template('sales-alert', 'en'));
+      const listed = await store.list();
+      expect(listed.map((entry) => `${entry.name}.${entry.locale}`).sort()).toEqual(['customer-confirmation.ar', 'sales-alert.en']);
+    });
+
+    it('replaces an edited template when saved again', async () => {
+      await store.save(template('sales-alert', 'en'));
+      await store.save(template('sales-alert', 'en', 'Subject: New\n\nChanged\n'));
+      expect(await store.list()).toHaveLength(1);
+      expect((await store.get('sales-alert', 'en')).text).toBe('Subject: New\n\nChanged\n');
+    });
+
+    it('goes back to the default when removed', async () => {
+      await store.save(template('sales-alert', 'en'));
+      await store.remove('sales-alert', 'en');
+      await store.remove('sales-alert', 'en');
+      expect(await store.get('sales-alert', 'en')).toBeNull();
+      expect(await store.list()).toEqual([]);
+    });
+  });
+};
+
+describeStore('createMemoryTemplateStore', () => createMemoryTemplateStore());
+
+describe('file store', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eversolar-templates-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describeStore('createFileTemplateStore', () => createFileTemplateStore({ dir: path.join(dir, 'templates') }));
+
+  it('keeps a name from leaving the directory', async () => {
+    const store = createFileTemplateStore({ dir });
+    await store.save(template('../sales-alert', 'en'));
+    expect(await fs.readdir(dir)).toEqual(['sales-alert.en.txt']);
+  });
+});
+
+describeStore('createFirestoreTemplateStore', () => {
+  const db = createFakeFirestore();
+  return createFirestoreTemplateStore({ db: async () => db, appId: 'test-app' });
+});
@@ -0,0 +1,203 @@
+import { createI18n, LOCALES, DEFAULT_LOCALE } from '../i18n';
+
+// Text templates for the emails sent when a quote is requested. A template starts with a
+// 'Subject:' line, then a blank line and the body; {placeholders} are filled from the quote.
+// Staff can replace any template without a deploy in the admin area, which keeps the edited
+// copies in the template store (lib/notifications/templateStore.js).
+
+// Emails show times as the customers and staff in Saudi Arabia read them, wherever the server runs
+export const EMAIL_TIME_ZONE = 'Asia/Riyadh';
+
+// Longest template the admin area accepts
+export const MAX_TEMPLATE_LENGTH = 10000;
+
+// Every placeholder a template may use, as filled in by buildQuoteTemplateParams
+export const TEMPLATE_PLACEHOLDERS = [
+  'reference', 'date', 'name', 'email', 'phone', 'location', 'city', 'tariffCategory', 'systemType',
+  'dailyKWh', 'systemSizeKW', 'systemCost', 'monthlySavings', 'packageName', 'language', 'disclaimer',
+];
+
+export const DEFAULT_TEMPLATES = {
+  'customer-confirmation': {
+    en: `Subject: Your EverSolar quote request {reference}
+
+Dear {name},
+
+Thank you for requesting a detailed solar quote. Your reference number is {reference}; please mention it whenever you contact us.
+
+Your preliminary estimate:
+- Daily consumption: {dailyKWh} kWh
+- Recommended system: {systemSizeKW} kW, {systemType}
+- Estimated cost: {systemCost}
+- Estimated monthly savings: {monthlySavings}
+- Equipment package: {packageName}
+
+Our team will call you on {phone} shortly to arrange a site survey and a precise quotation.
+
+{disclaimer}
+
+EverSolar
+`,
+    ar: `Subject: طلب عرض السعر رقم {reference} من EverSolar
+
+عزيزي/عزيزتي {name}،
+
+شكرًا لطلبك عرض سعر مفصلًا لنظام طاقة شمسية. رقمك المرجعي هو {reference}؛ يرجى ذكره عند التواصل معنا.
+
+تقديرك المبدئي:
+- الاستهلاك اليومي: {dailyKWh} كيلوواط ساعة
+- النظام الموصى به: {systemSizeKW} كيلوواط، {systemType}
+- التكلفة التقديرية: {systemCost}
+- التوفير الشهري التقديري: {monthlySavings}
+- باقة المعدات: {packageName}
+
+سيتصل بك فريقنا قريبًا على الرقم {phone} لترتيب زيارة الموقع وإعداد عرض سعر دقيق.
+
+{disclaimer}
+
+EverSolar
+`,
+  },
+  // Staff read every alert in English, like the admin area
+  'sales-alert': {
+    en: `Subject: New quote request {reference}: {name}, {city}, {systemSizeKW} kW
+
+A new detailed quote request was submitted.
+
+Reference: {reference}
+Submitted: {date}
+Name: {name}
+Email: {email}
+Phone: {phone}
+Location: {location}
+City: {city}
+Tariff category: {tariffCategory}
+System type: {systemType}
+Daily consumption: {dailyKWh} kWh
+Recommended system: {systemSizeKW} kW
+Estimated cost: {systemCost}
+Estimated monthly savings: {monthlySavings}
+Equipment package: {packageName}
+Customer language: {language}
+
+Reply to this email to answer the customer, or review the lead in the admin area.
+`,
+  },
+};
+
+/**
+ * Splits template text into its subject and body.
+ * @param {string} text - The template, 'Subject: ...', a blank line, then the body.
+ * @returns {{ subject: string, body: string }} The parts; the subject is empty when the first line has none.
+ */
+export const parseTemplate = (text) => {
+  const normalised = String(text).replace(/\r\n/g, '\n');
+  const match = /^Subject:[ \t]*(.*)\n\n?([\s\S]*)$/.exec(normalised);
+  return match ? { subject: match[1].trim(), body: match[2] } : { subject: '', body: normalised };
+};
+
+/**
+ * Fills the {placeholders} of a template. Unknown placeholders are left as they are.
+ * @param {{ subject: string, body: string }} template - The parsed template.
+ * @param {object} params - Placeholder values.
+ * @returns {{ subject: string, text: string }} The message subject and body.
+ */
+export const renderTemplate = (template, params) => {
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  return { subject: fill(template.subject), text: fill(template.body) };
+};
+
+/**
+ * Loads a template, preferring an edited copy in the template store. The store is read on
+ * every call, so edits apply to the next message; when it cannot be read the default is used,
+ * since a default email is better than none.
+ * @param {string} name - The template name, e.g. 'customer-confirmation'.
+ * @param {string} locale - The language wanted; English when the template has no such language.
+ * @param {object} [options]
+ * @param {object} [options.store] - Template store holding edited templates.
+ * @returns {Promise<{ subject: string, body: string }>} The parsed template.
+ */
+export const loadTemplate = async (name, locale, { store } = {}) => {
+  const defaults = DEFAULT_TEMPLATES[name];
+  if (!defaults) {
+    throw new Error(`Unknown notification template '${name}'`);
+  }
+  const localeId = defaults[locale] ? locale : DEFAULT_LOCALE;
+  if (store) {
+    try {
+      const edited = await store.get(name, localeId);
+      if (edited) return parseTemplate(edited.text);
+    } catch (error) {
+      console.error(`Error loading the edited ${name} template, using the default:`, error);
+    }
+  }
+  return parseTemplate(defaults[localeId]);
+};
+
+/**
+ * Tells whether a template exists in a language.
+ * @param {string} name - The template name, e.g. 'sales-alert'.
+ * @param {string} locale - The language, e.g. 'ar'.
+ * @returns {boolean} True for a built-in template and language.
+ */
+export const isKnownTemplate = (name, locale) =>
+  Object.hasOwn(DEFAULT_TEMPLATES, String(name)) && Object.hasOwn(DEFAULT_TEMPLATES[name], String(locale));
+
+/**
+ * Checks a template edited in the admin area.
+ * @param {object} input - name, locale and text as submitted.
+ * @returns {{ errors: object, value: object }} Messages per field ('template' or 'text'), and the
+ *   template with its line endings normalised.
+ */
+export const validateTemplate = (input) => {
+  const { name, locale, text } = input || {};
+  const errors = {};
+  if (!isKnownTemplate(name, locale)) {
+    errors.template = 'Choose one of the templates listed.';
+  }
+  const normalised = typeof text === 'string' ? text.replace(/\r\n/g, '\n') : '';
+  if (!normalised.trim()) {
+    errors.text = 'Enter the template text.';
+  } else if (normalised.length > MAX_TEMPLATE_LENGTH) {
+    errors.text = `Keep the template under ${MAX_TEMPLATE_LENGTH} characters.`;
+  } else if (!parseTemplate(normalised).subject) {
+    errors.text = 'Start with a "Subject:" line, then a blank line and the body.';
+  } else {
+    const unknown = [...normalised.matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((placeholder) => !TEMPLATE_PLACEHOLDERS.includes(placeholder));
+    if (unknown.length > 0) {
+      errors.text = `Unknown placeholders: ${[...new Set(unknown)].map((placeholder) => `{${placeholder}}`).join(', ')}.`;
+    }
+  }
+  return { errors, value: { name, locale, text: normalised } };
+};
+
+/**
+ * Works out the placeholder values for a saved quote, formatted for a locale.
+ * @param {object} quote - The saved quote request.
+ * @param {string} locale - 'en' or 'ar'.
+ * @returns {object} Placeholder values.
+ */
+export const buildQuoteTemplateParams = (quote, locale) => {
+  const { t, formatNumber, formatCurrency, formatDateTime } = createI18n(locale);
+  const estimate = quote.estimate || {};
+  return {
+    reference: quote.reference,
+    date: formatDateTime(quote.createdAt, { timeZone: EMAIL_TIME_ZONE }),
+    name: quote.name,
+    email: quote.email,
+    phone: quote.phone,
+    location: quote.location,
+    city: quote.cityId ? t(`cities.${quote.cityId}`) : quote.location,
+    tariffCategory: t(`tariffCategories.${quote.tariffCategory}`),
+    systemType: t(`systemTypes.${quote.systemType}`),
+    dailyKWh: formatNumber(estimate.totalDailyKWh || 0),
+    systemSizeKW: formatNumber(estimate.estimatedSystemSizeKW || 0),
+    systemCost: formatCurrency(estimate.estimatedSystemCostSAR || 0, 0),
+    monthlySavings: formatCurrency(estimate.estimatedMonthlySavingsSAR || 0, 0),
+    packageName: quote.equipmentPackage ? t(`equipmentPackages.${quote.equipmentPackage.id}.name`) : t('notifications.noPackage'),
+    language: LOCALES[quote.locale] ? quote.locale : DEFAULT_LOCALE,
+    disclaimer: t('results.disclaimer'),
+  };
+};
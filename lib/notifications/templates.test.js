@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryTemplateStore } from './templateStore';
+import {
+  DEFAULT_TEMPLATES,
+  buildQuoteTemplateParams,
+  isKnownTemplate,
+  loadTemplate,
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+} from './templates';
+
+const quote = {
+  reference: 'EVS-20250314-ABC123',
+  createdAt: '2025-03-14T22:30:00.000Z',
+  locale: 'en',
+  name: 'Sara',
+  email: 'sara@example.com',
+  phone: '0501234567',
+  location: 'Riyadh',
+  cityId: 'riyadh',
+  tariffCategory: 'residential',
+  systemType: 'grid-tied',
+  estimate: { totalDailyKWh: 20, estimatedSystemSizeKW: 5, estimatedSystemCostSAR: 20000, estimatedMonthlySavingsSAR: 300 },
+};
+
+describe('parseTemplate and renderTemplate', () => {
+  it('splits off the subject and fills known placeholders only', () => {
+    const template = parseTemplate('Subject: Quote {reference}\r\n\r\nDear {name}, {unknown}\r\n');
+    expect(template).toEqual({ subject: 'Quote {reference}', body: 'Dear {name}, {unknown}\n' });
+    expect(renderTemplate(template, { reference: 'EVS-1', name: 'Sara' })).toEqual({ subject: 'Quote EVS-1', text: 'Dear Sara, {unknown}\n' });
+  });
+});
+
+describe('loadTemplate', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('prefers the edited copy and falls back to English for other languages', async () => {
+    const store = createMemoryTemplateStore();
+    await store.save({ name: 'sales-alert', locale: 'en', text: 'Subject: Lead {name}\n\nEdited\n' });
+    expect(await loadTemplate('sales-alert', 'ar', { store })).toEqual({ subject: 'Lead {name}', body: 'Edited\n' });
+    expect(await loadTemplate('customer-confirmation', 'ar', { store })).toEqual(parseTemplate(DEFAULT_TEMPLATES['customer-confirmation'].ar));
+  });
+
+  it('uses the default when the store cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { get: async () => { throw new Error('offline'); } };
+    expect(await loadTemplate('sales-alert', 'en', { store })).toEqual(parseTemplate(DEFAULT_TEMPLATES['sales-alert'].en));
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(loadTemplate('invoice', 'en')).rejects.toThrow("Unknown notification template 'invoice'");
+  });
+});
+
+describe('isKnownTemplate', () => {
+  it('accepts only built-in templates and languages', () => {
+    expect(isKnownTemplate('customer-confirmation', 'ar')).toBe(true);
+    expect(isKnownTemplate('sales-alert', 'ar')).toBe(false);
+    expect(isKnownTemplate('constructor', 'en')).toBe(false);
+    expect(isKnownTemplate('sales-alert', 'toString')).toBe(false);
+    expect(isKnownTemplate(undefined, undefined)).toBe(false);
+  });
+});
+
+describe('validateTemplate', () => {
+  const valid = { name: 'sales-alert', locale: 'en', text: 'Subject: Lead {reference}\r\n\r\nFrom {name}\r\n' };
+
+  it('accepts a template and normalises its line endings', () => {
+    expect(validateTemplate(valid)).toEqual({ errors: {}, value: { name: 'sales-alert', locale: 'en', text: 'Subject: Lead {reference}\n\nFrom {name}\n' } });
+  });
+
+  it('reports an unknown template or language', () => {
+    expect(validateTemplate({ ...valid, locale: 'fr' }).errors).toEqual({ template: 'Choose one of the templates listed.' });
+    expect(validateTemplate(null).errors).toMatchObject({ template: expect.any(String), text: expect.any(String) });
+  });
+
+  it('reports empty, overlong and subjectless text', () => {
+    expect(validateTemplate({ ...valid, text: '  ' }).errors.text).toBe('Enter the template text.');
+    expect(validateTemplate({ ...valid, text: 42 }).errors.text).toBe('Enter the template text.');
+    expect(validateTemplate({ ...valid, text: `Subject: x\n\n${'a'.repeat(10000)}` }).errors.text).toMatch(/under 10000 characters/);
+    expect(validateTemplate({ ...valid, text: 'Hello {name}' }).errors.text).toMatch(/Subject:/);
+  });
+
+  it('names placeholders the quote cannot fill', () => {
+    expect(validateTemplate({ ...valid, text: 'Subject: {refrence}\n\n{total} {total} {name}' }).errors.text)
+      .toBe('Unknown placeholders: {refrence}, {total}.');
+  });
+});
+
+describe('buildQuoteTemplateParams', () => {
+  it('gives the date in Riyadh time, whatever the server time zone', () => {
+    // 22:30 UTC is 01:30 the next day in Riyadh (UTC+3)
+    const { date } = buildQuoteTemplateParams(quote, 'en');
+    expect(date).toContain('15');
+    expect(date).toContain('1:30');
+  });
+
+  it('formats the estimate for the language', () => {
+    const params = buildQuoteTemplateParams(quote, 'en');
+    expect(params).toMatchObject({ reference: 'EVS-20250314-ABC123', dailyKWh: '20.00', systemSizeKW: '5.00', language: 'en' });
+  });
+});
@@ -0,0 +1,129 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+// Pluggable delivery for notifications. Every transport exposes the same async interface,
+// send(message), where message is an email ({ channel: 'email', from, to, replyTo, subject, text })
+// or a webhook event ({ channel: 'webhook', event, data }). The file and memory transports accept
+// both, so tests and local development can capture everything without a mail server or CRM.
+
+/**
+ * Creates an error for a failed delivery.
+ * @param {string} message - What went wrong.
+ * @param {number} [status] - The SMTP reply code or HTTP status, when there was one.
+ * @returns {Error} The error.
+ */
+export const createTransportError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Creates a transport that keeps messages in memory. Useful for tests.
+ * @returns {object} The transport; sent messages are listed in its sent array.
+ */
+export const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  };
+};
+
+/**
+ * Creates a transport that writes each message as a JSON file in a local outbox directory.
+ * @param {object} options
+ * @param {string} options.dir - Directory the messages are written to.
+ * @returns {object} The transport.
+ */
+export const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  async send(message) {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.channel}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+    return { id };
+  },
+});
+
+/**
+ * Creates a transport that posts webhook events as JSON, e.g. to a CRM. With a secret, the body
+ * is signed with HMAC-SHA256 in the X-EverSolar-Signature header so the receiver can verify it.
+ * @param {object} options
+ * @param {string} options.url - The endpoint.
+ * @param {string} [options.secret] - Shared signing secret.
+ * @param {number} [options.timeoutMs] - How long to wait for the endpoint.
+ * @param {Function} [options.fetchImpl] - fetch implementation, replaceable in tests.
+ * @returns {object} The transport.
+ */
+export const createWebhookTransport = ({ url, secret, timeoutMs = 10000, fetchImpl = fetch }) => ({
+  name: 'webhook',
+  async send({ event, data }) {
+    const body = JSON.stringify({ event, sentAt: new Date().toISOString(), data });
+    const headers = { 'Content-Type': 'application/json', 'X-EverSolar-Event': event };
+    if (secret) {
+      headers['X-EverSolar-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    const response = await fetchImpl(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw createTransportError(`Webhook request failed with status ${response.status}`, response.status);
+    }
+    return { id: response.headers.get('x-request-id') || '' };
+  },
+});
+
+/**
+ * Creates a transport that sends email through an SMTP server with nodemailer: a provider's relay
+ * in production, or a local catcher such as Mailpit during development. Uses STARTTLS when the
+ * server offers it, and requires it before sending credentials over a plain connection.
+ * @param {object} options
+ * @param {string} options.host - The SMTP server.
+ * @param {number} [options.port] - Defaults to 465 with secure, 587 otherwise.
+ * @param {boolean} [options.secure] - Connect with TLS from the start (port 465).
+ * @param {string} [options.user] - User name, when the server needs authentication.
+ * @param {string} [options.password] - Password for the user.
+ * @param {number} [options.timeoutMs] - How long to wait for the connection and each reply.
+ * @param {Function} [options.createTransport] - nodemailer's createTransport, replaceable in tests.
+ * @returns {object} The transport.
+ */
+export const createSmtpTransport = ({
+  host,
+  port,
+  secure = false,
+  user,
+  password,
+  timeoutMs = 10000,
+  createTransport = nodemailer.createTransport,
+}) => {
+  const serverPort = port || (secure ? 465 : 587);
+  const mailer = createTransport({
+    host,
+    port: serverPort,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+    requireTLS: Boolean(user) && !secure,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+
+  return {
+    name: `smtp:${host}:${serverPort}`,
+    async send({ from, to, replyTo, subject, text }) {
+      try {
+        const info = await mailer.sendMail({ from, to, replyTo, subject, text });
+        return { id: info.messageId };
+      } catch (error) {
+        throw createTransportError(`SMTP delivery failed: ${error.message}`, error.responseCode);
+      }
+    },
+  };
+};
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { createFileTransport, createMemoryTransport, createSmtpTransport, createWebhookTransport } from './transports';
+
+const email = { channel: 'email', from: 'EverSolar <quotes@example.com>', to: ['sara@example.com'], replyTo: 'sales@example.com', subject: 'Hello', text: 'مرحبا' };
+
+describe('createMemoryTransport', () => {
+  it('keeps every message it is given', async () => {
+    const transport = createMemoryTransport();
+    expect(await transport.send(email)).toEqual({ id: '1' });
+    expect(transport.sent).toEqual([email]);
+  });
+});
+
+describe('createFileTransport', () => {
+  it('writes each message as a JSON file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eversolar-outbox-'));
+    try {
+      const transport = createFileTransport({ dir: path.join(dir, 'outbox') });
+      const { id } = await transport.send(email);
+      expect(id).toMatch(/-email-[0-9a-f]{8}$/);
+      const saved = await fs.readFile(path.join(dir, 'outbox', `${id}.json`), 'utf8');
+      expect(JSON.parse(saved)).toEqual(email);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createWebhookTransport', () => {
+  const okResponse = { ok: true, status: 200, headers: new Headers({ 'X-Request-Id': 'req-1' }) };
+
+  it('posts the event and signs the body with the secret', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(okResponse);
+    const transport = createWebhookTransport({ url: 'https://crm.example.com/hooks', secret: 'shh', fetchImpl });
+
+    expect(await transport.send({ channel: 'webhook', event: 'quote.created', data: { reference: 'EVS-1' } })).toEqual({ id: 'req-1' });
+    const [url, { method, headers, body }] = fetchImpl.mock.calls[0];
+    expect([url, method]).toEqual(['https://crm.example.com/hooks', 'POST']);
+    expect(JSON.parse(body)).toMatchObject({ event: 'quote.created', data: { reference: 'EVS-1' } });
+    expect(headers['X-EverSolar-Event']).toBe('quote.created');
+    expect(headers['X-EverSolar-Signature']).toBe(`sha256=${crypto.createHmac('sha256', 'shh').update(body).digest('hex')}`);
+  });
+
+  it('sends no signature without a secret', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(okResponse);
+    await createWebhookTransport({ url: 'https://crm.example.com/hooks', fetchImpl }).send({ event: 'quote.created', data: {} });
+    expect(fetchImpl.mock.calls[0][1].headers).not.toHaveProperty('X-EverSolar-Signature');
+  });
+
+  it('fails with the status of a refused request', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({ ok: false, status: 503, headers: new Headers() });
+    const transport = createWebhookTransport({ url: 'https://crm.example.com/hooks', fetchImpl });
+    await expect(transport.send({ event: 'quote.created', data: {} })).rejects.toMatchObject({ status: 503 });
+  });
+});
+
+describe('createSmtpTransport', () => {
+  const createMailer = (sendMail) => vi.fn(() => ({ sendMail }));
+
+  it('connects with STARTTLS required before logging in', async () => {
+    const sendMail = vi.fn().mockResolvedValue({ messageId: '<1@example.com>' });
+    const createTransport = createMailer(sendMail);
+    const transport = createSmtpTransport({ host: 'smtp.example.com', user: 'quotes', password: 'secret', createTransport });
+
+    expect(transport.name).toBe('smtp:smtp.example.com:587');
+    expect(createTransport).toHaveBeenCalledWith(expect.objectContaining({
+      host: 'smtp.example.com',
+      port: 587,
+      secure: false,
+      requireTLS: true,
+      auth: { user: 'quotes', pass: 'secret' },
+    }));
+    expect(await transport.send(email)).toEqual({ id: '<1@example.com>' });
+    expect(sendMail).toHaveBeenCalledWith({ from: email.from, to: email.to, replyTo: email.replyTo, subject: 'Hello', text: 'مرحبا' });
+  });
+
+  it('uses port 465 with TLS, and no login for a local catcher', () => {
+    const createTransport = createMailer(vi.fn());
+    createSmtpTransport({ host: 'smtp.example.com', secure: true, createTransport });
+    expect(createTransport.mock.calls[0][0]).toMatchObject({ port: 465, secure: true, requireTLS: false, auth: undefined });
+
+    createSmtpTransport({ host: 'localhost', port: 1025, createTransport });
+    expect(createTransport.mock.calls[1][0]).toMatchObject({ port: 1025, requireTLS: false, auth: undefined });
+  });
+
+  it('fails with the SMTP reply code', async () => {
+    const error = Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 });
+    const transport = createSmtpTransport({ host: 'smtp.example.com', createTransport: createMailer(vi.fn().mockRejectedValue(error)) });
+    await expect(transport.send(email)).rejects.toMatchObject({ status: 550, message: 'SMTP delivery failed: Mailbox unavailable' });
+  });
+});
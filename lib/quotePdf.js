@@ -0,0 +1,430 @@
+import { QUOTE_DISCLAIMER } from './quotes/disclaimer';
+import { findCity } from './saudiCities';
+import { findTariffCategory } from './tariffs';
+import { findSystemType, findBatteryChemistry, findSupplyPhase } from './systemSizing';
+import { USAGE_PRESETS, CUSTOM_USAGE_PRESET_ID } from './loadProfile';
+import { findRoofType } from './roofLayout';
+import { getApplianceZoneId, getZoneDisplayName, summariseZones } from './loadZones';
+import { CHART_COLORS, summariseApplianceShares } from './charts';
+
+// Branded EverSolar quotation, generated entirely in the browser with jsPDF.
+
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT = 6;
+const BRAND_YELLOW = [234, 179, 8];
+const BRAND_DARK = [31, 41, 55];
+const MUTED_GRAY = [107, 114, 128];
+
+// Helvetica has no Arabic letters, so names, places and appliances typed in Arabic are written
+// with IBM Plex Sans Arabic (public/fonts, SIL Open Font License), which also covers Latin text
+const ARABIC_FONT = 'IBMPlexSansArabic';
+export const ARABIC_FONT_FILES = {
+  normal: '/fonts/IBMPlexSansArabic-Regular.ttf',
+  bold: '/fonts/IBMPlexSansArabic-Bold.ttf',
+};
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const LATIN_LETTER = /[A-Za-z\u00C0-\u024F]/;
+
+/**
+ * Tells whether any of the texts contains Arabic letters.
+ * @param {...*} texts - Strings, or other values that are ignored.
+ * @returns {boolean} True when an Arabic font is needed.
+ */
+export const hasArabicText = (...texts) => texts.some((text) => typeof text === 'string' && ARABIC_LETTER.test(text));
+
+/**
+ * Options for jsPDF's bidi support, turning text in reading order into the left-to-right order
+ * the glyphs are drawn in. A text starting with an Arabic letter reads right to left, so Latin
+ * words and numbers inside it stay in place.
+ * @param {string} text - Text containing Arabic letters.
+ * @returns {object} Options for doc.text.
+ */
+const rightToLeftOptions = (text) => {
+  const firstLetter = [...text].find((char) => ARABIC_LETTER.test(char) || LATIN_LETTER.test(char));
+  return { isInputVisual: false, isOutputVisual: true, isInputRtl: ARABIC_LETTER.test(firstLetter), isOutputRtl: false };
+};
+
+/**
+ * Converts a '#rrggbb' chart colour to the RGB values jsPDF expects.
+ * @param {string} hex - The colour.
+ * @returns {Array<number>} Red, green and blue from 0 to 255.
+ */
+const toRgb = (hex) => [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+
+/**
+ * Formats a SAR amount with thousands separators.
+ * @param {number} value - The amount.
+ * @returns {string} The formatted amount, e.g. 'SAR 12,345.00'.
+ */
+const formatSAR = (value) =>
+  `SAR ${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Describes when an appliance is used, e.g. 'Evening (17-23)' or custom hours.
+ * @param {object} app - The appliance row.
+ * @returns {string} The usage description.
+ */
+const describeUsage = (app) => {
+  if (app.usagePreset === CUSTOM_USAGE_PRESET_ID) return app.customHours || 'Custom';
+  const preset = USAGE_PRESETS.find((item) => item.id === app.usagePreset);
+  return preset ? preset.name : 'All day';
+};
+
+/**
+ * Lists the assumptions behind an estimate as label/value pairs.
+ * @param {object} estimate - A result of calculateSolarEstimate.
+ * @returns {Array} Pairs of [label, value].
+ */
+const describeAssumptions = (estimate) => {
+  const { assumptions } = estimate;
+  const city = assumptions.solarProfile && findCity(assumptions.solarProfile.id);
+  const tariff = findTariffCategory(assumptions.tariffCategory);
+  const systemType = findSystemType(assumptions.systemType);
+  const rows = [
+    ['Consumption source', Array.isArray(assumptions.monthlyConsumptionKWh)
+      ? `Electricity bill history, ${Math.round(estimate.annualConsumptionKWh)} kWh/year`
+      : 'Appliance list'],
+    ['Solar resource', city ? `${city.name} (monthly sun hours and temperature)` : `National average, ${assumptions.peakSunHoursPerDay} sun hours/day`],
+    ['System efficiency', `${(assumptions.systemEfficiencyFactor * 100).toFixed(0)}%`],
+    ['Yield kept at the roof orientation and tilt', `${(assumptions.orientationFactor * 100).toFixed(0)}%`],
+    ['Installed cost per watt', formatSAR(assumptions.costPerWattSAR)],
+    ['Tariff category', tariff ? tariff.name : assumptions.tariffCategory],
+    ['Solar output offsetting the bill', `${(assumptions.solarOffsetFraction * 100).toFixed(0)}%`],
+    ['System type', systemType ? systemType.name : assumptions.systemType],
+  ];
+  if (estimate.supply) {
+    const supplyPhase = findSupplyPhase(estimate.supply.supplyPhaseId);
+    rows.push(['Electrical supply', supplyPhase ? supplyPhase.name : estimate.supply.supplyPhaseId]);
+    rows.push(['Diversity factor', `${(estimate.supply.diversityFactor * 100).toFixed(0)}%`]);
+  }
+  if (estimate.battery) {
+    const chemistry = findBatteryChemistry(estimate.battery.chemistryId);
+    rows.push(['Battery type', chemistry ? chemistry.name : estimate.battery.chemistryId]);
+    rows.push(['Days of autonomy', String(estimate.battery.daysOfAutonomy)]);
+    rows.push(['Depth of discharge', `${(estimate.battery.depthOfDischarge * 100).toFixed(0)}%`]);
+  }
+  return rows;
+};
+
+/**
+ * Lists the headline results of an estimate as label/value pairs.
+ * @param {object} estimate - A result of calculateSolarEstimate.
+ * @param {object} [projection] - A result of projectCashFlows.
+ * @returns {Array} Pairs of [label, value].
+ */
+const describeResults = (estimate, projection) => {
+  const rows = [
+    ['Daily energy consumption', `${estimate.totalDailyKWh.toFixed(2)} kWh`],
+    ['Recommended solar system size', `${estimate.estimatedSystemSizeKW.toFixed(2)} kW`],
+    ['Recommended inverter size', `${estimate.inverterKW.toFixed(2)} kW`],
+  ];
+  if (estimate.supply) {
+    rows.push([
+      'Peak demand',
+      `${estimate.peakLoadKW.toFixed(2)} kW of ${estimate.connectedLoadKW.toFixed(2)} kW connected, ` +
+        `${estimate.supply.peakCurrentPerPhaseA.toFixed(0)} A per phase`,
+    ]);
+  }
+  if (estimate.sizingMonths.length > 0) {
+    const monthName = (month) => new Date(Date.UTC(2000, month, 1)).toLocaleDateString('en-GB', { month: 'short', timeZone: 'UTC' });
+    rows.push(['Months driving the system size', estimate.sizingMonths.map(monthName).join(', ')]);
+  }
+  if (estimate.battery) {
+    rows.push(['Battery bank', `${estimate.battery.nominalKWh.toFixed(1)} kWh (${estimate.battery.usableKWh.toFixed(1)} kWh usable)`]);
+  }
+  rows.push(['Estimated system cost', formatSAR(estimate.estimatedSystemCostSAR)]);
+  if (estimate.battery) {
+    rows.push(['  of which panels', formatSAR(estimate.costBreakdown.pvArraySAR)]);
+    rows.push(['  of which batteries', formatSAR(estimate.costBreakdown.batterySAR)]);
+    rows.push(['  of which inverter', formatSAR(estimate.costBreakdown.inverterSAR)]);
+  }
+  rows.push(['Current monthly bill (average, incl. VAT)', formatSAR(estimate.estimatedMonthlyBillBeforeSAR)]);
+  rows.push(['Monthly bill with solar', formatSAR(estimate.estimatedMonthlyBillAfterSAR)]);
+  rows.push(['Estimated monthly savings', formatSAR(estimate.estimatedMonthlySavingsSAR)]);
+  if (projection) {
+    rows.push(['Simple payback', projection.simplePaybackYears === null ? 'n/a' : `${projection.simplePaybackYears.toFixed(1)} years`]);
+    rows.push([`Cumulative savings (${projection.assumptions.years} years)`, formatSAR(projection.totalSavingsSAR)]);
+  }
+  return rows;
+};
+
+/**
+ * Lists the roof feasibility check as label/value pairs.
+ * @param {object} roofPlan - A result of planRoofLayout.
+ * @returns {Array} Pairs of [label, value].
+ */
+const describeRoofPlan = (roofPlan) => {
+  const roofType = findRoofType(roofPlan.roofTypeId);
+  return [
+    ['Roof', `${roofType ? roofType.name : roofPlan.roofTypeId}, ${roofPlan.roofLengthM.toFixed(1)} m x ${roofPlan.roofWidthM.toFixed(1)} m`],
+    ['Panels', `${roofPlan.requiredPanels} x ${roofPlan.panelWattage} W at ${roofPlan.tiltDeg}° tilt`],
+    ['Roof area needed', `${roofPlan.requiredAreaM2.toFixed(1)} m²`],
+    ['Largest system that fits', `${roofPlan.maxSystemKW.toFixed(2)} kW (${roofPlan.maxPanels} panels)`],
+    ['Fits on the roof', roofPlan.fits ? 'Yes' : 'No - the roof limits the system size'],
+  ];
+};
+
+/**
+ * Lists the compared equipment packages as label/value pairs.
+ * @param {Array} packages - A result of comparePackages.
+ * @param {string} [selectedPackageId] - The package the customer chose.
+ * @returns {Array} Pairs of [label, value].
+ */
+const describePackages = (packages, selectedPackageId) =>
+  packages.filter(({ projection }) => projection).flatMap(({ package: pkg, estimate, projection }) => [
+    [
+      `${pkg.name}${pkg.id === selectedPackageId ? ' (chosen)' : ''}`,
+      `${formatSAR(estimate.estimatedSystemCostSAR)}, ${Math.round(estimate.annualProductionKWh)} kWh/year, ` +
+        (projection.paybackYears === null ? 'no payback' : `payback ${projection.paybackYears.toFixed(1)} years`),
+    ],
+    ['  equipment', `${pkg.panel.name}, ${pkg.inverter.name}${pkg.battery ? ', battery' : ''}`],
+    [
+      '  warranties (years)',
+      `panels ${pkg.panel.productWarrantyYears}/${pkg.panel.performanceWarrantyYears}, inverter ${pkg.inverter.warrantyYears}` +
+        `${pkg.battery ? `, battery ${pkg.battery.warrantyYears}` : ''}, installation ${pkg.workmanshipWarrantyYears}`,
+    ],
+  ]);
+
+/**
+ * Builds the quotation document.
+ * @param {Function} JsPDF - The jsPDF constructor.
+ * @param {object} quote
+ * @param {string|null} quote.reference - The number of the submitted quote request; without one the
+ *   document is marked as an estimate that has not been submitted.
+ * @param {Date} quote.date - The quote date.
+ * @param {object} quote.customer - name, email, phone and location from the quote form.
+ * @param {Array} quote.appliances - The appliance rows.
+ * @param {Array} [quote.zones] - The load zones; with more than one, appliances are listed by zone.
+ * @param {object} quote.estimate - A result of calculateSolarEstimate.
+ * @param {object} [quote.projection] - A result of projectCashFlows.
+ * @param {object} [quote.roofPlan] - A result of planRoofLayout.
+ * @param {Array} [quote.packages] - A result of comparePackages.
+ * @param {string} [quote.selectedPackageId] - The equipment package the customer chose.
+ * @param {object} [options]
+ * @param {object} [options.arabicFont] - The regular and bold Arabic font files (ARABIC_FONT_FILES)
+ *   as base64, needed when the quote contains Arabic text; without it such text is unreadable.
+ * @returns {object} The jsPDF document.
+ */
+export const buildQuotePdf = (JsPDF, { reference, date, customer, appliances, zones = [], estimate, projection, roofPlan, packages = [], selectedPackageId }, { arabicFont } = {}) => {
+  const doc = new JsPDF({ unit: 'mm', format: 'a4' });
+  if (arabicFont) {
+    for (const style of ['normal', 'bold']) {
+      doc.addFileToVFS(`${ARABIC_FONT}-${style}.ttf`, arabicFont[style]);
+      doc.addFont(`${ARABIC_FONT}-${style}.ttf`, ARABIC_FONT, style);
+    }
+  }
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = 0;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  /**
+   * Writes text that may have been typed in Arabic, switching to the Arabic font for it.
+   * @param {string} text - The text.
+   * @param {number} x - Horizontal position.
+   * @param {number} baseline - Vertical position of the baseline.
+   * @param {object} [options] - Options for doc.text.
+   * @param {number} [maxWidth] - Width the text is cut to, if any.
+   */
+  const writeText = (text, x, baseline, options = {}, maxWidth = null) => {
+    const fit = (value) => (maxWidth === null ? value : doc.splitTextToSize(value, maxWidth)[0] || '');
+    if (!arabicFont || !hasArabicText(text)) {
+      doc.text(fit(text), x, baseline, options);
+      return;
+    }
+    const { fontName, fontStyle } = doc.getFont();
+    doc.setFont(ARABIC_FONT, fontStyle === 'bold' ? 'bold' : 'normal');
+    const fitted = fit(text);
+    doc.text(fitted, x, baseline, { ...options, ...rightToLeftOptions(fitted) });
+    doc.setFont(fontName, fontStyle);
+  };
+
+  const heading = (text) => {
+    ensureSpace(LINE_HEIGHT * 3);
+    y += LINE_HEIGHT;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(...BRAND_DARK);
+    doc.text(text, PAGE_MARGIN, y);
+    doc.setDrawColor(...BRAND_YELLOW);
+    doc.line(PAGE_MARGIN, y + 1.5, pageWidth - PAGE_MARGIN, y + 1.5);
+    y += LINE_HEIGHT + 1;
+  };
+
+  const labelValueRows = (rows) => {
+    doc.setFontSize(10);
+    for (const [label, value] of rows) {
+      ensureSpace(LINE_HEIGHT);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(...MUTED_GRAY);
+      doc.text(label, PAGE_MARGIN, y);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...BRAND_DARK);
+      writeText(value, pageWidth - PAGE_MARGIN, y, { align: 'right' });
+      y += LINE_HEIGHT;
+    }
+  };
+
+  // Branded header band
+  doc.setFillColor(...BRAND_YELLOW);
+  doc.rect(0, 0, pageWidth, 28, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(22);
+  doc.setTextColor(255, 255, 255);
+  doc.text('EverSolar', PAGE_MARGIN, 17);
+  doc.setFontSize(12);
+  doc.text('Solar Quotation', pageWidth - PAGE_MARGIN, 12, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(reference ? `Quote No. ${reference}` : 'Estimate - not yet submitted', pageWidth - PAGE_MARGIN, 18, { align: 'right' });
+  doc.text(`Date: ${date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`, pageWidth - PAGE_MARGIN, 23, { align: 'right' });
+  y = 28 + LINE_HEIGHT;
+
+  heading('Customer Details');
+  labelValueRows([
+    ['Name', customer.name || '-'],
+    ['Email', customer.email || '-'],
+    ['Phone', customer.phone || '-'],
+    ['City / Location', customer.location || '-'],
+  ]);
+
+  heading('Appliances');
+  const columns = [
+    { title: 'Appliance', width: 0.32 },
+    { title: 'Watts', width: 0.1, align: 'right' },
+    { title: 'Hours/Day', width: 0.12, align: 'right' },
+    { title: 'Qty', width: 0.08, align: 'right' },
+    { title: 'When Used', width: 0.22 },
+    { title: 'kWh/Day', width: 0.16, align: 'right' },
+  ];
+  const tableRow = (cells, bold) => {
+    ensureSpace(LINE_HEIGHT);
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...BRAND_DARK);
+    let x = PAGE_MARGIN;
+    columns.forEach((column, index) => {
+      const width = column.width * contentWidth;
+      if (column.align === 'right') {
+        writeText(String(cells[index]), x + width - 2, y, { align: 'right' }, width - 2);
+      } else {
+        writeText(String(cells[index]), x, y, {}, width - 2);
+      }
+      x += width;
+    });
+    y += LINE_HEIGHT - 1;
+  };
+  tableRow(columns.map((column) => column.title), true);
+  const applianceRow = (app, index) => {
+    const row = estimate.breakdown[index];
+    tableRow([app.name, app.wattage, app.hoursPerDay, app.quantity, describeUsage(app), row ? row.dailyKWh.toFixed(2) : '-']);
+  };
+  if (zones.length > 1) {
+    // Each zone with its subtotal, then its appliances
+    summariseZones(zones, appliances, estimate.breakdown).forEach((zone, zoneIndex) => {
+      tableRow([getZoneDisplayName(zone, zoneIndex), '', '', '', '', zone.dailyKWh.toFixed(2)], true);
+      appliances.forEach((app, index) => {
+        if (getApplianceZoneId(app, zones) === zone.id) applianceRow(app, index);
+      });
+    });
+  } else {
+    appliances.forEach(applianceRow);
+  }
+  tableRow(['Total', '', '', '', '', estimate.totalDailyKWh.toFixed(2)], true);
+
+  // The calculator's consumption chart: the largest consumers, with the smallest grouped together
+  const chartItems = summariseApplianceShares(estimate.breakdown);
+  if (chartItems.length > 1) {
+    heading('Daily Consumption by Appliance');
+    const labelWidth = contentWidth * 0.3;
+    const barSpace = contentWidth * 0.5;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    chartItems.forEach((item) => {
+      ensureSpace(LINE_HEIGHT);
+      const label = item.id === 'other' ? `${item.count} other appliance(s)` : item.name;
+      const barWidth = Math.max(0.5, (item.dailyKWh / chartItems[0].dailyKWh) * barSpace);
+      doc.setTextColor(...BRAND_DARK);
+      writeText(label, PAGE_MARGIN, y, {}, labelWidth - 2);
+      doc.setFillColor(...toRgb(item.id === 'other' ? CHART_COLORS.other : CHART_COLORS.consumption));
+      doc.rect(PAGE_MARGIN + labelWidth, y - 3.2, barWidth, 4, 'F');
+      doc.text(`${item.dailyKWh.toFixed(2)} kWh (${(item.share * 100).toFixed(0)}%)`, PAGE_MARGIN + labelWidth + barWidth + 2, y);
+      y += LINE_HEIGHT;
+    });
+  }
+
+  heading('Assumptions');
+  labelValueRows(describeAssumptions(estimate));
+
+  heading('Your Solar Estimate');
+  labelValueRows(describeResults(estimate, projection));
+
+  if (roofPlan) {
+    heading('Roof Layout');
+    labelValueRows(describeRoofPlan(roofPlan));
+  }
+
+  if (packages.length > 0) {
+    heading('Equipment Packages');
+    labelValueRows(describePackages(packages, selectedPackageId));
+  }
+
+  // Disclaimer
+  y += LINE_HEIGHT;
+  doc.setFont('helvetica', 'italic');
+  doc.setFontSize(8);
+  doc.setTextColor(...MUTED_GRAY);
+  const disclaimerLines = doc.splitTextToSize(`*${QUOTE_DISCLAIMER}`, contentWidth);
+  ensureSpace(disclaimerLines.length * 4);
+  doc.text(disclaimerLines, PAGE_MARGIN, y);
+
+  return doc;
+};
+
+/**
+ * Fetches a font file as base64, the form jsPDF embeds fonts in.
+ * @param {string} url - The font file.
+ * @returns {Promise<string>} The file contents in base64.
+ */
+const fetchFontBase64 = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load the font ${url} (${response.status})`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = '';
+  // In chunks, since spreading a whole font into String.fromCharCode overflows the stack
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Generates the quotation PDF and triggers a download in the browser.
+ * jsPDF is loaded on demand so it does not weigh on the calculator's first load, and the Arabic
+ * font only when the quote contains Arabic text.
+ * @param {object} quote - See buildQuotePdf.
+ */
+export const downloadQuotePdf = async (quote) => {
+  const { jsPDF } = await import('jspdf');
+  const texts = [
+    ...Object.values(quote.customer || {}),
+    ...quote.appliances.flatMap((app) => [app.name, app.customHours]),
+    ...(quote.zones || []).map((zone) => zone.name),
+  ];
+  const arabicFont = hasArabicText(...texts)
+    ? Object.fromEntries(await Promise.all(Object.entries(ARABIC_FONT_FILES).map(async ([style, url]) => [style, await fetchFontBase64(url)])))
+    : null;
+  const fileName = quote.reference
+    ? `EverSolar-Quote-${quote.reference}.pdf`
+    : `EverSolar-Estimate-${quote.date.toISOString().slice(0, 10)}.pdf`;
+  buildQuotePdf(jsPDF, quote, { arabicFont }).save(fileName);
+};
@@ -0,0 +1,89 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { jsPDF } from 'jspdf';
+import { describe, expect, it } from 'vitest';
+import { ARABIC_FONT_FILES, buildQuotePdf, hasArabicText } from './quotePdf';
+import { calculateSolarEstimate } from './solarEngine';
+
+const appliances = [{ id: 1, name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1 }];
+
+const quote = (fields = {}) => ({
+  reference: 'EVS-20250314-ABC123',
+  date: new Date('2025-03-14T10:00:00.000Z'),
+  customer: { name: 'Sara', email: 'sara@example.com', phone: '0501234567', location: 'Riyadh' },
+  appliances,
+  estimate: calculateSolarEstimate(appliances),
+  ...fields,
+});
+
+// jsPDF writes text uncompressed, so the strings on the page can be found in its output
+const pdfText = (doc) => doc.output();
+
+const arabicFont = Object.fromEntries(Object.entries(ARABIC_FONT_FILES)
+  .map(([style, url]) => [style, readFileSync(path.join(__dirname, '..', 'public', url)).toString('base64')]));
+
+/**
+ * Builds a quote while recording what is written with which font.
+ * @param {object} fields - Fields of the quote to change.
+ * @returns {Array} The text calls, with the font name and options.
+ */
+const recordText = (fields) => {
+  const calls = [];
+  // jsPDF sets its methods on each document, so the document is wrapped rather than subclassed
+  function RecordingPdf(options) {
+    const doc = new jsPDF(options);
+    const { text } = doc;
+    doc.text = (value, x, y, textOptions) => {
+      calls.push({ text: value, font: doc.getFont().fontName, options: textOptions });
+      return text.call(doc, value, x, y, textOptions);
+    };
+    return doc;
+  }
+  buildQuotePdf(RecordingPdf, quote(fields), { arabicFont });
+  return calls;
+};
+
+describe('buildQuotePdf', () => {
+  it('prints the number of a submitted quote request', () => {
+    expect(pdfText(buildQuotePdf(jsPDF, quote()))).toContain('Quote No. EVS-20250314-ABC123');
+  });
+
+  it('marks an estimate that was not submitted instead of inventing a number', () => {
+    const text = pdfText(buildQuotePdf(jsPDF, quote({ reference: null })));
+    expect(text).toContain('Estimate - not yet submitted');
+    expect(text).not.toContain('Quote No.');
+  });
+});
+
+describe('hasArabicText', () => {
+  it('finds Arabic letters in any of the texts', () => {
+    expect(hasArabicText('Sara', undefined, 'الرياض')).toBe(true);
+    expect(hasArabicText('Sara', 42, 'Riyadh')).toBe(false);
+  });
+});
+
+describe('Arabic text in the PDF', () => {
+  it('writes Arabic names and appliances with the embedded Arabic font', () => {
+    const calls = recordText({
+      customer: { name: 'سارة القحطاني', email: 'sara@example.com', phone: '0501234567', location: 'الرياض' },
+      appliances: [{ ...appliances[0], name: 'ثلاجة' }],
+    });
+    const written = (text) => calls.find((call) => call.text === text);
+    expect(written('سارة القحطاني')).toMatchObject({ font: 'IBMPlexSansArabic', options: { align: 'right', isInputVisual: false, isInputRtl: true } });
+    expect(written('ثلاجة').font).toBe('IBMPlexSansArabic');
+    // Everything else stays in Helvetica
+    expect(written('sara@example.com').font).toBe('helvetica');
+    expect(written('Customer Details').font).toBe('helvetica');
+  });
+
+  it('keeps the reading direction of Latin text with Arabic words in it', () => {
+    const calls = recordText({ customer: { name: 'Sara سارة', email: '', phone: '', location: '' } });
+    expect(calls.find((call) => call.text === 'Sara سارة').options).toMatchObject({ isInputRtl: false });
+  });
+
+  it('embeds the font only when given', () => {
+    const withArabic = quote({ customer: { name: 'سارة', email: '', phone: '', location: '' } });
+    expect(pdfText(buildQuotePdf(jsPDF, withArabic, { arabicFont }))).toContain('/FontFile2');
+    expect(pdfText(buildQuotePdf(jsPDF, quote()))).not.toContain('/FontFile2');
+  });
+});
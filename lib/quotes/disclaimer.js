@@ -0,0 +1,2 @@
+// Standard disclaimer shown under the estimate and printed on every quotation
+export const QUOTE_DISCLAIMER = 'These are preliminary estimates based on simplified assumptions. Actual costs and savings can vary significantly based on your specific location, roof characteristics, local incentives, and energy consumption patterns.';
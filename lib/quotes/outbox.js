@@ -0,0 +1,167 @@
+// Detailed quote requests made without a connection wait in an outbox on the device and are
+// sent when the connection returns. The outbox exposes the async interface list(), add(request),
+// update(id, changes) and remove(id). Entries move from 'pending' to 'sending', then to 'sent'
+// (with the reference the server gave) or 'rejected' (the server refused the request itself).
+// Entries the server asked to wait for stay 'pending' with the time they may be sent again.
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'rejected'];
+
+const DB_NAME = 'eversolar';
+const DB_VERSION = 1;
+const STORE_NAME = 'quoteOutbox';
+
+// How long to wait after a server error, or a rate limit that gave no Retry-After
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise} Resolves with the request's result.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Sorts entries with the oldest first, the order they are sent in.
+ * @param {Array} entries - The outbox entries.
+ * @returns {Array} The sorted entries.
+ */
+const oldestFirst = (entries) => entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+/**
+ * Creates an outbox keeping quote requests in IndexedDB, so they survive closing the browser.
+ * Without IndexedDB it keeps them in memory, which is what tests use.
+ * @param {IDBFactory} [indexedDB] - Usually window.indexedDB.
+ * @returns {object} The outbox.
+ */
+export const createQuoteOutbox = (indexedDB = null) => {
+  const memory = new Map();
+  let database = null;
+
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      database = promisify(request);
+    }
+    return database;
+  };
+
+  /**
+   * Runs one operation on the outbox object store.
+   * @param {string} mode - 'readonly' or 'readwrite'.
+   * @param {Function} operation - Receives the object store and returns an IDBRequest.
+   * @returns {Promise} The request's result.
+   */
+  const run = async (mode, operation) => {
+    const db = await open();
+    return promisify(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  const read = async () => (indexedDB ? run('readonly', (store) => store.getAll()) : [...memory.values()]);
+  const write = async (entry) => {
+    if (indexedDB) {
+      await run('readwrite', (store) => store.put(entry));
+    } else {
+      memory.set(entry.id, entry);
+    }
+    return entry;
+  };
+
+  return {
+    async list() {
+      return oldestFirst(await read());
+    },
+    async add(request) {
+      return write({
+        id: globalThis.crypto.randomUUID(),
+        request,
+        status: 'pending',
+        queuedAt: new Date().toISOString(),
+        sentAt: null,
+        reference: null,
+        retryAt: null,
+      });
+    },
+    async update(id, changes) {
+      const entry = (await read()).find((item) => item.id === id);
+      return entry ? write({ ...entry, ...changes }) : null;
+    },
+    async remove(id) {
+      if (indexedDB) {
+        await run('readwrite', (store) => store.delete(id));
+      } else {
+        memory.delete(id);
+      }
+    },
+  };
+};
+
+/**
+ * Puts a refused quote request back in line, e.g. after a rep has signed in so a repeat request
+ * for a customer is accepted.
+ * @param {object} outbox - A quote outbox.
+ * @param {string} id - The entry id.
+ * @returns {Promise<object|null>} The updated entry, or null when there is none.
+ */
+export const requeueQuoteRequest = (outbox, id) =>
+  outbox.update(id, { status: 'pending', error: null, errors: null, reference: null, retryAt: null });
+
+/**
+ * Returns when the outbox should next be sent: the time the server asked to wait until for
+ * entries it turned away for now.
+ * @param {Array} entries - The outbox entries.
+ * @returns {string|null} The earliest retry time as an ISO string, or null when nothing is waiting for one.
+ */
+export const nextRetryAt = (entries) => entries
+  .filter((entry) => entry.status === 'pending' && entry.retryAt)
+  .map((entry) => entry.retryAt)
+  .sort()[0] || null;
+
+/**
+ * Sends every waiting quote request, oldest first. Entries left in 'sending' by a closed
+ * page are retried too. Stops at the first network failure, as the connection is gone again,
+ * and at the first rate limit or server error, recording on the entry when to try again.
+ * @param {object} outbox - A quote outbox.
+ * @param {Function} send - Posts a request; resolves with { ok, status, result } or rejects on network errors.
+ * @returns {Promise<number>} How many requests were sent.
+ */
+export const flushQuoteOutbox = async (outbox, send) => {
+  let sent = 0;
+  const waiting = (await outbox.list()).filter((entry) => entry.status === 'pending' || entry.status === 'sending');
+
+  for (const entry of waiting) {
+    await outbox.update(entry.id, { status: 'sending', retryAt: null });
+    let response;
+    try {
+      response = await send(entry.request);
+    } catch (error) {
+      await outbox.update(entry.id, { status: 'pending' });
+      break;
+    }
+
+    if (response.ok) {
+      await outbox.update(entry.id, { status: 'sent', sentAt: new Date().toISOString(), reference: response.result.reference });
+      sent += 1;
+    } else if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+      // The server refused the request itself, so sending it again would not help. A duplicate
+      // keeps the reference of the earlier request.
+      await outbox.update(entry.id, {
+        status: 'rejected',
+        errors: response.result.errors || null,
+        error: response.result.error || null,
+        reference: response.result.reference || null,
+      });
+    } else {
+      // Server errors and rate limits are temporary; try again when the server said to
+      const retryAfterSeconds = response.result.retryAfterSeconds || DEFAULT_RETRY_AFTER_SECONDS;
+      await outbox.update(entry.id, { status: 'pending', retryAt: new Date(Date.now() + retryAfterSeconds * 1000).toISOString() });
+      break;
+    }
+  }
+  return sent;
+};
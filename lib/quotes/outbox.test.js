@@ -0,0 +1,144 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createQuoteOutbox, flushQuoteOutbox, nextRetryAt, requeueQuoteRequest } from './outbox';
+
+const request = (name) => ({ name, email: `${name.toLowerCase()}@example.com` });
+
+// Queues requests one millisecond apart so their order is known
+const queue = async (outbox, names) => {
+  for (const name of names) {
+    await outbox.add(request(name));
+    await new Promise((resolve) => setTimeout(resolve, 1));
+  }
+};
+
+const statuses = async (outbox) => (await outbox.list()).map((entry) => [entry.request.name, entry.status]);
+
+describe('createQuoteOutbox', () => {
+  it('keeps queued requests as pending, oldest first', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First', 'Second']);
+    const entries = await outbox.list();
+    expect(entries.map((entry) => entry.request.name)).toEqual(['First', 'Second']);
+    expect(entries[0]).toMatchObject({ status: 'pending', sentAt: null, reference: null });
+  });
+
+  it('updates and removes entries', async () => {
+    const outbox = createQuoteOutbox();
+    const entry = await outbox.add(request('First'));
+    expect(await outbox.update(entry.id, { status: 'sending' })).toMatchObject({ status: 'sending', request: request('First') });
+    expect(await outbox.update('unknown', { status: 'sent' })).toBeNull();
+    await outbox.remove(entry.id);
+    expect(await outbox.list()).toEqual([]);
+  });
+});
+
+describe('flushQuoteOutbox', () => {
+  it('sends every waiting request and records its reference', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First', 'Second']);
+    const send = vi.fn(async ({ name }) => ({ ok: true, status: 201, result: { reference: `EVS-${name}` } }));
+
+    expect(await flushQuoteOutbox(outbox, send)).toBe(2);
+    expect(send.mock.calls.map(([sent]) => sent.name)).toEqual(['First', 'Second']);
+    const entries = await outbox.list();
+    expect(entries.map((entry) => entry.reference)).toEqual(['EVS-First', 'EVS-Second']);
+    expect(entries.every((entry) => entry.status === 'sent' && entry.sentAt)).toBe(true);
+  });
+
+  it('stops at a network failure and keeps the rest pending', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First', 'Second']);
+    const send = vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    expect(await flushQuoteOutbox(outbox, send)).toBe(0);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await statuses(outbox)).toEqual([['First', 'pending'], ['Second', 'pending']]);
+  });
+
+  it.each([429, 502])('stops at a %d answer and tries again later', async (status) => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First', 'Second']);
+    const send = vi.fn(async () => ({ ok: false, status, result: {} }));
+
+    expect(await flushQuoteOutbox(outbox, send)).toBe(0);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await statuses(outbox)).toEqual([['First', 'pending'], ['Second', 'pending']]);
+  });
+
+  it('records when the server asked to be tried again', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First']);
+    const before = Date.now();
+    await flushQuoteOutbox(outbox, async () => ({ ok: false, status: 429, result: { error: 'rateLimited', retryAfterSeconds: 600 } }));
+    const retryAt = Date.parse(nextRetryAt(await outbox.list()));
+    expect(retryAt).toBeGreaterThanOrEqual(before + 600 * 1000);
+    expect(retryAt).toBeLessThan(before + 601 * 1000);
+
+    await flushQuoteOutbox(outbox, async () => ({ ok: true, status: 201, result: { reference: 'EVS-LATER' } }));
+    expect(nextRetryAt(await outbox.list())).toBeNull();
+  });
+
+  it('waits a minute after server errors without a Retry-After', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['First']);
+    const before = Date.now();
+    await flushQuoteOutbox(outbox, async () => ({ ok: false, status: 502, result: {} }));
+    expect(Date.parse(nextRetryAt(await outbox.list()))).toBeGreaterThanOrEqual(before + 60 * 1000);
+  });
+
+  it('rejects requests the server refuses and carries on with the next', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['Invalid', 'Duplicate', 'Valid']);
+    const answers = {
+      Invalid: { ok: false, status: 400, result: { errors: { email: 'emailInvalid' } } },
+      Duplicate: { ok: false, status: 409, result: { error: 'duplicateLead', reference: 'EVS-EARLIER' } },
+      Valid: { ok: true, status: 201, result: { reference: 'EVS-NEW' } },
+    };
+
+    expect(await flushQuoteOutbox(outbox, async ({ name }) => answers[name])).toBe(1);
+    const [invalid, duplicate, valid] = await outbox.list();
+    expect(invalid).toMatchObject({ status: 'rejected', errors: { email: 'emailInvalid' }, reference: null });
+    expect(duplicate).toMatchObject({ status: 'rejected', error: 'duplicateLead', reference: 'EVS-EARLIER' });
+    expect(valid).toMatchObject({ status: 'sent', reference: 'EVS-NEW' });
+  });
+
+  it('retries entries left sending by a closed page, and skips finished ones', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['Interrupted', 'Done']);
+    const [interrupted, done] = await outbox.list();
+    await outbox.update(interrupted.id, { status: 'sending' });
+    await outbox.update(done.id, { status: 'sent', reference: 'EVS-DONE' });
+    const send = vi.fn(async () => ({ ok: true, status: 201, result: { reference: 'EVS-RETRIED' } }));
+
+    expect(await flushQuoteOutbox(outbox, send)).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect((await outbox.list()).map((entry) => entry.reference)).toEqual(['EVS-RETRIED', 'EVS-DONE']);
+  });
+});
+
+describe('requeueQuoteRequest', () => {
+  it('puts a refused request back in line to be sent again', async () => {
+    const outbox = createQuoteOutbox();
+    await queue(outbox, ['Duplicate']);
+    await flushQuoteOutbox(outbox, async () => ({ ok: false, status: 409, result: { error: 'duplicateLead', reference: 'EVS-EARLIER' } }));
+    const [refused] = await outbox.list();
+
+    expect(await requeueQuoteRequest(outbox, refused.id)).toMatchObject({ status: 'pending', error: null, reference: null });
+    expect(await flushQuoteOutbox(outbox, async () => ({ ok: true, status: 201, result: { reference: 'EVS-AGAIN' } }))).toBe(1);
+    expect((await outbox.list())[0]).toMatchObject({ status: 'sent', reference: 'EVS-AGAIN' });
+  });
+});
+
+describe('nextRetryAt', () => {
+  it('returns the earliest retry time of the waiting entries', () => {
+    expect(nextRetryAt([
+      { status: 'pending', retryAt: '2026-05-01T10:05:00.000Z' },
+      { status: 'pending', retryAt: '2026-05-01T10:01:00.000Z' },
+      { status: 'sent', retryAt: '2026-05-01T09:00:00.000Z' },
+      { status: 'pending', retryAt: null },
+    ])).toBe('2026-05-01T10:01:00.000Z');
+    expect(nextRetryAt([{ status: 'pending', retryAt: null }])).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+// Unambiguous characters only (no 0/O, 1/I) so references can be read over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a human-friendly quote reference number, e.g. EVS-20250314-K7Q2MX.
+ * Uses the Web Crypto API, so it works both in the browser and in API routes.
+ * @param {Date} [date] - The submission date embedded in the reference.
+ * @returns {string} The reference number.
+ */
+export const generateQuoteReference = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(6));
+  const suffix = Array.from(bytes, (byte) => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `EVS-${day}-${suffix}`;
+};
@@ -0,0 +1,63 @@
+// Heuristics that keep automated submissions and repeat requests out of the quote leads.
+// Each check returns a short code (e.g. 'tooFast') that the form translates as 'quote.blocked.<code>'.
+
+// Hidden form field that people never see; bots filling every input give themselves away
+export const HONEYPOT_FIELD = 'website';
+
+// Nobody can read the form and type their details faster than this
+export const MIN_FORM_FILL_MS = 3000;
+
+// A second request with the same email or phone within this window is treated as a duplicate
+export const DUPLICATE_LEAD_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const LINK_PATTERN = /https?:\/\/|www\.|\[url/i;
+
+/**
+ * Looks for signs that a quote request was not filled in by a person.
+ * @param {object} body - The request payload, including the honeypot field.
+ * @param {object} options
+ * @param {number|null} options.formAgeMs - How long ago the server issued the form's client token
+ *   (see lib/clientToken.js); null when the request has no valid token.
+ * @returns {string} The reason the request is refused ('honeypot', 'formExpired', 'tooFast' or
+ *   'links'); empty when it looks genuine.
+ */
+export const detectSpam = (body = {}, { formAgeMs }) => {
+  if (body[HONEYPOT_FIELD]) return 'honeypot';
+  if (formAgeMs === null || formAgeMs === undefined) return 'formExpired';
+  if (formAgeMs < MIN_FORM_FILL_MS) return 'tooFast';
+  if ([body.name, body.location].some((field) => LINK_PATTERN.test(String(field || '')))) return 'links';
+  return '';
+};
+
+/**
+ * Reduces a phone number to its last nine digits, so '+966 50 123 4567' and '0501234567' match.
+ * @param {string} phone - The phone number as entered.
+ * @returns {string} The digits compared.
+ */
+export const normalisePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-9);
+
+/**
+ * Tells whether a saved request came from the same person, by email address or phone number.
+ * @param {object} quote - A saved quote request.
+ * @param {object} contact - The new request's email and phone.
+ * @returns {boolean} True when the email or the phone number matches.
+ */
+export const isSameContact = (quote, { email, phone }) => {
+  const phoneDigits = normalisePhone(phone);
+  return Boolean(email && quote.email === email) || (phoneDigits.length === 9 && normalisePhone(quote.phone) === phoneDigits);
+};
+
+/**
+ * Finds an earlier request from the same person, by email address or phone number.
+ * @param {Array} quotes - Saved quote requests, e.g. those a store found for the contact.
+ * @param {object} contact - The new request's email and phone.
+ * @param {object} [options]
+ * @param {Date} [options.now] - The current time.
+ * @param {number} [options.windowMs] - How far back to look.
+ * @returns {object|null} The most recent matching quote within the window, or null.
+ */
+export const findDuplicateLead = (quotes, contact, { now = new Date(), windowMs = DUPLICATE_LEAD_WINDOW_MS } = {}) => {
+  const since = now.getTime() - windowMs;
+  const matches = quotes.filter((quote) => new Date(quote.createdAt).getTime() >= since && isSameContact(quote, contact));
+  return matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+};
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { detectSpam, findDuplicateLead, normalisePhone, HONEYPOT_FIELD, MIN_FORM_FILL_MS } from './spam';
+
+const body = { name: 'Sara', location: 'Riyadh' };
+
+describe('detectSpam', () => {
+  it('lets a form filled in by a person through', () => {
+    expect(detectSpam(body, { formAgeMs: MIN_FORM_FILL_MS })).toBe('');
+  });
+
+  it('refuses a filled honeypot', () => {
+    expect(detectSpam({ ...body, [HONEYPOT_FIELD]: 'https://spam.example' }, { formAgeMs: 60000 })).toBe('honeypot');
+  });
+
+  it('refuses requests without a valid client token, whatever timing they claim', () => {
+    expect(detectSpam({ ...body, formElapsedMs: 5000 }, { formAgeMs: null })).toBe('formExpired');
+  });
+
+  it('refuses forms sent within seconds of the token being issued', () => {
+    expect(detectSpam(body, { formAgeMs: MIN_FORM_FILL_MS - 1 })).toBe('tooFast');
+  });
+
+  it('refuses links in the name or location', () => {
+    expect(detectSpam({ ...body, location: 'www.example.com' }, { formAgeMs: 60000 })).toBe('links');
+  });
+});
+
+describe('findDuplicateLead', () => {
+  const now = new Date('2025-03-15T10:00:00.000Z');
+  const quotes = [
+    { reference: 'EVS-OLD', createdAt: '2025-03-13T10:00:00.000Z', email: 'sara@example.com', phone: '0501234567' },
+    { reference: 'EVS-1', createdAt: '2025-03-14T12:00:00.000Z', email: 'sara@example.com', phone: '0501234567' },
+    { reference: 'EVS-2', createdAt: '2025-03-15T09:00:00.000Z', email: 'other@example.com', phone: '+966 50 123 4567' },
+  ];
+
+  it('finds the latest request by email or phone within the window', () => {
+    expect(findDuplicateLead(quotes, { email: 'sara@example.com', phone: '' }, { now }).reference).toBe('EVS-1');
+    expect(findDuplicateLead(quotes, { email: 'new@example.com', phone: '050 123 4567' }, { now }).reference).toBe('EVS-2');
+    expect(findDuplicateLead(quotes, { email: 'new@example.com', phone: '0509999999' }, { now })).toBeNull();
+  });
+
+  it('compares the last nine digits of phone numbers', () => {
+    expect(normalisePhone('+966 50 123 4567')).toBe(normalisePhone('0501234567'));
+  });
+});
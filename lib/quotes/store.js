@@ -0,0 +1,190 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { collection, doc, getDoc, getDocs, limit, orderBy, query, setDoc, startAfter, where } from 'firebase/firestore';
+import { getServerAppId, getServerFirestore } from '../serverFirestore';
+import { isSameContact, normalisePhone } from './spam';
+
+// Pluggable storage for detailed quote requests.
+// Every store exposes the same async interface: save(quote), get(reference),
+// list({ since, until, after, limit }), which pages through the requests newest first, and
+// findByContact({ email, phone }, since), which returns the requests made since a date
+// with the same email address or phone number.
+
+/**
+ * Picks a page of quote requests, for the stores that search in memory.
+ * @param {Array} quotes - Saved quote requests, newest first.
+ * @param {object} [options]
+ * @param {string} [options.since] - Earliest creation time, as an ISO string.
+ * @param {string} [options.until] - Creation time the requests must be before, as an ISO string.
+ * @param {string} [options.after] - Reference of the last request on the previous page.
+ * @param {number} [options.limit] - Most requests returned; all of them when not set.
+ * @returns {Array} The page, newest first.
+ */
+const pageOf = (quotes, { since, until, after, limit: count } = {}) => {
+  let page = quotes.filter((quote) => (!since || quote.createdAt >= since) && (!until || quote.createdAt < until));
+  if (after) {
+    const index = page.findIndex((quote) => quote.reference === after);
+    page = index === -1 ? [] : page.slice(index + 1);
+  }
+  return count ? page.slice(0, count) : page;
+};
+
+/**
+ * Keeps the requests made since a date with the given email address or phone number.
+ * @param {Array} quotes - Saved quote requests.
+ * @param {object} contact - email and phone.
+ * @param {Date} since - The earliest creation time kept.
+ * @returns {Array} The matching requests.
+ */
+const filterByContact = (quotes, contact, since) =>
+  quotes.filter((quote) => quote.createdAt >= since.toISOString() && isSameContact(quote, contact));
+
+/**
+ * Creates a store that keeps quotes in memory. Useful for tests and local development.
+ * @returns {object} The quote store.
+ */
+export const createMemoryQuoteStore = () => {
+  const quotes = new Map();
+
+  return {
+    async save(quote) {
+      quotes.set(quote.reference, quote);
+      return quote;
+    },
+    async get(reference) {
+      return quotes.get(reference) || null;
+    },
+    async list(options) {
+      return pageOf([...quotes.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)), options);
+    },
+    async findByContact(contact, since) {
+      return filterByContact(await this.list(), contact, since);
+    },
+  };
+};
+
+/**
+ * Creates a store that writes each quote as a JSON file in a local directory. Every search reads
+ * all the files, so it suits local development rather than production.
+ * @param {object} options
+ * @param {string} options.dir - Directory the quote files are written to.
+ * @returns {object} The quote store.
+ */
+export const createFileQuoteStore = ({ dir }) => {
+  const fileFor = (reference) => path.join(dir, `${path.basename(reference)}.json`);
+
+  return {
+    async save(quote) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(quote.reference), JSON.stringify(quote, null, 2));
+      return quote;
+    },
+    async get(reference) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(reference), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async list(options) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const quotes = await Promise.all(
+        files
+          .filter((file) => file.endsWith('.json'))
+          .map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+      );
+      return pageOf(quotes.sort((a, b) => b.createdAt.localeCompare(a.createdAt)), options);
+    },
+    async findByContact(contact, since) {
+      return filterByContact(await this.list(), contact, since);
+    },
+  };
+};
+
+/**
+ * Creates a store keeping quotes in Firestore under artifacts/{appId}/quotes, one document per
+ * reference. The quote itself is kept as JSON, exactly as the file store writes it, since Firestore
+ * refuses some of the estimate's values (e.g. undefined); the email address, phone digits and
+ * creation time are copied alongside so requests can be searched by them.
+ * @param {object} options
+ * @param {object|Function} options.db - The Firestore instance, or a function resolving to it, such as
+ *   getServerFirestore, which signs the server in first.
+ * @param {string} options.appId - The application id used to namespace the data.
+ * @returns {object} The quote store.
+ */
+export const createFirestoreQuoteStore = ({ db, appId }) => {
+  const quotesRef = async () => collection(typeof db === 'function' ? await db() : db, 'artifacts', appId, 'quotes');
+  const fromDocs = (snapshot) => snapshot.docs.map((item) => JSON.parse(item.data().quote));
+
+  return {
+    async save(quote) {
+      await setDoc(doc(await quotesRef(), quote.reference), {
+        reference: quote.reference,
+        createdAt: quote.createdAt,
+        email: quote.email,
+        phoneDigits: normalisePhone(quote.phone),
+        quote: JSON.stringify(quote),
+      });
+      return quote;
+    },
+    async get(reference) {
+      const snapshot = await getDoc(doc(await quotesRef(), reference));
+      return snapshot.exists() ? JSON.parse(snapshot.data().quote) : null;
+    },
+    async list({ since, until, after, limit: count } = {}) {
+      // A range and an order on createdAt alone need no composite index
+      const quotes = await quotesRef();
+      const constraints = [orderBy('createdAt', 'desc')];
+      if (since) constraints.push(where('createdAt', '>=', since));
+      if (until) constraints.push(where('createdAt', '<', until));
+      if (after) {
+        const last = await getDoc(doc(quotes, after));
+        if (!last.exists()) return [];
+        constraints.push(startAfter(last));
+      }
+      if (count) constraints.push(limit(count));
+      return fromDocs(await getDocs(query(quotes, ...constraints)));
+    },
+    async findByContact(contact, since) {
+      // Two single-field queries need no composite index; a person has only a few requests,
+      // so the date is checked here
+      const quotes = await quotesRef();
+      const phoneDigits = normalisePhone(contact.phone);
+      const snapshots = await Promise.all([
+        contact.email ? getDocs(query(quotes, where('email', '==', contact.email))) : null,
+        phoneDigits.length === 9 ? getDocs(query(quotes, where('phoneDigits', '==', phoneDigits))) : null,
+      ]);
+      const found = new Map(snapshots.filter(Boolean).flatMap(fromDocs).map((quote) => [quote.reference, quote]));
+      return filterByContact([...found.values()], contact, since);
+    },
+  };
+};
+
+let defaultStore = null;
+
+/**
+ * Returns the quote store configured through the environment.
+ * QUOTE_STORE selects the backend: 'firestore' (the default in production, see lib/serverFirestore),
+ * 'file' (the default otherwise) or 'memory'; QUOTE_STORE_DIR sets the directory used by the file backend.
+ * @returns {object} The shared quote store.
+ */
+export const getQuoteStore = () => {
+  if (!defaultStore) {
+    const backend = process.env.QUOTE_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'file');
+    if (backend === 'memory') {
+      defaultStore = createMemoryQuoteStore();
+    } else if (backend === 'firestore') {
+      defaultStore = createFirestoreQuoteStore({ db: getServerFirestore, appId: getServerAppId() });
+    } else {
+      defaultStore = createFileQuoteStore({ dir: process.env.QUOTE_STORE_DIR || path.join(process.cwd(), '.data', 'quotes') });
+    }
+  }
+  return defaultStore;
+};
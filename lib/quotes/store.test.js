@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeFirestore } from '../testing/fakeFirestore';
+import { createFileQuoteStore, createFirestoreQuoteStore, createMemoryQuoteStore } from './store';
+
+vi.mock('firebase/firestore', () => import('../testing/fakeFirestore'));
+
+const quote = (reference, createdAt, fields = {}) => ({
+  reference,
+  createdAt,
+  name: 'Sara',
+  email: `${reference.toLowerCase()}@example.com`,
+  phone: '0500000000',
+  estimate: { totalDailyKWh: 10, breakdown: [{ name: 'AC', monthlyKWh: [1, 2] }], skipped: undefined },
+  ...fields,
+});
+
+const since = new Date('2025-03-14T00:00:00.000Z');
+
+const describeStore = (name, createStore) => {
+  describe(name, () => {
+    let store;
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    it('returns a saved quote by reference', async () => {
+      await store.save(quote('EVS-1', '2025-03-14T10:00:00.000Z'));
+      expect(await store.get('EVS-1')).toMatchObject({ reference: 'EVS-1', estimate: { totalDailyKWh: 10 } });
+    });
+
+    it('pages through the requests in a date range', async () => {
+      for (let day = 10; day <= 15; day += 1) {
+        await store.save(quote(`EVS-${day}`, `2025-03-${day}T10:00:00.000Z`));
+      }
+      const range = { since: '2025-03-11T00:00:00.000Z', until: '2025-03-15T00:00:00.000Z' };
+      const first = await store.list({ ...range, limit: 3 });
+      expect(first.map((item) => item.reference)).toEqual(['EVS-14', 'EVS-13', 'EVS-12']);
+      expect((await store.list({ ...range, after: 'EVS-12', limit: 3 })).map((item) => item.reference)).toEqual(['EVS-11']);
+      expect(await store.list({ after: 'EVS-404' })).toEqual([]);
+    });
+
+    it('returns null for an unknown reference', async () => {
+      expect(await store.get('EVS-404')).toBeNull();
+    });
+
+    it('lists quotes with the newest first', async () => {
+      await store.save(quote('EVS-1', '2025-03-14T10:00:00.000Z'));
+      await store.save(quote('EVS-2', '2025-03-15T10:00:00.000Z'));
+      expect((await store.list()).map((item) => item.reference)).toEqual(['EVS-2', 'EVS-1']);
+    });
+
+    it('replaces a quote saved again under the same reference', async () => {
+      await store.save(quote('EVS-1', '2025-03-14T10:00:00.000Z'));
+      await store.save(quote('EVS-1', '2025-03-14T10:00:00.000Z', { status: 'contacted' }));
+      expect(await store.list()).toHaveLength(1);
+      expect((await store.get('EVS-1')).status).toBe('contacted');
+    });
+
+    it('finds recent requests by email address or phone number', async () => {
+      await store.save(quote('EVS-1', '2025-03-14T10:00:00.000Z', { email: 'sara@example.com', phone: '0501111111' }));
+      await store.save(quote('EVS-2', '2025-03-14T11:00:00.000Z', { email: 'other@example.com', phone: '+966 50 222 2222' }));
+      await store.save(quote('EVS-3', '2025-03-14T12:00:00.000Z', { email: 'third@example.com', phone: '0503333333' }));
+      const found = await store.findByContact({ email: 'sara@example.com', phone: '0502222222' }, since);
+      expect(found.map((item) => item.reference).sort()).toEqual(['EVS-1', 'EVS-2']);
+    });
+
+    it('leaves out requests made before the given date', async () => {
+      await store.save(quote('EVS-1', '2025-03-13T10:00:00.000Z', { email: 'sara@example.com' }));
+      expect(await store.findByContact({ email: 'sara@example.com', phone: '' }, since)).toEqual([]);
+    });
+  });
+};
+
+describeStore('createMemoryQuoteStore', () => createMemoryQuoteStore());
+
+describe('file store', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eversolar-quotes-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describeStore('createFileQuoteStore', () => createFileQuoteStore({ dir: path.join(dir, 'quotes') }));
+
+  it('keeps a reference from leaving the directory', async () => {
+    const store = createFileQuoteStore({ dir });
+    await store.save(quote('../EVS-1', '2025-03-14T10:00:00.000Z'));
+    expect(await fs.readdir(dir)).toEqual(['EVS-1.json']);
+  });
+});
+
+describeStore('createFirestoreQuoteStore', () => {
+  const db = createFakeFirestore();
+  return createFirestoreQuoteStore({ db: async () => db, appId: 'test-app' });
+});
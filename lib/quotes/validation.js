@@ -0,0 +1,327 @@
+import { findCatalogueAppliance } from '../applianceCatalogue';
+import { findEquipmentPackage } from '../equipmentPackages';
+import { MAX_ZONES, assignApplianceZones } from '../loadZones';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n';
+import { USAGE_PRESETS, CUSTOM_USAGE_PRESET_ID, DEFAULT_USAGE_PRESET_ID } from '../loadProfile';
+import { findSeasonalProfile, DEFAULT_SEASONAL_PROFILE_ID } from '../seasonalUsage';
+import {
+  findRoofType,
+  findOrientation,
+  findPanelModel,
+  DEFAULT_ROOF_TYPE_ID,
+  DEFAULT_ORIENTATION_ID,
+  DEFAULT_PANEL_ID,
+} from '../roofLayout';
+
+// Validation shared by the quote request form and the quotes API route.
+// Every check returns an error code per field (e.g. 'emailInvalid'); the form translates
+// it with the 'validation.<code>' message and shows it next to the input.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s-()]{7,20}$/;
+
+// Upper bounds used to reject obviously broken appliance rows
+export const MAX_APPLIANCES = 100;
+const MAX_NAME_LENGTH = 100;
+// The longest address SMTP delivers (RFC 5321), and room for a district and city
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCATION_LENGTH = 200;
+const MAX_WATTAGE = 100000;
+const MAX_HOURS_PER_DAY = 24;
+const MAX_QUANTITY = 1000;
+const MAX_MONTHLY_KWH = 1000000;
+const MAX_ROOF_SIDE_M = 1000;
+const MAX_ROOF_AREA_M2 = 100000;
+
+// Battery settings accepted: up to a week without sun, and 10-100% of the capacity usable
+export const MAX_DAYS_OF_AUTONOMY = 7;
+const MIN_DEPTH_OF_DISCHARGE = 0.1;
+
+/**
+ * Trims a value if it is a string, otherwise returns an empty string.
+ * @param {*} value - The raw input value.
+ * @returns {string} The trimmed string.
+ */
+const toTrimmedString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Converts an optional numeric value, returning null when it is missing or not a number.
+ * @param {*} value - The raw input value.
+ * @returns {number|null} The number, or null.
+ */
+const toOptionalNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Validates the contact details of a quote request.
+ * @param {object} contact - Object with name, email, phone and location.
+ * @returns {object} Map of field name to error code; empty when valid.
+ */
+export const validateContact = ({ name, email, phone, location } = {}) => {
+  const errors = {};
+
+  if (!toTrimmedString(name)) {
+    errors.name = 'nameRequired';
+  } else if (toTrimmedString(name).length > MAX_NAME_LENGTH) {
+    errors.name = 'nameTooLong';
+  }
+
+  if (!toTrimmedString(email)) {
+    errors.email = 'emailRequired';
+  } else if (toTrimmedString(email).length > MAX_EMAIL_LENGTH) {
+    errors.email = 'emailTooLong';
+  } else if (!EMAIL_PATTERN.test(toTrimmedString(email))) {
+    errors.email = 'emailInvalid';
+  }
+
+  if (!toTrimmedString(phone)) {
+    errors.phone = 'phoneRequired';
+  } else if (!PHONE_PATTERN.test(toTrimmedString(phone))) {
+    errors.phone = 'phoneInvalid';
+  }
+
+  if (!toTrimmedString(location)) {
+    errors.location = 'locationRequired';
+  } else if (toTrimmedString(location).length > MAX_LOCATION_LENGTH) {
+    errors.location = 'locationTooLong';
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the appliance list and normalises it to numbers.
+ * @param {Array} appliances - Appliance rows as submitted.
+ * @returns {{ error: string, appliances: Array }} An error code (empty when valid) and the cleaned rows.
+ */
+export const validateAppliances = (appliances) => {
+  if (!Array.isArray(appliances) || appliances.length === 0) {
+    return { error: 'appliancesRequired', appliances: [] };
+  }
+  if (appliances.length > MAX_APPLIANCES) {
+    return { error: 'tooManyAppliances', appliances: [] };
+  }
+
+  const cleaned = [];
+  for (const app of appliances) {
+    const name = toTrimmedString(app?.name);
+    const wattage = Number(app?.wattage);
+    const hoursPerDay = Number(app?.hoursPerDay);
+    const quantity = Number(app?.quantity);
+    const dutyCyclePercent = toOptionalNumber(app?.dutyCyclePercent);
+    // Rows saved before usage presets existed have none and are used all day
+    const usagePreset = toTrimmedString(app?.usagePreset) || DEFAULT_USAGE_PRESET_ID;
+
+    if (
+      !name ||
+      name.length > MAX_NAME_LENGTH ||
+      !Number.isFinite(wattage) ||
+      wattage <= 0 ||
+      wattage > MAX_WATTAGE ||
+      !Number.isFinite(hoursPerDay) ||
+      hoursPerDay < 0 ||
+      hoursPerDay > MAX_HOURS_PER_DAY ||
+      !Number.isFinite(quantity) ||
+      quantity <= 0 ||
+      quantity > MAX_QUANTITY ||
+      (dutyCyclePercent !== null && (dutyCyclePercent <= 0 || dutyCyclePercent > 100)) ||
+      (usagePreset !== CUSTOM_USAGE_PRESET_ID && !USAGE_PRESETS.some((preset) => preset.id === usagePreset))
+    ) {
+      return { error: 'appliancesInvalid', appliances: [] };
+    }
+    cleaned.push({
+      name,
+      wattage,
+      hoursPerDay,
+      quantity,
+      usagePreset,
+      customHours: toTrimmedString(app.customHours).slice(0, MAX_NAME_LENGTH),
+      dutyCyclePercent,
+      seasonalProfile: findSeasonalProfile(app.seasonalProfile) ? app.seasonalProfile : DEFAULT_SEASONAL_PROFILE_ID,
+      catalogueId: findCatalogueAppliance(app.catalogueId) ? app.catalogueId : '',
+      zoneId: toOptionalNumber(app.zoneId),
+    });
+  }
+
+  return { error: '', appliances: cleaned };
+};
+
+/**
+ * Validates the optional load zones: null, or up to MAX_ZONES zones with a numeric id and a name.
+ * @param {*} zones - The zones as submitted.
+ * @returns {{ error: string, zones: Array }} An error code (empty when valid) and the cleaned zones.
+ */
+export const validateZones = (zones) => {
+  if (zones === null || zones === undefined) {
+    return { error: '', zones: [] };
+  }
+  if (!Array.isArray(zones) || zones.length === 0 || zones.length > MAX_ZONES) {
+    return { error: 'zonesInvalid', zones: [] };
+  }
+  const cleaned = zones.map((zone) => ({
+    id: toOptionalNumber(zone?.id),
+    name: toTrimmedString(zone?.name),
+  }));
+  const ids = cleaned.map((zone) => zone.id);
+  if (
+    ids.some((id) => id === null) ||
+    new Set(ids).size !== ids.length ||
+    cleaned.some((zone) => zone.name.length > MAX_NAME_LENGTH)
+  ) {
+    return { error: 'zonesInvalid', zones: [] };
+  }
+  return { error: '', zones: cleaned };
+};
+
+/**
+ * Validates the optional diversity factor, the share of the connected load running at once.
+ * @param {*} diversityFactor - The value as submitted.
+ * @returns {{ error: string, diversityFactor: number|null }} An error code (empty when valid) and the factor.
+ */
+export const validateDiversityFactor = (diversityFactor) => {
+  const value = toOptionalNumber(diversityFactor);
+  if (value !== null && (value <= 0 || value > 1)) {
+    return { error: 'diversityFactorInvalid', diversityFactor: null };
+  }
+  return { error: '', diversityFactor: value };
+};
+
+/**
+ * Validates the optional days of autonomy, how long the batteries must cover the load alone.
+ * @param {*} daysOfAutonomy - The value as submitted.
+ * @returns {{ error: string, daysOfAutonomy: number|null }} An error code (empty when valid) and the days.
+ */
+export const validateDaysOfAutonomy = (daysOfAutonomy) => {
+  const value = toOptionalNumber(daysOfAutonomy);
+  if (value !== null && (value < 0 || value > MAX_DAYS_OF_AUTONOMY)) {
+    return { error: 'daysOfAutonomyInvalid', daysOfAutonomy: null };
+  }
+  return { error: '', daysOfAutonomy: value };
+};
+
+/**
+ * Validates the optional depth of discharge, the usable fraction of the battery capacity.
+ * @param {*} depthOfDischarge - The value as submitted, as a fraction (0.8 for 80%).
+ * @returns {{ error: string, depthOfDischarge: number|null }} An error code (empty when valid) and the fraction.
+ */
+export const validateDepthOfDischarge = (depthOfDischarge) => {
+  const value = toOptionalNumber(depthOfDischarge);
+  if (value !== null && (value < MIN_DEPTH_OF_DISCHARGE || value > 1)) {
+    return { error: 'depthOfDischargeInvalid', depthOfDischarge: null };
+  }
+  return { error: '', depthOfDischarge: value };
+};
+
+/**
+ * Validates optional bill history: null, or twelve monthly kWh values.
+ * @param {*} monthlyConsumptionKWh - The values as submitted.
+ * @returns {{ error: string, monthlyConsumptionKWh: Array|null }} An error code (empty when valid) and the values as numbers.
+ */
+export const validateMonthlyConsumption = (monthlyConsumptionKWh) => {
+  if (monthlyConsumptionKWh === null || monthlyConsumptionKWh === undefined) {
+    return { error: '', monthlyConsumptionKWh: null };
+  }
+  const values = Array.isArray(monthlyConsumptionKWh) ? monthlyConsumptionKWh.map(Number) : [];
+  if (values.length !== 12 || !values.every((value) => Number.isFinite(value) && value >= 0 && value <= MAX_MONTHLY_KWH)) {
+    return { error: 'billHistoryInvalid', monthlyConsumptionKWh: null };
+  }
+  return { error: '', monthlyConsumptionKWh: values };
+};
+
+/**
+ * Validates the optional roof settings; missing ids fall back to the defaults.
+ * @param {object} [roof] - Roof dimensions or area, roof type, orientation, tilt and panel model.
+ * @returns {{ error: string, roof: object }} An error code (empty when valid) and the cleaned settings.
+ */
+export const validateRoof = (roof = {}) => {
+  const cleaned = {
+    roofLengthM: toOptionalNumber(roof?.roofLengthM),
+    roofWidthM: toOptionalNumber(roof?.roofWidthM),
+    roofAreaM2: toOptionalNumber(roof?.roofAreaM2),
+    roofTypeId: findRoofType(roof?.roofTypeId) ? roof.roofTypeId : DEFAULT_ROOF_TYPE_ID,
+    orientationId: findOrientation(roof?.orientationId) ? roof.orientationId : DEFAULT_ORIENTATION_ID,
+    tiltDeg: toOptionalNumber(roof?.tiltDeg),
+    panelId: findPanelModel(roof?.panelId) ? roof.panelId : DEFAULT_PANEL_ID,
+  };
+  const isOutOfRange = (value, max) => value !== null && (value < 0 || value > max);
+  if (
+    isOutOfRange(cleaned.roofLengthM, MAX_ROOF_SIDE_M) ||
+    isOutOfRange(cleaned.roofWidthM, MAX_ROOF_SIDE_M) ||
+    isOutOfRange(cleaned.roofAreaM2, MAX_ROOF_AREA_M2) ||
+    isOutOfRange(cleaned.tiltDeg, 90)
+  ) {
+    return { error: 'roofInvalid', roof: cleaned };
+  }
+  return { error: '', roof: cleaned };
+};
+
+/**
+ * Validates a full detailed quote request.
+ * With bill history the appliance list is optional.
+ * @param {object} body - The request payload.
+ * @returns {{ errors: object, value: object }} Field error codes (empty when valid) and the cleaned request.
+ */
+export const validateQuoteRequest = (body = {}) => {
+  const errors = validateContact(body);
+  const { error: billHistoryError, monthlyConsumptionKWh } = validateMonthlyConsumption(body.monthlyConsumptionKWh);
+  if (billHistoryError) {
+    errors.monthlyConsumptionKWh = billHistoryError;
+  }
+  const hasAppliances = Array.isArray(body.appliances) && body.appliances.length > 0;
+  const { error: appliancesError, appliances } = monthlyConsumptionKWh && !hasAppliances
+    ? { error: '', appliances: [] }
+    : validateAppliances(body.appliances);
+  if (appliancesError) {
+    errors.appliances = appliancesError;
+  }
+  const { error: roofError, roof } = validateRoof(body.roof);
+  if (roofError) {
+    errors.roof = roofError;
+  }
+  const { error: zonesError, zones } = validateZones(body.zones);
+  if (zonesError) {
+    errors.zones = zonesError;
+  }
+  const { error: diversityFactorError, diversityFactor } = validateDiversityFactor(body.diversityFactor);
+  if (diversityFactorError) {
+    errors.diversityFactor = diversityFactorError;
+  }
+  const { error: daysOfAutonomyError, daysOfAutonomy } = validateDaysOfAutonomy(body.daysOfAutonomy);
+  if (daysOfAutonomyError) {
+    errors.daysOfAutonomy = daysOfAutonomyError;
+  }
+  const { error: depthOfDischargeError, depthOfDischarge } = validateDepthOfDischarge(body.depthOfDischarge);
+  if (depthOfDischargeError) {
+    errors.depthOfDischarge = depthOfDischargeError;
+  }
+
+  return {
+    errors,
+    value: {
+      name: toTrimmedString(body.name),
+      email: toTrimmedString(body.email).toLowerCase(),
+      phone: toTrimmedString(body.phone),
+      location: toTrimmedString(body.location),
+      // Language of the customer's confirmation email
+      locale: LOCALES[toTrimmedString(body.locale)] ? toTrimmedString(body.locale) : DEFAULT_LOCALE,
+      cityId: toTrimmedString(body.cityId),
+      tariffCategory: toTrimmedString(body.tariffCategory),
+      systemType: toTrimmedString(body.systemType),
+      daysOfAutonomy,
+      batteryChemistry: toTrimmedString(body.batteryChemistry),
+      depthOfDischarge,
+      supplyPhase: toTrimmedString(body.supplyPhase),
+      diversityFactor,
+      zones,
+      // Rows pointing at a zone that was not sent belong to the first zone
+      appliances: zones.length > 0 ? assignApplianceZones(appliances, zones) : appliances,
+      monthlyConsumptionKWh,
+      roof,
+      // An unknown package is dropped rather than rejected; the customer can still be quoted
+      packageId: findEquipmentPackage(toTrimmedString(body.packageId))?.id || '',
+    },
+  };
+};
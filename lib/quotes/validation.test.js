@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+import { validateAppliances, validateContact, validateQuoteRequest, MAX_APPLIANCES } from './validation';
+
+const contact = { name: 'Sara Al-Qahtani', email: 'Sara@Example.com ', phone: '+966 50 123 4567', location: 'Riyadh' };
+const appliance = { name: 'Air Conditioner', wattage: '1500', hoursPerDay: '8', quantity: '2' };
+
+describe('validateContact', () => {
+  it('accepts complete contact details', () => {
+    expect(validateContact(contact)).toEqual({});
+  });
+
+  it('reports every missing field', () => {
+    expect(validateContact({})).toEqual({
+      name: 'nameRequired',
+      email: 'emailRequired',
+      phone: 'phoneRequired',
+      location: 'locationRequired',
+    });
+  });
+
+  it('rejects malformed email addresses and phone numbers', () => {
+    expect(validateContact({ ...contact, email: 'sara@', phone: 'call me' })).toEqual({
+      email: 'emailInvalid',
+      phone: 'phoneInvalid',
+    });
+  });
+
+  it('rejects names longer than 100 characters', () => {
+    expect(validateContact({ ...contact, name: 'x'.repeat(101) })).toEqual({ name: 'nameTooLong' });
+  });
+
+  it('rejects overlong email addresses and locations', () => {
+    expect(validateContact({ ...contact, email: `${'x'.repeat(250)}@example.com`, location: 'x'.repeat(201) })).toEqual({
+      email: 'emailTooLong',
+      location: 'locationTooLong',
+    });
+  });
+});
+
+describe('validateAppliances', () => {
+  it('converts the submitted rows to numbers', () => {
+    const { error, appliances } = validateAppliances([appliance]);
+    expect(error).toBe('');
+    expect(appliances[0]).toMatchObject({ name: 'Air Conditioner', wattage: 1500, hoursPerDay: 8, quantity: 2, dutyCyclePercent: null });
+  });
+
+  it('keeps known usage presets and uses rows without one all day', () => {
+    expect(validateAppliances([{ ...appliance, usagePreset: 'evening' }]).appliances[0].usagePreset).toBe('evening');
+    expect(validateAppliances([{ ...appliance, usagePreset: 'custom', customHours: '6-9' }]).appliances[0])
+      .toMatchObject({ usagePreset: 'custom', customHours: '6-9' });
+    expect(validateAppliances([appliance]).appliances[0].usagePreset).toBe('all-day');
+  });
+
+  it('accepts zero hours and fractional quantities', () => {
+    expect(validateAppliances([{ ...appliance, hoursPerDay: 0, quantity: 0.5 }]).error).toBe('');
+  });
+
+  it('requires at least one appliance', () => {
+    expect(validateAppliances([]).error).toBe('appliancesRequired');
+    expect(validateAppliances(undefined).error).toBe('appliancesRequired');
+  });
+
+  it('limits the number of appliances', () => {
+    expect(validateAppliances(Array(MAX_APPLIANCES + 1).fill(appliance)).error).toBe('tooManyAppliances');
+  });
+
+  it.each([
+    ['a missing name', { name: ' ' }],
+    ['a zero wattage', { wattage: 0 }],
+    ['more than 24 hours a day', { hoursPerDay: 25 }],
+    ['a negative quantity', { quantity: -1 }],
+    ['a duty cycle above 100%', { dutyCyclePercent: 120 }],
+    ['text instead of a number', { wattage: 'lots' }],
+    ['an unknown usage preset', { usagePreset: 'weekends' }],
+  ])('rejects a row with %s', (label, fields) => {
+    expect(validateAppliances([{ ...appliance, ...fields }]).error).toBe('appliancesInvalid');
+  });
+});
+
+describe('validateQuoteRequest', () => {
+  it('returns the cleaned request', () => {
+    const { errors, value } = validateQuoteRequest({ ...contact, appliances: [appliance], locale: 'ar' });
+    expect(errors).toEqual({});
+    expect(value).toMatchObject({ name: 'Sara Al-Qahtani', email: 'sara@example.com', locale: 'ar', zones: [], packageId: '' });
+    expect(value.appliances).toHaveLength(1);
+  });
+
+  it('falls back to the default language for an unknown locale', () => {
+    expect(validateQuoteRequest({ ...contact, appliances: [appliance], locale: 'fr' }).value.locale).toBe('en');
+  });
+
+  it('reports contact and appliance errors together', () => {
+    const { errors } = validateQuoteRequest({ ...contact, email: '', appliances: [] });
+    expect(errors).toEqual({ email: 'emailRequired', appliances: 'appliancesRequired' });
+  });
+
+  it('makes the appliance list optional when bill history is given', () => {
+    const { errors, value } = validateQuoteRequest({ ...contact, monthlyConsumptionKWh: Array(12).fill('900') });
+    expect(errors).toEqual({});
+    expect(value.monthlyConsumptionKWh).toEqual(Array(12).fill(900));
+  });
+
+  it('rejects bill history without twelve months', () => {
+    expect(validateQuoteRequest({ ...contact, appliances: [appliance], monthlyConsumptionKWh: [100] }).errors)
+      .toEqual({ monthlyConsumptionKWh: 'billHistoryInvalid' });
+  });
+
+  it('rejects out-of-range roof, zone and diversity settings', () => {
+    const { errors } = validateQuoteRequest({
+      ...contact,
+      appliances: [appliance],
+      roof: { tiltDeg: 120 },
+      zones: [{ id: 1, name: 'Ground floor' }, { id: 1, name: 'Roof' }],
+      diversityFactor: 1.5,
+    });
+    expect(errors).toEqual({ roof: 'roofInvalid', zones: 'zonesInvalid', diversityFactor: 'diversityFactorInvalid' });
+  });
+
+  it('accepts battery settings in range and leaves missing ones to the defaults', () => {
+    expect(validateQuoteRequest({ ...contact, appliances: [appliance], daysOfAutonomy: '2', depthOfDischarge: 0.8 }).value)
+      .toMatchObject({ daysOfAutonomy: 2, depthOfDischarge: 0.8 });
+    expect(validateQuoteRequest({ ...contact, appliances: [appliance], daysOfAutonomy: '', depthOfDischarge: null }).value)
+      .toMatchObject({ daysOfAutonomy: null, depthOfDischarge: null });
+  });
+
+  it.each([
+    ['negative days of autonomy', { daysOfAutonomy: -1 }, { daysOfAutonomy: 'daysOfAutonomyInvalid' }],
+    ['more than a week of autonomy', { daysOfAutonomy: 30 }, { daysOfAutonomy: 'daysOfAutonomyInvalid' }],
+    ['a depth of discharge given in percent', { depthOfDischarge: 80 }, { depthOfDischarge: 'depthOfDischargeInvalid' }],
+    ['a depth of discharge of 0', { depthOfDischarge: 0 }, { depthOfDischarge: 'depthOfDischargeInvalid' }],
+  ])('rejects %s', (label, fields, expected) => {
+    expect(validateQuoteRequest({ ...contact, appliances: [appliance], ...fields }).errors).toEqual(expected);
+  });
+
+  it('moves rows of an unknown zone into the first zone', () => {
+    const { value } = validateQuoteRequest({
+      ...contact,
+      appliances: [{ ...appliance, zoneId: 9 }],
+      zones: [{ id: 1, name: 'Ground floor' }, { id: 2, name: 'Roof' }],
+    });
+    expect(value.appliances[0].zoneId).toBe(1);
+  });
+});
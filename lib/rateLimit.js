@@ -0,0 +1,106 @@
+// Fixed-window, in-memory rate limiting for API routes.
+// Counts live in the server process, so each instance enforces its own limit.
+
+/**
+ * Creates a rate limiter allowing `limit` requests per key in every window.
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window.
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {Function} [options.now] - Clock, replaceable in tests.
+ * @returns {object} The limiter, with check(key) and release(key).
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const pruneExpired = (time) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Records a request for a key. Counting happens at once, so concurrent requests cannot all
+     * slip through before any of them is counted.
+     * @param {string} key - Who is making the request, e.g. a user id or IP address.
+     * @returns {{ allowed: boolean, remaining: number, retryAfterSeconds: number }} Whether the request may proceed.
+     */
+    check(key) {
+      const time = now();
+      if (windows.size > 1000) pruneExpired(time);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      return {
+        allowed: window.count <= limit,
+        remaining: Math.max(0, limit - window.count),
+        retryAfterSeconds: Math.ceil((window.resetAt - time) / 1000),
+      };
+    },
+
+    /**
+     * Gives back a request recorded by check(), e.g. when it was refused or failed later on.
+     * @param {string} key - The key the request was recorded for.
+     */
+    release(key) {
+      const window = windows.get(key);
+      if (window && window.resetAt > now() && window.count > 0) window.count -= 1;
+    },
+  };
+};
+
+/**
+ * Returns the address a request came from. Only addresses the platform or a trusted proxy
+ * supplied are used, since the client can put anything in X-Forwarded-For: Netlify's
+ * X-Nf-Client-Connection-Ip, then (with TRUST_PROXY=true, behind one proxy of your own) the
+ * last X-Forwarded-For entry, which that proxy appended, and otherwise the connection itself.
+ * @param {object} req - The Next.js API request.
+ * @returns {string} The client IP address, or 'unknown'.
+ */
+export const getClientIp = (req) => {
+  const platformIp = req.headers['x-nf-client-connection-ip'];
+  if (typeof platformIp === 'string' && platformIp.trim()) {
+    return platformIp.trim();
+  }
+  const forwarded = req.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && typeof forwarded === 'string' && forwarded.trim()) {
+    return forwarded.split(',').pop().trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Checks a request against a per-client and a per-IP limiter. Requests without a client id
+ * are limited per IP address by both. Every limiter counts the request, even when another
+ * refuses it; release() gives the counts back, for routes that only count accepted requests.
+ * @param {object} limiters
+ * @param {object} limiters.userLimiter - Limits each client, by the id the server issued it (see lib/clientToken.js).
+ * @param {object} limiters.ipLimiter - Limits each IP address, shared by everyone behind it.
+ * @param {object} req - The Next.js API request.
+ * @param {string|null} clientId - The client id from a verified client token, if any.
+ * @returns {{ allowed: boolean, retryAfterSeconds: number, release: Function }} Whether the request
+ *   may proceed, when to retry if not, and a function undoing the counts.
+ */
+export const checkClientRateLimits = ({ userLimiter, ipLimiter }, req, clientId) => {
+  const ip = getClientIp(req);
+  const userKey = clientId ? `client:${clientId}` : `ip:${ip}`;
+  const ipKey = `ip:${ip}`;
+  const refused = [userLimiter.check(userKey), ipLimiter.check(ipKey)].filter((result) => !result.allowed);
+
+  let released = false;
+  return {
+    allowed: refused.length === 0,
+    retryAfterSeconds: Math.max(0, ...refused.map((result) => result.retryAfterSeconds)),
+    release() {
+      if (released) return;
+      released = true;
+      userLimiter.release(userKey);
+      ipLimiter.release(ipKey);
+    },
+  };
+};
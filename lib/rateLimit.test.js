@@ -0,0 +1,107 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { checkClientRateLimits, createRateLimiter, getClientIp } from './rateLimit';
+
+const createClock = (time = 0) => {
+  const clock = () => time;
+  clock.advance = (ms) => {
+    time += ms;
+  };
+  return clock;
+};
+
+const request = (ip, headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+
+describe('createRateLimiter', () => {
+  it('allows the limit within a window and refuses the rest', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: createClock(1000) });
+    expect(limiter.check('a')).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 60 });
+    expect(limiter.check('a').allowed).toBe(true);
+    expect(limiter.check('a')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 60 });
+    expect(limiter.check('b').allowed).toBe(true);
+  });
+
+  it('starts counting again in the next window', () => {
+    const now = createClock();
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000, now });
+    limiter.check('a');
+    now.advance(59000);
+    expect(limiter.check('a')).toMatchObject({ allowed: false, retryAfterSeconds: 1 });
+    now.advance(1000);
+    expect(limiter.check('a').allowed).toBe(true);
+  });
+
+  it('gives a released request back', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000, now: createClock() });
+    limiter.check('a');
+    limiter.release('a');
+    expect(limiter.check('a').allowed).toBe(true);
+    expect(limiter.check('a').allowed).toBe(false);
+    limiter.release('unknown');
+  });
+});
+
+describe('getClientIp', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('uses the address Netlify supplies, whatever the client forwards', () => {
+    const req = request('10.0.0.1', { 'x-nf-client-connection-ip': '203.0.113.7', 'x-forwarded-for': '198.51.100.1, 203.0.113.7' });
+    expect(getClientIp(req)).toBe('203.0.113.7');
+  });
+
+  it('ignores X-Forwarded-For unless told a proxy of our own sets it', () => {
+    const req = request('10.0.0.1', { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' });
+    expect(getClientIp(req)).toBe('10.0.0.1');
+    vi.stubEnv('TRUST_PROXY', 'true');
+    // The client wrote the first entry; the proxy appended the last one
+    expect(getClientIp(req)).toBe('203.0.113.7');
+  });
+
+  it('falls back to unknown', () => {
+    expect(getClientIp({ headers: {} })).toBe('unknown');
+  });
+});
+
+describe('checkClientRateLimits', () => {
+  const createLimiters = () => ({
+    userLimiter: createRateLimiter({ limit: 1, windowMs: 60000, now: createClock() }),
+    ipLimiter: createRateLimiter({ limit: 2, windowMs: 60000, now: createClock() }),
+  });
+
+  it('limits each client, and each IP address whichever client ids it sends', () => {
+    const limiters = createLimiters();
+    const req = request('203.0.113.7');
+    expect(checkClientRateLimits(limiters, req, 'client-1').allowed).toBe(true);
+    expect(checkClientRateLimits(limiters, req, 'client-1')).toMatchObject({ allowed: false, retryAfterSeconds: 60 });
+    // The refused request still counts against the IP address
+    expect(checkClientRateLimits(limiters, req, 'client-2').allowed).toBe(false);
+  });
+
+  it('limits requests without a client id by IP address', () => {
+    const limiters = createLimiters();
+    expect(checkClientRateLimits(limiters, request('203.0.113.7'), null).allowed).toBe(true);
+    expect(checkClientRateLimits(limiters, request('203.0.113.7'), null).allowed).toBe(false);
+    expect(checkClientRateLimits(limiters, request('203.0.113.8'), null).allowed).toBe(true);
+  });
+
+  it('does not let a spoofed forwarded address start a new count', () => {
+    const limiters = createLimiters();
+    const from = (forwarded) => request('203.0.113.7', { 'x-forwarded-for': forwarded });
+    expect(checkClientRateLimits(limiters, from('198.51.100.1'), null).allowed).toBe(true);
+    expect(checkClientRateLimits(limiters, from('198.51.100.2'), null).allowed).toBe(false);
+  });
+
+  it('reserves a place at once and gives it back on release', () => {
+    const limiters = createLimiters();
+    const req = request('203.0.113.7');
+    // Two requests checked before either finishes: the second is already refused
+    const first = checkClientRateLimits(limiters, req, 'client-1');
+    const second = checkClientRateLimits(limiters, req, 'client-1');
+    expect([first.allowed, second.allowed]).toEqual([true, false]);
+    second.release();
+    first.release();
+    first.release();
+    expect(checkClientRateLimits(limiters, req, 'client-1').allowed).toBe(true);
+  });
+});
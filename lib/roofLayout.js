@@ -0,0 +1,196 @@
+// Checks whether a recommended array fits on the customer's roof and lays the panels out on it.
+// Roofs are treated as rectangles measured in metres; panels are placed in a regular grid inside
+// an edge setback. Figures are simplified for preliminary feasibility, not structural design.
+
+export const PANEL_MODELS = [
+  { id: 'mono-410', name: 'Monocrystalline 410 W', wattage: 410, widthM: 1.134, heightM: 1.722 },
+  { id: 'mono-450', name: 'Monocrystalline 450 W', wattage: 450, widthM: 1.134, heightM: 1.903 },
+  { id: 'mono-550', name: 'Monocrystalline 550 W', wattage: 550, widthM: 1.134, heightM: 2.279 },
+  { id: 'bifacial-600', name: 'Bifacial 600 W', wattage: 600, widthM: 1.134, heightM: 2.382 },
+];
+
+export const DEFAULT_PANEL_ID = 'mono-550';
+
+// Flat roofs need tilted frames with gaps between rows so one row does not shade the next;
+// sloped roofs carry panels flush with the surface at the roof's own pitch.
+export const ROOF_TYPES = [
+  { id: 'flat-concrete', name: 'Flat concrete roof', mounting: 'tilted-frame', defaultTiltDeg: 20, setbackM: 1 },
+  { id: 'metal-sheet', name: 'Metal sheet roof', mounting: 'flush', defaultTiltDeg: 10, setbackM: 0.5 },
+  { id: 'pitched-tile', name: 'Pitched tile roof', mounting: 'flush', defaultTiltDeg: 25, setbackM: 0.5 },
+  { id: 'carport', name: 'Carport / shade structure', mounting: 'flush', defaultTiltDeg: 5, setbackM: 0 },
+];
+
+export const DEFAULT_ROOF_TYPE_ID = 'flat-concrete';
+
+// Share of yield lost at a 30° tilt when facing away from south; flat panels lose nothing to orientation
+export const ORIENTATIONS = [
+  { id: 'south', lossAt30Deg: 0 },
+  { id: 'south-east', lossAt30Deg: 0.04 },
+  { id: 'south-west', lossAt30Deg: 0.04 },
+  { id: 'east', lossAt30Deg: 0.12 },
+  { id: 'west', lossAt30Deg: 0.12 },
+  { id: 'north-east', lossAt30Deg: 0.22 },
+  { id: 'north-west', lossAt30Deg: 0.22 },
+  { id: 'north', lossAt30Deg: 0.3 },
+];
+
+export const DEFAULT_ORIENTATION_ID = 'south';
+
+// Across Saudi latitudes (17-32° N) annual yield peaks at roughly this tilt
+const OPTIMAL_TILT_DEG = 25;
+const TILT_LOSS_PER_DEG_SQUARED = 0.00015;
+
+// Row gap behind a tilted panel, as a multiple of its raised height, to clear low winter sun
+const ROW_SPACING_RATIO = 1.5;
+
+/**
+ * Looks up a panel model by id.
+ * @param {string} panelId - A panel id such as 'mono-550'.
+ * @returns {object|null} The panel, or null when it does not exist.
+ */
+export const findPanelModel = (panelId) =>
+  PANEL_MODELS.find((panel) => panel.id === panelId) || null;
+
+/**
+ * Looks up a roof type by id.
+ * @param {string} roofTypeId - A roof type id such as 'flat-concrete'.
+ * @returns {object|null} The roof type, or null when it does not exist.
+ */
+export const findRoofType = (roofTypeId) =>
+  ROOF_TYPES.find((type) => type.id === roofTypeId) || null;
+
+/**
+ * Looks up an orientation by id.
+ * @param {string} orientationId - An orientation id such as 'south-west'.
+ * @returns {object|null} The orientation, or null when it does not exist.
+ */
+export const findOrientation = (orientationId) =>
+  ORIENTATIONS.find((orientation) => orientation.id === orientationId) || null;
+
+/**
+ * Returns the panel tilt to plan with: the one entered, or the roof type's typical tilt.
+ * @param {*} tiltDeg - The tilt as entered; empty or invalid uses the roof type's default.
+ * @param {string} [roofTypeId] - Roof type id.
+ * @returns {number} Tilt in degrees.
+ */
+export const resolveTiltDeg = (tiltDeg, roofTypeId) => {
+  const roofType = findRoofType(roofTypeId) || findRoofType(DEFAULT_ROOF_TYPE_ID);
+  const tilt = tiltDeg === '' || tiltDeg === null || tiltDeg === undefined ? NaN : Number(tiltDeg);
+  return Number.isFinite(tilt) && tilt >= 0 && tilt <= 90 ? tilt : roofType.defaultTiltDeg;
+};
+
+/**
+ * Estimates the share of a south-facing, optimally tilted array's yield that panels keep
+ * at a given orientation and tilt.
+ * @param {object} options
+ * @param {string} [options.orientationId] - Direction the panels face.
+ * @param {number} options.tiltDeg - Panel tilt from horizontal.
+ * @returns {number} A factor between 0 and 1.
+ */
+export const calculateOrientationFactor = ({ orientationId, tiltDeg }) => {
+  const orientation = findOrientation(orientationId) || findOrientation(DEFAULT_ORIENTATION_ID);
+  const tilt = Math.min(90, Math.max(0, Number(tiltDeg) || 0));
+  const tiltLoss = TILT_LOSS_PER_DEG_SQUARED * (tilt - OPTIMAL_TILT_DEG) ** 2;
+  const orientationLoss = orientation.lossAt30Deg * (tilt / 30);
+  return Math.max(0, 1 - tiltLoss - orientationLoss);
+};
+
+/**
+ * Returns the orientation factor of the roof settings entered in the calculator.
+ * @param {object} roof - Roof settings with orientationId, tiltDeg and roofTypeId.
+ * @returns {number} A factor between 0 and 1.
+ */
+export const getRoofOrientationFactor = (roof) => calculateOrientationFactor({
+  orientationId: roof.orientationId,
+  tiltDeg: resolveTiltDeg(roof.tiltDeg, roof.roofTypeId),
+});
+
+/**
+ * Works out how many panels fit in a rectangle in one orientation of the panel.
+ * @param {object} area - Usable { lengthM, widthM } inside the setback.
+ * @param {number} alongM - Panel size along the roof length.
+ * @param {number} acrossM - Panel size up the slope (or towards the sun on a flat roof).
+ * @param {object} roofType - The roof type.
+ * @param {number} tiltDeg - Panel tilt.
+ * @returns {object} Columns, rows, the footprint of one panel and the pitch between rows.
+ */
+const fitGrid = (area, alongM, acrossM, roofType, tiltDeg) => {
+  const tilt = (tiltDeg * Math.PI) / 180;
+  const isTiltedFrame = roofType.mounting === 'tilted-frame';
+  const depthM = isTiltedFrame ? acrossM * Math.cos(tilt) : acrossM;
+  const gapM = isTiltedFrame ? acrossM * Math.sin(tilt) * ROW_SPACING_RATIO : 0;
+  const columns = Math.max(0, Math.floor(area.lengthM / alongM));
+  const rows = depthM > 0 ? Math.max(0, Math.floor((area.widthM + gapM) / (depthM + gapM))) : 0;
+  return { columns, rows, count: columns * rows, alongM, depthM, rowPitchM: depthM + gapM };
+};
+
+/**
+ * Checks whether an array of the given size fits on the roof and plans the panel layout.
+ * The roof is given by its dimensions or, failing that, by its area (laid out as a square).
+ * @param {object} options
+ * @param {number} [options.roofLengthM] - Roof length in metres.
+ * @param {number} [options.roofWidthM] - Roof width in metres (along the slope for sloped roofs).
+ * @param {number} [options.roofAreaM2] - Usable roof area, used when the dimensions are missing.
+ * @param {string} [options.roofTypeId] - Roof type id.
+ * @param {string} [options.panelId] - Panel model id.
+ * @param {number} [options.tiltDeg] - Panel tilt; defaults to the roof type's typical tilt.
+ * @param {number} options.requiredKW - The recommended array size.
+ * @returns {object|null} Panel counts, areas, the largest array that fits and panel positions, or null without a roof size.
+ */
+export const planRoofLayout = ({ roofLengthM, roofWidthM, roofAreaM2, roofTypeId, panelId, tiltDeg, requiredKW }) => {
+  const roofType = findRoofType(roofTypeId) || findRoofType(DEFAULT_ROOF_TYPE_ID);
+  const panel = findPanelModel(panelId) || findPanelModel(DEFAULT_PANEL_ID);
+  const tilt = resolveTiltDeg(tiltDeg, roofType.id);
+
+  let lengthM = Number(roofLengthM);
+  let widthM = Number(roofWidthM);
+  if (!(lengthM > 0 && widthM > 0)) {
+    const areaM2 = Number(roofAreaM2);
+    if (!(areaM2 > 0)) return null;
+    lengthM = Math.sqrt(areaM2);
+    widthM = lengthM;
+  }
+
+  const usable = {
+    lengthM: Math.max(0, lengthM - 2 * roofType.setbackM),
+    widthM: Math.max(0, widthM - 2 * roofType.setbackM),
+  };
+  // Try the panels upright (portrait) and on their side (landscape) and keep whichever fits more
+  const portrait = fitGrid(usable, panel.widthM, panel.heightM, roofType, tilt);
+  const landscape = fitGrid(usable, panel.heightM, panel.widthM, roofType, tilt);
+  const grid = landscape.count > portrait.count ? landscape : portrait;
+
+  // The small tolerance keeps floating-point noise (e.g. 12.000000001 panels) from adding a panel
+  const requiredPanels = Math.ceil((Math.max(0, requiredKW) * 1000) / panel.wattage - 1e-9);
+  const maxPanels = grid.count;
+  const placedPanels = Math.min(requiredPanels, maxPanels);
+  const panels = [];
+  for (let index = 0; index < placedPanels; index += 1) {
+    const row = Math.floor(index / grid.columns);
+    const column = index % grid.columns;
+    panels.push({
+      x: roofType.setbackM + column * grid.alongM,
+      y: roofType.setbackM + row * grid.rowPitchM,
+      lengthM: grid.alongM,
+      depthM: grid.depthM,
+    });
+  }
+
+  return {
+    roofTypeId: roofType.id,
+    panelId: panel.id,
+    panelWattage: panel.wattage,
+    tiltDeg: tilt,
+    roofLengthM: lengthM,
+    roofWidthM: widthM,
+    roofAreaM2: lengthM * widthM,
+    requiredPanels,
+    // Roof area taken by the panels including row spacing, before edge setbacks
+    requiredAreaM2: requiredPanels * grid.alongM * grid.rowPitchM,
+    maxPanels,
+    maxSystemKW: (maxPanels * panel.wattage) / 1000,
+    fits: requiredPanels <= maxPanels,
+    setbackM: roofType.setbackM,
+    panels,
+  };
+};
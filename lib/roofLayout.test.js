@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateOrientationFactor,
+  findOrientation,
+  findPanelModel,
+  findRoofType,
+  getRoofOrientationFactor,
+  planRoofLayout,
+  resolveTiltDeg,
+} from './roofLayout';
+
+// A carport has no setback and carries the panels flush, which keeps the grids easy to follow
+const carport = { roofTypeId: 'carport', panelId: 'mono-550', roofLengthM: 12, roofWidthM: 4.6 };
+
+describe('lookups', () => {
+  it('finds panels, roof types and orientations by id, or returns null', () => {
+    expect(findPanelModel('bifacial-600').wattage).toBe(600);
+    expect(findRoofType('metal-sheet').mounting).toBe('flush');
+    expect(findOrientation('west').lossAt30Deg).toBe(0.12);
+    expect(findPanelModel('thin-film')).toBeNull();
+    expect(findRoofType(undefined)).toBeNull();
+    expect(findOrientation('up')).toBeNull();
+  });
+});
+
+describe('resolveTiltDeg', () => {
+  it('uses the tilt entered between 0° and 90°', () => {
+    expect(resolveTiltDeg('35', 'flat-concrete')).toBe(35);
+    expect(resolveTiltDeg(0, 'flat-concrete')).toBe(0);
+  });
+
+  it('falls back to the roof type\'s typical tilt', () => {
+    expect(resolveTiltDeg('', 'pitched-tile')).toBe(25);
+    expect(resolveTiltDeg(null, 'carport')).toBe(5);
+    expect(resolveTiltDeg(95, 'metal-sheet')).toBe(10);
+    expect(resolveTiltDeg(-5, 'unknown')).toBe(20);
+  });
+});
+
+describe('calculateOrientationFactor', () => {
+  it('keeps the full yield facing south at the best tilt', () => {
+    expect(calculateOrientationFactor({ orientationId: 'south', tiltDeg: 25 })).toBe(1);
+  });
+
+  it('loses yield away from the best tilt, whatever the direction of flat panels', () => {
+    expect(calculateOrientationFactor({ orientationId: 'north', tiltDeg: 0 })).toBeCloseTo(1 - 0.00015 * 625, 9);
+    expect(calculateOrientationFactor({ orientationId: 'south', tiltDeg: 0 })).toBeCloseTo(1 - 0.00015 * 625, 9);
+  });
+
+  it('loses more yield the steeper panels face away from south', () => {
+    expect(calculateOrientationFactor({ orientationId: 'north', tiltDeg: 30 })).toBeCloseTo(1 - 0.00375 - 0.3, 9);
+    expect(calculateOrientationFactor({ orientationId: 'east', tiltDeg: 30 }))
+      .toBeGreaterThan(calculateOrientationFactor({ orientationId: 'north-east', tiltDeg: 30 }));
+  });
+
+  it('treats unknown directions as south and never drops below 0', () => {
+    expect(calculateOrientationFactor({ orientationId: 'up', tiltDeg: 25 })).toBe(1);
+    expect(calculateOrientationFactor({ orientationId: 'north', tiltDeg: 90 })).toBe(0);
+  });
+
+  it('reads the roof settings entered in the calculator', () => {
+    expect(getRoofOrientationFactor({ orientationId: 'east', tiltDeg: '', roofTypeId: 'pitched-tile' })).toBeCloseTo(1 - 0.12 * (25 / 30), 9);
+  });
+});
+
+describe('planRoofLayout', () => {
+  it('counts the panels needed and the most that fit', () => {
+    const plan = planRoofLayout({ ...carport, requiredKW: 5.5 });
+    expect(plan).toMatchObject({ requiredPanels: 10, maxPanels: 20, maxSystemKW: 11, fits: true, setbackM: 0 });
+    expect(plan.roofAreaM2).toBeCloseTo(55.2, 9);
+    expect(plan.panels).toHaveLength(10);
+  });
+
+  it('does not add a panel for floating-point noise', () => {
+    expect(planRoofLayout({ ...carport, requiredKW: 0.55 * 3 }).requiredPanels).toBe(3);
+  });
+
+  it('places panels row by row from the corner', () => {
+    const { panels } = planRoofLayout({ ...carport, requiredKW: 6.05 });
+    expect(panels[0]).toEqual({ x: 0, y: 0, lengthM: 1.134, depthM: 2.279 });
+    expect(panels[9].x).toBeCloseTo(9 * 1.134, 9);
+    expect(panels[10]).toMatchObject({ x: 0, y: 2.279 });
+  });
+
+  it('reports arrays that do not fit and places only what does', () => {
+    const plan = planRoofLayout({ ...carport, requiredKW: 12 });
+    expect(plan).toMatchObject({ requiredPanels: 22, maxPanels: 20, fits: false });
+    expect(plan.panels).toHaveLength(20);
+  });
+
+  it('turns the panels on their side when more fit that way', () => {
+    const plan = planRoofLayout({ ...carport, roofLengthM: 4.6, roofWidthM: 3.5, requiredKW: 1 });
+    expect(plan.maxPanels).toBe(6);
+    expect(plan.panels[0]).toMatchObject({ lengthM: 2.279, depthM: 1.134 });
+  });
+
+  it('spaces the rows of tilted frames so they do not shade each other', () => {
+    const plan = planRoofLayout({ roofTypeId: 'flat-concrete', tiltDeg: 20, roofLengthM: 20, roofWidthM: 20, requiredKW: 100 });
+    const [first] = plan.panels;
+    const nextRow = plan.panels.find((panel) => panel.y > first.y);
+    const tilt = (20 * Math.PI) / 180;
+    expect(first).toMatchObject({ x: 1, y: 1 });
+    expect(first.depthM).toBeCloseTo(1.134 * Math.cos(tilt), 9);
+    expect(nextRow.y - first.y).toBeCloseTo(1.134 * (Math.cos(tilt) + 1.5 * Math.sin(tilt)), 9);
+    expect(plan.requiredAreaM2).toBeCloseTo(plan.requiredPanels * 2.279 * (nextRow.y - first.y), 6);
+  });
+
+  it('lays out a square of the given area without dimensions', () => {
+    const plan = planRoofLayout({ roofAreaM2: 100, requiredKW: 3 });
+    expect(plan).toMatchObject({ roofLengthM: 10, roofWidthM: 10, roofTypeId: 'flat-concrete', panelId: 'mono-550', tiltDeg: 20 });
+  });
+
+  it('fits nothing on roofs smaller than their setbacks', () => {
+    expect(planRoofLayout({ roofTypeId: 'flat-concrete', roofLengthM: 1.5, roofWidthM: 1.5, requiredKW: 1 }))
+      .toMatchObject({ maxPanels: 0, fits: false, panels: [] });
+  });
+
+  it('returns null without a roof size', () => {
+    expect(planRoofLayout({ requiredKW: 5 })).toBeNull();
+    expect(planRoofLayout({ roofLengthM: 10, roofWidthM: 0, roofAreaM2: '', requiredKW: 5 })).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// Typical monthly solar resource and climate for major Saudi cities.
+// Peak sun hours are long-term average daily global horizontal irradiation (kWh/m²/day)
+// and temperatures are average daily ambient temperatures (°C), January to December.
+// Values are rounded approximations intended for preliminary sizing only.
+
+export const SAUDI_CITIES = [
+  {
+    id: 'riyadh',
+    name: 'Riyadh',
+    aliases: ['ar riyadh', 'al riyadh'],
+    monthlyPeakSunHours: [4.6, 5.5, 6.0, 6.5, 7.2, 7.9, 7.6, 7.3, 6.8, 5.9, 4.9, 4.4],
+    monthlyAmbientTempC: [14.5, 17, 21.5, 27, 33, 35.5, 36.5, 36.5, 33.5, 28, 21, 16],
+  },
+  {
+    id: 'jeddah',
+    name: 'Jeddah',
+    aliases: ['jiddah', 'jedda'],
+    monthlyPeakSunHours: [4.9, 5.6, 6.2, 6.7, 7.0, 7.2, 6.8, 6.6, 6.3, 5.8, 5.1, 4.7],
+    monthlyAmbientTempC: [24, 24.5, 26, 28.5, 30.5, 32, 33, 33, 32, 30, 27.5, 25.5],
+  },
+  {
+    id: 'makkah',
+    name: 'Makkah',
+    aliases: ['mecca', 'mekkah'],
+    monthlyPeakSunHours: [5.0, 5.7, 6.3, 6.8, 7.0, 7.2, 6.8, 6.7, 6.4, 5.9, 5.2, 4.8],
+    monthlyAmbientTempC: [24, 25, 27.5, 31, 34, 35.5, 35.5, 35.5, 35, 31.5, 28, 25.5],
+  },
+  {
+    id: 'madinah',
+    name: 'Madinah',
+    aliases: ['medina', 'al madinah'],
+    monthlyPeakSunHours: [4.8, 5.6, 6.2, 6.8, 7.3, 7.9, 7.6, 7.3, 6.9, 6.0, 5.1, 4.6],
+    monthlyAmbientTempC: [18, 20.5, 24, 28.5, 33, 36.5, 36.5, 37, 34.5, 29, 23, 19.5],
+  },
+  {
+    id: 'dammam',
+    name: 'Dammam',
+    aliases: ['al khobar', 'khobar', 'dhahran', 'qatif', 'eastern province'],
+    monthlyPeakSunHours: [4.0, 4.8, 5.4, 6.1, 7.0, 7.6, 7.3, 7.0, 6.5, 5.6, 4.4, 3.8],
+    monthlyAmbientTempC: [15, 17, 21, 26, 32, 35, 36.5, 36, 33, 28, 22, 17],
+  },
+  {
+    id: 'abha',
+    name: 'Abha',
+    aliases: ['khamis mushait', 'asir'],
+    monthlyPeakSunHours: [5.3, 5.9, 6.3, 6.6, 6.8, 6.9, 6.2, 6.0, 6.3, 6.0, 5.4, 5.1],
+    monthlyAmbientTempC: [12.5, 14, 16, 18.5, 21.5, 24, 24.5, 24.5, 22, 18, 15, 13],
+  },
+  {
+    id: 'tabuk',
+    name: 'Tabuk',
+    aliases: ['tabouk', 'neom'],
+    monthlyPeakSunHours: [4.3, 5.2, 6.1, 6.9, 7.6, 8.2, 8.0, 7.6, 6.9, 5.8, 4.6, 4.0],
+    monthlyAmbientTempC: [11, 13.5, 17, 21.5, 26, 29.5, 30.5, 31, 28.5, 23.5, 17, 12.5],
+  },
+  {
+    id: 'hail',
+    name: 'Hail',
+    aliases: ["ha'il", 'hayil'],
+    monthlyPeakSunHours: [4.5, 5.3, 6.1, 6.8, 7.5, 8.2, 8.0, 7.7, 7.0, 5.9, 4.8, 4.3],
+    monthlyAmbientTempC: [9.5, 12.5, 16.5, 22, 27, 31, 32.5, 32, 29, 23.5, 16, 11],
+  },
+  {
+    id: 'buraydah',
+    name: 'Buraydah',
+    aliases: ['buraidah', 'qassim', 'al qassim', 'unaizah'],
+    monthlyPeakSunHours: [4.5, 5.3, 6.0, 6.6, 7.3, 8.0, 7.8, 7.5, 6.9, 5.9, 4.8, 4.3],
+    monthlyAmbientTempC: [12.5, 15, 19.5, 25, 31, 34.5, 36, 35.5, 32.5, 26.5, 19.5, 14],
+  },
+  {
+    id: 'jazan',
+    name: 'Jazan',
+    aliases: ['jizan', 'gizan'],
+    monthlyPeakSunHours: [5.1, 5.6, 6.1, 6.4, 6.5, 6.3, 5.8, 5.8, 6.0, 5.9, 5.4, 5.0],
+    monthlyAmbientTempC: [26, 26.5, 28, 30, 32, 33.5, 34, 33.5, 32.5, 30.5, 28.5, 26.5],
+  },
+  {
+    id: 'najran',
+    name: 'Najran',
+    aliases: [],
+    monthlyPeakSunHours: [5.5, 6.0, 6.5, 6.8, 7.2, 7.5, 7.0, 6.8, 6.9, 6.4, 5.7, 5.3],
+    monthlyAmbientTempC: [17, 19, 22, 25.5, 29, 32, 32.5, 32.5, 30, 25.5, 21, 17.5],
+  },
+];
+
+/**
+ * Looks up a city by id, name or a known alias (case-insensitive).
+ * @param {string} query - A city id such as 'riyadh' or free text such as 'Al Khobar'.
+ * @returns {object|null} The matching city, or null when it is not in the dataset.
+ */
+export const findCity = (query) => {
+  const normalized = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  if (!normalized) return null;
+  return SAUDI_CITIES.find((city) =>
+    city.id === normalized ||
+    city.name.toLowerCase() === normalized ||
+    city.aliases.includes(normalized)
+  ) || null;
+};
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { findCity, SAUDI_CITIES } from './saudiCities';
+import { calculateSolarEstimate } from './solarEngine';
+
+describe('SAUDI_CITIES', () => {
+  it('gives every city a unique id and twelve months of sun hours and temperatures', () => {
+    expect(new Set(SAUDI_CITIES.map((city) => city.id)).size).toBe(SAUDI_CITIES.length);
+    for (const city of SAUDI_CITIES) {
+      expect(city.monthlyPeakSunHours).toHaveLength(12);
+      expect(city.monthlyAmbientTempC).toHaveLength(12);
+    }
+  });
+
+  it('keeps the values within the range of the Saudi climate', () => {
+    for (const city of SAUDI_CITIES) {
+      expect(city.monthlyPeakSunHours.every((hours) => hours >= 3 && hours <= 9)).toBe(true);
+      expect(city.monthlyAmbientTempC.every((temperature) => temperature >= 0 && temperature <= 45)).toBe(true);
+    }
+  });
+
+  it('lists aliases in lower case, as findCity compares them', () => {
+    for (const city of SAUDI_CITIES) {
+      expect(city.aliases.every((alias) => alias === alias.trim().toLowerCase())).toBe(true);
+    }
+  });
+});
+
+describe('findCity', () => {
+  it('finds a city by id, name or alias, ignoring case and spaces', () => {
+    expect(findCity('riyadh').name).toBe('Riyadh');
+    expect(findCity('  JEDDAH ').id).toBe('jeddah');
+    expect(findCity('Mecca').id).toBe('makkah');
+    expect(findCity('Al Khobar').id).toBe('dammam');
+    expect(findCity("Ha'il").id).toBe('hail');
+  });
+
+  it('returns null for unknown places and empty or non-text queries', () => {
+    expect(findCity('Dubai')).toBeNull();
+    expect(findCity('riy')).toBeNull();
+    expect(findCity('')).toBeNull();
+    expect(findCity(null)).toBeNull();
+    expect(findCity(42)).toBeNull();
+  });
+});
+
+describe('city profiles in the estimate', () => {
+  const appliances = [{ name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1 }];
+
+  it('follows the city\'s sun hours month by month', () => {
+    const riyadh = findCity('riyadh');
+    const { monthlyProduction } = calculateSolarEstimate(appliances, { solarProfile: riyadh });
+    expect(monthlyProduction.map((month) => month.peakSunHours)).toEqual(riyadh.monthlyPeakSunHours);
+  });
+
+  it('loses more output to heat in summer than in winter', () => {
+    const { monthlyProduction } = calculateSolarEstimate(appliances, { solarProfile: findCity('riyadh') });
+    expect(monthlyProduction[6].temperatureDerate).toBeLessThan(monthlyProduction[0].temperatureDerate);
+  });
+});
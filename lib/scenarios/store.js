@@ -0,0 +1,117 @@
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+
+// Pluggable storage for saved scenarios: named appliance lists with their calculator
+// settings and results, kept per user. Every store exposes the same async interface:
+// list(userId), get(userId, id), save(userId, scenario), rename(userId, id, name) and remove(userId, id).
+
+/**
+ * Creates the stored form of a new scenario.
+ * @param {object} scenario - name, appliances, settings and results.
+ * @returns {object} The scenario with an id and timestamps.
+ */
+const createScenarioRecord = ({ name, appliances, settings, results }) => {
+  const now = new Date().toISOString();
+  return {
+    id: globalThis.crypto.randomUUID(),
+    name: name.trim(),
+    appliances,
+    settings,
+    results,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Sorts scenarios with the most recently updated first.
+ * @param {Array} scenarios - The scenarios to sort.
+ * @returns {Array} The sorted scenarios.
+ */
+const newestFirst = (scenarios) => scenarios.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+/**
+ * Creates a store keeping scenarios in a key/value storage such as window.localStorage.
+ * Without a storage it keeps them in memory, which is what tests use.
+ * @param {Storage} [storage] - An object with getItem and setItem.
+ * @returns {object} The scenario store.
+ */
+export const createLocalScenarioStore = (storage = null) => {
+  const memory = new Map();
+  const keyFor = (userId) => `eversolar:scenarios:${userId}`;
+  const read = (userId) => {
+    if (!storage) return memory.get(userId) || [];
+    return JSON.parse(storage.getItem(keyFor(userId)) || '[]');
+  };
+  const write = (userId, scenarios) => {
+    if (storage) {
+      storage.setItem(keyFor(userId), JSON.stringify(scenarios));
+    } else {
+      memory.set(userId, scenarios);
+    }
+  };
+
+  return {
+    async list(userId) {
+      return newestFirst(read(userId));
+    },
+    async get(userId, id) {
+      return read(userId).find((scenario) => scenario.id === id) || null;
+    },
+    async save(userId, scenario) {
+      const record = createScenarioRecord(scenario);
+      write(userId, [...read(userId), record]);
+      return record;
+    },
+    async rename(userId, id, name) {
+      const updatedAt = new Date().toISOString();
+      write(userId, read(userId).map((scenario) =>
+        scenario.id === id ? { ...scenario, name: name.trim(), updatedAt } : scenario
+      ));
+    },
+    async remove(userId, id) {
+      write(userId, read(userId).filter((scenario) => scenario.id !== id));
+    },
+  };
+};
+
+/**
+ * Creates a store keeping scenarios in Firestore under artifacts/{appId}/users/{userId}/scenarios.
+ * Point the Firestore instance at the local emulator (connectFirestoreEmulator) to test offline.
+ * @param {object} options
+ * @param {object} options.db - The Firestore instance.
+ * @param {string} options.appId - The application id used to namespace the data.
+ * @returns {object} The scenario store.
+ */
+export const createFirestoreScenarioStore = ({ db, appId }) => {
+  const scenariosOf = (userId) => collection(db, 'artifacts', appId, 'users', userId, 'scenarios');
+
+  return {
+    async list(userId) {
+      const snapshot = await getDocs(scenariosOf(userId));
+      return newestFirst(snapshot.docs.map((item) => item.data()));
+    },
+    async get(userId, id) {
+      const snapshot = await getDoc(doc(scenariosOf(userId), id));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    async save(userId, scenario) {
+      const record = createScenarioRecord(scenario);
+      await setDoc(doc(scenariosOf(userId), record.id), record);
+      return record;
+    },
+    async rename(userId, id, name) {
+      await updateDoc(doc(scenariosOf(userId), id), { name: name.trim(), updatedAt: new Date().toISOString() });
+    },
+    async remove(userId, id) {
+      await deleteDoc(doc(scenariosOf(userId), id));
+    },
+  };
+};
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { createLocalScenarioStore } from './store';
+
+const scenario = (name) => ({
+  name,
+  appliances: [{ id: 1, name: 'Air Conditioner', wattage: 1500, hoursPerDay: 8, quantity: 1 }],
+  settings: { cityId: 'riyadh' },
+  results: { estimatedSystemSizeKW: 3.2 },
+});
+
+// Keeps values in a Map, like window.localStorage
+const createStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+  };
+};
+
+describe.each([
+  ['in memory', () => createLocalScenarioStore()],
+  ['in localStorage', () => createLocalScenarioStore(createStorage())],
+])('createLocalScenarioStore %s', (label, createStore) => {
+  it('saves a scenario with an id and timestamps', async () => {
+    const store = createStore();
+    const saved = await store.save('user-1', scenario('  Villa  '));
+    expect(saved).toMatchObject({ name: 'Villa', settings: { cityId: 'riyadh' } });
+    expect(saved.id).toEqual(expect.any(String));
+    expect(saved.createdAt).toBe(saved.updatedAt);
+    expect(await store.get('user-1', saved.id)).toEqual(saved);
+  });
+
+  it('keeps each user\'s scenarios apart', async () => {
+    const store = createStore();
+    await store.save('user-1', scenario('Villa'));
+    expect(await store.list('user-2')).toEqual([]);
+    expect(await store.get('user-2', (await store.list('user-1'))[0].id)).toBeNull();
+  });
+
+  it('renames a scenario and moves it to the top of the list', async () => {
+    const store = createStore();
+    const first = await store.save('user-1', scenario('Villa'));
+    await store.save('user-1', scenario('Farm'));
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await store.rename('user-1', first.id, ' Villa with pool ');
+    const list = await store.list('user-1');
+    expect(list.map((item) => item.name)).toEqual(['Villa with pool', 'Farm']);
+    expect(list[0].updatedAt > list[0].createdAt).toBe(true);
+  });
+
+  it('removes a scenario', async () => {
+    const store = createStore();
+    const saved = await store.save('user-1', scenario('Villa'));
+    await store.remove('user-1', saved.id);
+    expect(await store.list('user-1')).toEqual([]);
+  });
+});
+
+describe('createLocalScenarioStore with a storage', () => {
+  it('keeps scenarios for a new store on the same storage, as after a reload', async () => {
+    const storage = createStorage();
+    const saved = await createLocalScenarioStore(storage).save('user-1', scenario('Villa'));
+    expect(await createLocalScenarioStore(storage).get('user-1', saved.id)).toEqual(saved);
+  });
+});
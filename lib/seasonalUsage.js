@@ -0,0 +1,65 @@
+// Seasonal usage curves: how much of its typical daily use an appliance sees in each month.
+// A factor of 1 is the appliance's busiest month (the hours entered for it); 0.2 means it runs
+// a fifth as long. Months are January = 0 to December = 11.
+
+export const SEASONAL_PROFILES = [
+  {
+    id: 'year-round',
+    name: 'Year-round',
+    monthlyFactors: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  },
+  {
+    // Used when no city is selected; with a city the curve follows its temperatures
+    id: 'cooling',
+    name: 'Cooling (summer peak)',
+    monthlyFactors: [0.15, 0.2, 0.35, 0.6, 0.85, 0.95, 1, 1, 0.9, 0.65, 0.35, 0.2],
+  },
+  {
+    id: 'heating',
+    name: 'Heating (winter peak)',
+    monthlyFactors: [1, 0.9, 0.7, 0.5, 0.35, 0.3, 0.3, 0.3, 0.35, 0.5, 0.75, 0.95],
+  },
+];
+
+export const DEFAULT_SEASONAL_PROFILE_ID = 'year-round';
+
+// Air conditioning is assumed off below this average daily temperature
+const COOLING_BASE_TEMP_C = 18;
+
+// Even in the coolest month some cooling runs (server rooms, kitchens, warm afternoons)
+const MIN_COOLING_FACTOR = 0.1;
+
+/**
+ * Looks up a seasonal profile by id.
+ * @param {string} profileId - A profile id such as 'cooling'.
+ * @returns {object|null} The profile, or null when it does not exist.
+ */
+export const findSeasonalProfile = (profileId) =>
+  SEASONAL_PROFILES.find((profile) => profile.id === profileId) || null;
+
+/**
+ * Builds a cooling curve from monthly temperatures: each month's cooling degrees
+ * (temperature above COOLING_BASE_TEMP_C) relative to the hottest month.
+ * @param {Array} monthlyAmbientTempC - Twelve average daily temperatures.
+ * @returns {Array} Twelve factors between MIN_COOLING_FACTOR and 1.
+ */
+export const calculateCoolingFactors = (monthlyAmbientTempC) => {
+  const degrees = monthlyAmbientTempC.map((tempC) => Math.max(0, tempC - COOLING_BASE_TEMP_C));
+  const hottest = Math.max(...degrees);
+  return degrees.map((value) => (hottest > 0 ? Math.max(MIN_COOLING_FACTOR, value / hottest) : 1));
+};
+
+/**
+ * Returns the monthly usage factors of a seasonal profile, following the local climate for cooling.
+ * @param {string} profileId - A seasonal profile id; unknown ids are treated as year-round.
+ * @param {object} [solarProfile] - Optional { monthlyAmbientTempC }, e.g. a city from lib/saudiCities.
+ * @returns {Array} Twelve factors.
+ */
+export const getMonthlyUsageFactors = (profileId, solarProfile) => {
+  const profile = findSeasonalProfile(profileId) || findSeasonalProfile(DEFAULT_SEASONAL_PROFILE_ID);
+  const temperatures = solarProfile?.monthlyAmbientTempC;
+  if (profile.id === 'cooling' && Array.isArray(temperatures) && temperatures.length === 12) {
+    return calculateCoolingFactors(temperatures);
+  }
+  return profile.monthlyFactors;
+};
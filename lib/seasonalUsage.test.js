@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateCoolingFactors,
+  findSeasonalProfile,
+  getMonthlyUsageFactors,
+  SEASONAL_PROFILES,
+} from './seasonalUsage';
+import { calculateApplianceDailyKWh, calculateApplianceMonthlyKWh, getDutyCycle } from './solarEngine';
+import { findCity } from './saudiCities';
+
+describe('SEASONAL_PROFILES', () => {
+  it('peaks at 1 in the busiest month of every profile', () => {
+    for (const profile of SEASONAL_PROFILES) {
+      expect(profile.monthlyFactors).toHaveLength(12);
+      expect(Math.max(...profile.monthlyFactors)).toBe(1);
+      expect(profile.monthlyFactors.every((factor) => factor > 0 && factor <= 1)).toBe(true);
+    }
+  });
+});
+
+describe('findSeasonalProfile', () => {
+  it('finds a profile by id, or returns null', () => {
+    expect(findSeasonalProfile('heating').monthlyFactors[0]).toBe(1);
+    expect(findSeasonalProfile('monsoon')).toBeNull();
+  });
+});
+
+describe('calculateCoolingFactors', () => {
+  it('scales each month\'s degrees above 18 °C to the hottest month', () => {
+    const factors = calculateCoolingFactors(findCity('riyadh').monthlyAmbientTempC);
+    expect(factors[6]).toBe(1);
+    expect(factors[2]).toBeCloseTo(3.5 / 18.5, 9);
+    expect(factors[8]).toBeCloseTo(15.5 / 18.5, 9);
+  });
+
+  it('keeps some cooling in the coolest months', () => {
+    const factors = calculateCoolingFactors(findCity('riyadh').monthlyAmbientTempC);
+    expect(factors[0]).toBe(0.1);
+    expect(Math.min(...factors)).toBe(0.1);
+  });
+
+  it('runs all year where it is never warm enough to tell the months apart', () => {
+    expect(calculateCoolingFactors(new Array(12).fill(15))).toEqual(new Array(12).fill(1));
+  });
+});
+
+describe('getMonthlyUsageFactors', () => {
+  const riyadh = findCity('riyadh');
+
+  it('follows the city\'s temperatures for cooling', () => {
+    expect(getMonthlyUsageFactors('cooling', riyadh)).toEqual(calculateCoolingFactors(riyadh.monthlyAmbientTempC));
+  });
+
+  it('uses the fixed curve without a city or with incomplete temperatures', () => {
+    const cooling = findSeasonalProfile('cooling').monthlyFactors;
+    expect(getMonthlyUsageFactors('cooling')).toEqual(cooling);
+    expect(getMonthlyUsageFactors('cooling', { monthlyAmbientTempC: [30, 31] })).toEqual(cooling);
+  });
+
+  it('ignores the climate for other profiles and treats unknown ones as year-round', () => {
+    expect(getMonthlyUsageFactors('heating', riyadh)).toEqual(findSeasonalProfile('heating').monthlyFactors);
+    expect(getMonthlyUsageFactors('monsoon')).toEqual(new Array(12).fill(1));
+    expect(getMonthlyUsageFactors(undefined, riyadh)).toEqual(new Array(12).fill(1));
+  });
+});
+
+describe('duty cycles and seasonal appliance use', () => {
+  const refrigerator = { name: 'Refrigerator', wattage: 200, hoursPerDay: 24, quantity: 1 };
+
+  it('takes the duty cycle as the share of on time drawing power', () => {
+    expect(getDutyCycle({ ...refrigerator, dutyCyclePercent: 40 })).toBe(0.4);
+    expect(calculateApplianceDailyKWh({ ...refrigerator, dutyCyclePercent: '40' })).toBeCloseTo(1.92, 9);
+  });
+
+  it('runs rows without a valid duty cycle flat out', () => {
+    for (const dutyCyclePercent of [undefined, '', 0, 120, 'abc']) {
+      expect(getDutyCycle({ ...refrigerator, dutyCyclePercent })).toBe(1);
+    }
+  });
+
+  it('spreads the busiest month\'s daily use over the year by the seasonal profile', () => {
+    const airConditioner = { name: 'AC', wattage: 1000, hoursPerDay: 10, quantity: 1, dutyCyclePercent: 50, seasonalProfile: 'cooling' };
+    const monthlyKWh = calculateApplianceMonthlyKWh(airConditioner, findCity('riyadh'));
+    expect(monthlyKWh[6]).toBeCloseTo(5 * 31, 9);
+    expect(monthlyKWh[0]).toBeCloseTo(5 * 0.1 * 31, 9);
+    expect(calculateApplianceMonthlyKWh({ ...airConditioner, seasonalProfile: 'year-round' })[1]).toBeCloseTo(5 * 28, 9);
+  });
+});
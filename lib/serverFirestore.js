@@ -0,0 +1,53 @@
+import { getApps, initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { connectFirestoreEmulator, getFirestore } from 'firebase/firestore';
+
+// Firestore for the API routes, which keep quote requests and pricing assumptions there in
+// production: serverless functions have no lasting file system. The server signs in as its own
+// Firebase user, so security rules can keep those collections closed to browsers.
+
+const SERVER_APP_NAME = 'eversolar-server';
+
+let connection = null;
+
+/**
+ * Connects to the Firestore configured through the environment:
+ * FIREBASE_CONFIG (the Firebase web app config as JSON), FIREBASE_SERVER_EMAIL and
+ * FIREBASE_SERVER_PASSWORD (the server's user) and FIRESTORE_EMULATOR_HOST (e.g. 'localhost:8080',
+ * the local emulator, where no sign-in is needed).
+ * @returns {Promise<object>} The Firestore instance, once signed in.
+ */
+export const getServerFirestore = () => {
+  if (!connection) {
+    connection = (async () => {
+      const { env } = process;
+      const config = env.FIREBASE_CONFIG ? JSON.parse(env.FIREBASE_CONFIG) : {};
+      if (!config.projectId) {
+        throw new Error('FIREBASE_CONFIG must be set to a Firebase config with a projectId to store data in Firestore');
+      }
+      // A named app, so it never clashes with one initialised elsewhere in the same process;
+      // after a failed sign-in the app is already there
+      const existingApp = getApps().find((app) => app.name === SERVER_APP_NAME);
+      const app = existingApp || initializeApp(config, SERVER_APP_NAME);
+      const db = getFirestore(app);
+      if (env.FIRESTORE_EMULATOR_HOST) {
+        const [host, port] = env.FIRESTORE_EMULATOR_HOST.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+      } else if (env.FIREBASE_SERVER_EMAIL) {
+        await signInWithEmailAndPassword(getAuth(app), env.FIREBASE_SERVER_EMAIL, env.FIREBASE_SERVER_PASSWORD || '');
+      }
+      return db;
+    })();
+    // A failed connection is tried again by the next request rather than remembered
+    connection.catch(() => {
+      connection = null;
+    });
+  }
+  return connection;
+};
+
+/**
+ * Returns the application id that namespaces the data, as artifacts/{appId}/... like the calculator.
+ * @returns {string} FIREBASE_APP_ID, or the calculator's default id.
+ */
+export const getServerAppId = () => process.env.FIREBASE_APP_ID || 'default-app-id';
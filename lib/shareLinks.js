@@ -0,0 +1,232 @@
+import { MAX_ZONES, getApplianceZoneId } from './loadZones';
+
+// Shareable calculator links. The appliance list, the calculator settings and the headline
+// results are packed into a compact, versioned token carried in the URL fragment, so a link
+// needs no server storage and its contents never reach server logs. Contact details are not
+// included. Opening a link restores the inputs and recalculates with the current model; the
+// shared results are kept to show when the figures have changed since the link was made.
+
+// Format of newly created tokens. Bump it when the packed layout changes and keep a decoder
+// for every older version, so links already sent to customers keep opening.
+export const SHARE_LINK_VERSION = 2;
+
+// URL fragment parameter carrying the token, e.g. '#share=1.eyJ...'
+export const SHARE_HASH_PARAM = 'share';
+
+// Relative change in size, cost or savings above which a shared estimate counts as outdated
+export const SHARE_RESULT_TOLERANCE = 0.01;
+
+// Appliance fields packed positionally in version 1 tokens
+const APPLIANCE_FIELDS_V1 = [
+  'name', 'wattage', 'hoursPerDay', 'quantity', 'usagePreset', 'customHours', 'dutyCyclePercent', 'seasonalProfile', 'catalogueId',
+];
+
+// Appliance fields kept as text; the others are numbers
+const TEXT_APPLIANCE_FIELDS = ['name', 'usagePreset', 'customHours', 'seasonalProfile', 'catalogueId'];
+
+// Calculator settings a version 1 token may carry
+const SETTING_FIELDS_V1 = [
+  'selectedCityId', 'tariffCategory', 'systemType', 'daysOfAutonomy', 'batteryChemistry', 'depthOfDischargePercent',
+  'discountRatePercent', 'tariffEscalationPercent', 'degradationPercent', 'inputMode', 'billUnit', 'billValues', 'roof',
+  'selectedPackageId',
+];
+
+// Version 2 adds load zones: the zone names are listed once and every appliance row ends with
+// the position of its zone in that list
+const APPLIANCE_FIELDS_V2 = [...APPLIANCE_FIELDS_V1, 'zoneIndex'];
+
+const SETTING_FIELDS_V2 = [...SETTING_FIELDS_V1, 'supplyPhase', 'diversityFactorPercent'];
+
+// Headline results packed positionally in every version
+const RESULT_FIELDS_V1 = ['totalDailyKWh', 'estimatedSystemSizeKW', 'estimatedSystemCostSAR', 'estimatedMonthlySavingsSAR'];
+
+/**
+ * Encodes text as URL-safe base64, going through UTF-8 so Arabic appliance names survive.
+ * @param {string} text - The text to encode.
+ * @returns {string} The base64url string, without padding.
+ */
+const toBase64Url = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes URL-safe base64 back to text.
+ * @param {string} encoded - The base64url string.
+ * @returns {string} The decoded text.
+ */
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+/**
+ * Rounds a result so the token does not carry meaningless decimals.
+ * @param {number} value - The value to round.
+ * @returns {number} The value with at most two decimals.
+ */
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Packs the calculator state into a version 2 token payload.
+ * @param {object} state - appliances, settings (with zones), results and the assumptionsVersion they were calculated with.
+ * @returns {object} The payload.
+ */
+const packV2 = ({ appliances, settings = {}, results = {}, assumptionsVersion = null }) => {
+  const zones = settings.zones || [];
+  return {
+    // Empty trailing fields are dropped to keep the link short
+    a: appliances.map((app) => {
+      const zoneIndex = zones.findIndex((zone) => zone.id === getApplianceZoneId(app, zones));
+      // Rows of the first zone leave out their zone index
+      const row = [...APPLIANCE_FIELDS_V1.map((field) => app[field] ?? ''), zoneIndex > 0 ? zoneIndex : ''];
+      while (row.length > 0 && row[row.length - 1] === '') row.pop();
+      return row;
+    }),
+    z: zones.map((zone) => zone.name),
+    s: Object.fromEntries(SETTING_FIELDS_V2.filter((field) => settings[field] !== undefined).map((field) => [field, settings[field]])),
+    r: RESULT_FIELDS_V1.map((field) => round2(results[field])),
+    v: assumptionsVersion,
+  };
+};
+
+/**
+ * Cleans an appliance field read from a link, which anyone could have edited.
+ * @param {string} field - The appliance field.
+ * @param {*} value - The value from the token.
+ * @returns {string|number} Text for text fields; a number or '' for numeric ones.
+ */
+const cleanApplianceField = (field, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (TEXT_APPLIANCE_FIELDS.includes(field)) return typeof value === 'object' ? '' : String(value);
+  const number = Number(value);
+  return Number.isFinite(number) ? number : '';
+};
+
+const isPrimitive = (value) => typeof value === 'string' || typeof value === 'number';
+
+/**
+ * Checks that a setting read from a link has the shape the calculator expects.
+ * @param {string} field - The setting name.
+ * @param {*} value - The value from the token.
+ * @returns {boolean} True when the setting can be restored.
+ */
+const isValidSetting = (field, value) => {
+  if (field === 'billValues') return Array.isArray(value) && value.length === 12 && value.every(isPrimitive);
+  if (field === 'roof') return Boolean(value) && typeof value === 'object' && Object.values(value).every(isPrimitive);
+  return isPrimitive(value);
+};
+
+/**
+ * Unpacks the parts every token version shares.
+ * @param {object} payload - The decoded payload.
+ * @param {Array} applianceFields - The appliance fields packed in this version, in order.
+ * @param {Array} settingFields - The settings this version may carry.
+ * @returns {object|null} The calculator state, or null when the payload is malformed.
+ */
+const unpackCommon = (payload, applianceFields, settingFields) => {
+  if (!payload || !Array.isArray(payload.a) || !payload.a.every(Array.isArray)) return null;
+  const settings = payload.s && typeof payload.s === 'object' ? payload.s : {};
+  return {
+    appliances: payload.a.map((row, index) => ({
+      // Row ids only need to be unique within the list
+      id: index + 1,
+      ...Object.fromEntries(applianceFields.map((field, position) => [field, cleanApplianceField(field, row[position])])),
+    })),
+    settings: Object.fromEntries(
+      settingFields.filter((field) => isValidSetting(field, settings[field])).map((field) => [field, settings[field]])
+    ),
+    results: Array.isArray(payload.r)
+      ? Object.fromEntries(RESULT_FIELDS_V1.map((field, position) => [field, Number(payload.r[position]) || 0]))
+      : null,
+    assumptionsVersion: Number.isInteger(payload.v) ? payload.v : null,
+  };
+};
+
+/**
+ * Unpacks a version 1 token payload, from before load zones.
+ * @param {object} payload - The decoded payload.
+ * @returns {object|null} The calculator state, or null when the payload is malformed.
+ */
+const unpackV1 = (payload) => unpackCommon(payload, APPLIANCE_FIELDS_V1, SETTING_FIELDS_V1);
+
+/**
+ * Unpacks a version 2 token payload.
+ * @param {object} payload - The decoded payload.
+ * @returns {object|null} The calculator state, or null when the payload is malformed.
+ */
+const unpackV2 = (payload) => {
+  const state = unpackCommon(payload, APPLIANCE_FIELDS_V2, SETTING_FIELDS_V2);
+  if (!state) return null;
+  // Zone ids only need to be unique within the project
+  const zones = (Array.isArray(payload.z) ? payload.z.slice(0, MAX_ZONES) : [])
+    .map((name, index) => ({ id: index + 1, name: isPrimitive(name) ? String(name) : '' }));
+  return {
+    ...state,
+    appliances: state.appliances.map(({ zoneIndex, ...app }) =>
+      (zones.length > 0 ? { ...app, zoneId: (zones[zoneIndex] || zones[0]).id } : app)),
+    settings: zones.length > 0 ? { ...state.settings, zones } : state.settings,
+  };
+};
+
+// Decoder for every token version ever issued
+const UNPACKERS = {
+  1: unpackV1,
+  2: unpackV2,
+};
+
+/**
+ * Creates a share token for the current calculator state.
+ * @param {object} state - appliances, settings, results and assumptionsVersion.
+ * @returns {string} The token, '<version>.<base64url payload>'.
+ */
+export const encodeShareToken = (state) => `${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(packV2(state)))}`;
+
+/**
+ * Reads a share token of any issued version.
+ * @param {string} token - The token from a shared link.
+ * @returns {object|null} appliances, settings, results and assumptionsVersion; null when the token is invalid.
+ *   Version 1 tokens carry no zones, so their appliances have no zoneId.
+ */
+export const decodeShareToken = (token) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  const unpack = match && UNPACKERS[match[1]];
+  if (!unpack) return null;
+  try {
+    return unpack(JSON.parse(fromBase64Url(match[2])));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds the link for a share token.
+ * @param {string} pageUrl - The calculator page URL; any existing fragment is replaced.
+ * @param {string} token - The share token.
+ * @returns {string} The shareable URL.
+ */
+export const buildShareUrl = (pageUrl, token) => `${pageUrl.split('#')[0]}#${SHARE_HASH_PARAM}=${token}`;
+
+/**
+ * Finds a share token in a URL fragment.
+ * @param {string} hash - The fragment, e.g. window.location.hash.
+ * @returns {string|null} The token, or null when the link is not a shared one.
+ */
+export const readShareToken = (hash) => new URLSearchParams(String(hash || '').replace(/^#/, '')).get(SHARE_HASH_PARAM);
+
+/**
+ * Checks whether recalculated results differ noticeably from the ones that were shared,
+ * e.g. because pricing or the calculation model changed since the link was created.
+ * @param {object} shared - The results stored in the link.
+ * @param {object} current - The recalculated results.
+ * @returns {boolean} True when size, cost or savings moved by more than SHARE_RESULT_TOLERANCE.
+ */
+export const haveResultsChanged = (shared, current) =>
+  ['estimatedSystemSizeKW', 'estimatedSystemCostSAR', 'estimatedMonthlySavingsSAR'].some((field) => {
+    const before = shared[field] || 0;
+    const after = current[field] || 0;
+    return Math.abs(after - before) > SHARE_RESULT_TOLERANCE * Math.max(Math.abs(before), Math.abs(after), 1e-9);
+  });
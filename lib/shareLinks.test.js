@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildShareUrl,
+  decodeShareToken,
+  encodeShareToken,
+  haveResultsChanged,
+  readShareToken,
+  SHARE_LINK_VERSION,
+} from './shareLinks';
+
+const state = {
+  appliances: [
+    { id: 7, name: 'مكيف هواء', wattage: 1500, hoursPerDay: 8, quantity: 2, usagePreset: 'evening', customHours: '', dutyCyclePercent: 60, seasonalProfile: 'cooling', catalogueId: 'split-ac', zoneId: 1 },
+    { id: 9, name: 'Pool pump', wattage: 750, hoursPerDay: 4, quantity: 1, zoneId: 2 },
+  ],
+  settings: {
+    selectedCityId: 'riyadh',
+    tariffCategory: 'residential',
+    billValues: Array(12).fill(''),
+    roof: { roofLengthM: 10, roofWidthM: 8, orientationId: 'south' },
+    zones: [{ id: 1, name: 'Villa' }, { id: 2, name: 'Garden' }],
+    supplyPhase: 'three-phase',
+  },
+  results: { totalDailyKWh: 30.123, estimatedSystemSizeKW: 6.456, estimatedSystemCostSAR: 72630, estimatedMonthlySavingsSAR: 512.5 },
+  assumptionsVersion: 3,
+};
+
+// Builds a token by hand, as an older version of the calculator did
+const encodePayload = (version, payload) => `${version}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+describe('share tokens', () => {
+  it('round-trips the appliances, zones, settings and results', () => {
+    const token = encodeShareToken(state);
+    expect(token.startsWith(`${SHARE_LINK_VERSION}.`)).toBe(true);
+    expect(token).toMatch(/^\d+\.[A-Za-z0-9_-]+$/);
+
+    const decoded = decodeShareToken(token);
+    expect(decoded.appliances[0]).toMatchObject({ name: 'مكيف هواء', wattage: 1500, dutyCyclePercent: 60, catalogueId: 'split-ac' });
+    expect(decoded.appliances[1]).toMatchObject({ name: 'Pool pump', wattage: 750, usagePreset: '' });
+    expect(decoded.settings.zones.map((zone) => zone.name)).toEqual(['Villa', 'Garden']);
+    const zoneNames = decoded.appliances.map((app) => decoded.settings.zones.find((zone) => zone.id === app.zoneId).name);
+    expect(zoneNames).toEqual(['Villa', 'Garden']);
+    expect(decoded.settings).toMatchObject({ selectedCityId: 'riyadh', supplyPhase: 'three-phase', roof: state.settings.roof });
+    expect(decoded.results).toEqual({ totalDailyKWh: 30.12, estimatedSystemSizeKW: 6.46, estimatedSystemCostSAR: 72630, estimatedMonthlySavingsSAR: 512.5 });
+    expect(decoded.assumptionsVersion).toBe(3);
+  });
+
+  it('round-trips a list without zones', () => {
+    const decoded = decodeShareToken(encodeShareToken({ appliances: [{ name: 'Fan', wattage: 75, hoursPerDay: 8, quantity: 1 }] }));
+    expect(decoded.appliances[0]).toMatchObject({ name: 'Fan', wattage: 75 });
+    expect(decoded.appliances[0].zoneId).toBeUndefined();
+    expect(decoded.settings.zones).toBeUndefined();
+    expect(decoded.assumptionsVersion).toBeNull();
+  });
+
+  it('still opens version 1 links, from before zones', () => {
+    const decoded = decodeShareToken(encodePayload(1, { a: [['Fan', 75, 8, 2]], s: { selectedCityId: 'jeddah' }, r: [1, 2, 3, 4], v: 2 }));
+    expect(decoded.appliances).toEqual([expect.objectContaining({ id: 1, name: 'Fan', wattage: 75, hoursPerDay: 8, quantity: 2 })]);
+    expect(decoded.settings).toEqual({ selectedCityId: 'jeddah' });
+    expect(decoded.results.estimatedMonthlySavingsSAR).toBe(4);
+  });
+
+  it('cleans edited values and ignores unknown settings', () => {
+    const decoded = decodeShareToken(encodePayload(2, {
+      a: [[{ name: 'x' }, 'lots', 8, 1]],
+      s: { selectedCityId: { evil: true }, tariffCategory: 'commercial', unknown: 'x', billValues: [1, 2] },
+    }));
+    expect(decoded.appliances[0]).toMatchObject({ name: '', wattage: '' });
+    expect(decoded.settings).toEqual({ tariffCategory: 'commercial' });
+    expect(decoded.results).toBeNull();
+  });
+
+  it.each([
+    ['an empty token', ''],
+    ['an unknown version', '9.e30'],
+    ['a damaged payload', '2.not-json'],
+    ['a payload without appliances', encodePayload(2, { s: {} })],
+  ])('rejects %s', (label, token) => {
+    expect(decodeShareToken(token)).toBeNull();
+  });
+});
+
+describe('share URLs', () => {
+  it('puts the token in the fragment and reads it back', () => {
+    const url = buildShareUrl('https://example.com/calculator?lang=ar#old', '2.abc');
+    expect(url).toBe('https://example.com/calculator?lang=ar#share=2.abc');
+    expect(readShareToken(new URL(url).hash)).toBe('2.abc');
+    expect(readShareToken('#other=1')).toBeNull();
+  });
+});
+
+describe('haveResultsChanged', () => {
+  const shared = { estimatedSystemSizeKW: 5, estimatedSystemCostSAR: 50000, estimatedMonthlySavingsSAR: 400 };
+
+  it('ignores changes within 1%', () => {
+    expect(haveResultsChanged(shared, { ...shared, estimatedSystemCostSAR: 50400 })).toBe(false);
+  });
+
+  it('notices larger changes', () => {
+    expect(haveResultsChanged(shared, { ...shared, estimatedMonthlySavingsSAR: 420 })).toBe(true);
+  });
+});
@@ -0,0 +1,343 @@
+import { calculateSolarBillSavings, DEFAULT_TARIFF_CATEGORY_ID } from './tariffs';
+import {
+  DEFAULT_BATTERY_CHEMISTRY_ID,
+  DEFAULT_SUPPLY_PHASE_ID,
+  DEFAULT_SYSTEM_TYPE_ID,
+  calculatePeakLoadKW,
+  calculatePhaseCurrentA,
+  calculateSurgeLoadKW,
+  findBatteryChemistry,
+  findSupplyPhase,
+  findSystemType,
+  sizeBatteryBank,
+  sizeInverterKW,
+} from './systemSizing';
+import { buildLoadProfile } from './loadProfile';
+import { getMonthlyUsageFactors } from './seasonalUsage';
+
+// Pure solar sizing engine shared by the calculator UI and the server-side quote API.
+// Takes appliance rows plus an assumptions object and never touches React state.
+
+// Simplified default assumptions for a grid-tied residential system in KSA
+export const DEFAULT_ASSUMPTIONS = {
+  peakSunHoursPerDay: 5, // Average for many regions
+  systemEfficiencyFactor: 0.8, // Accounts for losses
+  costPerWattSAR: 11.25, // Approx $3.0 USD/watt * 3.75 SAR/USD
+  tariffCategory: DEFAULT_TARIFF_CATEGORY_ID, // SEC customer category, see lib/tariffs
+  tariffCategories: null, // Optional replacement for the built-in tariff tiers, e.g. a published assumptions version
+  solarOffsetFraction: 0.85, // Share of solar output that displaces grid purchases (the rest is exported or lost)
+  solarProfile: null, // Optional monthly { monthlyPeakSunHours, monthlyAmbientTempC }, e.g. a city from lib/saudiCities
+  temperatureCoefficientPerC: -0.004, // Typical crystalline silicon power loss per °C of cell temperature above 25 °C
+  cellTemperatureRiseC: 25, // How much hotter than the air a panel runs in full sun
+  systemType: DEFAULT_SYSTEM_TYPE_ID, // 'grid-tied', 'hybrid' or 'off-grid', see lib/systemSizing
+  daysOfAutonomy: null, // Days the batteries cover alone; null uses the system type's default
+  batteryChemistry: DEFAULT_BATTERY_CHEMISTRY_ID,
+  depthOfDischarge: null, // Usable fraction of the battery; null uses the chemistry's default
+  supplyPhase: DEFAULT_SUPPLY_PHASE_ID, // 'single-phase' or 'three-phase', see lib/systemSizing
+  diversityFactor: null, // Share of the connected load running at once (0-1); null assumes everything runs together
+  inverterSafetyMargin: 1.25, // Headroom above the peak simultaneous load
+  inverterSurgeFactor: 2, // Battery inverters typically deliver twice their rating for a few seconds
+  batteryInverterCostPerKWSAR: 1100, // Inverter-charger for battery systems; grid-tie inverters are in costPerWattSAR
+  monthlyConsumptionKWh: null, // Optional twelve monthly kWh, e.g. from bill history; replaces the appliance-based consumption
+  orientationFactor: 1, // Share of yield kept at the roof's orientation and tilt, see lib/roofLayout
+  systemSizeKW: null, // Fixed array size, e.g. the largest that fits on the roof; null sizes the array to the consumption
+};
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+export const INVALID_APPLIANCE_MESSAGE = 'Please ensure all appliance fields are filled correctly with positive numbers.';
+
+/**
+ * Converts a form value to a number, treating empty strings as missing.
+ * @param {*} value - The raw value.
+ * @returns {number} The number, or NaN when missing or not numeric.
+ */
+const toNumber = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+/**
+ * Checks each field of an appliance row: a name, a positive wattage and quantity, between 0 and
+ * 24 hours a day and, when given, a duty cycle between 0 and 100%.
+ * @param {object} app - The appliance row.
+ * @returns {object} Map of field name to error code (e.g. { wattage: 'wattageInvalid' }); empty when valid.
+ */
+export const getApplianceErrors = (app) => {
+  const wattage = toNumber(app?.wattage);
+  const hoursPerDay = toNumber(app?.hoursPerDay);
+  const quantity = toNumber(app?.quantity);
+  const dutyCyclePercent = toNumber(app?.dutyCyclePercent);
+  const dutyCycleGiven = !(app?.dutyCyclePercent === '' || app?.dutyCyclePercent === null || app?.dutyCyclePercent === undefined);
+  const errors = {};
+  if (!String(app?.name ?? '').trim()) errors.name = 'applianceNameRequired';
+  if (!(wattage > 0)) errors.wattage = 'wattageInvalid';
+  if (!(hoursPerDay >= 0 && hoursPerDay <= 24)) errors.hoursPerDay = 'hoursPerDayInvalid';
+  if (!(quantity > 0)) errors.quantity = 'quantityInvalid';
+  if (dutyCycleGiven && !(dutyCyclePercent > 0 && dutyCyclePercent <= 100)) errors.dutyCyclePercent = 'dutyCycleInvalid';
+  return errors;
+};
+
+/**
+ * Checks that an appliance row can be used in a calculation; see getApplianceErrors.
+ * @param {object} app - The appliance row.
+ * @returns {boolean} True when the row can be used in a calculation.
+ */
+export const isValidAppliance = (app) => Object.keys(getApplianceErrors(app)).length === 0;
+
+/**
+ * Returns the share of its "on" time an appliance actually draws power, e.g. 0.4 for a
+ * refrigerator whose compressor cycles on and off. Rows without a duty cycle run flat out.
+ * @param {object} app - The appliance row, with an optional dutyCyclePercent.
+ * @returns {number} A factor between 0 and 1.
+ */
+export const getDutyCycle = (app) => {
+  const dutyCyclePercent = toNumber(app.dutyCyclePercent);
+  return dutyCyclePercent > 0 && dutyCyclePercent <= 100 ? dutyCyclePercent / 100 : 1;
+};
+
+/**
+ * Calculates the daily energy use of an appliance row (all units combined) in its busiest month.
+ * @param {object} app - A valid appliance row.
+ * @returns {number} Daily consumption in kWh.
+ */
+export const calculateApplianceDailyKWh = (app) =>
+  (toNumber(app.wattage) * toNumber(app.hoursPerDay) * toNumber(app.quantity) * getDutyCycle(app)) / 1000;
+
+/**
+ * Calculates the energy use of an appliance row in each month, following its seasonal profile.
+ * @param {object} app - A valid appliance row, with an optional seasonalProfile id.
+ * @param {object} [solarProfile] - Optional city climate, used to shape cooling loads.
+ * @returns {Array} Twelve monthly consumptions in kWh.
+ */
+export const calculateApplianceMonthlyKWh = (app, solarProfile) => {
+  const dailyKWh = calculateApplianceDailyKWh(app);
+  const factors = getMonthlyUsageFactors(app.seasonalProfile, solarProfile);
+  return DAYS_IN_MONTH.map((days, month) => dailyKWh * factors[month] * days);
+};
+
+/**
+ * Calculates the fraction of rated output a panel keeps at a given ambient temperature.
+ * @param {number} ambientTempC - Average daytime air temperature.
+ * @param {object} settings - Assumptions with temperatureCoefficientPerC and cellTemperatureRiseC.
+ * @returns {number} A derating factor between 0 and 1.
+ */
+export const calculateTemperatureDerate = (ambientTempC, settings) => {
+  const cellTempC = ambientTempC + settings.cellTemperatureRiseC;
+  return Math.min(1, Math.max(0, 1 + settings.temperatureCoefficientPerC * (cellTempC - 25)));
+};
+
+/**
+ * Builds the expected production of 1 kW of panels for each month of the year.
+ * Without a solarProfile every month uses the flat peakSunHoursPerDay and no temperature losses.
+ * @param {object} settings - The merged assumptions.
+ * @returns {Array} Twelve entries with peakSunHours, temperatureDerate and kWhPerKW.
+ */
+const buildMonthlyYield = (settings) => {
+  const profile = settings.solarProfile;
+  return DAYS_IN_MONTH.map((days, month) => {
+    const peakSunHours = profile?.monthlyPeakSunHours?.[month] ?? settings.peakSunHoursPerDay;
+    const ambientTempC = profile?.monthlyAmbientTempC?.[month];
+    const temperatureDerate = ambientTempC === undefined ? 1 : calculateTemperatureDerate(ambientTempC, settings);
+    return {
+      month,
+      days,
+      peakSunHours,
+      ambientTempC: ambientTempC ?? null,
+      temperatureDerate,
+      kWhPerKW: peakSunHours * settings.systemEfficiencyFactor * settings.orientationFactor * temperatureDerate * days,
+    };
+  });
+};
+
+/**
+ * Calculates the daily load, recommended system size, cost and monthly savings.
+ * @param {Array} appliances - Appliance rows with name, wattage, hoursPerDay and quantity.
+ * @param {object} [assumptions] - Overrides for DEFAULT_ASSUMPTIONS.
+ * @returns {object} The estimate, a per-appliance breakdown and an error message (empty when valid).
+ */
+export const calculateSolarEstimate = (appliances, assumptions = {}) => {
+  const settings = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  const emptyResult = {
+    totalDailyKWh: 0,
+    applianceDailyKWh: 0,
+    estimatedSystemSizeKW: 0,
+    estimatedSystemCostSAR: 0,
+    estimatedMonthlySavingsSAR: 0,
+    estimatedMonthlyBillBeforeSAR: 0,
+    estimatedMonthlyBillAfterSAR: 0,
+    breakdown: [],
+    monthlyProduction: [],
+    sizingMonths: [],
+    peakMonthDailyKWh: 0,
+    annualConsumptionKWh: 0,
+    annualProductionKWh: 0,
+    connectedLoadKW: 0,
+    peakLoadKW: 0,
+    surgeLoadKW: 0,
+    inverterKW: 0,
+    supply: null,
+    battery: null,
+    loadProfile: null,
+    costBreakdown: { pvArraySAR: 0, batterySAR: 0, inverterSAR: 0 },
+    assumptions: settings,
+  };
+
+  if (!appliances.every(isValidAppliance)) {
+    return { ...emptyResult, error: INVALID_APPLIANCE_MESSAGE };
+  }
+
+  // Each appliance's daily use is averaged over the year, after its duty cycle and seasonal curve
+  const daysInYear = DAYS_IN_MONTH.reduce((sum, days) => sum + days, 0);
+  const rows = appliances.map((app) => {
+    const monthlyKWh = calculateApplianceMonthlyKWh(app, settings.solarProfile);
+    return {
+      id: app.id,
+      name: app.name,
+      dailyKWh: monthlyKWh.reduce((sum, kWh) => sum + kWh, 0) / daysInYear,
+      monthlyKWh,
+    };
+  });
+  const applianceDailyKWh = rows.reduce((sum, row) => sum + row.dailyKWh, 0);
+  const breakdown = rows.map((row) => ({
+    ...row,
+    share: applianceDailyKWh > 0 ? row.dailyKWh / applianceDailyKWh : 0,
+  }));
+
+  // Consumption per month: measured bills when given, otherwise the appliance list's seasonal totals
+  const billMonthlyKWh = Array.isArray(settings.monthlyConsumptionKWh) && settings.monthlyConsumptionKWh.length === 12
+    ? settings.monthlyConsumptionKWh
+    : null;
+  const monthlyConsumptionKWh = billMonthlyKWh ||
+    DAYS_IN_MONTH.map((days, month) => rows.reduce((sum, row) => sum + row.monthlyKWh[month], 0));
+  const annualConsumptionKWh = monthlyConsumptionKWh.reduce((sum, kWh) => sum + kWh, 0);
+  const totalDailyKWh = annualConsumptionKWh / daysInYear;
+
+  const systemType = findSystemType(settings.systemType) || findSystemType(DEFAULT_SYSTEM_TYPE_ID);
+  const isOffGrid = systemType.id === 'off-grid';
+  const chemistry = findBatteryChemistry(settings.batteryChemistry) || findBatteryChemistry(DEFAULT_BATTERY_CHEMISTRY_ID);
+
+  // 1. Estimate System Size (kW)
+  // Formula: (Annual kWh / Annual kWh produced per kW), where each month's production is
+  // Peak Sun Hours * System Efficiency * Orientation Factor * Temperature Derate * Days in Month.
+  // Off-grid arrays have no grid to fall back on, so they are sized for the worst month
+  // and for the energy lost cycling through the batteries.
+  const monthlyYield = buildMonthlyYield(settings);
+  const tariff = (settings.tariffCategories || []).find((category) => category.id === settings.tariffCategory) ||
+    settings.tariffCategory;
+  const annualYieldPerKW = monthlyYield.reduce((sum, month) => sum + month.kWhPerKW, 0);
+  // The array that would cover each month on its own
+  const requiredKW = monthlyYield.map((month) =>
+    month.kWhPerKW > 0 ? monthlyConsumptionKWh[month.month] / month.kWhPerKW : 0
+  );
+  const worstMonth = requiredKW.indexOf(Math.max(...requiredKW));
+  let estimatedSystemSizeKW = annualYieldPerKW > 0 ? annualConsumptionKWh / annualYieldPerKW : 0;
+  if (isOffGrid) {
+    estimatedSystemSizeKW = requiredKW[worstMonth] / chemistry.roundTripEfficiency;
+  }
+  if (settings.systemSizeKW !== null && settings.systemSizeKW >= 0) {
+    estimatedSystemSizeKW = settings.systemSizeKW;
+  }
+  // Off-grid arrays are sized for the worst month; grid-connected ones are driven by the months
+  // that need more than the annual average and draw the shortfall from the grid
+  const sizingMonths = isOffGrid
+    ? [worstMonth]
+    : monthlyYield.filter((month) => requiredKW[month.month] > estimatedSystemSizeKW).map((month) => month.month);
+  const monthlyProduction = monthlyYield.map(({ kWhPerKW, ...month }) => {
+    const productionKWh = kWhPerKW * estimatedSystemSizeKW;
+    const consumptionKWh = monthlyConsumptionKWh[month.month];
+    // An off-grid home buys nothing from the grid; a fixed array too small for it leaves part of the load unserved
+    const offsetKWh = isOffGrid
+      ? Math.min(consumptionKWh, productionKWh * chemistry.roundTripEfficiency)
+      : productionKWh * settings.solarOffsetFraction;
+    return {
+      ...month,
+      productionKWh,
+      consumptionKWh,
+      requiredKW: requiredKW[month.month],
+      drivesSize: sizingMonths.includes(month.month),
+      // Bills are priced per month so the offset lands in the tier it actually displaces
+      ...calculateSolarBillSavings(consumptionKWh, offsetKWh, tariff),
+    };
+  });
+
+  // 2. Size the battery bank and inverter
+  // Off-grid batteries must carry a day of the busiest month, not of an average one
+  const peakMonthDailyKWh = Math.max(...monthlyConsumptionKWh.map((kWh, month) => kWh / DAYS_IN_MONTH[month]));
+  const battery = systemType.id === DEFAULT_SYSTEM_TYPE_ID ? null : sizeBatteryBank({
+    dailyKWh: isOffGrid ? peakMonthDailyKWh : totalDailyKWh,
+    daysOfAutonomy: settings.daysOfAutonomy ?? systemType.defaultDaysOfAutonomy,
+    chemistryId: chemistry.id,
+    depthOfDischarge: settings.depthOfDischarge,
+  });
+  // Not everything on a larger site runs at once, so the peak is the connected load times the diversity factor
+  const diversityFactor = settings.diversityFactor > 0 && settings.diversityFactor <= 1 ? settings.diversityFactor : 1;
+  const supplyPhase = findSupplyPhase(settings.supplyPhase) || findSupplyPhase(DEFAULT_SUPPLY_PHASE_ID);
+  const connectedLoadKW = calculatePeakLoadKW(appliances);
+  const peakLoadKW = calculatePeakLoadKW(appliances, diversityFactor);
+  const surgeLoadKW = calculateSurgeLoadKW(appliances, diversityFactor);
+  const inverterKW = sizeInverterKW({
+    peakLoadKW,
+    surgeLoadKW,
+    arrayKW: estimatedSystemSizeKW,
+    systemTypeId: systemType.id,
+    safetyMargin: settings.inverterSafetyMargin,
+    surgeFactor: settings.inverterSurgeFactor,
+    phases: supplyPhase.phases,
+  });
+  const supply = {
+    supplyPhaseId: supplyPhase.id,
+    phases: supplyPhase.phases,
+    diversityFactor,
+    peakCurrentPerPhaseA: calculatePhaseCurrentA(peakLoadKW, supplyPhase.phases),
+  };
+
+  // 3. Estimate System Cost (SAR)
+  // Formula: System Size (kW) * Cost per Watt (SAR) * 1000 (to convert kW to W),
+  // plus the battery bank and inverter-charger for battery-based systems
+  const costBreakdown = {
+    pvArraySAR: estimatedSystemSizeKW * settings.costPerWattSAR * 1000,
+    batterySAR: battery ? battery.costSAR : 0,
+    inverterSAR: battery ? inverterKW * settings.batteryInverterCostPerKWSAR : 0,
+  };
+  const estimatedSystemCostSAR = costBreakdown.pvArraySAR + costBreakdown.batterySAR + costBreakdown.inverterSAR;
+
+  // 4. Compare the hourly load with the hourly solar output on an average day
+  const annualProductionKWh = monthlyProduction.reduce((sum, month) => sum + month.productionKWh, 0);
+  const loadProfile = buildLoadProfile(appliances, {
+    dailyKWhOf: (app, index) => rows[index].dailyKWh,
+    dailyProductionKWh: annualProductionKWh / 365,
+    dailyLoadKWh: totalDailyKWh,
+    batteryEfficiency: chemistry.roundTripEfficiency,
+  });
+
+  // 5. Estimate Monthly Savings (SAR)
+  // Average of the tiered bill before and after solar over the twelve months
+  const averageMonthly = (field) => monthlyProduction.reduce((sum, month) => sum + month[field], 0) / 12;
+  const estimatedMonthlyBillBeforeSAR = averageMonthly('billBeforeSAR');
+  const estimatedMonthlyBillAfterSAR = averageMonthly('billAfterSAR');
+  const estimatedMonthlySavingsSAR = averageMonthly('savingsSAR');
+
+  return {
+    ...emptyResult,
+    totalDailyKWh,
+    applianceDailyKWh,
+    estimatedSystemSizeKW,
+    estimatedSystemCostSAR,
+    estimatedMonthlySavingsSAR,
+    estimatedMonthlyBillBeforeSAR,
+    estimatedMonthlyBillAfterSAR,
+    breakdown,
+    monthlyProduction,
+    sizingMonths,
+    peakMonthDailyKWh,
+    annualConsumptionKWh,
+    annualProductionKWh,
+    connectedLoadKW,
+    peakLoadKW,
+    surgeLoadKW,
+    inverterKW,
+    supply,
+    battery,
+    loadProfile,
+    costBreakdown,
+    error: '',
+  };
+};
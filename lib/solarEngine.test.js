@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateApplianceDailyKWh,
+  calculateSolarEstimate,
+  getApplianceErrors,
+  INVALID_APPLIANCE_MESSAGE,
+  isValidAppliance,
+} from './solarEngine';
+
+const appliance = (fields = {}) => ({ id: 1, name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1, ...fields });
+
+describe('getApplianceErrors', () => {
+  it('accepts a complete row', () => {
+    expect(getApplianceErrors(appliance())).toEqual({});
+  });
+
+  it('accepts zero hours a day', () => {
+    expect(getApplianceErrors(appliance({ hoursPerDay: 0 }))).toEqual({});
+  });
+
+  it('accepts fractional quantities and hours', () => {
+    expect(getApplianceErrors(appliance({ quantity: 0.5, hoursPerDay: 1.5 }))).toEqual({});
+  });
+
+  it('flags each invalid field with its own code', () => {
+    expect(getApplianceErrors({ name: ' ', wattage: 0, hoursPerDay: 25, quantity: -1, dutyCyclePercent: 120 })).toEqual({
+      name: 'applianceNameRequired',
+      wattage: 'wattageInvalid',
+      hoursPerDay: 'hoursPerDayInvalid',
+      quantity: 'quantityInvalid',
+      dutyCyclePercent: 'dutyCycleInvalid',
+    });
+  });
+
+  it('treats empty strings as missing rather than zero', () => {
+    expect(getApplianceErrors(appliance({ wattage: '', hoursPerDay: '' }))).toEqual({
+      wattage: 'wattageInvalid',
+      hoursPerDay: 'hoursPerDayInvalid',
+    });
+  });
+
+  it('rejects a zero quantity', () => {
+    expect(isValidAppliance(appliance({ quantity: 0 }))).toBe(false);
+  });
+});
+
+describe('calculateApplianceDailyKWh', () => {
+  it('multiplies wattage, hours and quantity', () => {
+    expect(calculateApplianceDailyKWh(appliance({ wattage: 100, hoursPerDay: 5, quantity: 2 }))).toBeCloseTo(1);
+  });
+
+  it('scales with fractional quantities', () => {
+    expect(calculateApplianceDailyKWh(appliance({ wattage: 1000, hoursPerDay: 2, quantity: 0.5 }))).toBeCloseTo(1);
+  });
+
+  it('applies the duty cycle', () => {
+    expect(calculateApplianceDailyKWh(appliance({ wattage: 100, hoursPerDay: 10, dutyCyclePercent: 40 }))).toBeCloseTo(0.4);
+  });
+});
+
+describe('calculateSolarEstimate', () => {
+  it('sizes, prices and saves with the default assumptions', () => {
+    // 1 kWh a day: 365 kWh a year over 5 sun hours * 0.8 efficiency * 365 days
+    const estimate = calculateSolarEstimate([appliance({ wattage: 100, hoursPerDay: 10 })]);
+    expect(estimate.error).toBe('');
+    expect(estimate.totalDailyKWh).toBeCloseTo(1);
+    expect(estimate.estimatedSystemSizeKW).toBeCloseTo(0.25);
+    expect(estimate.estimatedSystemCostSAR).toBeCloseTo(0.25 * 11.25 * 1000);
+    expect(estimate.estimatedMonthlySavingsSAR).toBeGreaterThan(0);
+    expect(estimate.breakdown).toHaveLength(1);
+    expect(estimate.breakdown[0].share).toBe(1);
+  });
+
+  it('sizes nothing, without an error, when every appliance is off', () => {
+    const estimate = calculateSolarEstimate([appliance({ hoursPerDay: 0 })]);
+    expect(estimate.error).toBe('');
+    expect(estimate.totalDailyKWh).toBe(0);
+    expect(estimate.estimatedSystemSizeKW).toBe(0);
+    expect(estimate.estimatedSystemCostSAR).toBe(0);
+    expect(estimate.breakdown[0].share).toBe(0);
+  });
+
+  it('counts fractional quantities proportionally', () => {
+    const whole = calculateSolarEstimate([appliance({ quantity: 1 })]);
+    const half = calculateSolarEstimate([appliance({ quantity: 0.5 })]);
+    expect(half.totalDailyKWh).toBeCloseTo(whole.totalDailyKWh / 2);
+    expect(half.estimatedSystemSizeKW).toBeCloseTo(whole.estimatedSystemSizeKW / 2);
+  });
+
+  it('splits the breakdown by each appliance share', () => {
+    const estimate = calculateSolarEstimate([
+      appliance({ id: 1, wattage: 100, hoursPerDay: 3 }),
+      appliance({ id: 2, name: 'Lights', wattage: 100, hoursPerDay: 1 }),
+    ]);
+    expect(estimate.breakdown[0].share).toBeCloseTo(0.75);
+    expect(estimate.breakdown[1].share).toBeCloseTo(0.25);
+  });
+
+  it('uses the assumptions it is given', () => {
+    const estimate = calculateSolarEstimate([appliance({ wattage: 100, hoursPerDay: 10 })], {
+      peakSunHoursPerDay: 4,
+      systemEfficiencyFactor: 1,
+      costPerWattSAR: 10,
+    });
+    expect(estimate.estimatedSystemSizeKW).toBeCloseTo(0.25);
+    expect(estimate.estimatedSystemCostSAR).toBeCloseTo(2500);
+    expect(estimate.assumptions.peakSunHoursPerDay).toBe(4);
+  });
+
+  it('reports invalid rows instead of estimating', () => {
+    const estimate = calculateSolarEstimate([appliance(), appliance({ id: 2, wattage: '' })]);
+    expect(estimate.error).toBe(INVALID_APPLIANCE_MESSAGE);
+    expect(estimate.estimatedSystemSizeKW).toBe(0);
+  });
+});
@@ -0,0 +1,142 @@
+import { findCatalogueAppliance } from './applianceCatalogue';
+
+// Sizing of the equipment around the PV array: battery banks for hybrid and off-grid
+// systems, and the inverter needed to carry the peak simultaneous load on the site's supply.
+
+export const SYSTEM_TYPES = [
+  { id: 'grid-tied', name: 'Grid-Tied', defaultDaysOfAutonomy: 0 },
+  { id: 'hybrid', name: 'Hybrid (grid + battery backup)', defaultDaysOfAutonomy: 0.5 },
+  { id: 'off-grid', name: 'Off-Grid', defaultDaysOfAutonomy: 2 },
+];
+
+export const DEFAULT_SYSTEM_TYPE_ID = 'grid-tied';
+
+// Usable depth of discharge, round-trip efficiency and installed cost per nominal kWh
+export const BATTERY_CHEMISTRIES = [
+  { id: 'lithium-ion', name: 'Lithium Iron Phosphate (LiFePO4)', depthOfDischarge: 0.9, roundTripEfficiency: 0.95, costPerKWhSAR: 1500 },
+  { id: 'lead-acid-agm', name: 'Lead-Acid (AGM)', depthOfDischarge: 0.5, roundTripEfficiency: 0.85, costPerKWhSAR: 750 },
+  { id: 'lead-acid-flooded', name: 'Lead-Acid (Flooded)', depthOfDischarge: 0.5, roundTripEfficiency: 0.8, costPerKWhSAR: 550 },
+];
+
+export const DEFAULT_BATTERY_CHEMISTRY_ID = 'lithium-ion';
+
+// Low-voltage supplies: single-phase, or three-phase for larger villas, shops and farms
+export const SUPPLY_PHASES = [
+  { id: 'single-phase', name: 'Single-phase (230 V)', phases: 1 },
+  { id: 'three-phase', name: 'Three-phase (400 V)', phases: 3 },
+];
+
+export const DEFAULT_SUPPLY_PHASE_ID = 'single-phase';
+
+// Voltage between each phase and neutral
+export const PHASE_VOLTAGE_V = 230;
+
+/**
+ * Looks up a system type by id.
+ * @param {string} systemTypeId - A system type id such as 'hybrid'.
+ * @returns {object|null} The system type, or null when it does not exist.
+ */
+export const findSystemType = (systemTypeId) =>
+  SYSTEM_TYPES.find((type) => type.id === systemTypeId) || null;
+
+/**
+ * Looks up a battery chemistry by id.
+ * @param {string} chemistryId - A chemistry id such as 'lithium-ion'.
+ * @returns {object|null} The chemistry, or null when it does not exist.
+ */
+export const findBatteryChemistry = (chemistryId) =>
+  BATTERY_CHEMISTRIES.find((chemistry) => chemistry.id === chemistryId) || null;
+
+/**
+ * Looks up a supply by id.
+ * @param {string} supplyPhaseId - A supply id such as 'three-phase'.
+ * @returns {object|null} The supply, or null when it does not exist.
+ */
+export const findSupplyPhase = (supplyPhaseId) =>
+  SUPPLY_PHASES.find((supply) => supply.id === supplyPhaseId) || null;
+
+/**
+ * Calculates the current each phase carries for a load spread evenly over the phases.
+ * @param {number} loadKW - The load.
+ * @param {number} phases - 1 or 3.
+ * @returns {number} Current per phase in amperes.
+ */
+export const calculatePhaseCurrentA = (loadKW, phases) => (loadKW * 1000) / (phases * PHASE_VOLTAGE_V);
+
+/**
+ * Sizes a battery bank able to supply the daily load for a number of days without sun or grid.
+ * @param {object} options
+ * @param {number} options.dailyKWh - Daily energy the batteries must supply.
+ * @param {number} options.daysOfAutonomy - Days the bank must cover on its own.
+ * @param {string} [options.chemistryId] - Battery chemistry id.
+ * @param {number} [options.depthOfDischarge] - Overrides the chemistry's usable fraction (0-1).
+ * @returns {object} Usable and nominal capacity in kWh and the installed cost.
+ */
+export const sizeBatteryBank = ({ dailyKWh, daysOfAutonomy, chemistryId, depthOfDischarge }) => {
+  const chemistry = findBatteryChemistry(chemistryId) || findBatteryChemistry(DEFAULT_BATTERY_CHEMISTRY_ID);
+  const dod = depthOfDischarge > 0 && depthOfDischarge <= 1 ? depthOfDischarge : chemistry.depthOfDischarge;
+  const days = Math.max(0, Number(daysOfAutonomy) || 0);
+
+  // Energy leaving the bank must cover the load plus the losses of a charge/discharge cycle
+  const usableKWh = (dailyKWh * days) / chemistry.roundTripEfficiency;
+  const nominalKWh = usableKWh / dod;
+
+  return {
+    chemistryId: chemistry.id,
+    daysOfAutonomy: days,
+    depthOfDischarge: dod,
+    roundTripEfficiency: chemistry.roundTripEfficiency,
+    usableKWh,
+    nominalKWh,
+    costSAR: nominalKWh * chemistry.costPerKWhSAR,
+  };
+};
+
+/**
+ * Calculates the peak simultaneous load. Without a diversity factor every appliance is
+ * assumed to run at the same time, which is the connected load.
+ * @param {Array} appliances - Valid appliance rows with wattage and quantity.
+ * @param {number} [diversityFactor] - Share of the connected load running at once (0-1).
+ * @returns {number} Peak simultaneous load in kW.
+ */
+export const calculatePeakLoadKW = (appliances, diversityFactor = 1) =>
+  (appliances.reduce((sum, app) => sum + Number(app.wattage) * Number(app.quantity), 0) / 1000) * diversityFactor;
+
+/**
+ * Calculates the momentary load when the hungriest motor starts while everything else is running.
+ * Rows picked from the appliance catalogue use its surge-to-running ratio; other rows are assumed
+ * to draw no more when starting than when running.
+ * @param {Array} appliances - Valid appliance rows with wattage, quantity and optional catalogueId.
+ * @param {number} [diversityFactor] - Share of the connected load running at once (0-1).
+ * @returns {number} Starting surge load in kW.
+ */
+export const calculateSurgeLoadKW = (appliances, diversityFactor = 1) => {
+  const extraStartingWatts = appliances.map((app) => {
+    const entry = findCatalogueAppliance(app.catalogueId);
+    return entry ? Number(app.wattage) * (entry.surgeWatts / entry.wattage - 1) : 0;
+  });
+  return calculatePeakLoadKW(appliances, diversityFactor) + Math.max(0, ...extraStartingWatts) / 1000;
+};
+
+/**
+ * Sizes the inverter. Battery-based systems must carry the whole peak load on their own,
+ * and ride through motor starts within their short-term surge rating,
+ * while a grid-tied inverter only has to pass the array's output to the grid.
+ * On a three-phase supply a motor starts on one phase, which only has a third of the surge rating.
+ * @param {object} options
+ * @param {number} options.peakLoadKW - Peak simultaneous load.
+ * @param {number} [options.surgeLoadKW] - Momentary load when a motor starts.
+ * @param {number} options.arrayKW - PV array size.
+ * @param {string} options.systemTypeId - The system type id.
+ * @param {number} options.safetyMargin - Headroom multiplier applied to the peak load.
+ * @param {number} [options.surgeFactor] - How many times its rating the inverter can supply for a few seconds.
+ * @param {number} [options.phases] - 1 or 3; the running load is assumed to be balanced over the phases.
+ * @returns {number} The inverter rating in kW.
+ */
+export const sizeInverterKW = ({ peakLoadKW, surgeLoadKW = 0, arrayKW, systemTypeId, safetyMargin, surgeFactor = 2, phases = 1 }) => {
+  if (systemTypeId === DEFAULT_SYSTEM_TYPE_ID) {
+    return arrayKW;
+  }
+  const startingKW = Math.max(0, surgeLoadKW - peakLoadKW);
+  return Math.max(peakLoadKW * safetyMargin, (peakLoadKW + startingKW * phases) / surgeFactor, arrayKW);
+};
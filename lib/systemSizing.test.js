@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BATTERY_CHEMISTRIES,
+  calculatePeakLoadKW,
+  calculatePhaseCurrentA,
+  calculateSurgeLoadKW,
+  findBatteryChemistry,
+  findSupplyPhase,
+  findSystemType,
+  sizeBatteryBank,
+  sizeInverterKW,
+} from './systemSizing';
+
+const airConditioner = { name: 'Split AC', wattage: 1100, quantity: 1, catalogueId: 'split-ac-1-ton' };
+const refrigerator = { name: 'Refrigerator', wattage: 150, quantity: 1 };
+
+describe('lookups', () => {
+  it('finds system types, chemistries and supplies by id', () => {
+    expect(findSystemType('off-grid').defaultDaysOfAutonomy).toBe(2);
+    expect(findBatteryChemistry('lead-acid-agm').depthOfDischarge).toBe(0.5);
+    expect(findSupplyPhase('three-phase').phases).toBe(3);
+  });
+
+  it('returns null for unknown ids', () => {
+    expect(findSystemType('wind')).toBeNull();
+    expect(findBatteryChemistry(undefined)).toBeNull();
+    expect(findSupplyPhase('two-phase')).toBeNull();
+  });
+});
+
+describe('sizeBatteryBank', () => {
+  it('covers the load and the cycle losses, within the usable depth of discharge', () => {
+    const bank = sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 1, chemistryId: 'lithium-ion' });
+    expect(bank.usableKWh).toBeCloseTo(10 / 0.95, 9);
+    expect(bank.nominalKWh).toBeCloseTo(10 / 0.95 / 0.9, 9);
+    expect(bank.costSAR).toBeCloseTo((10 / 0.95 / 0.9) * 1500, 6);
+    expect(bank).toMatchObject({ chemistryId: 'lithium-ion', daysOfAutonomy: 1, depthOfDischarge: 0.9, roundTripEfficiency: 0.95 });
+  });
+
+  it('needs a larger lead-acid bank for the same load', () => {
+    const lithium = sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 2, chemistryId: 'lithium-ion' });
+    const leadAcid = sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 2, chemistryId: 'lead-acid-flooded' });
+    expect(leadAcid.nominalKWh).toBeGreaterThan(lithium.nominalKWh * 1.8);
+  });
+
+  it('uses a depth of discharge between 0 and 1 in place of the chemistry\'s', () => {
+    expect(sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 1, depthOfDischarge: 0.8 }).depthOfDischarge).toBe(0.8);
+    expect(sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 1, depthOfDischarge: 1.5 }).depthOfDischarge).toBe(0.9);
+    expect(sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 1, depthOfDischarge: 0 }).depthOfDischarge).toBe(0.9);
+  });
+
+  it('falls back to the default chemistry and to no autonomy', () => {
+    const bank = sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: 'abc', chemistryId: 'sodium' });
+    expect(bank).toMatchObject({ chemistryId: 'lithium-ion', daysOfAutonomy: 0, usableKWh: 0, nominalKWh: 0, costSAR: 0 });
+    expect(sizeBatteryBank({ dailyKWh: 10, daysOfAutonomy: -2 }).daysOfAutonomy).toBe(0);
+  });
+
+  it('prices every chemistry', () => {
+    for (const chemistry of BATTERY_CHEMISTRIES) {
+      expect(sizeBatteryBank({ dailyKWh: 5, daysOfAutonomy: 1, chemistryId: chemistry.id }).costSAR).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('calculatePeakLoadKW', () => {
+  it('adds up the connected load, scaled by the diversity factor', () => {
+    const appliances = [{ wattage: 1000, quantity: 2 }, { wattage: '500', quantity: '1' }];
+    expect(calculatePeakLoadKW(appliances)).toBe(2.5);
+    expect(calculatePeakLoadKW(appliances, 0.6)).toBeCloseTo(1.5, 9);
+    expect(calculatePeakLoadKW([])).toBe(0);
+  });
+});
+
+describe('calculateSurgeLoadKW', () => {
+  it('adds the starting draw of the hungriest catalogue motor', () => {
+    expect(calculateSurgeLoadKW([airConditioner, refrigerator])).toBeCloseTo(1.25 + 2.2, 9);
+    const largerAc = { ...airConditioner, wattage: 2200, catalogueId: 'split-ac-2-ton' };
+    expect(calculateSurgeLoadKW([airConditioner, largerAc])).toBeCloseTo(3.3 + 4.4, 9);
+  });
+
+  it('equals the peak load without catalogue motors', () => {
+    expect(calculateSurgeLoadKW([refrigerator], 0.5)).toBeCloseTo(0.075, 9);
+  });
+});
+
+describe('calculatePhaseCurrentA', () => {
+  it('divides the load over the phases at 230 V', () => {
+    expect(calculatePhaseCurrentA(6.9, 1)).toBeCloseTo(30, 9);
+    expect(calculatePhaseCurrentA(6.9, 3)).toBeCloseTo(10, 9);
+  });
+});
+
+describe('sizeInverterKW', () => {
+  const options = { peakLoadKW: 3, arrayKW: 2, systemTypeId: 'hybrid', safetyMargin: 1.25 };
+
+  it('matches a grid-tied inverter to the array', () => {
+    expect(sizeInverterKW({ ...options, systemTypeId: 'grid-tied', surgeLoadKW: 20 })).toBe(2);
+  });
+
+  it('carries the peak load with a margin on battery-based systems', () => {
+    expect(sizeInverterKW(options)).toBe(3.75);
+    expect(sizeInverterKW({ ...options, arrayKW: 5 })).toBe(5);
+  });
+
+  it('rides through motor starts within the surge rating', () => {
+    const surge = { ...options, peakLoadKW: 1.25, surgeLoadKW: 3.45, arrayKW: 0 };
+    expect(sizeInverterKW(surge)).toBeCloseTo(3.45 / 2, 9);
+    expect(sizeInverterKW({ ...surge, surgeFactor: 3 })).toBeCloseTo(1.25 * 1.25, 9);
+  });
+
+  it('allows for motors starting on one phase of a three-phase inverter', () => {
+    expect(sizeInverterKW({ ...options, peakLoadKW: 1.25, surgeLoadKW: 3.45, arrayKW: 0, phases: 3 })).toBeCloseTo((1.25 + 2.2 * 3) / 2, 9);
+  });
+});
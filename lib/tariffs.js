@@ -0,0 +1,135 @@
+// Saudi Electricity Company (SEC) consumption tariffs by customer category.
+// Each tier charges its rate for the kWh falling between `from` and `upTo` in a billing month;
+// the last tier of a category has no upper limit. Rates are in SAR/kWh before VAT.
+
+export const VAT_RATE = 0.15;
+
+export const TARIFF_CATEGORIES = [
+  {
+    id: 'residential',
+    name: 'Residential',
+    tiers: [
+      { upTo: 6000, rate: 0.18 },
+      { upTo: Infinity, rate: 0.30 },
+    ],
+  },
+  {
+    id: 'commercial',
+    name: 'Commercial',
+    tiers: [
+      { upTo: 4000, rate: 0.20 },
+      { upTo: Infinity, rate: 0.30 },
+    ],
+  },
+  {
+    id: 'agricultural',
+    name: 'Agricultural',
+    tiers: [
+      { upTo: 4000, rate: 0.16 },
+      { upTo: Infinity, rate: 0.20 },
+    ],
+  },
+  {
+    id: 'governmental',
+    name: 'Governmental',
+    tiers: [
+      { upTo: Infinity, rate: 0.32 },
+    ],
+  },
+  {
+    id: 'industrial',
+    name: 'Industrial',
+    tiers: [
+      { upTo: Infinity, rate: 0.18 },
+    ],
+  },
+];
+
+export const DEFAULT_TARIFF_CATEGORY_ID = 'residential';
+
+/**
+ * Looks up a tariff category by id.
+ * @param {string} categoryId - A category id such as 'residential'.
+ * @returns {object|null} The category, or null when it does not exist.
+ */
+export const findTariffCategory = (categoryId) =>
+  TARIFF_CATEGORIES.find((category) => category.id === categoryId) || null;
+
+/**
+ * Resolves the tariff to bill with: a category object with its own tiers (e.g. rates edited
+ * by staff in the admin area) is used as given, an id is looked up in TARIFF_CATEGORIES.
+ * @param {string|object} [category] - A category id or a { id, tiers } object.
+ * @returns {object} The category; residential when the id does not exist.
+ */
+const resolveTariffCategory = (category) => {
+  if (category && typeof category === 'object' && Array.isArray(category.tiers)) return category;
+  return findTariffCategory(category) || findTariffCategory(DEFAULT_TARIFF_CATEGORY_ID);
+};
+
+/**
+ * Calculates a monthly electricity bill, splitting the consumption across the category's tiers.
+ * @param {number} consumptionKWh - Energy bought from the grid in the month.
+ * @param {string|object} [categoryId] - The tariff category id, or a category object; defaults to residential.
+ * @returns {object} The energy charge, VAT, total and the kWh billed in each tier.
+ */
+export const calculateMonthlyBill = (consumptionKWh, categoryId = DEFAULT_TARIFF_CATEGORY_ID) => {
+  const category = resolveTariffCategory(categoryId);
+  let remainingKWh = Math.max(0, consumptionKWh);
+  let from = 0;
+
+  const tiers = category.tiers.map(({ upTo, rate }) => {
+    const kWh = Math.min(remainingKWh, upTo - from);
+    remainingKWh -= kWh;
+    const tier = { from, upTo, rate, kWh, chargeSAR: kWh * rate };
+    from = upTo;
+    return tier;
+  });
+
+  const energyChargeSAR = tiers.reduce((sum, tier) => sum + tier.chargeSAR, 0);
+  const vatSAR = energyChargeSAR * VAT_RATE;
+  return {
+    categoryId: category.id,
+    consumptionKWh: Math.max(0, consumptionKWh),
+    tiers,
+    energyChargeSAR,
+    vatSAR,
+    totalSAR: energyChargeSAR + vatSAR,
+  };
+};
+
+/**
+ * Calculates the bill before and after solar for one month. Solar output is removed from the
+ * top of the consumption, so savings are priced at the marginal tiers it actually displaces.
+ * @param {number} consumptionKWh - Monthly consumption without solar.
+ * @param {number} offsetKWh - Grid purchases displaced by solar in the month.
+ * @param {string|object} [categoryId] - The tariff category id, or a category object.
+ * @returns {object} billBeforeSAR, billAfterSAR and savingsSAR.
+ */
+export const calculateSolarBillSavings = (consumptionKWh, offsetKWh, categoryId) => {
+  const billBeforeSAR = calculateMonthlyBill(consumptionKWh, categoryId).totalSAR;
+  const billAfterSAR = calculateMonthlyBill(consumptionKWh - offsetKWh, categoryId).totalSAR;
+  return { billBeforeSAR, billAfterSAR, savingsSAR: billBeforeSAR - billAfterSAR };
+};
+
+/**
+ * Estimates the consumption behind a monthly bill amount by walking the tiers in reverse.
+ * Fixed meter fees are not modelled, so the estimate is slightly high for very small bills.
+ * @param {number} totalSAR - The bill total including VAT.
+ * @param {string|object} [categoryId] - The tariff category id, or a category object; defaults to residential.
+ * @returns {number} The estimated consumption in kWh.
+ */
+export const estimateConsumptionFromBill = (totalSAR, categoryId = DEFAULT_TARIFF_CATEGORY_ID) => {
+  const category = resolveTariffCategory(categoryId);
+  let remainingSAR = Math.max(0, totalSAR) / (1 + VAT_RATE);
+  let from = 0;
+  let consumptionKWh = 0;
+
+  for (const { upTo, rate } of category.tiers) {
+    const tierKWh = Math.min(remainingSAR / rate, upTo - from);
+    consumptionKWh += tierKWh;
+    remainingSAR -= tierKWh * rate;
+    from = upTo;
+    if (remainingSAR <= 0) break;
+  }
+  return consumptionKWh;
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateMonthlyBill,
+  calculateSolarBillSavings,
+  estimateConsumptionFromBill,
+  findTariffCategory,
+  VAT_RATE,
+} from './tariffs';
+
+describe('calculateMonthlyBill', () => {
+  it('charges the first residential tier below 6,000 kWh', () => {
+    const bill = calculateMonthlyBill(1000);
+    expect(bill.categoryId).toBe('residential');
+    expect(bill.energyChargeSAR).toBeCloseTo(180);
+    expect(bill.vatSAR).toBeCloseTo(180 * VAT_RATE);
+    expect(bill.totalSAR).toBeCloseTo(207);
+  });
+
+  it('splits consumption across the tiers', () => {
+    const bill = calculateMonthlyBill(8000, 'residential');
+    expect(bill.tiers.map((tier) => tier.kWh)).toEqual([6000, 2000]);
+    expect(bill.energyChargeSAR).toBeCloseTo(6000 * 0.18 + 2000 * 0.3);
+  });
+
+  it('uses the tiers of the given category', () => {
+    expect(calculateMonthlyBill(5000, 'commercial').energyChargeSAR).toBeCloseTo(4000 * 0.2 + 1000 * 0.3);
+    expect(calculateMonthlyBill(1000, 'governmental').energyChargeSAR).toBeCloseTo(320);
+  });
+
+  it('bills with tiers passed as a category object, e.g. edited in the admin area', () => {
+    const edited = { id: 'residential', tiers: [{ upTo: 100, rate: 1 }, { upTo: Infinity, rate: 2 }] };
+    expect(calculateMonthlyBill(150, edited).energyChargeSAR).toBeCloseTo(200);
+  });
+
+  it('falls back to residential for an unknown category', () => {
+    expect(calculateMonthlyBill(1000, 'unknown').categoryId).toBe('residential');
+  });
+
+  it('bills nothing for zero or negative consumption', () => {
+    expect(calculateMonthlyBill(0).totalSAR).toBe(0);
+    expect(calculateMonthlyBill(-50)).toMatchObject({ consumptionKWh: 0, totalSAR: 0 });
+  });
+});
+
+describe('calculateSolarBillSavings', () => {
+  it('prices the offset at the top tier it displaces', () => {
+    const { savingsSAR } = calculateSolarBillSavings(7000, 1000, 'residential');
+    expect(savingsSAR).toBeCloseTo(1000 * 0.3 * (1 + VAT_RATE));
+  });
+
+  it('never saves more than the whole bill', () => {
+    const { billBeforeSAR, billAfterSAR, savingsSAR } = calculateSolarBillSavings(500, 800, 'residential');
+    expect(billAfterSAR).toBe(0);
+    expect(savingsSAR).toBeCloseTo(billBeforeSAR);
+  });
+});
+
+describe('estimateConsumptionFromBill', () => {
+  it.each([0, 1000, 6000, 9000])('recovers %d kWh from the bill it produces', (kWh) => {
+    expect(estimateConsumptionFromBill(calculateMonthlyBill(kWh, 'residential').totalSAR, 'residential')).toBeCloseTo(kWh);
+  });
+
+  it('walks the tiers of other categories', () => {
+    expect(estimateConsumptionFromBill(calculateMonthlyBill(5000, 'agricultural').totalSAR, 'agricultural')).toBeCloseTo(5000);
+  });
+});
+
+describe('findTariffCategory', () => {
+  it('returns null for an unknown id', () => {
+    expect(findTariffCategory('unknown')).toBeNull();
+  });
+});
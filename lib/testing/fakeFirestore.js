@@ -0,0 +1,68 @@
+// A small in-memory stand-in for the parts of 'firebase/firestore' the server stores use, so
+// their tests run without the emulator. Use it with
+// vi.mock('firebase/firestore', () => import('../testing/fakeFirestore')) and pass
+// createFakeFirestore() as the store's db.
+
+/**
+ * Creates an empty database.
+ * @returns {object} The database; documents maps each path to its data.
+ */
+export const createFakeFirestore = () => ({ documents: new Map() });
+
+const snapshotOf = (data, path) => ({ path, exists: () => data !== undefined, data: () => structuredClone(data) });
+
+const COMPARISONS = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+export const collection = (db, ...segments) => ({ db, path: segments.join('/') });
+
+export const doc = (ref, id) => ({ db: ref.db, path: `${ref.path}/${id}` });
+
+export const setDoc = async (ref, data) => {
+  ref.db.documents.set(ref.path, structuredClone(data));
+};
+
+export const getDoc = async (ref) => snapshotOf(ref.db.documents.get(ref.path), ref.path);
+
+export const deleteDoc = async (ref) => {
+  ref.db.documents.delete(ref.path);
+};
+
+export const where = (field, operator, value) => ({ type: 'where', field, operator, value });
+
+export const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+
+export const limit = (count) => ({ type: 'limit', count });
+
+export const startAfter = (snapshot) => ({ type: 'startAfter', path: snapshot.path });
+
+export const query = (ref, ...constraints) => ({ ...ref, constraints });
+
+export const getDocs = async ({ db, path, constraints = [] }) => {
+  // Constraints apply in the order given, so pass where and orderBy before startAfter and limit
+  let rows = [...db.documents.entries()]
+    .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'));
+  for (const constraint of constraints) {
+    if (constraint.type === 'where') {
+      rows = rows.filter(([, data]) => COMPARISONS[constraint.operator](data[constraint.field], constraint.value));
+    } else if (constraint.type === 'orderBy') {
+      const sign = constraint.direction === 'desc' ? -1 : 1;
+      rows = [...rows].sort(([, a], [, b]) => (a[constraint.field] > b[constraint.field] ? sign : -sign));
+    } else if (constraint.type === 'startAfter') {
+      rows = rows.slice(rows.findIndex(([key]) => key === constraint.path) + 1);
+    } else if (constraint.type === 'limit') {
+      rows = rows.slice(0, constraint.count);
+    }
+  }
+  return { docs: rows.map(([key, data]) => snapshotOf(data, key)) };
+};
+
+export const runTransaction = async (db, update) => update({
+  get: getDoc,
+  set: (ref, data) => ref.db.documents.set(ref.path, structuredClone(data)),
+});
@@ -1,6 +1,18 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  reactStrictMode: true
+  reactStrictMode: true,
+  async headers() {
+    return [
+      {
+        // Browsers must always check for a new service worker, or fixes never reach installed apps
+        source: '/sw.js',
+        headers: [
+          { key: 'Cache-Control', value: 'no-cache, no-store, must-revalidate' },
+          { key: 'Service-Worker-Allowed', value: '/' }
+        ]
+      }
+    ];
+  }
 };
 
-module.exports = nextConfig;
\ No newline at end of file
+module.exports = nextConfig;
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react'
+import Head from 'next/head'
+import { useRouter } from 'next/router'
+import AdminLeads from '@components/AdminLeads'
+import AdminAssumptions from '@components/AdminAssumptions'
+import AdminTemplates from '@components/AdminTemplates'
+
+// Staff dashboard: quote requests and the pricing assumptions. The API routes check the
+// session themselves; this page only sends signed-out visitors to the sign-in form.
+export default function AdminDashboard() {
+  const router = useRouter()
+  const [isSignedIn, setIsSignedIn] = useState(false)
+
+  const goToLogin = () => router.replace('/admin/login')
+
+  useEffect(() => {
+    fetch('/api/admin/session')
+      .then((response) => response.json())
+      .then(({ authenticated }) => (authenticated ? setIsSignedIn(true) : goToLogin()))
+      .catch(goToLogin)
+  }, [])
+
+  const handleSignOut = async () => {
+    await fetch('/api/admin/session', { method: 'DELETE' })
+    goToLogin()
+  }
+
+  if (!isSignedIn) return null
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 font-inter">
+      <Head>
+        <title>Admin - EverSolar</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-3xl font-bold text-gray-800">EverSolar admin</h1>
+          <button onClick={handleSignOut} className="text-gray-600 text-sm px-3 py-1 border border-gray-300 rounded-lg hover:bg-white">
+            Sign out
+          </button>
+        </div>
+        <AdminLeads onUnauthorized={goToLogin} />
+        <AdminAssumptions onUnauthorized={goToLogin} />
+        <AdminTemplates onUnauthorized={goToLogin} />
+      </div>
+    </div>
+  )
+}
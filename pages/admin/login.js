@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import Head from 'next/head'
+import { useRouter } from 'next/router'
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white'
+
+export default function AdminLogin() {
+  const router = useRouter()
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const response = await fetch('/api/admin/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+      })
+      if (!response.ok) {
+        const data = await response.json()
+        setError(data.error)
+        return
+      }
+      router.push('/admin')
+    } catch (loginError) {
+      console.error('Error signing in:', loginError)
+      setError('Could not sign in. Please try again.')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4 font-inter">
+      <Head>
+        <title>Admin sign-in - EverSolar</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow p-6 w-full max-w-sm space-y-4">
+        <h1 className="text-2xl font-bold text-gray-800">Admin sign-in</h1>
+        <div>
+          <label htmlFor="admin-password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
+          <input
+            id="admin-password"
+            type="password"
+            autoComplete="current-password"
+            className={inputClassName}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        {error && <p className="text-red-600 text-sm" role="alert">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-blue-500 text-white font-semibold py-2 rounded-lg hover:bg-blue-600 transition duration-200"
+        >
+          {isSubmitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
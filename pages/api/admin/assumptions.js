@@ -0,0 +1,43 @@
+import { requireAdmin } from '@lib/admin/auth';
+import { getAssumptionsStore } from '@lib/assumptions/store';
+import { validatePricingAssumptions } from '@lib/assumptions/pricing';
+
+/**
+ * Lists the published assumption versions (GET) and publishes a new version (POST).
+ * Published versions are never edited, so every stored quote can be traced to its figures.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+  const store = getAssumptionsStore();
+
+  if (req.method === 'GET') {
+    try {
+      return res.status(200).json({ versions: await store.list() });
+    } catch (error) {
+      console.error('Error listing assumptions:', error);
+      return res.status(500).json({ error: 'Could not load the assumption versions.' });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const { errors, value } = validatePricingAssumptions(req.body?.values);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  try {
+    const published = await store.publish({
+      values: value,
+      author: typeof req.body.author === 'string' ? req.body.author.trim().slice(0, 100) : '',
+      note: typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : '',
+    });
+    return res.status(201).json(published);
+  } catch (error) {
+    console.error('Error publishing assumptions:', error);
+    return res.status(500).json({ error: 'Could not publish the assumptions. Please try again.' });
+  }
+}
@@ -0,0 +1,45 @@
+import { requireAdmin } from '@lib/admin/auth';
+import { getQuoteStore } from '@lib/quotes/store';
+import { LEAD_STATUSES, changeLeadStatus } from '@lib/admin/leads';
+
+/**
+ * Returns one quote request (GET) or moves it along the new / contacted / won / lost workflow (PATCH).
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    res.setHeader('Allow', 'GET, PATCH');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const store = getQuoteStore();
+  let quote;
+  try {
+    quote = await store.get(String(req.query.reference));
+  } catch (error) {
+    console.error('Error loading quote request:', error);
+    return res.status(500).json({ error: 'Could not load the quote request.' });
+  }
+  if (!quote) {
+    return res.status(404).json({ error: 'Quote request not found.' });
+  }
+  if (req.method === 'GET') {
+    return res.status(200).json(quote);
+  }
+
+  const { status, note } = req.body || {};
+  if (!LEAD_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${LEAD_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const updated = await store.save(changeLeadStatus(quote, status, {
+      note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+    }));
+    return res.status(200).json(updated);
+  } catch (error) {
+    console.error('Error updating quote request status:', error);
+    return res.status(500).json({ error: 'Could not update the status. Please try again.' });
+  }
+}
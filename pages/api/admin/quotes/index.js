@@ -0,0 +1,46 @@
+import { requireAdmin } from '@lib/admin/auth';
+import { getQuoteStore } from '@lib/quotes/store';
+import { findLeads, leadsToCsv } from '@lib/admin/leads';
+
+// Quote requests per page in the admin area, by default and at most
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Most quote requests in one CSV export; narrow the dates to export more
+const MAX_EXPORT_ROWS = 5000;
+
+/**
+ * Lists detailed quote requests for staff, newest first, filtered by the query string
+ * (cityId, minKW, maxKW, from, to, status) one page at a time: limit sets the page size and
+ * cursor continues from the nextCursor of the previous page. With format=csv the matching
+ * requests are downloaded as CSV.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const { format, limit, cursor, ...filters } = req.query;
+  const isCsv = format === 'csv';
+  const pageSize = Math.min(Math.max(Math.floor(Number(limit)) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let page;
+  try {
+    page = await findLeads(getQuoteStore(), filters, isCsv
+      ? { limit: MAX_EXPORT_ROWS }
+      : { limit: pageSize, cursor: typeof cursor === 'string' && cursor ? cursor : null });
+  } catch (error) {
+    console.error('Error listing quote requests:', error);
+    return res.status(500).json({ error: 'Could not load the quote requests.' });
+  }
+
+  if (isCsv) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="eversolar-leads-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // The byte order mark lets Excel open Arabic names correctly
+    return res.status(200).send(`﻿${leadsToCsv(page.quotes)}`);
+  }
+  return res.status(200).json(page);
+}
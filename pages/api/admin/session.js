@@ -0,0 +1,38 @@
+import { checkAdminPassword, createAdminSession, adminSessionCookie, verifyAdminSession, ADMIN_SESSION_COOKIE } from '@lib/admin/auth';
+import { createRateLimiter, getClientIp } from '@lib/rateLimit';
+
+// Failed and successful sign-in attempts per IP address in each window, to slow down password guessing
+const loginLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 1000 });
+
+/**
+ * Admin sign-in: GET reports whether the browser has a valid session, POST checks the
+ * password and sets the session cookie, DELETE signs out.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ authenticated: verifyAdminSession(req.cookies?.[ADMIN_SESSION_COOKIE]) });
+  }
+
+  if (req.method === 'DELETE') {
+    res.setHeader('Set-Cookie', adminSessionCookie(''));
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const { allowed, retryAfterSeconds } = loginLimiter.check(`ip:${getClientIp(req)}`);
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many sign-in attempts. Please wait a minute.' });
+  }
+
+  if (!checkAdminPassword(req.body?.password)) {
+    return res.status(401).json({ error: 'Incorrect password.' });
+  }
+
+  res.setHeader('Set-Cookie', adminSessionCookie(createAdminSession()));
+  return res.status(204).end();
+}
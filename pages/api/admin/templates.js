@@ -0,0 +1,60 @@
+import { requireAdmin } from '@lib/admin/auth';
+import { getTemplateStore } from '@lib/notifications/templateStore';
+import { DEFAULT_TEMPLATES, TEMPLATE_PLACEHOLDERS, isKnownTemplate, validateTemplate } from '@lib/notifications/templates';
+
+/**
+ * Lists the notification email templates with any edited copies (GET), saves an edited
+ * template (PUT) and goes back to the default one (DELETE ?name=...&locale=...).
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+  const store = getTemplateStore();
+
+  if (req.method === 'GET') {
+    try {
+      const edited = await store.list();
+      const templates = Object.entries(DEFAULT_TEMPLATES).flatMap(([name, locales]) =>
+        Object.entries(locales).map(([locale, defaultText]) => {
+          const copy = edited.find((entry) => entry.name === name && entry.locale === locale);
+          return { name, locale, defaultText, text: copy ? copy.text : null, updatedAt: copy?.updatedAt || null, author: copy?.author || null };
+        }));
+      return res.status(200).json({ templates, placeholders: TEMPLATE_PLACEHOLDERS });
+    } catch (error) {
+      console.error('Error listing notification templates:', error);
+      return res.status(500).json({ error: 'Could not load the email templates.' });
+    }
+  }
+
+  if (req.method === 'PUT') {
+    const { errors, value } = validateTemplate(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ errors });
+    }
+    try {
+      const saved = await store.save({
+        ...value,
+        author: typeof req.body.author === 'string' ? req.body.author.trim().slice(0, 100) : '',
+      });
+      return res.status(200).json(saved);
+    } catch (error) {
+      console.error('Error saving a notification template:', error);
+      return res.status(500).json({ error: 'Could not save the template. Please try again.' });
+    }
+  }
+
+  if (req.method === 'DELETE') {
+    if (!isKnownTemplate(req.query.name, req.query.locale)) {
+      return res.status(400).json({ errors: { template: 'Choose one of the templates listed.' } });
+    }
+    try {
+      await store.remove(req.query.name, req.query.locale);
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error resetting a notification template:', error);
+      return res.status(500).json({ error: 'Could not reset the template. Please try again.' });
+    }
+  }
+
+  res.setHeader('Allow', 'GET, PUT, DELETE');
+  return res.status(405).json({ error: 'Method not allowed.' });
+}
@@ -0,0 +1,74 @@
+import { validateAppliances } from '@lib/quotes/validation';
+import { getAssistant } from '@lib/assistant/service';
+import { createRateLimiter, checkClientRateLimits } from '@lib/rateLimit';
+import { readClientToken } from '@lib/clientToken';
+import { LOCALES, DEFAULT_LOCALE, createI18n } from '@lib/i18n';
+import { suggestFromCatalogue } from '@lib/applianceCatalogue';
+
+// Requests per minute for each client (or IP address for requests without a client token), and for
+// each IP address overall, so fetching a new client token does not get round the limit
+const rateLimiters = {
+  userLimiter: createRateLimiter({ limit: Number(process.env.ASSISTANT_RATE_LIMIT) || 10, windowMs: 60 * 1000 }),
+  ipLimiter: createRateLimiter({ limit: Number(process.env.ASSISTANT_IP_RATE_LIMIT) || 30, windowMs: 60 * 1000 }),
+};
+
+const TASKS = {
+  // Suggestions fall back to the built-in appliance catalogue when the model is unavailable,
+  // including when no model is configured
+  suggestions: async (appliances, locale) => {
+    try {
+      return { ...(await getAssistant().suggestAppliances(appliances, locale)), source: 'assistant' };
+    } catch (error) {
+      console.error('Error generating assistant suggestions, using the catalogue:', error);
+      const { t } = createI18n(locale);
+      const suggestions = suggestFromCatalogue(appliances.map((app) => app.name), {
+        localize: (entry) => t(`applianceCatalogue.${entry.id}`),
+      });
+      return { suggestions, source: 'catalogue' };
+    }
+  },
+  tips: (appliances, locale) => getAssistant().getEnergySavingTips(appliances, locale),
+};
+
+/**
+ * Proxies appliance suggestions (/api/assistant/suggestions) and energy-saving tips
+ * (/api/assistant/tips) to the configured model, so the API key stays on the server.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const runTask = TASKS[req.query.task];
+  if (!runTask) {
+    return res.status(404).json({ error: 'Not found.' });
+  }
+
+  const body = req.body || {};
+  let client;
+  try {
+    client = readClientToken(body.clientToken);
+  } catch (error) {
+    console.error('Error reading the client token:', error);
+    return res.status(500).json({ error: 'assistantFailed' });
+  }
+  const { allowed, retryAfterSeconds } = checkClientRateLimits(rateLimiters, req, client ? client.clientId : null);
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: 'rateLimited', retryAfterSeconds });
+  }
+
+  const { error, appliances } = validateAppliances(body.appliances);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const locale = LOCALES[body.locale] ? body.locale : DEFAULT_LOCALE;
+
+  try {
+    return res.status(200).json(await runTask(appliances, locale));
+  } catch (taskError) {
+    console.error(`Error generating assistant ${req.query.task}:`, taskError);
+    return res.status(502).json({ error: 'assistantFailed' });
+  }
+}
@@ -0,0 +1,20 @@
+import { getAssumptionsStore } from '@lib/assumptions/store';
+
+/**
+ * Returns the current assumptions version, so the calculator estimates with the same
+ * pricing and tariffs the quotes API will use.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    const { version, values } = await getAssumptionsStore().getCurrent();
+    return res.status(200).json({ version, values });
+  } catch (error) {
+    console.error('Error loading assumptions:', error);
+    return res.status(500).json({ error: 'Could not load the current assumptions.' });
+  }
+}
@@ -0,0 +1,23 @@
+import { getOrCreateClientId, clientIdCookie, createClientToken, CLIENT_TOKEN_TTL_MS } from '@lib/clientToken';
+
+/**
+ * Issues the signed token the calculator sends with quote requests and assistant calls. The
+ * token records when the form was opened and which client id the rate limits count against.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    const { clientId, isNew } = getOrCreateClientId(req);
+    const token = createClientToken(clientId);
+    if (isNew) res.setHeader('Set-Cookie', clientIdCookie(clientId));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ token, ttlMs: CLIENT_TOKEN_TTL_MS });
+  } catch (error) {
+    console.error('Error issuing a client token:', error);
+    return res.status(500).json({ error: 'Could not prepare the form. Please reload the page.' });
+  }
+}
@@ -0,0 +1,211 @@
+import { validateQuoteRequest } from '@lib/quotes/validation';
+import { calculateSolarEstimate } from '@lib/solarEngine';
+import { findCity } from '@lib/saudiCities';
+import { findTariffCategory, DEFAULT_TARIFF_CATEGORY_ID } from '@lib/tariffs';
+import {
+  findSystemType,
+  findBatteryChemistry,
+  findSupplyPhase,
+  DEFAULT_SYSTEM_TYPE_ID,
+  DEFAULT_BATTERY_CHEMISTRY_ID,
+  DEFAULT_SUPPLY_PHASE_ID,
+} from '@lib/systemSizing';
+import { generateQuoteReference } from '@lib/quotes/reference';
+import { getQuoteStore } from '@lib/quotes/store';
+import { APPLIANCE_CATALOGUE_VERSION } from '@lib/applianceCatalogue';
+import { planRoofLayout, getRoofOrientationFactor } from '@lib/roofLayout';
+import { getAssumptionsStore } from '@lib/assumptions/store';
+import { toEngineAssumptions } from '@lib/assumptions/pricing';
+import { DEFAULT_LEAD_STATUS } from '@lib/admin/leads';
+import { isAdminRequest } from '@lib/admin/auth';
+import { findEquipmentPackage, comparePackages, summarisePackageEstimate } from '@lib/equipmentPackages';
+import { summariseZones } from '@lib/loadZones';
+import { getQuoteNotifier } from '@lib/notifications/service';
+import { detectSpam, findDuplicateLead, DUPLICATE_LEAD_WINDOW_MS } from '@lib/quotes/spam';
+import { createRateLimiter, checkClientRateLimits, getClientIp } from '@lib/rateLimit';
+import { readClientToken } from '@lib/clientToken';
+
+// Accepted requests per hour for each client (or IP address for requests without a client token), and for each IP address
+const QUOTE_RATE_LIMIT = Number(process.env.QUOTE_RATE_LIMIT) || 5;
+const QUOTE_IP_RATE_LIMIT = Number(process.env.QUOTE_IP_RATE_LIMIT) || QUOTE_RATE_LIMIT * 2;
+const rateLimiters = {
+  userLimiter: createRateLimiter({ limit: QUOTE_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+  ipLimiter: createRateLimiter({ limit: QUOTE_IP_RATE_LIMIT, windowMs: 60 * 60 * 1000 }),
+};
+// Every request per hour for each IP address, refused ones included, so spam and repeats cannot
+// keep the duplicate search busy
+const attemptLimiter = createRateLimiter({
+  limit: Number(process.env.QUOTE_ATTEMPT_RATE_LIMIT) || 30,
+  windowMs: 60 * 60 * 1000,
+});
+// Accepted requests per hour from signed-in staff on each IP address: field reps send a day's
+// visits at once when their tablet reconnects, so the limits for the public would hold them up
+const staffLimiter = createRateLimiter({
+  limit: Number(process.env.QUOTE_STAFF_RATE_LIMIT) || 100,
+  windowMs: 60 * 60 * 1000,
+});
+
+const SAVE_FAILED = 'Could not save your request. Please try again later.';
+
+/**
+ * Reserves a place for a request within the limits on accepted requests: staff's own limit for
+ * signed-in staff, the per-client and per-IP limits otherwise.
+ * @param {object} req - The API request.
+ * @param {boolean} isStaff - Whether the request comes from signed-in staff.
+ * @param {string|null} clientId - The client id from a verified client token, if any.
+ * @returns {{ allowed: boolean, retryAfterSeconds: number, release: Function }} As checkClientRateLimits.
+ */
+const reserveQuoteLimits = (req, isStaff, clientId) => {
+  if (!isStaff) return checkClientRateLimits(rateLimiters, req, clientId);
+  const key = `staff:${getClientIp(req)}`;
+  const { allowed, retryAfterSeconds } = staffLimiter.check(key);
+  let released = false;
+  return {
+    allowed,
+    retryAfterSeconds: allowed ? 0 : retryAfterSeconds,
+    release() {
+      if (released) return;
+      released = true;
+      staffLimiter.release(key);
+    },
+  };
+};
+
+/**
+ * Receives detailed quote requests, turns away automated, too frequent and repeated ones,
+ * re-validates them, recomputes the estimate
+ * and stores the request under a newly generated reference number. The customer, the sales
+ * team and the CRM webhook are then notified. Requests from signed-in staff have their own
+ * limit and may quote a customer again; the new lead then records the earlier one's reference.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  const isStaff = isAdminRequest(req);
+  const attempt = isStaff ? { allowed: true } : attemptLimiter.check(`ip:${getClientIp(req)}`);
+  if (!attempt.allowed) {
+    res.setHeader('Retry-After', String(attempt.retryAfterSeconds));
+    return res.status(429).json({ error: 'rateLimited', retryAfterSeconds: attempt.retryAfterSeconds });
+  }
+
+  // The form's client token shows when the calculator was opened, and whom to count the request against
+  const body = req.body || {};
+  let client;
+  try {
+    client = readClientToken(body.clientToken);
+  } catch (error) {
+    console.error('Error reading the client token:', error);
+    return res.status(500).json({ error: SAVE_FAILED });
+  }
+
+  // Spam, invalid and repeated requests are refused before the limits on accepted requests
+  const spamReason = detectSpam(body, { formAgeMs: client ? client.ageMs : null });
+  if (spamReason) {
+    return res.status(400).json({ error: 'blocked', reason: spamReason });
+  }
+
+  const { errors, value } = validateQuoteRequest(body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  // One lead per person: a second request soon after the first points the customer to it, unless
+  // staff are quoting them again, e.g. for another site or system
+  let duplicate;
+  try {
+    const since = new Date(Date.now() - DUPLICATE_LEAD_WINDOW_MS);
+    duplicate = findDuplicateLead(await getQuoteStore().findByContact(value, since), value);
+  } catch (error) {
+    console.error('Error checking for duplicate quote requests:', error);
+    return res.status(500).json({ error: SAVE_FAILED });
+  }
+  if (duplicate && !isStaff) {
+    return res.status(409).json({ error: 'duplicateLead', reference: duplicate.reference, createdAt: duplicate.createdAt });
+  }
+
+  // Reserve a place within the limits now, so concurrent requests cannot all pass before any is
+  // counted, and give it back if the request is refused or cannot be saved
+  const reservation = reserveQuoteLimits(req, isStaff, client ? client.clientId : null);
+  if (!reservation.allowed) {
+    reservation.release();
+    res.setHeader('Retry-After', String(reservation.retryAfterSeconds));
+    return res.status(429).json({ error: 'rateLimited', retryAfterSeconds: reservation.retryAfterSeconds });
+  }
+
+  // Never trust figures sent by the browser; recompute them from the validated appliances and bills.
+  // Fall back to matching the typed location when no city was picked in the calculator.
+  const city = findCity(value.cityId) || findCity(value.location);
+  const tariffCategory = findTariffCategory(value.tariffCategory)?.id || DEFAULT_TARIFF_CATEGORY_ID;
+  const systemOptions = {
+    systemType: findSystemType(value.systemType)?.id || DEFAULT_SYSTEM_TYPE_ID,
+    daysOfAutonomy: value.daysOfAutonomy,
+    batteryChemistry: findBatteryChemistry(value.batteryChemistry)?.id || DEFAULT_BATTERY_CHEMISTRY_ID,
+    depthOfDischarge: value.depthOfDischarge,
+    supplyPhase: findSupplyPhase(value.supplyPhase)?.id || DEFAULT_SUPPLY_PHASE_ID,
+    diversityFactor: value.diversityFactor,
+  };
+  // Estimate with the pricing staff last published, and record which version that was
+  let assumptions;
+  try {
+    assumptions = await getAssumptionsStore().getCurrent();
+  } catch (error) {
+    console.error('Error loading assumptions:', error);
+    reservation.release();
+    return res.status(500).json({ error: SAVE_FAILED });
+  }
+  const estimateAssumptions = {
+    ...toEngineAssumptions(assumptions.values),
+    solarProfile: city,
+    tariffCategory,
+    ...systemOptions,
+    monthlyConsumptionKWh: value.monthlyConsumptionKWh,
+    orientationFactor: getRoofOrientationFactor(value.roof),
+  };
+  const estimate = calculateSolarEstimate(value.appliances, estimateAssumptions);
+  // The chosen equipment package is priced again too, with the default financial assumptions
+  const equipmentPackage = findEquipmentPackage(value.packageId);
+  const [packageEstimate] = equipmentPackage && !estimate.error
+    ? comparePackages(value.appliances, estimateAssumptions, {}, [equipmentPackage])
+    : [];
+  // Panel positions are only needed for the preview, so the stored plan keeps the summary
+  const { panels, ...roofPlan } = planRoofLayout({ ...value.roof, requiredKW: estimate.estimatedSystemSizeKW }) || {};
+
+  const now = new Date();
+  const quote = {
+    reference: generateQuoteReference(now),
+    createdAt: now.toISOString(),
+    ...value,
+    cityId: city ? city.id : null,
+    tariffCategory,
+    ...systemOptions,
+    catalogueVersion: APPLIANCE_CATALOGUE_VERSION,
+    assumptionsVersion: assumptions.version,
+    status: DEFAULT_LEAD_STATUS,
+    duplicateOf: duplicate ? duplicate.reference : null,
+    estimate,
+    roofPlan: panels ? roofPlan : null,
+    equipmentPackage: packageEstimate ? summarisePackageEstimate(packageEstimate) : null,
+    zoneBreakdown: estimate.error ? [] : summariseZones(value.zones, value.appliances, estimate.breakdown),
+  };
+
+  try {
+    await getQuoteStore().save(quote);
+  } catch (error) {
+    console.error('Error saving quote request:', error);
+    reservation.release();
+    return res.status(500).json({ error: SAVE_FAILED });
+  }
+
+  // Deliver before answering: serverless platforms may freeze the function once the response is
+  // sent. Each delivery is given a few seconds, and a failed one is logged but never fails the request.
+  const notifications = await getQuoteNotifier().notifyQuoteCreated(quote);
+
+  return res.status(201).json({
+    reference: quote.reference,
+    estimate: quote.estimate,
+    confirmationSent: notifications.customer === 'sent',
+  });
+}
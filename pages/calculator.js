@@ -0,0 +1,1866 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { validateQuoteRequest } from '@lib/quotes/validation';
+import { createQuoteOutbox, flushQuoteOutbox, nextRetryAt, requeueQuoteRequest } from '@lib/quotes/outbox';
+import { HONEYPOT_FIELD, MIN_FORM_FILL_MS } from '@lib/quotes/spam';
+import { downloadQuotePdf } from '@lib/quotePdf';
+import { createFirestoreScenarioStore, createLocalScenarioStore } from '@lib/scenarios/store';
+import { calculateSolarEstimate, isValidAppliance, getApplianceErrors } from '@lib/solarEngine';
+import { SAUDI_CITIES, findCity } from '@lib/saudiCities';
+import { TARIFF_CATEGORIES, DEFAULT_TARIFF_CATEGORY_ID } from '@lib/tariffs';
+import { DEFAULT_SYSTEM_TYPE_ID, DEFAULT_BATTERY_CHEMISTRY_ID, DEFAULT_SUPPLY_PHASE_ID } from '@lib/systemSizing';
+import { projectCashFlows, DEFAULT_FINANCIAL_ASSUMPTIONS } from '@lib/financials';
+import { suggestFromCatalogue } from '@lib/applianceCatalogue';
+import { analyseBillHistory, reconcileWithAppliances } from '@lib/billHistory';
+import { DEFAULT_USAGE_PRESET_ID } from '@lib/loadProfile';
+import { DEFAULT_SEASONAL_PROFILE_ID } from '@lib/seasonalUsage';
+import { planRoofLayout, getRoofOrientationFactor, DEFAULT_ROOF_TYPE_ID, DEFAULT_ORIENTATION_ID, DEFAULT_PANEL_ID } from '@lib/roofLayout';
+import { toEngineAssumptions } from '@lib/assumptions/pricing';
+import { comparePackages } from '@lib/equipmentPackages';
+import { MAX_ZONES, assignApplianceZones, getApplianceZoneId, getZoneAppliances, summariseZones } from '@lib/loadZones';
+import {
+  parseApplianceField, isBlankAppliance, createEditHistory, recordEdit, undoEdit, redoEdit,
+  duplicateAppliances, moveAppliance, moveApplianceBy, setApplianceField,
+} from '@lib/applianceEditing';
+import { encodeShareToken, decodeShareToken, buildShareUrl, readShareToken, haveResultsChanged } from '@lib/shareLinks';
+import { useI18n } from '@lib/i18n/I18nContext';
+import Layout from '@components/Layout';
+import MonthlyProductionTable from '@components/MonthlyProductionTable';
+import ConsumptionCharts from '@components/ConsumptionCharts';
+import SystemTypeSettings from '@components/SystemTypeSettings';
+import SupplySettings from '@components/SupplySettings';
+import LoadProfileSummary from '@components/LoadProfileSummary';
+import FinancialProjection from '@components/FinancialProjection';
+import SavedScenarios from '@components/SavedScenarios';
+import ApplianceRow from '@components/ApplianceRow';
+import ApplianceToolbar from '@components/ApplianceToolbar';
+import BillHistoryInput from '@components/BillHistoryInput';
+import RoofLayoutPlanner from '@components/RoofLayoutPlanner';
+import LoadZoneHeader from '@components/LoadZoneHeader';
+import ZoneBreakdown from '@components/ZoneBreakdown';
+import ShareEstimate from '@components/ShareEstimate';
+import PackageComparison from '@components/PackageComparison';
+import QuoteOutbox from '@components/QuoteOutbox';
+import SharedEstimateNotice from '@components/SharedEstimateNotice';
+
+// Define global variables for Firebase configuration (provided by Canvas environment)
+// Ensure these are defined before initializing Firebase
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// Owner id for scenarios saved in the browser when there is no signed-in user
+const LOCAL_SCENARIO_OWNER_ID = 'local';
+
+// Roof settings before the customer enters any; empty dimensions skip the layout check
+const DEFAULT_ROOF = {
+  roofLengthM: '',
+  roofWidthM: '',
+  roofAreaM2: '',
+  roofTypeId: DEFAULT_ROOF_TYPE_ID,
+  orientationId: DEFAULT_ORIENTATION_ID,
+  tiltDeg: '',
+  panelId: DEFAULT_PANEL_ID,
+};
+
+// A new project starts with one unnamed building or zone
+const DEFAULT_ZONES = [{ id: 1, name: '' }];
+
+/**
+ * Converts a percentage typed in a form field to a rate, keeping the fallback for empty or invalid input.
+ * @param {string} percent - The percentage as typed, e.g. '6'.
+ * @param {number} fallback - The rate to use when the input is not a number.
+ * @returns {number} The rate, e.g. 0.06.
+ */
+const percentToRate = (percent, fallback) => {
+  const value = parseFloat(percent);
+  return Number.isFinite(value) ? value / 100 : fallback;
+};
+
+// Electricity Load Calculator and Solar Quotation
+const Calculator = () => {
+  // Interface language, chosen in the site header
+  const { locale, t, formatNumber, formatCurrency, formatPercent, formatDateTime } = useI18n();
+
+  // Firebase state
+  const [firebaseApp, setFirebaseApp] = useState(null);
+  const [auth, setAuth] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+
+  // State to manage the list of appliances
+  const [appliances, setAppliances] = useState([
+    { id: 1, name: 'Lights (LED)', wattage: 10, hoursPerDay: 6, quantity: 10, usagePreset: 'evening', customHours: '', dutyCyclePercent: '', seasonalProfile: 'year-round', catalogueId: 'led-bulb', zoneId: 1 },
+    { id: 2, name: 'TV', wattage: 100, hoursPerDay: 4, quantity: 1, usagePreset: 'evening', customHours: '', dutyCyclePercent: '', seasonalProfile: 'year-round', catalogueId: 'led-tv', zoneId: 1 },
+    { id: 3, name: 'Refrigerator', wattage: 150, hoursPerDay: 24, quantity: 1, usagePreset: 'all-day', customHours: '', dutyCyclePercent: 40, seasonalProfile: 'year-round', catalogueId: 'refrigerator', zoneId: 1 },
+    { id: 4, name: 'AC Unit (Large)', wattage: 3000, hoursPerDay: 8, quantity: 1, usagePreset: 'afternoon', customHours: '', dutyCyclePercent: 70, seasonalProfile: 'cooling', catalogueId: '', zoneId: 1 },
+  ]);
+
+  // Buildings or zones the appliances are grouped in, e.g. 'Main house' and 'Majlis'
+  const [zones, setZones] = useState(DEFAULT_ZONES);
+  const [suggestionZoneId, setSuggestionZoneId] = useState(DEFAULT_ZONES[0].id);
+
+  // Undo/redo history of appliance and zone edits, the rows selected for bulk changes
+  // and the row being dragged to a new position
+  const [editHistory, setEditHistory] = useState(createEditHistory);
+  const [selectedApplianceIds, setSelectedApplianceIds] = useState([]);
+  const [draggedApplianceId, setDraggedApplianceId] = useState(null);
+  // Rows removed since they were selected, e.g. by undo, drop out of the selection
+  const selectedIds = selectedApplianceIds.filter((id) => appliances.some((app) => app.id === id));
+
+  // Consumption can come from the appliance list or from twelve months of bills
+  const [inputMode, setInputMode] = useState('appliances'); // 'appliances' or 'bills'
+  const [billUnit, setBillUnit] = useState('kWh');
+  const [billValues, setBillValues] = useState(new Array(12).fill(''));
+
+  // State for calculated results
+  const [totalDailyKWh, setTotalDailyKWh] = useState(0);
+  const [applianceDailyKWh, setApplianceDailyKWh] = useState(0);
+  const [estimatedSystemSizeKW, setEstimatedSystemSizeKW] = useState(0);
+  const [estimatedSystemCostSAR, setEstimatedSystemCostSAR] = useState(0);
+  const [estimatedMonthlySavingsSAR, setEstimatedMonthlySavingsSAR] = useState(0);
+  const [estimatedMonthlyBillBeforeSAR, setEstimatedMonthlyBillBeforeSAR] = useState(0);
+  const [estimatedMonthlyBillAfterSAR, setEstimatedMonthlyBillAfterSAR] = useState(0);
+  const [monthlyProduction, setMonthlyProduction] = useState([]);
+  const [connectedLoadKW, setConnectedLoadKW] = useState(0);
+  const [peakLoadKW, setPeakLoadKW] = useState(0);
+  const [surgeLoadKW, setSurgeLoadKW] = useState(0);
+  const [inverterKW, setInverterKW] = useState(0);
+  const [batteryBank, setBatteryBank] = useState(null);
+  const [costBreakdown, setCostBreakdown] = useState(null);
+  const [loadProfile, setLoadProfile] = useState(null);
+  const [supplySummary, setSupplySummary] = useState(null);
+  const [zoneBreakdown, setZoneBreakdown] = useState([]);
+  const [applianceBreakdown, setApplianceBreakdown] = useState([]);
+  const [financialProjection, setFinancialProjection] = useState(null);
+  const [calculationError, setCalculationError] = useState('');
+
+  // Roof dimensions and panel choice, the resulting layout and, when the roof is too small,
+  // the estimate for the largest system that fits
+  const [roof, setRoof] = useState(DEFAULT_ROOF);
+  const [roofPlan, setRoofPlan] = useState(null);
+  const [roofLimitedEstimate, setRoofLimitedEstimate] = useState(null);
+
+  // Good / better / best equipment packages and the one the customer picked ('' for none)
+  const [packageComparison, setPackageComparison] = useState([]);
+  const [selectedPackageId, setSelectedPackageId] = useState('');
+
+  // Selected city for the solar resource profile ('' uses the national average)
+  const [selectedCityId, setSelectedCityId] = useState('');
+
+  // SEC customer category used to price the electricity bill
+  const [tariffCategory, setTariffCategory] = useState(DEFAULT_TARIFF_CATEGORY_ID);
+
+  // Pricing and tariffs published from the admin area; null keeps the built-in defaults
+  const [pricingAssumptions, setPricingAssumptions] = useState(null);
+  const [assumptionsVersion, setAssumptionsVersion] = useState(null);
+  const publishedTariff = pricingAssumptions?.tariffCategories.find((category) => category.id === tariffCategory);
+
+  // Bill amounts in SAR are turned back into kWh with the selected tariff
+  const billAnalysis = inputMode === 'bills'
+    ? analyseBillHistory(billValues, { unit: billUnit, tariffCategory: publishedTariff || tariffCategory })
+    : null;
+
+  // System type and battery options ('' uses the engine's defaults)
+  const [systemType, setSystemType] = useState(DEFAULT_SYSTEM_TYPE_ID);
+  const [daysOfAutonomy, setDaysOfAutonomy] = useState('');
+  const [batteryChemistry, setBatteryChemistry] = useState(DEFAULT_BATTERY_CHEMISTRY_ID);
+  const [depthOfDischargePercent, setDepthOfDischargePercent] = useState('');
+
+  // Electrical supply and the share of the connected load running at once ('' for 100%)
+  const [supplyPhase, setSupplyPhase] = useState(DEFAULT_SUPPLY_PHASE_ID);
+  const [diversityFactorPercent, setDiversityFactorPercent] = useState('');
+
+  // Financial projection inputs, as percentages typed by the user
+  const [discountRatePercent, setDiscountRatePercent] = useState(String(DEFAULT_FINANCIAL_ASSUMPTIONS.discountRate * 100));
+  const [tariffEscalationPercent, setTariffEscalationPercent] = useState(String(DEFAULT_FINANCIAL_ASSUMPTIONS.tariffEscalationRate * 100));
+  const [degradationPercent, setDegradationPercent] = useState(String(DEFAULT_FINANCIAL_ASSUMPTIONS.degradationRate * 100));
+
+  // State for quote request form
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [location, setLocation] = useState('');
+  const [honeypot, setHoneypot] = useState(''); // Hidden field only automated form fillers complete
+  const clientToken = useRef(null); // { token, receivedAt, ttlMs } issued by the server when the calculator was opened
+  const [formSubmissionMessage, setFormSubmissionMessage] = useState(null); // { key, params, isSuccess }
+  const [formFieldErrors, setFormFieldErrors] = useState({});
+  const [isSubmittingQuote, setIsSubmittingQuote] = useState(false);
+  const [lastSubmittedQuote, setLastSubmittedQuote] = useState(null);
+
+  // State for the downloadable PDF quotation
+  const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+  const [pdfError, setPdfError] = useState('');
+
+  // State for share links: the link created for this estimate, and the estimate a shared link was opened with
+  const [shareUrl, setShareUrl] = useState('');
+  const [shareMessage, setShareMessage] = useState(''); // i18n key
+  const [sharedEstimate, setSharedEstimate] = useState(null); // { results, assumptionsVersion } or { isInvalid: true }
+
+  // State for saved scenarios
+  const [scenarioStore, setScenarioStore] = useState(null);
+  const [scenarios, setScenarios] = useState([]);
+  const [scenarioError, setScenarioError] = useState('');
+
+  // State for LLM suggestions
+  const [suggestedAppliances, setSuggestedAppliances] = useState([]);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [suggestionError, setSuggestionError] = useState('');
+  const [suggestionSource, setSuggestionSource] = useState(''); // 'assistant', 'catalogue', 'offline' or 'rateLimited'
+
+  // State for energy saving tips
+  const [energySavingTips, setEnergySavingTips] = useState('');
+  const [isGeneratingTips, setIsGeneratingTips] = useState(false);
+  const [tipsError, setTipsError] = useState('');
+  const [assistantPause, setAssistantPause] = useState(null); // { seconds } while the assistant refuses more requests
+
+  // Connectivity, and detailed quote requests waiting on this device until it returns
+  const [isOnline, setIsOnline] = useState(true);
+  const [quoteOutbox, setQuoteOutbox] = useState(null);
+  const [queuedQuotes, setQueuedQuotes] = useState([]);
+  const isSendingQueuedQuotes = useRef(false);
+
+  // Follow the connection; the outbox keeps quote requests made offline in IndexedDB
+  useEffect(() => {
+    setQuoteOutbox(createQuoteOutbox(window.indexedDB || null));
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    updateOnline();
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Fetch the token that times the quote form and identifies this browser to the rate limits;
+  // requests sent within seconds of it are refused as automated
+  useEffect(() => {
+    fetchClientToken().catch((error) => console.error("Error fetching the client token:", error));
+  }, []);
+
+  // Re-enable the assistant buttons once its rate limit window has passed
+  useEffect(() => {
+    if (!assistantPause) return undefined;
+    const timer = setTimeout(() => setAssistantPause(null), assistantPause.seconds * 1000);
+    return () => clearTimeout(timer);
+  }, [assistantPause]);
+
+  // Send waiting quote requests on load and whenever the connection comes back
+  useEffect(() => {
+    if (!quoteOutbox) return;
+    if (isOnline) {
+      sendQueuedQuotes();
+    } else {
+      refreshQueuedQuotes();
+    }
+  }, [quoteOutbox, isOnline]);
+
+  // Send again once the server's wait has passed, e.g. after the rate limit on quote requests
+  useEffect(() => {
+    const retryAt = nextRetryAt(queuedQuotes);
+    if (!isOnline || !retryAt) return undefined;
+    const timer = setTimeout(sendQueuedQuotes, Math.max(0, Date.parse(retryAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [queuedQuotes, isOnline]);
+
+  // Initialize Firebase and handle authentication
+  useEffect(() => {
+    try {
+      const app = initializeApp(firebaseConfig);
+      const authInstance = getAuth(app);
+      setFirebaseApp(app);
+      setAuth(authInstance);
+
+      const signIn = async () => {
+        try {
+          if (initialAuthToken) {
+            await signInWithCustomToken(authInstance, initialAuthToken);
+          } else {
+            await signInAnonymously(authInstance);
+          }
+          setUserId(authInstance.currentUser?.uid || crypto.randomUUID());
+          setIsAuthReady(true);
+        } catch (error) {
+          console.error("Firebase authentication error:", error);
+          setIsAuthReady(true); // Still set ready even if auth fails, to allow app to load
+        }
+      };
+      signIn();
+    } catch (error) {
+      console.error("Firebase initialization error:", error);
+      setIsAuthReady(true); // Still set ready even if init fails
+    }
+  }, []);
+
+  // Choose where saved scenarios live once authentication has settled:
+  // Firestore for signed-in users, otherwise the browser's localStorage
+  useEffect(() => {
+    if (!isAuthReady) return;
+    if (firebaseApp && userId && firebaseConfig.projectId) {
+      const db = getFirestore(firebaseApp);
+      const emulatorHost = process.env.NEXT_PUBLIC_FIRESTORE_EMULATOR_HOST;
+      if (emulatorHost) {
+        const [host, port] = emulatorHost.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+      }
+      setScenarioStore(createFirestoreScenarioStore({ db, appId }));
+    } else {
+      setScenarioStore(createLocalScenarioStore(window.localStorage));
+    }
+  }, [isAuthReady]);
+
+  // Load the saved scenarios as soon as a store is available
+  useEffect(() => {
+    if (scenarioStore) {
+      refreshScenarios();
+    }
+  }, [scenarioStore]);
+
+  // Restore the calculator from a shared link, then drop the token so later edits are not mistaken for it
+  useEffect(() => {
+    const token = readShareToken(window.location.hash);
+    if (!token) return;
+    const shared = decodeShareToken(token);
+    if (shared) {
+      loadScenario(shared);
+      setSharedEstimate({ results: shared.results, assumptionsVersion: shared.assumptionsVersion });
+    } else {
+      setSharedEstimate({ isInvalid: true });
+    }
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []);
+
+  // Load the current assumptions version so estimates match the ones the quotes API calculates
+  useEffect(() => {
+    fetch('/api/assumptions')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((current) => {
+        if (!current) return;
+        setPricingAssumptions(toEngineAssumptions(current.values));
+        setAssumptionsVersion(current.version);
+      })
+      .catch((error) => console.error('Error loading pricing assumptions:', error));
+  }, []);
+
+  // Effect to recalculate whenever appliances change
+  useEffect(() => {
+    calculateLoadAndQuote();
+  }, [appliances, selectedCityId, tariffCategory, systemType, daysOfAutonomy, batteryChemistry, depthOfDischargePercent,
+    discountRatePercent, tariffEscalationPercent, degradationPercent, inputMode, billUnit, billValues, roof, pricingAssumptions,
+    zones, supplyPhase, diversityFactorPercent]);
+
+  /**
+   * Applies an edit to the appliance list and zones, recording the previous state so it can be undone.
+   * @param {Array} nextAppliances - The appliance rows after the edit.
+   * @param {Array} [nextZones] - The zones after the edit.
+   * @param {string|null} [historyKey] - Merges consecutive edits with the same key, e.g. keystrokes in one field.
+   */
+  const editAppliances = (nextAppliances, nextZones = zones, historyKey = null) => {
+    setEditHistory(recordEdit(editHistory, { appliances, zones }, historyKey));
+    setAppliances(nextAppliances);
+    setZones(nextZones);
+  };
+
+  /**
+   * Restores the appliance list and zones from the edit history.
+   * @param {Function} step - undoEdit or redoEdit.
+   */
+  const stepEditHistory = (step) => {
+    const result = step(editHistory, { appliances, zones });
+    if (!result) return;
+    setEditHistory(result.history);
+    setAppliances(result.snapshot.appliances);
+    setZones(result.snapshot.zones);
+  };
+
+  /**
+   * Undoes (Ctrl+Z) or redoes (Ctrl+Shift+Z or Ctrl+Y) appliance edits from the keyboard.
+   * @param {KeyboardEvent} e - The key press within the appliance section.
+   */
+  const handleEditShortcut = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      stepEditHistory(key === 'y' || e.shiftKey ? redoEdit : undoEdit);
+    }
+  };
+
+  /**
+   * Adds a new empty appliance row to a zone.
+   * @param {number} zoneId - The zone the row belongs to.
+   */
+  const addApplianceRow = (zoneId) => {
+    editAppliances([
+      ...appliances,
+      {
+        id: Date.now(),
+        name: '',
+        wattage: '',
+        hoursPerDay: '',
+        quantity: '',
+        usagePreset: DEFAULT_USAGE_PRESET_ID,
+        customHours: '',
+        dutyCyclePercent: '',
+        seasonalProfile: DEFAULT_SEASONAL_PROFILE_ID,
+        catalogueId: '',
+        zoneId,
+      },
+    ]);
+  };
+
+  /**
+   * Adds a suggested appliance to the zone chosen for suggestions.
+   * @param {object} suggestedApp - The suggested appliance object.
+   */
+  const addSuggestedAppliance = (suggestedApp) => {
+    // Check if appliance with same name already exists to prevent duplicates
+    const exists = appliances.some(app => app.name.toLowerCase() === suggestedApp.name.toLowerCase());
+    if (!exists) {
+      editAppliances([
+        ...appliances,
+        {
+          id: Date.now(),
+          name: suggestedApp.name,
+          wattage: suggestedApp.wattage,
+          hoursPerDay: suggestedApp.hoursPerDay,
+          quantity: 1, // Default quantity to 1 for suggested items
+          usagePreset: suggestedApp.usagePreset || DEFAULT_USAGE_PRESET_ID,
+          customHours: '',
+          dutyCyclePercent: suggestedApp.dutyCyclePercent || '',
+          seasonalProfile: suggestedApp.seasonalProfile || DEFAULT_SEASONAL_PROFILE_ID,
+          catalogueId: suggestedApp.catalogueId || '',
+          zoneId: getApplianceZoneId({ zoneId: suggestionZoneId }, zones),
+        },
+      ]);
+    }
+    // Clear suggestions after adding one
+    setSuggestedAppliances([]);
+  };
+
+  /**
+   * Updates an appliance's properties based on input changes.
+   * @param {number} id - The ID of the appliance to update.
+   * @param {string} field - The field to update (e.g., 'name', 'wattage').
+   * @param {string} value - The new value for the field.
+   */
+  const handleApplianceChange = (id, field, value) => {
+    editAppliances(
+      appliances.map((app) => {
+        if (app.id !== id) return app;
+        const updated = { ...app, [field]: parseApplianceField(field, value) };
+        // A renamed row no longer describes the catalogue appliance it was picked from
+        return field === 'name' ? { ...updated, catalogueId: '' } : updated;
+      }),
+      zones,
+      `${id}:${field}`
+    );
+  };
+
+  /**
+   * Fills an appliance row with the typical figures of a catalogue entry.
+   * @param {number} id - The ID of the appliance to update.
+   * @param {object} entry - The entry picked from the appliance catalogue.
+   * @param {string} entryName - The entry's name in the interface language.
+   */
+  const selectCatalogueAppliance = (id, entry, entryName) => {
+    editAppliances(
+      appliances.map((app) =>
+        app.id === id
+          ? {
+            ...app,
+            name: entryName,
+            wattage: entry.wattage,
+            hoursPerDay: entry.hoursPerDay,
+            quantity: app.quantity || 1,
+            usagePreset: entry.usagePreset,
+            customHours: '',
+            dutyCyclePercent: entry.dutyCycle * 100,
+            seasonalProfile: entry.seasonalProfile || DEFAULT_SEASONAL_PROFILE_ID,
+            catalogueId: entry.id,
+          }
+          : app
+      )
+    );
+  };
+
+  /**
+   * Removes an appliance row from the list.
+   * @param {number} id - The ID of the appliance to remove.
+   */
+  const removeApplianceRow = (id) => {
+    editAppliances(appliances.filter((app) => app.id !== id));
+  };
+
+  /**
+   * Copies an appliance row; the copy is placed right after it.
+   * @param {number} id - The ID of the appliance to copy.
+   */
+  const duplicateApplianceRow = (id) => {
+    editAppliances(duplicateAppliances(appliances, [id], Date.now()));
+  };
+
+  /**
+   * Moves an appliance row one place up or down within its zone.
+   * @param {number} id - The ID of the appliance to move.
+   * @param {number} offset - -1 to move up, 1 to move down.
+   */
+  const moveApplianceRow = (id, offset) => {
+    const moved = moveApplianceBy(appliances, zones, id, offset);
+    if (moved !== appliances) editAppliances(moved);
+  };
+
+  /**
+   * Drops the dragged appliance row before another row, or at the end of a zone.
+   * @param {object} target - { beforeId } or { zoneId }.
+   */
+  const dropApplianceRow = (target) => {
+    if (draggedApplianceId === null) return;
+    const moved = moveAppliance(appliances, zones, draggedApplianceId, target);
+    if (moved !== appliances) editAppliances(moved);
+    setDraggedApplianceId(null);
+  };
+
+  /**
+   * Adds a row to the selection for bulk changes, or takes it out.
+   * @param {Array} ids - The rows, e.g. every row of a zone.
+   * @param {boolean} isSelected - Whether they are now selected.
+   */
+  const selectAppliances = (ids, isSelected) => {
+    setSelectedApplianceIds(isSelected
+      ? [...new Set([...selectedIds, ...ids])]
+      : selectedIds.filter((id) => !ids.includes(id)));
+  };
+
+  /**
+   * Sets one field, the quantity or hours per day, of every selected row.
+   * @param {string} field - The appliance field.
+   * @param {string} value - The value as typed.
+   */
+  const bulkEditSelected = (field, value) => {
+    editAppliances(setApplianceField(appliances, selectedIds, field, value));
+  };
+
+  /**
+   * Copies every selected row; the copies are selected instead, ready for further changes.
+   */
+  const duplicateSelected = () => {
+    const firstId = Date.now();
+    editAppliances(duplicateAppliances(appliances, selectedIds, firstId));
+    setSelectedApplianceIds(selectedIds.map((id, index) => firstId + index));
+  };
+
+  /**
+   * Removes every selected row.
+   */
+  const removeSelected = () => {
+    editAppliances(appliances.filter((app) => !selectedIds.includes(app.id)));
+    setSelectedApplianceIds([]);
+  };
+
+  /**
+   * Replaces the appliance list and zones with those read from a CSV file.
+   * @param {object} imported - The appliances and zones from parseAppliancesCsv.
+   */
+  const importAppliances = (imported) => {
+    editAppliances(imported.appliances, imported.zones);
+    setSuggestionZoneId(imported.zones[0].id);
+    setSelectedApplianceIds([]);
+  };
+
+  /**
+   * Adds an empty building or zone.
+   */
+  const addZone = () => {
+    if (zones.length >= MAX_ZONES) return;
+    editAppliances(appliances, [...zones, { id: Date.now(), name: '' }]);
+  };
+
+  /**
+   * Renames a zone.
+   * @param {number} zoneId - The zone id.
+   * @param {string} zoneName - The new name as typed.
+   */
+  const renameZone = (zoneId, zoneName) => {
+    editAppliances(appliances, zones.map((zone) => (zone.id === zoneId ? { ...zone, name: zoneName } : zone)), `zone:${zoneId}:name`);
+  };
+
+  /**
+   * Copies a zone with all its appliances, e.g. for a second identical annex.
+   * The copy is placed right after the original.
+   * @param {number} zoneId - The zone to copy.
+   */
+  const duplicateZone = (zoneId) => {
+    if (zones.length >= MAX_ZONES) return;
+    const newZoneId = Date.now();
+    const position = zones.findIndex((zone) => zone.id === zoneId);
+    const original = zones[position];
+    editAppliances(
+      [
+        ...appliances,
+        ...getZoneAppliances(appliances, zones, zoneId).map((app, index) => ({ ...app, id: newZoneId + index + 1, zoneId: newZoneId })),
+      ],
+      [
+        ...zones.slice(0, position + 1),
+        { id: newZoneId, name: original.name ? t('zones.copyName', { name: original.name }) : '' },
+        ...zones.slice(position + 1),
+      ]
+    );
+  };
+
+  /**
+   * Removes a zone and its appliances; the last zone cannot be removed.
+   * @param {number} zoneId - The zone to remove.
+   */
+  const removeZone = (zoneId) => {
+    if (zones.length <= 1) return;
+    editAppliances(
+      appliances.filter((app) => getApplianceZoneId(app, zones) !== zoneId),
+      zones.filter((zone) => zone.id !== zoneId)
+    );
+  };
+
+  /**
+   * Sets one field of every appliance in a zone.
+   * @param {number} zoneId - The zone to edit.
+   * @param {string} field - The appliance field, e.g. 'hoursPerDay'.
+   * @param {string} value - The value as typed or selected.
+   */
+  const bulkEditZone = (zoneId, field, value) => {
+    editAppliances(
+      appliances.map((app) => (getApplianceZoneId(app, zones) === zoneId ? { ...app, [field]: parseApplianceField(field, value) } : app))
+    );
+  };
+
+  /**
+   * Updates the selected city and uses it as the quote location if none was entered yet.
+   * @param {string} cityId - The id of the selected city, or '' for the national average.
+   */
+  const handleCityChange = (cityId) => {
+    setSelectedCityId(cityId);
+    const city = findCity(cityId);
+    if (city && !location) {
+      setLocation(t(`cities.${city.id}`));
+    }
+  };
+
+  /**
+   * Collects the system type and battery options in the shape the solar engine expects.
+   * @returns {object} Assumption overrides for calculateSolarEstimate.
+   */
+  const getSystemOptions = () => ({
+    systemType,
+    daysOfAutonomy: daysOfAutonomy === '' ? null : parseFloat(daysOfAutonomy),
+    batteryChemistry,
+    depthOfDischarge: depthOfDischargePercent === '' ? null : parseFloat(depthOfDischargePercent) / 100,
+    supplyPhase,
+    diversityFactor: diversityFactorPercent === '' ? null : parseFloat(diversityFactorPercent) / 100,
+  });
+
+  /**
+   * Collects the financial projection settings typed in the calculator.
+   * @returns {object} Overrides for projectCashFlows.
+   */
+  const getFinancialAssumptions = () => ({
+    discountRate: percentToRate(discountRatePercent, DEFAULT_FINANCIAL_ASSUMPTIONS.discountRate),
+    tariffEscalationRate: percentToRate(tariffEscalationPercent, DEFAULT_FINANCIAL_ASSUMPTIONS.tariffEscalationRate),
+    degradationRate: percentToRate(degradationPercent, DEFAULT_FINANCIAL_ASSUMPTIONS.degradationRate),
+  });
+
+  /**
+   * Collects every assumption override currently selected in the calculator.
+   * @returns {object} Assumption overrides for calculateSolarEstimate.
+   */
+  const getEstimateAssumptions = () => ({
+    ...pricingAssumptions,
+    solarProfile: findCity(selectedCityId),
+    tariffCategory,
+    ...getSystemOptions(),
+    monthlyConsumptionKWh: billAnalysis ? billAnalysis.monthlyKWh : null,
+    orientationFactor: getRoofOrientationFactor(roof),
+  });
+
+  /**
+   * Updates one of the roof settings.
+   * @param {string} field - The roof field, e.g. 'roofLengthM'.
+   * @param {string} value - The new value as typed or selected.
+   */
+  const handleRoofChange = (field, value) => {
+    setRoof({ ...roof, [field]: value });
+  };
+
+  /**
+   * Returns the appliance rows to estimate with. With bill history the list is optional,
+   * so rows that are still incomplete are left out instead of blocking the estimate.
+   * @returns {Array} Appliance rows.
+   */
+  const getEstimateAppliances = () => (billAnalysis ? appliances.filter(isValidAppliance) : appliances);
+
+  /**
+   * Calculates the total electricity load, estimated system size, cost, and savings.
+   */
+  const calculateLoadAndQuote = () => {
+    const result = calculateSolarEstimate(getEstimateAppliances(), getEstimateAssumptions());
+
+    setCalculationError(result.error);
+    setTotalDailyKWh(result.totalDailyKWh);
+    setApplianceDailyKWh(result.applianceDailyKWh);
+    setEstimatedSystemSizeKW(result.estimatedSystemSizeKW);
+    setEstimatedSystemCostSAR(result.estimatedSystemCostSAR);
+    setEstimatedMonthlySavingsSAR(result.estimatedMonthlySavingsSAR);
+    setEstimatedMonthlyBillBeforeSAR(result.estimatedMonthlyBillBeforeSAR);
+    setEstimatedMonthlyBillAfterSAR(result.estimatedMonthlyBillAfterSAR);
+    setMonthlyProduction(result.monthlyProduction);
+    setConnectedLoadKW(result.connectedLoadKW);
+    setPeakLoadKW(result.peakLoadKW);
+    setSurgeLoadKW(result.surgeLoadKW);
+    setInverterKW(result.inverterKW);
+    setBatteryBank(result.battery);
+    setCostBreakdown(result.costBreakdown);
+    setLoadProfile(result.loadProfile);
+    setSupplySummary(result.supply);
+    setZoneBreakdown(result.error ? [] : summariseZones(zones, getEstimateAppliances(), result.breakdown));
+    setApplianceBreakdown(result.breakdown);
+    const plan = result.error ? null : planRoofLayout({ ...roof, requiredKW: result.estimatedSystemSizeKW });
+    setRoofPlan(plan);
+    setRoofLimitedEstimate(plan && !plan.fits
+      ? calculateSolarEstimate(getEstimateAppliances(), { ...getEstimateAssumptions(), systemSizeKW: plan.maxSystemKW })
+      : null);
+    setFinancialProjection(result.error ? null : projectCashFlows(
+      {
+        systemCostSAR: result.estimatedSystemCostSAR,
+        annualSavingsSAR: result.estimatedMonthlySavingsSAR * 12,
+        inverterKW: result.inverterKW,
+      },
+      getFinancialAssumptions()
+    ));
+    setPackageComparison(result.error
+      ? []
+      : comparePackages(getEstimateAppliances(), getEstimateAssumptions(), getFinancialAssumptions()));
+  };
+
+  /**
+   * Handles the submission of the detailed quote request form.
+   * Sends the request to the quotes API, which re-validates it and stores it with a reference number.
+   */
+  const requestDetailedQuote = async (e) => {
+    e.preventDefault();
+    setFormSubmissionMessage(null);
+
+    const quoteRequest = {
+      name,
+      email,
+      phone,
+      location,
+      locale,
+      [HONEYPOT_FIELD]: honeypot,
+      cityId: selectedCityId,
+      tariffCategory,
+      ...getSystemOptions(),
+      zones,
+      appliances: getEstimateAppliances(),
+      monthlyConsumptionKWh: billAnalysis ? billAnalysis.monthlyKWh : null,
+      roof,
+      packageId: selectedPackageId,
+    };
+    const { errors } = validateQuoteRequest(quoteRequest);
+    setFormFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setFormSubmissionMessage({ key: 'quote.correctFields' });
+      return;
+    }
+
+    if (!navigator.onLine && quoteOutbox) {
+      await queueQuoteRequest(quoteRequest);
+      return;
+    }
+
+    setIsSubmittingQuote(true);
+    try {
+      const { ok, status, result } = await postQuoteRequest(quoteRequest);
+
+      if (!ok) {
+        setFormFieldErrors(result.errors || {});
+        setFormSubmissionMessage(describeRefusedQuote(status, result));
+        return;
+      }
+
+      setFormSubmissionMessage({
+        key: result.confirmationSent ? 'quote.thankYouConfirmation' : 'quote.thankYou',
+        params: { reference: result.reference, email },
+        isSuccess: true,
+      });
+      setLastSubmittedQuote({ reference: result.reference, name, email, phone, location });
+      clearContactFields();
+    } catch (error) {
+      console.error("Error submitting quote request:", error);
+      // The connection dropped without the browser noticing; keep the request for later
+      if (quoteOutbox) {
+        await queueQuoteRequest(quoteRequest);
+      } else {
+        setFormSubmissionMessage({ key: 'quote.network' });
+      }
+    } finally {
+      setIsSubmittingQuote(false);
+    }
+  };
+
+  /**
+   * Explains why the quotes API refused a request.
+   * @param {number} status - The HTTP status.
+   * @param {object} result - The response body.
+   * @returns {object} The form message: key and params.
+   */
+  const describeRefusedQuote = (status, result) => {
+    if (result.errors) return { key: 'quote.correctFields' };
+    if (status === 429) {
+      return { key: 'quote.rateLimited', params: { minutes: formatNumber(Math.ceil((result.retryAfterSeconds || 60) / 60), 0) } };
+    }
+    if (result.error === 'duplicateLead') {
+      return { key: 'quote.duplicate', params: { reference: result.reference, time: formatDateTime(result.createdAt) } };
+    }
+    if (result.error === 'blocked') return { key: `quote.blocked.${result.reason}` };
+    return { key: 'quote.saveFailed' };
+  };
+
+  /**
+   * Fetches a new client token from the server.
+   * @returns {Promise<object|null>} The token with when it arrived, or null when the server
+   *   refused; rejects only when the network is unreachable.
+   */
+  const fetchClientToken = async () => {
+    const response = await fetch('/api/client-token');
+    if (!response.ok) return null;
+    const { token, ttlMs } = await response.json();
+    clientToken.current = { token, receivedAt: Date.now(), ttlMs };
+    return clientToken.current;
+  };
+
+  /**
+   * Returns a client token the quotes API will accept: the current one while it is valid, or
+   * else a new one, held back until a person could have filled in the form, as for requests
+   * queued offline before any token could be fetched.
+   * @returns {Promise<string|null>} The token, or null when the server would not issue one.
+   */
+  const getClientToken = async () => {
+    const current = clientToken.current;
+    // A minute's margin so the token does not expire on its way to the server
+    if (current && Date.now() - current.receivedAt < current.ttlMs - 60 * 1000) return current.token;
+    const fresh = await fetchClientToken();
+    if (!fresh) return null;
+    await new Promise((resolve) => setTimeout(resolve, MIN_FORM_FILL_MS));
+    return fresh.token;
+  };
+
+  /**
+   * Posts a detailed quote request to the quotes API, with the client token.
+   * @param {object} quoteRequest - The request body.
+   * @returns {Promise<object>} ok, status and the response body ({} when it is not JSON, e.g. a
+   *   gateway error page); rejects only when the network is unreachable.
+   */
+  const postQuoteRequest = async (quoteRequest) => {
+    const response = await fetch('/api/quotes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...quoteRequest, clientToken: await getClientToken() })
+    });
+    // Any answer means the server was reached, so an unreadable one is a failed request, not an offline one
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    const result = isJson ? await response.json().catch(() => null) : null;
+    return { ok: response.ok && result !== null, status: response.status, result: result || {} };
+  };
+
+  /**
+   * Clears the contact fields once a request has been sent or queued.
+   */
+  const clearContactFields = () => {
+    setName('');
+    setEmail('');
+    setPhone('');
+    setLocation('');
+  };
+
+  /**
+   * Keeps a quote request made offline in the outbox until the connection returns.
+   * @param {object} quoteRequest - The validated request body.
+   */
+  const queueQuoteRequest = async (quoteRequest) => {
+    try {
+      await quoteOutbox.add(quoteRequest);
+      await refreshQueuedQuotes();
+      setFormSubmissionMessage({ key: 'quote.queued', isSuccess: true });
+      clearContactFields();
+    } catch (error) {
+      console.error("Error queueing quote request:", error);
+      setFormSubmissionMessage({ key: 'quote.network' });
+    }
+  };
+
+  /**
+   * Reloads the quote requests kept in the outbox.
+   */
+  const refreshQueuedQuotes = async () => {
+    try {
+      setQueuedQuotes(await quoteOutbox.list());
+    } catch (error) {
+      console.error("Error reading queued quote requests:", error);
+    }
+  };
+
+  /**
+   * Sends the quote requests waiting in the outbox, one run at a time.
+   */
+  const sendQueuedQuotes = async () => {
+    if (isSendingQueuedQuotes.current) return;
+    isSendingQueuedQuotes.current = true;
+    try {
+      await flushQuoteOutbox(quoteOutbox, async (request) => {
+        const response = await postQuoteRequest(request);
+        await refreshQueuedQuotes();
+        return response;
+      });
+    } catch (error) {
+      console.error("Error sending queued quote requests:", error);
+    } finally {
+      isSendingQueuedQuotes.current = false;
+      await refreshQueuedQuotes();
+    }
+  };
+
+  /**
+   * Sends a refused quote request again, e.g. a repeat request for a customer once the rep has
+   * signed in to the admin area.
+   * @param {string} id - The outbox entry id.
+   */
+  const resendQueuedQuote = async (id) => {
+    try {
+      await requeueQuoteRequest(quoteOutbox, id);
+    } catch (error) {
+      console.error("Error requeueing a quote request:", error);
+    }
+    if (isOnline) {
+      await sendQueuedQuotes();
+    } else {
+      await refreshQueuedQuotes();
+    }
+  };
+
+  /**
+   * Removes a quote request from the outbox once the user has seen its outcome.
+   * @param {string} id - The outbox entry id.
+   */
+  const removeQueuedQuote = async (id) => {
+    await quoteOutbox.remove(id);
+    await refreshQueuedQuotes();
+  };
+
+  /**
+   * Returns the id scenarios are saved under for the current user.
+   * @returns {string} The Firebase user id, or a fixed id for browser-only storage.
+   */
+  const getScenarioOwnerId = () => userId || LOCAL_SCENARIO_OWNER_ID;
+
+  /**
+   * Reloads the list of saved scenarios from the store.
+   */
+  const refreshScenarios = async () => {
+    try {
+      setScenarios(await scenarioStore.list(getScenarioOwnerId()));
+    } catch (error) {
+      console.error("Error loading saved scenarios:", error);
+      setScenarioError('scenarios.loadFailed');
+    }
+  };
+
+  /**
+   * Runs a scenario store operation, then refreshes the list.
+   * @param {Function} operation - Async function performing the change.
+   * @param {string} errorKey - Catalogue key of the message shown if the operation fails.
+   */
+  const updateScenarios = async (operation, errorKey) => {
+    setScenarioError('');
+    try {
+      await operation();
+      await refreshScenarios();
+    } catch (error) {
+      console.error("Error updating saved scenarios:", error);
+      setScenarioError(errorKey);
+    }
+  };
+
+  /**
+   * Captures the appliances, settings and headline results, as saved in scenarios and share links.
+   * @returns {object} appliances, settings and results.
+   */
+  const getCalculatorSnapshot = () => ({
+    appliances,
+    settings: {
+      selectedCityId,
+      tariffCategory,
+      systemType,
+      daysOfAutonomy,
+      batteryChemistry,
+      depthOfDischargePercent,
+      supplyPhase,
+      diversityFactorPercent,
+      discountRatePercent,
+      tariffEscalationPercent,
+      degradationPercent,
+      inputMode,
+      billUnit,
+      billValues,
+      roof,
+      selectedPackageId,
+      zones,
+    },
+    results: {
+      totalDailyKWh,
+      estimatedSystemSizeKW,
+      estimatedSystemCostSAR,
+      estimatedMonthlySavingsSAR,
+    },
+  });
+
+  /**
+   * Saves the current appliances, settings and results as a named scenario.
+   * @param {string} scenarioName - The name entered by the user.
+   */
+  const saveScenario = (scenarioName) => updateScenarios(
+    () => scenarioStore.save(getScenarioOwnerId(), { name: scenarioName, ...getCalculatorSnapshot() }),
+    'scenarios.saveFailed'
+  );
+
+  /**
+   * Restores the appliances and settings of a saved scenario; results are recalculated.
+   * @param {object} scenario - The saved scenario.
+   */
+  const loadScenario = (scenario) => {
+    const { settings = {} } = scenario;
+    // Scenarios and links from before zones existed put every appliance in one zone
+    const loadedZones = settings.zones?.length > 0 ? settings.zones : DEFAULT_ZONES;
+    editAppliances(assignApplianceZones(scenario.appliances, loadedZones), loadedZones);
+    setSuggestionZoneId(loadedZones[0].id);
+    setSelectedCityId(settings.selectedCityId ?? '');
+    setTariffCategory(settings.tariffCategory ?? DEFAULT_TARIFF_CATEGORY_ID);
+    setSystemType(settings.systemType ?? DEFAULT_SYSTEM_TYPE_ID);
+    setDaysOfAutonomy(settings.daysOfAutonomy ?? '');
+    setBatteryChemistry(settings.batteryChemistry ?? DEFAULT_BATTERY_CHEMISTRY_ID);
+    setDepthOfDischargePercent(settings.depthOfDischargePercent ?? '');
+    setSupplyPhase(settings.supplyPhase ?? DEFAULT_SUPPLY_PHASE_ID);
+    setDiversityFactorPercent(settings.diversityFactorPercent ?? '');
+    setDiscountRatePercent(settings.discountRatePercent ?? String(DEFAULT_FINANCIAL_ASSUMPTIONS.discountRate * 100));
+    setTariffEscalationPercent(settings.tariffEscalationPercent ?? String(DEFAULT_FINANCIAL_ASSUMPTIONS.tariffEscalationRate * 100));
+    setDegradationPercent(settings.degradationPercent ?? String(DEFAULT_FINANCIAL_ASSUMPTIONS.degradationRate * 100));
+    setInputMode(settings.inputMode ?? 'appliances');
+    setBillUnit(settings.billUnit ?? 'kWh');
+    setBillValues(settings.billValues ?? new Array(12).fill(''));
+    setRoof({ ...DEFAULT_ROOF, ...settings.roof });
+    setSelectedPackageId(settings.selectedPackageId ?? '');
+  };
+
+  /**
+   * Renames a saved scenario.
+   * @param {string} scenarioId - The scenario id.
+   * @param {string} newName - The new name.
+   */
+  const renameScenario = (scenarioId, newName) => updateScenarios(
+    () => scenarioStore.rename(getScenarioOwnerId(), scenarioId, newName),
+    'scenarios.renameFailed'
+  );
+
+  /**
+   * Deletes a saved scenario.
+   * @param {string} scenarioId - The scenario id.
+   */
+  const deleteScenario = (scenarioId) => updateScenarios(
+    () => scenarioStore.remove(getScenarioOwnerId(), scenarioId),
+    'scenarios.deleteFailed'
+  );
+
+  /**
+   * Creates a link to the current estimate and offers it through the device's share sheet,
+   * falling back to copying it to the clipboard.
+   */
+  const handleShare = async () => {
+    const url = buildShareUrl(window.location.href, encodeShareToken({ ...getCalculatorSnapshot(), assumptionsVersion }));
+    setShareUrl(url);
+    setShareMessage('');
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `${t('app.brand')} ${t('app.title')}`, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setShareMessage('share.copied');
+    } catch (error) {
+      // Closing the share sheet is not an error; the link stays on screen to copy by hand
+      if (error.name !== 'AbortError') {
+        console.error("Error sharing estimate:", error);
+        setShareMessage('share.copyFailed');
+      }
+    }
+  };
+
+  /**
+   * Generates the branded PDF quotation for the current estimate and downloads it.
+   * Uses the reference of the last submitted request; before one is submitted the PDF is marked as
+   * an estimate, since a reference only exists once the request is saved.
+   */
+  const handleDownloadQuote = async () => {
+    setIsGeneratingPdf(true);
+    setPdfError('');
+
+    const customer = name || email || phone || location || !lastSubmittedQuote
+      ? { name, email, phone, location }
+      : lastSubmittedQuote;
+
+    try {
+      await downloadQuotePdf({
+        reference: lastSubmittedQuote ? lastSubmittedQuote.reference : null,
+        date: new Date(),
+        customer,
+        appliances: getEstimateAppliances(),
+        zones,
+        estimate: calculateSolarEstimate(getEstimateAppliances(), getEstimateAssumptions()),
+        projection: financialProjection,
+        roofPlan,
+        packages: packageComparison,
+        selectedPackageId,
+      });
+    } catch (error) {
+      console.error("Error generating quote PDF:", error);
+      setPdfError('results.pdfFailed');
+    } finally {
+      setIsGeneratingPdf(false);
+    }
+  };
+
+  /**
+   * Asks the assistant API about the appliances entered so far.
+   * Rows that are still incomplete are left out.
+   * @param {string} task - 'suggestions' or 'tips'.
+   * @returns {Promise<object>} The response body, or { errorKey } with the message to show.
+   */
+  const requestAssistant = async (task) => {
+    const response = await fetch(`/api/assistant/${task}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ appliances: appliances.filter(isValidAppliance), locale, clientToken: clientToken.current?.token }),
+    });
+    const result = await response.json();
+
+    if (response.status === 429) {
+      setAssistantPause({ seconds: result.retryAfterSeconds || 60 });
+      return { errorKey: 'assistant.rateLimited' };
+    }
+    if (response.status === 400) return { errorKey: `validation.${result.error}` };
+    if (!response.ok) return { errorKey: `${task}.failed` };
+    return result;
+  };
+
+  /**
+   * Asks the assistant to suggest more appliances based on the current list.
+   */
+  const suggestMoreAppliances = async () => {
+    setIsSuggesting(true);
+    setSuggestionError('');
+    setSuggestedAppliances([]);
+    setSuggestionSource('');
+
+    // Fall back to common appliances from the built-in catalogue when the assistant is out of reach
+    const suggestFromCatalogueInstead = (source = 'catalogue') => {
+      setSuggestedAppliances(suggestFromCatalogue(
+        appliances.map(app => app.name),
+        { localize: (entry) => t(`applianceCatalogue.${entry.id}`) }
+      ));
+      setSuggestionSource(source);
+    };
+
+    try {
+      // The catalogue is part of the page, so offline suggestions still work
+      if (!isOnline) {
+        suggestFromCatalogueInstead('offline');
+        return;
+      }
+      const result = await requestAssistant('suggestions');
+      if (result.errorKey === 'assistant.rateLimited') {
+        suggestFromCatalogueInstead('rateLimited');
+        return;
+      }
+      if (result.errorKey) {
+        setSuggestionError(result.errorKey);
+        return;
+      }
+
+      // Filter out suggestions that are already in the current appliances list
+      setSuggestedAppliances(result.suggestions.filter(suggestedApp =>
+        !appliances.some(existingApp => existingApp.name.toLowerCase() === suggestedApp.name.toLowerCase())
+      ));
+      setSuggestionSource(result.source);
+    } catch (error) {
+      console.error("Error fetching appliance suggestions:", error);
+      suggestFromCatalogueInstead();
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  /**
+   * Asks the assistant for energy-saving tips based on the current appliance list.
+   */
+  const handleGetEnergySavingTips = async () => {
+    setIsGeneratingTips(true);
+    setTipsError('');
+    setEnergySavingTips('');
+
+    try {
+      const result = await requestAssistant('tips');
+      // The pause message below the buttons explains a rate limit
+      if (result.errorKey === 'assistant.rateLimited') return;
+      if (result.errorKey) {
+        setTipsError(result.errorKey);
+        return;
+      }
+      setEnergySavingTips(result.tips);
+    } catch (error) {
+      console.error("Error generating energy saving tips:", error);
+      setTipsError('tips.network');
+    } finally {
+      setIsGeneratingTips(false);
+    }
+  };
+
+  // Zones without a name are shown by their position, e.g. 'Zone 2'
+  const zoneLabels = Object.fromEntries(zones.map((zone, index) => [zone.id, zone.name || t('zones.unnamed', { number: index + 1 })]));
+
+  // Field errors of each appliance row; rows not filled in yet are left unflagged
+  const applianceErrors = Object.fromEntries(appliances.map((app) => [app.id, isBlankAppliance(app) ? {} : getApplianceErrors(app)]));
+  const invalidApplianceCount = appliances.filter((app) => !isValidAppliance(app)).length;
+
+  return (
+    <Layout title={t('app.title')} description={t('app.intro')}>
+      <div className="bg-white rounded-xl shadow-2xl p-8 md:p-10 w-full max-w-2xl mx-auto">
+        <h1 className="text-3xl md:text-4xl font-bold text-center text-gray-800 mb-6">
+          <span className="text-yellow-500">{t('app.brand')}</span> {t('app.title')}
+        </h1>
+        <p className="text-center text-gray-600 mb-8">
+          {t('app.intro')}
+        </p>
+
+        {!isOnline && (
+          <p className="mb-6 p-3 bg-gray-100 border border-gray-300 rounded-lg text-sm text-gray-700 text-center" role="status">
+            {t('offline.banner')}
+          </p>
+        )}
+
+        {sharedEstimate && (
+          <SharedEstimateNotice
+            sharedResults={sharedEstimate.results}
+            isInvalid={sharedEstimate.isInvalid}
+            hasChanged={Boolean(sharedEstimate.results) &&
+              haveResultsChanged(sharedEstimate.results, { estimatedSystemSizeKW, estimatedSystemCostSAR, estimatedMonthlySavingsSAR })}
+            onDismiss={() => setSharedEstimate(null)}
+          />
+        )}
+
+        {/* Saved Scenarios Section */}
+        <SavedScenarios
+          scenarios={scenarios}
+          isReady={Boolean(scenarioStore)}
+          error={scenarioError && t(scenarioError)}
+          onSave={saveScenario}
+          onLoad={loadScenario}
+          onRename={renameScenario}
+          onDelete={deleteScenario}
+        />
+
+        {/* Consumption Source Toggle */}
+        <div className="flex justify-center gap-2 mb-6" role="group" aria-label={t('bills.modeLabel')}>
+          {['appliances', 'bills'].map((mode) => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => setInputMode(mode)}
+              aria-pressed={inputMode === mode}
+              className={`text-sm font-medium rounded-full px-4 py-2 border transition duration-200 ${
+                inputMode === mode ? 'bg-blue-500 border-blue-500 text-white' : 'border-blue-300 text-blue-600 hover:bg-blue-50'
+              }`}
+            >
+              {t(mode === 'bills' ? 'bills.modeBills' : 'bills.modeAppliances')}
+            </button>
+          ))}
+        </div>
+
+        {/* Bill History Section */}
+        {inputMode === 'bills' && (
+          <BillHistoryInput
+            unit={billUnit}
+            values={billValues}
+            analysis={billAnalysis}
+            reconciliation={billAnalysis && reconcileWithAppliances(billAnalysis.averageDailyKWh, applianceDailyKWh)}
+            onUnitChange={setBillUnit}
+            onValuesChange={setBillValues}
+          />
+        )}
+
+        {/* Appliance Input Section */}
+        <div className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner" onKeyDown={handleEditShortcut}>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4 text-center">{t('appliances.heading')}</h2>
+          {inputMode === 'bills' && (
+            <p className="text-sm text-gray-600 mb-4 text-center">{t('bills.appliancesOptional')}</p>
+          )}
+          <ApplianceToolbar
+            appliances={appliances}
+            zones={zones}
+            canUndo={editHistory.past.length > 0}
+            canRedo={editHistory.future.length > 0}
+            selectedCount={selectedIds.length}
+            onUndo={() => stepEditHistory(undoEdit)}
+            onRedo={() => stepEditHistory(redoEdit)}
+            onBulkEdit={bulkEditSelected}
+            onDuplicateSelected={duplicateSelected}
+            onRemoveSelected={removeSelected}
+            onClearSelection={() => setSelectedApplianceIds([])}
+            onImport={importAppliances}
+          />
+          {zones.map((zone) => {
+            const zoneAppliances = getZoneAppliances(appliances, zones, zone.id);
+            const zoneApplianceIds = zoneAppliances.map((app) => app.id);
+            return (
+              <section
+                key={zone.id}
+                className="mb-6 p-4 bg-white rounded-lg border border-gray-200"
+                aria-label={zoneLabels[zone.id]}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  dropApplianceRow({ zoneId: zone.id });
+                }}
+              >
+                <LoadZoneHeader
+                  zone={zone}
+                  label={zoneLabels[zone.id]}
+                  subtotal={zoneBreakdown.find((item) => item.id === zone.id)}
+                  applianceCount={zoneAppliances.length}
+                  canRemove={zones.length > 1}
+                  onRename={renameZone}
+                  onDuplicate={duplicateZone}
+                  onRemove={removeZone}
+                  onBulkEdit={bulkEditZone}
+                />
+                {zoneAppliances.length === 0 ? (
+                  <p className="text-sm text-gray-500 mb-3">{t('zones.empty')}</p>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-6 gap-4 text-sm font-medium text-gray-700 mb-3 px-2">
+                      <span className="col-span-1 md:col-span-1 flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={zoneApplianceIds.every((id) => selectedIds.includes(id))}
+                          onChange={(e) => selectAppliances(zoneApplianceIds, e.target.checked)}
+                          aria-label={t('appliances.selectZoneLabel', { zone: zoneLabels[zone.id] })}
+                        />
+                        {t('appliances.name')}
+                      </span>
+                      <span>{t('appliances.wattage')}</span>
+                      <span>{t('appliances.hoursPerDay')}</span>
+                      <span>{t('appliances.dutySeason')}</span>
+                      <span>{t('appliances.whenUsed')}</span>
+                      <span>{t('appliances.quantity')}</span>
+                    </div>
+                    {zoneAppliances.map((app) => (
+                      <ApplianceRow
+                        key={app.id}
+                        app={app}
+                        errors={applianceErrors[app.id]}
+                        isSelected={selectedIds.includes(app.id)}
+                        isDragging={draggedApplianceId === app.id}
+                        onSelect={(id, isSelected) => selectAppliances([id], isSelected)}
+                        onChange={handleApplianceChange}
+                        onCatalogueSelect={selectCatalogueAppliance}
+                        onDuplicate={duplicateApplianceRow}
+                        onRemove={removeApplianceRow}
+                        onMove={moveApplianceRow}
+                        onDragStart={setDraggedApplianceId}
+                        onDragEnd={() => setDraggedApplianceId(null)}
+                        onDrop={(beforeId) => dropApplianceRow({ beforeId })}
+                      />
+                    ))}
+                  </>
+                )}
+                <button
+                  onClick={() => addApplianceRow(zone.id)}
+                  className="w-full bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-600 transition duration-300 ease-in-out mt-2"
+                  aria-label={t('zones.addApplianceLabel', { zone: zoneLabels[zone.id] })}
+                >
+                  {t('appliances.add')}
+                </button>
+              </section>
+            );
+          })}
+          <button
+            onClick={addZone}
+            className="w-full border-2 border-dashed border-blue-300 text-blue-600 font-semibold py-2 px-4 rounded-lg hover:bg-blue-50 transition duration-300 ease-in-out"
+            disabled={zones.length >= MAX_ZONES}
+          >
+            {t('zones.add')}
+          </button>
+          <button
+            onClick={suggestMoreAppliances}
+            className="w-full bg-purple-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-purple-600 transition duration-300 ease-in-out mt-4 flex items-center justify-center"
+            disabled={isSuggesting || Boolean(assistantPause)}
+            aria-label={t('suggestions.buttonLabel')}
+          >
+            {isSuggesting ? (
+              <svg className="animate-spin h-5 w-5 text-white me-3" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+            ) : (
+              t('suggestions.button')
+            )}
+          </button>
+          {suggestionError && (
+            <p className="text-red-600 text-sm mt-4 text-center">{t(suggestionError)}</p>
+          )}
+
+          {suggestedAppliances.length > 0 && (
+            <div className="mt-6 p-4 bg-yellow-100 rounded-lg shadow-inner">
+              <h3 className="text-lg font-semibold text-gray-800 mb-3">{t('suggestions.heading')}</h3>
+              {zones.length > 1 && (
+                <div className="flex items-center gap-2 mb-3 text-sm text-gray-700">
+                  <label htmlFor="suggestionZone">{t('zones.suggestTo')}</label>
+                  <select
+                    id="suggestionZone"
+                    className="p-1 border border-gray-300 rounded-lg bg-white"
+                    value={getApplianceZoneId({ zoneId: suggestionZoneId }, zones)}
+                    onChange={(e) => setSuggestionZoneId(Number(e.target.value))}
+                  >
+                    {zones.map((zone) => (
+                      <option key={zone.id} value={zone.id}>{zoneLabels[zone.id]}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {suggestionSource !== 'assistant' && (
+                <p className="text-sm text-gray-600 mb-3">
+                  {t({
+                    offline: 'suggestions.fromCatalogueOffline',
+                    rateLimited: 'suggestions.fromCatalogueRateLimited',
+                  }[suggestionSource] || 'suggestions.fromCatalogue')}
+                </p>
+              )}
+              <div className="space-y-2">
+                {suggestedAppliances.map((suggApp, index) => (
+                  <div key={index} className="flex justify-between items-center bg-yellow-50 p-2 rounded-lg">
+                    <span className="text-gray-700">
+                      {t('suggestions.item', {
+                        name: suggApp.name,
+                        wattage: formatNumber(suggApp.wattage, 0),
+                        hours: formatNumber(suggApp.hoursPerDay, 0),
+                      })}
+                    </span>
+                    <button
+                      onClick={() => addSuggestedAppliance(suggApp)}
+                      className="bg-green-500 text-white text-xs px-3 py-1 rounded-full hover:bg-green-600 transition duration-200"
+                      aria-label={t('suggestions.addLabel', { name: suggApp.name })}
+                    >
+                      {t('suggestions.add')}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={handleGetEnergySavingTips}
+            className="w-full bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-indigo-600 transition duration-300 ease-in-out mt-4 flex items-center justify-center"
+            disabled={isGeneratingTips || !isOnline || Boolean(assistantPause)}
+            aria-label={t('tips.buttonLabel')}
+          >
+            {isGeneratingTips ? (
+              <svg className="animate-spin h-5 w-5 text-white me-3" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+            ) : (
+              t('tips.button')
+            )}
+          </button>
+          {!isOnline && (
+            <p className="text-gray-600 text-sm mt-2 text-center">{t('tips.offline')}</p>
+          )}
+          {tipsError && (
+            <p className="text-red-600 text-sm mt-4 text-center">{t(tipsError)}</p>
+          )}
+          {assistantPause && (
+            <p className="text-yellow-800 text-sm mt-4 text-center" role="status">
+              {t('assistant.rateLimited', { seconds: formatNumber(assistantPause.seconds, 0) })}
+            </p>
+          )}
+
+          {energySavingTips && (
+            <div className="mt-6 p-4 bg-blue-100 rounded-lg shadow-inner">
+              <h3 className="text-lg font-semibold text-gray-800 mb-3">{t('tips.heading')}</h3>
+              <div className="prose prose-sm max-w-none text-gray-700">
+                {energySavingTips.split('\n').map((tip, index) => (
+                  <p key={index}>{tip}</p>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {calculationError && (
+            <p className="text-red-600 text-sm mt-4 text-center" role="alert">
+              {t('appliances.invalidRows', { count: formatNumber(invalidApplianceCount, 0) })}
+            </p>
+          )}
+        </div>
+
+        {/* Results Section */}
+        <div className="bg-yellow-50 p-6 rounded-lg shadow-inner mb-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4 text-center">{t('results.heading')}</h2>
+          <div className="mb-4">
+            <label htmlFor="solarCity" className="block text-gray-700 text-sm font-medium mb-2">
+              {t('results.city')}
+            </label>
+            <select
+              id="solarCity"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white"
+              value={selectedCityId}
+              onChange={(e) => handleCityChange(e.target.value)}
+              aria-label={t('results.cityLabel')}
+            >
+              <option value="">{t('results.nationalAverage')}</option>
+              {SAUDI_CITIES.map((city) => (
+                <option key={city.id} value={city.id}>{t(`cities.${city.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="tariffCategory" className="block text-gray-700 text-sm font-medium mb-2">
+              {t('results.customerCategory')}
+            </label>
+            <select
+              id="tariffCategory"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-blue-400 bg-white"
+              value={tariffCategory}
+              onChange={(e) => setTariffCategory(e.target.value)}
+              aria-label={t('results.customerCategoryLabel')}
+            >
+              {TARIFF_CATEGORIES.map((category) => (
+                <option key={category.id} value={category.id}>{t(`tariffCategories.${category.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <SystemTypeSettings
+            systemType={systemType}
+            daysOfAutonomy={daysOfAutonomy}
+            batteryChemistry={batteryChemistry}
+            depthOfDischarge={depthOfDischargePercent}
+            onSystemTypeChange={setSystemType}
+            onDaysOfAutonomyChange={setDaysOfAutonomy}
+            onBatteryChemistryChange={setBatteryChemistry}
+            onDepthOfDischargeChange={setDepthOfDischargePercent}
+          />
+          <SupplySettings
+            supplyPhase={supplyPhase}
+            diversityFactor={diversityFactorPercent}
+            onSupplyPhaseChange={setSupplyPhase}
+            onDiversityFactorChange={setDiversityFactorPercent}
+          />
+          <div className="space-y-3 text-gray-700">
+            <p className="text-lg">
+              {t('results.dailyConsumption')}{' '}
+              <span className="font-bold text-green-700">
+                {formatNumber(totalDailyKWh)} kWh
+              </span>
+            </p>
+            <p className="text-lg">
+              {t('results.systemSize')}{' '}
+              <span className="font-bold text-green-700">
+                {formatNumber(estimatedSystemSizeKW)} kW
+              </span>
+            </p>
+            <p className="text-lg">
+              {t('results.inverterSize')}{' '}
+              <span className="font-bold text-green-700">
+                {formatNumber(inverterKW)} kW
+              </span>
+              <span className="text-sm text-gray-600"> {t('results.peakLoad', { value: formatNumber(peakLoadKW), surge: formatNumber(surgeLoadKW) })}</span>
+            </p>
+            {supplySummary && connectedLoadKW > 0 && (
+              <p className="text-sm text-gray-600">
+                {t('results.peakDemand', {
+                  peak: formatNumber(peakLoadKW),
+                  connected: formatNumber(connectedLoadKW),
+                  diversity: formatPercent(supplySummary.diversityFactor),
+                  current: formatNumber(supplySummary.peakCurrentPerPhaseA, 0),
+                  phases: formatNumber(supplySummary.phases, 0),
+                })}
+              </p>
+            )}
+            {batteryBank && (
+              <p className="text-lg">
+                {t('results.batteryBank')}{' '}
+                <span className="font-bold text-green-700">
+                  {formatNumber(batteryBank.nominalKWh, 1)} kWh
+                </span>
+                <span className="text-sm text-gray-600">
+                  {' '}{t('results.batteryDetails', {
+                    usable: formatNumber(batteryBank.usableKWh, 1),
+                    days: formatNumber(batteryBank.daysOfAutonomy, 1),
+                    dod: formatPercent(batteryBank.depthOfDischarge),
+                  })}
+                </span>
+              </p>
+            )}
+            <p className="text-lg">
+              {t('results.systemCost')}{' '}
+              <span className="font-bold text-green-700">
+                {formatCurrency(estimatedSystemCostSAR)}
+              </span>
+            </p>
+            {batteryBank && costBreakdown && (
+              <p className="text-sm text-gray-600">
+                {t('results.costBreakdown', {
+                  panels: formatCurrency(costBreakdown.pvArraySAR, 0),
+                  batteries: formatCurrency(costBreakdown.batterySAR, 0),
+                  inverter: formatCurrency(costBreakdown.inverterSAR, 0),
+                })}
+              </p>
+            )}
+            <p className="text-lg">
+              {t('results.billBefore')}{' '}
+              <span className="font-bold text-green-700">
+                {formatCurrency(estimatedMonthlyBillBeforeSAR)}
+              </span>
+            </p>
+            <p className="text-lg">
+              {t('results.billAfter')}{' '}
+              <span className="font-bold text-green-700">
+                {formatCurrency(estimatedMonthlyBillAfterSAR)}
+              </span>
+            </p>
+            <p className="text-lg">
+              {t('results.monthlySavings')}{' '}
+              <span className="font-bold text-green-700">
+                {formatCurrency(estimatedMonthlySavingsSAR)}
+              </span>
+            </p>
+          </div>
+          <ConsumptionCharts breakdown={applianceBreakdown} monthlyProduction={monthlyProduction} />
+          <ZoneBreakdown
+            zoneBreakdown={zoneBreakdown}
+            zoneLabels={zoneLabels}
+            connectedLoadKW={connectedLoadKW}
+            applianceDailyKWh={applianceDailyKWh}
+          />
+          <MonthlyProductionTable monthlyProduction={monthlyProduction} />
+          <RoofLayoutPlanner
+            roof={roof}
+            plan={roofPlan}
+            orientationFactor={getRoofOrientationFactor(roof)}
+            requiredKW={estimatedSystemSizeKW}
+            monthlySavingsSAR={estimatedMonthlySavingsSAR}
+            limitedEstimate={roofLimitedEstimate}
+            onChange={handleRoofChange}
+          />
+          <LoadProfileSummary loadProfile={loadProfile} />
+          <FinancialProjection
+            projection={financialProjection}
+            systemCostSAR={estimatedSystemCostSAR}
+            discountRatePercent={discountRatePercent}
+            tariffEscalationPercent={tariffEscalationPercent}
+            degradationPercent={degradationPercent}
+            onDiscountRateChange={setDiscountRatePercent}
+            onTariffEscalationChange={setTariffEscalationPercent}
+            onDegradationChange={setDegradationPercent}
+          />
+          <PackageComparison
+            comparison={packageComparison}
+            selectedPackageId={selectedPackageId}
+            onSelect={setSelectedPackageId}
+          />
+          <p className="text-sm text-gray-600 mt-4 text-center">
+            *{t('results.disclaimer')}
+          </p>
+          <button
+            onClick={handleDownloadQuote}
+            className="w-full bg-yellow-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-yellow-600 transition duration-300 ease-in-out mt-4"
+            disabled={isGeneratingPdf || Boolean(calculationError)}
+            aria-label={t('results.downloadLabel')}
+          >
+            {isGeneratingPdf ? t('results.downloading') : t('results.download')}
+          </button>
+          {pdfError && (
+            <p className="text-red-600 text-sm mt-4 text-center">{t(pdfError)}</p>
+          )}
+          <ShareEstimate
+            shareUrl={shareUrl}
+            message={shareMessage}
+            disabled={Boolean(calculationError)}
+            onShare={handleShare}
+          />
+        </div>
+
+        {/* Detailed Quote Request Form */}
+        <form onSubmit={requestDetailedQuote} className="bg-blue-50 p-6 rounded-lg shadow-inner">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4 text-center">{t('quote.heading')}</h2>
+          <p className="text-center text-gray-600 mb-6">
+            {t('quote.intro')}
+          </p>
+          <p className="text-sm text-gray-700 mb-4 text-center">
+            {selectedPackageId
+              ? t('quote.package', { name: t(`equipmentPackages.${selectedPackageId}.name`) })
+              : t('quote.noPackage')}
+          </p>
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="quoteName" className="block text-gray-700 text-sm font-medium mb-2">
+                {t('quote.name')}
+              </label>
+              <input
+                type="text"
+                id="quoteName"
+                aria-invalid={Boolean(formFieldErrors.name)}
+                aria-describedby={formFieldErrors.name ? 'quoteNameError' : undefined}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-400 focus:border-transparent transition duration-200"
+                placeholder={t('quote.namePlaceholder')}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                aria-label={t('quote.nameLabel')}
+              />
+              {formFieldErrors.name && (
+                <p id="quoteNameError" className="text-red-600 text-sm mt-1">{t(`validation.${formFieldErrors.name}`)}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="quoteEmail" className="block text-gray-700 text-sm font-medium mb-2">
+                {t('quote.email')}
+              </label>
+              <input
+                type="email"
+                id="quoteEmail"
+                dir="ltr"
+                aria-invalid={Boolean(formFieldErrors.email)}
+                aria-describedby={formFieldErrors.email ? 'quoteEmailError' : undefined}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-400 focus:border-transparent transition duration-200 text-start"
+                placeholder={t('quote.emailPlaceholder')}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                aria-label={t('quote.emailLabel')}
+              />
+              {formFieldErrors.email && (
+                <p id="quoteEmailError" className="text-red-600 text-sm mt-1">{t(`validation.${formFieldErrors.email}`)}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="quotePhone" className="block text-gray-700 text-sm font-medium mb-2">
+                {t('quote.phone')}
+              </label>
+              <input
+                type="tel"
+                id="quotePhone"
+                dir="ltr"
+                aria-invalid={Boolean(formFieldErrors.phone)}
+                aria-describedby={formFieldErrors.phone ? 'quotePhoneError' : undefined}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-400 focus:border-transparent transition duration-200 text-start"
+                placeholder={t('quote.phonePlaceholder')}
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                aria-label={t('quote.phoneLabel')}
+              />
+              {formFieldErrors.phone && (
+                <p id="quotePhoneError" className="text-red-600 text-sm mt-1">{t(`validation.${formFieldErrors.phone}`)}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="quoteLocation" className="block text-gray-700 text-sm font-medium mb-2">
+                {t('quote.location')}
+              </label>
+              <input
+                type="text"
+                id="quoteLocation"
+                aria-invalid={Boolean(formFieldErrors.location)}
+                aria-describedby={formFieldErrors.location ? 'quoteLocationError' : undefined}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-400 focus:border-transparent transition duration-200"
+                placeholder={t('quote.locationPlaceholder')}
+                value={location}
+                onChange={(e) => setLocation(e.target.value)}
+                aria-label={t('quote.locationLabel')}
+              />
+              {formFieldErrors.location && (
+                <p id="quoteLocationError" className="text-red-600 text-sm mt-1">{t(`validation.${formFieldErrors.location}`)}</p>
+              )}
+            </div>
+
+            {formFieldErrors.appliances && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.appliances}`)}</p>
+            )}
+            {formFieldErrors.monthlyConsumptionKWh && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.monthlyConsumptionKWh}`)}</p>
+            )}
+            {formFieldErrors.roof && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.roof}`)}</p>
+            )}
+            {formFieldErrors.zones && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.zones}`)}</p>
+            )}
+            {formFieldErrors.diversityFactor && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.diversityFactor}`)}</p>
+            )}
+            {formFieldErrors.daysOfAutonomy && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.daysOfAutonomy}`)}</p>
+            )}
+            {formFieldErrors.depthOfDischarge && (
+              <p className="text-red-600 text-sm mt-2 text-center">{t(`validation.${formFieldErrors.depthOfDischarge}`)}</p>
+            )}
+
+            {/* Kept off screen and out of the tab order: people never fill it in, form-filling bots do */}
+            <div style={{ position: 'absolute', left: '-10000px', width: 1, height: 1, overflow: 'hidden' }} aria-hidden="true">
+              <label htmlFor="quoteWebsite">{t('quote.honeypot')}</label>
+              <input
+                type="text"
+                id="quoteWebsite"
+                name={HONEYPOT_FIELD}
+                tabIndex={-1}
+                autoComplete="off"
+                value={honeypot}
+                onChange={(e) => setHoneypot(e.target.value)}
+              />
+            </div>
+
+            {formSubmissionMessage && (
+              <p className={`text-sm mt-2 text-center ${formSubmissionMessage.isSuccess ? 'text-green-600' : 'text-red-600'}`}>
+                {t(formSubmissionMessage.key, formSubmissionMessage.params)}
+              </p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full bg-green-500 text-white font-semibold py-3 px-6 rounded-lg shadow-md hover:bg-green-600 transition duration-300 ease-in-out transform hover:scale-105"
+              disabled={isSubmittingQuote}
+              aria-label={t('quote.submitLabel')}
+            >
+              {isSubmittingQuote ? t('quote.submitting') : t(isOnline ? 'quote.submit' : 'quote.submitOffline')}
+            </button>
+            <QuoteOutbox
+              entries={queuedQuotes}
+              isOnline={isOnline}
+              onSendNow={sendQueuedQuotes}
+              onResend={resendQueuedQuote}
+              onRemove={removeQueuedQuote}
+            />
+          </div>
+        </form>
+      </div>
+    </Layout>
+  );
+};
+
+export default Calculator;
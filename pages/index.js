@@ -1,23 +1,78 @@
-import Head from 'next/head'
-import Header from '@components/Header'
-import Footer from '@components/Footer'
+import { useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import Layout from '@components/Layout'
+import { readShareToken } from '@lib/shareLinks'
+import { useI18n } from '@lib/i18n/I18nContext'
+
+const FEATURES = ['appliances', 'bills', 'roof', 'packages', 'quote', 'offline']
+
+const STEPS = ['describe', 'compare', 'request']
+
+const primaryButtonClassName = 'inline-block bg-yellow-500 text-white font-semibold py-3 px-6 rounded-lg shadow-md hover:bg-yellow-600 transition duration-300 ease-in-out'
 
 export default function Home() {
+  const { t } = useI18n()
+  const router = useRouter()
+
+  // Share links created before the calculator had its own page point here
+  useEffect(() => {
+    if (readShareToken(window.location.hash)) {
+      router.replace(`/calculator${window.location.hash}`)
+    }
+  }, [])
+
   return (
-    <div className="container">
-      <Head>
-        <title>Next.js Starter!</title>
-        <link rel="icon" href="/favicon.ico" />
-      </Head>
-
-      <main>
-        <Header title="Welcome to my app!" />
-        <p className="description">
-          Get started by editing <code>pages/index.js</code>
-        </p>
-      </main>
-
-      <Footer />
-    </div>
+    <Layout title={t('landing.metaTitle')} description={t('landing.metaDescription')}>
+      <div className="max-w-5xl mx-auto space-y-12">
+        <section className="text-center py-8">
+          <h1 className="text-3xl md:text-5xl font-bold text-gray-800 mb-4">{t('landing.headline')}</h1>
+          <p className="text-lg text-gray-600 max-w-2xl mx-auto mb-8">{t('landing.subheading')}</p>
+          <div className="flex flex-wrap justify-center gap-4">
+            <Link href="/calculator" className={primaryButtonClassName}>
+              {t('landing.start')}
+            </Link>
+            <a href="#how-it-works" className="inline-block text-blue-600 font-semibold py-3 px-6 hover:underline">
+              {t('landing.howItWorksLink')}
+            </a>
+          </div>
+        </section>
+
+        <section aria-labelledby="features-heading">
+          <h2 id="features-heading" className="text-2xl font-bold text-gray-800 text-center mb-6">{t('landing.featuresHeading')}</h2>
+          <ul className="grid gap-4 md:grid-cols-3">
+            {FEATURES.map((feature) => (
+              <li key={feature} className="bg-white rounded-xl shadow p-5">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">{t(`landing.features.${feature}.title`)}</h3>
+                <p className="text-sm text-gray-600">{t(`landing.features.${feature}.body`)}</p>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section id="how-it-works" aria-labelledby="how-it-works-heading">
+          <h2 id="how-it-works-heading" className="text-2xl font-bold text-gray-800 text-center mb-6">{t('landing.howItWorksHeading')}</h2>
+          <ol className="grid gap-4 md:grid-cols-3">
+            {STEPS.map((step, index) => (
+              <li key={step} className="bg-white rounded-xl shadow p-5">
+                <span className="inline-flex items-center justify-center w-8 h-8 rounded-full bg-yellow-100 text-yellow-700 font-bold mb-3" aria-hidden="true">
+                  {index + 1}
+                </span>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">{t(`landing.steps.${step}.title`)}</h3>
+                <p className="text-sm text-gray-600">{t(`landing.steps.${step}.body`)}</p>
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        <section className="bg-white rounded-xl shadow-2xl p-8 text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('landing.ctaHeading')}</h2>
+          <p className="text-gray-600 mb-6">{t('landing.ctaBody')}</p>
+          <Link href="/calculator" className={primaryButtonClassName}>
+            {t('landing.start')}
+          </Link>
+        </section>
+      </div>
+    </Layout>
   )
 }
@@ -0,0 +1,85 @@
+// Service worker that keeps the site working offline. The pages, Next.js bundles and the
+// published pricing assumptions are cached as they are fetched, so every calculation runs without
+// a connection once the calculator has been opened online. Quote requests are not handled here:
+// the page queues them in IndexedDB (lib/quotes/outbox.js) and sends them when it is back online.
+
+// Bump to drop every cached file, e.g. when the caching rules below change
+const CACHE_VERSION = 'eversolar-v3';
+
+// The Arabic font is needed offline for PDF quotations containing Arabic text (lib/quotePdf.js)
+const PRECACHE_URLS = [
+  '/', '/calculator', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png',
+  '/fonts/IBMPlexSansArabic-Regular.ttf', '/fonts/IBMPlexSansArabic-Bold.ttf',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_VERSION).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Stores a successful response in the cache.
+ * @param {Request} request - The request.
+ * @param {Response} response - The response from the network.
+ * @returns {Response} The same response, for the page.
+ */
+const remember = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_VERSION).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+/**
+ * Serves from the cache, going to the network only for files not cached yet.
+ * Next.js bundles have content hashes in their names, so a cached copy is never stale.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+const cacheFirst = async (request) => (await caches.match(request)) || remember(request, await fetch(request));
+
+/**
+ * Goes to the network and falls back to the cache when offline, so online users always get
+ * the latest page and pricing.
+ * @param {Request} request - The request.
+ * @param {string} [fallbackUrl] - Cached URL to serve when the request itself was never cached.
+ * @returns {Promise<Response>} The response.
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  try {
+    return remember(request, await fetch(request));
+  } catch (error) {
+    const cached = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Quote requests, the assistant and the admin area always go to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate' && !url.pathname.startsWith('/admin')) {
+    event.respondWith(networkFirst(request, '/'));
+  } else if (url.pathname === '/api/assumptions') {
+    event.respondWith(networkFirst(request));
+  } else if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
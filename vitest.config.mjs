@@ -0,0 +1,17 @@
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+// Unit tests for the lib/ modules; they run in Node without a browser or Next.js
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@components': path.resolve('components'),
+      '@lib': path.resolve('lib'),
+      '@styles': path.resolve('styles'),
+    },
+  },
+  test: {
+    environment: 'node',
+    include: ['lib/**/*.test.js'],
+  },
+});